@@ -4,6 +4,8 @@ import Queue from '../lib/queue.js';
 import config from '../lib/config.js';
 import configManager from '../lib/config-manager.js';
 import MemoryMonitor from '../lib/memory-monitor.js';
+import Lexicon from '../lib/lexicon.js';
+import AbbreviationDictionary from '../lib/abbreviations.js';
 import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs';
@@ -23,6 +25,7 @@ class Worker {
 
     // Configuration and memory monitoring (initialized in start())
     this.settings = null;
+    this.abbreviations = null;
     this.memoryMonitor = null;
     this.activeJobs = 0; // Track concurrent jobs
   }
@@ -31,6 +34,7 @@ class Worker {
     // Load configuration
     await configManager.init();
     this.settings = configManager.getActiveSettings();
+    this.abbreviations = new AbbreviationDictionary({ abbreviations: this.settings.abbreviations });
 
     this.log(`Configuration loaded:`);
     this.log(`  Memory profile: ${this.settings.memoryProfile}`);
@@ -201,12 +205,15 @@ class Worker {
     const fullJob = this.queue.getJob(job.id);
     const chapters = fullJob.chapters;
 
+    // Pronunciations: the global lexicon plus this job's own entries
+    const lexicon = Lexicon.load(config.paths.lexicon).withOverrides(fullJob.lexicon);
+
     // Process each chapter with retry logic
     for (const chapter of chapters) {
       this.log(`Processing chapter ${chapter.chapter_num}: ${chapter.title}`);
 
       try {
-        await this.processChapterWithRetry(chapter, outputDir);
+        await this.processChapterWithRetry(chapter, outputDir, lexicon);
         this.queue.updateChapterStatus(chapter.id, 'completed');
         this.log(`Completed chapter ${chapter.chapter_num}`);
       } catch (error) {
@@ -218,10 +225,10 @@ class Worker {
     this.log(`All chapters completed for: ${job.title}`);
   }
 
-  async processChapterWithRetry(chapter, outputDir, maxRetries = 3) {
+  async processChapterWithRetry(chapter, outputDir, lexicon, maxRetries = 3) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        await this.processChapter(chapter, outputDir);
+        await this.processChapter(chapter, outputDir, lexicon);
         return; // Success
       } catch (error) {
         if (attempt === maxRetries) {
@@ -236,7 +243,7 @@ class Worker {
     }
   }
 
-  async processChapter(chapter, outputDir) {
+  async processChapter(chapter, outputDir, lexicon = new Lexicon()) {
     // Update chapter status
     this.queue.updateChapterStatus(chapter.id, 'processing');
 
@@ -246,8 +253,11 @@ class Worker {
     fs.writeFileSync(tempChapterFile, JSON.stringify([{
       number: chapter.chapter_num,
       title: chapter.title,
-      text: chapter.text,
-      wordCount: chapter.word_count
+      text: lexicon.apply(chapter.text ?? fs.readFileSync(chapter.text_file, 'utf8')).text,
+      wordCount: chapter.word_count,
+      // Kept from being read as sentence ends by the TTS sentence splitter
+      abbreviations: this.abbreviations.protected,
+      sentenceFinal: this.abbreviations.sentenceFinal
     }], null, 2));
 
     // Call Python TTS engine
@@ -8,9 +8,14 @@ import config from '../lib/config.js';
 import configManager from '../lib/config-manager.js';
 import MemoryMonitor from '../lib/memory-monitor.js';
 import TextCleaner from '../lib/text-cleaner.js';
+import StreamProcessor from '../lib/stream-processor.js';
+import UnicodeNormalizer from '../lib/unicode-normalizer.js';
+import SpeechNormalizer from '../lib/speech-normalizer.js';
+import Lexicon from '../lib/lexicon.js';
 import Summarizer from '../lib/summarizer.js';
 import Queue from '../lib/queue.js';
 import pathValidator from '../lib/path-validator.js';
+import BatchInput from '../lib/batch-input.js';
 import { exec, execFile } from 'child_process';
 import { promisify } from 'util';
 import { createRequire } from 'module';
@@ -29,7 +34,7 @@ program
   .version(pkg.version);
 
 program
-  .argument('[input]', 'PDF/TXT file or book/paper name to convert')
+  .argument('[input]', 'Document (PDF, EPUB, MOBI, HTML, DOCX, TEX, TXT...) or book/paper name to convert')
   .option('-s, --status [jobId]', 'Check job status (all jobs if no ID)')
   .option('-l, --list', 'List all audiobooks')
   .option('-d, --delete <jobId>', 'Delete audiobook')
@@ -38,6 +43,16 @@ program
   .option('--search <query>', 'Search for book/paper without downloading')
   .option('--summary', 'Generate text summary only (no audio)')
   .option('--with-summary', 'Generate both audiobook and summary')
+  .option('--title <title>', 'Title for the audiobook (e.g. for text piped on stdin)')
+  .option('--encoding <name>', 'Text encoding of .txt/.md/.tex input or stdin (default: detect)')
+  .option('--footnotes <policy>', 'Footnotes and endnotes: drop, end (of chapter) or inline')
+  .option('--tables <policy>', 'Tables: announce (say "Table 3 omitted.") or narrate (read row by row)')
+  .option('--describe-code', 'Describe code listings with the local LLM (Ollama) instead of only announcing them')
+  .option('--mode <mode>', 'Cleaning mode: book (default) or paper (research papers)')
+  .option('--citations <style>', 'Paper mode citations: remove (default) or soften (keep author names)')
+  .option('--announce-figures', 'Paper mode: say "Figure 3 is shown here." instead of skipping captions')
+  .option('--no-normalize', 'Read numbers, dates, units and abbreviations as written instead of spelling them out')
+  .option('--show-normalization', 'List every number, date, unit and abbreviation spelled out for speech')
   .action(async (input, options) => {
     try {
       // Status check
@@ -76,15 +91,27 @@ program
         return;
       }
 
+      // Read text piped on stdin
+      if (input === '-') {
+        await processStdin(options);
+        return;
+      }
+
       // Process file or search query
       if (input) {
+        // Directories and glob patterns convert every matching file
+        if (BatchInput.isBatch(input)) {
+          await processBatch(input, options);
+          return;
+        }
+
         // Check if input is a file path
         if (fs.existsSync(input)) {
           // Validate file path for security
           try {
             const validatedPath = pathValidator.validateFilePath(input, {
               mustExist: true,
-              allowedExtensions: ['.pdf', '.txt']
+              allowedExtensions: new TextCleaner().supportedFormats
             });
             await processFile(validatedPath, options);
           } catch (error) {
@@ -108,7 +135,6 @@ program
 
 async function processFile(filePath, options = {}) {
   const summaryOnly = options.summary === true;
-  const withSummary = options.withSummary === true;
 
   console.log(summaryOnly ? '📝 Voicci - Summary Generator\n' : '🎧 Voicci - Audiobook Generator\n');
   console.log(`Processing: ${path.basename(filePath)}\n`);
@@ -118,17 +144,21 @@ async function processFile(filePath, options = {}) {
   const settings = configManager.getActiveSettings();
 
   // Validate file
-  const ext = filePath.toLowerCase().split('.').pop();
-  if (!['pdf', 'txt'].includes(ext)) {
-    throw new Error('Unsupported file type. Use PDF or TXT files.');
+  const cleaner = createCleaner(settings, options);
+  const ext = path.extname(filePath).toLowerCase();
+  if (!cleaner.supportedFormats.includes(ext)) {
+    throw new Error(`Unsupported file type. Supported: ${cleaner.supportedFormats.join(', ')}`);
   }
 
-  // Check file size
+  // Check file size (large PDF/TXT files are streamed instead of loaded)
   const stats = fs.statSync(filePath);
+  const maxSize = StreamProcessor.formats.includes(ext)
+    ? Math.max(settings.maxFileSize, settings.maxStreamFileSize)
+    : settings.maxFileSize;
   const fileSizeMB = stats.size / (1024 * 1024);
-  const maxSizeMB = settings.maxFileSize / (1024 * 1024);
+  const maxSizeMB = maxSize / (1024 * 1024);
 
-  if (stats.size > settings.maxFileSize) {
+  if (stats.size > maxSize) {
     console.error(`\n❌ File too large: ${fileSizeMB.toFixed(1)}MB (max: ${maxSizeMB.toFixed(0)}MB)`);
     console.log(`\nYour current memory profile (${settings.memoryProfile}) limits file size.`);
     console.log(`To process larger files, switch to a higher profile:\n`);
@@ -141,26 +171,349 @@ async function processFile(filePath, options = {}) {
 
   // Clean text
   console.log('📖 Extracting and cleaning text...');
-  const cleaner = new TextCleaner();
   const result = await cleaner.processFile(filePath);
 
+  await queueResult(result, filePath, options);
+}
+
+function createCleaner(settings, options = {}) {
+  return new TextCleaner({
+    maxFileSize: settings.maxFileSize,
+    streamThreshold: settings.streamThreshold,
+    maxTextLength: settings.maxTextLength,
+    maxStreamFileSize: settings.maxStreamFileSize,
+    chaptersDir: config.paths.chapters,
+    stages: settings.cleaningStages,
+    footnotes: options.footnotes || settings.footnotes,
+    tables: options.tables || settings.tables,
+    mode: options.mode,
+    citations: options.citations,
+    figures: options.announceFigures ? 'announce' : 'skip',
+    encoding: options.encoding
+  });
+}
+
+async function processStdin(options = {}) {
+  const summaryOnly = options.summary === true;
+
+  console.log(summaryOnly ? '📝 Voicci - Summary Generator\n' : '🎧 Voicci - Audiobook Generator\n');
+  console.log('Processing: stdin\n');
+
+  // Initialize configuration
+  await configManager.init();
+  const settings = configManager.getActiveSettings();
+
+  const text = await readStdin(settings.maxFileSize);
+
+  // Clean text
+  console.log('📖 Cleaning text...');
+  const cleaner = createCleaner(settings, options);
+  const result = await cleaner.processText(text, { title: options.title || null });
+
+  await queueResult(result, 'stdin', options);
+}
+
+async function readStdin(maxBytes) {
+  if (process.stdin.isTTY) {
+    throw new Error('No input on stdin. Pipe text in, e.g.: pdftotext book.pdf - | voicci -');
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of process.stdin) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`Input too large (max ${(maxBytes / (1024 * 1024)).toFixed(0)}MB)`);
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+async function processBatch(input, options = {}) {
+  if (options.summary || options.withSummary || options.title) {
+    throw new Error('--summary, --with-summary and --title apply to a single file, not a batch');
+  }
+
+  console.log('🎧 Voicci - Batch Conversion\n');
+
+  // Initialize configuration
+  await configManager.init();
+  const settings = configManager.getActiveSettings();
+
+  const cleaner = createCleaner(settings, options);
+  const batch = new BatchInput({ allowedExtensions: cleaner.supportedFormats });
+  const { base, files, skipped } = batch.expand(input);
+
+  if (files.length === 0 && skipped.length === 0) {
+    throw new Error(`No files found: ${input}`);
+  }
+
+  console.log(`Found ${files.length} file(s) to convert in ${base}`);
+  console.log(`Memory profile: ${settings.memoryProfile}\n`);
+
+  const queue = new Queue();
+  const created = [];
+
+  for (const [i, filePath] of files.entries()) {
+    console.log(`📖 [${i + 1}/${files.length}] ${path.relative(base, filePath)}`);
+
+    try {
+      const result = await cleaner.processFile(filePath);
+      await describeCodeListings(result, options);
+      const changes = normalizeSpeech(result, options);
+      if (changes && options.showNormalization) printNormalization(changes);
+      const job = queue.createJob(filePath, result.chapters, result.metadata);
+      created.push({ file: filePath, job });
+      console.log(`  ✓ ${job.chapters} chapters, ~${job.estimatedMinutes} minutes`);
+    } catch (error) {
+      skipped.push({ file: filePath, reason: error.message });
+      console.log(`  ✗ ${error.message}`);
+    }
+  }
+
+  queue.close();
+
+  printBatchSummary(base, created, skipped);
+
+  if (created.length > 0) {
+    console.log('🚀 Starting background worker...');
+    await startWorker();
+    console.log('\nMonitor progress:');
+    console.log('  voicci -s\n');
+  }
+}
+
+/**
+ * Swap "Code listing N omitted." for a description of the code written by
+ * the local LLM, when asked for; listings it cannot describe stay announced
+ * @returns {number} - Listings described
+ */
+async function describeCodeListings(result, options = {}) {
+  const listings = result.codeListings || [];
+  const settings = configManager.getActiveSettings();
+  if (listings.length === 0 || !(options.describeCode || settings.codeListings === 'describe')) return 0;
+
+  const summarizer = new Summarizer();
+  if (!(await summarizer.checkOllama()).available) {
+    console.log('⚠️  Ollama not available; code listings are announced, not described');
+    return 0;
+  }
+
+  const descriptions = new Map();
+  for (const listing of listings) {
+    try {
+      const description = await summarizer.describeCode(listing.code);
+      descriptions.set(`Code listing ${listing.number} omitted.`, `Code listing ${listing.number}: ${description}`);
+    } catch (error) {
+      // Left announced
+    }
+  }
+  if (descriptions.size === 0) return 0;
+
+  for (const chapter of result.chapters) {
+    const text = chapter.text ?? fs.readFileSync(chapter.textFile, 'utf8');
+    const described = text.replace(/Code listing \d+ omitted\./g, found => descriptions.get(found) ?? found);
+    if (described === text) continue;
+
+    if (chapter.textFile && chapter.text == null) {
+      fs.writeFileSync(chapter.textFile, described);
+    } else {
+      chapter.text = described;
+    }
+    chapter.wordCount = described.split(/\s+/).filter(word => word.length > 0).length;
+  }
+
+  return descriptions.size;
+}
+
+/**
+ * Spell out numbers, dates, units... in the chapters about to be queued
+ * @returns {object[]|null} - Changes made, or null if the document's
+ *   language has no rules
+ */
+function normalizeSpeech(result, options = {}) {
+  if (options.normalize === false) return [];
+
+  const settings = configManager.getActiveSettings();
+  const normalizer = new SpeechNormalizer({
+    language: result.metadata.language,
+    abbreviations: settings.abbreviations,
+    acronyms: settings.acronyms
+  });
+  if (!normalizer.supported) return null;
+
+  return normalizer.normalizeChapters(result.chapters);
+}
+
+function printNormalization(changes) {
+  if (changes.length === 0) {
+    console.log('\n🔎 Speech normalization: no changes\n');
+    return;
+  }
+
+  const seen = new Map();
+  for (const change of changes) {
+    const key = `${change.from}\u0000${change.to}`;
+    const entry = seen.get(key) || { ...change, count: 0 };
+    entry.count++;
+    seen.set(key, entry);
+  }
+
+  const entries = [...seen.values()];
+  const limit = 50;
+  const width = Math.max(...entries.slice(0, limit).map(entry => entry.rule.length));
+
+  console.log('\n🔎 Speech normalization:\n');
+  for (const entry of entries.slice(0, limit)) {
+    const count = entry.count > 1 ? ` (×${entry.count})` : '';
+    console.log(`  ${entry.rule.padEnd(width)}  ${entry.from} → ${entry.to}${count}`);
+  }
+  if (entries.length > limit) {
+    console.log(`  … and ${entries.length - limit} more`);
+  }
+  console.log();
+}
+
+function printBatchSummary(base, created, skipped) {
+  const name = (file) => path.relative(base, file) || path.basename(file);
+  const table = (headers, rows) => {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+    const line = (cells) => '  ' + cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+    console.log(line(headers));
+    console.log(line(widths.map(width => '─'.repeat(width))));
+    rows.forEach(row => console.log(line(row)));
+    console.log();
+  };
+
+  console.log('\n📋 Batch Summary\n');
+
+  if (created.length > 0) {
+    console.log(`✅ ${created.length} job(s) created:\n`);
+    table(
+      ['File', 'Job ID', 'Chapters', 'Est. time'],
+      created.map(({ file, job }) => [name(file), job.jobId, job.chapters, `~${job.estimatedMinutes} min`])
+    );
+  } else {
+    console.log('No jobs created.\n');
+  }
+
+  if (skipped.length > 0) {
+    console.log(`⚠️  ${skipped.length} file(s) skipped:\n`);
+    table(['File', 'Reason'], skipped.map(({ file, reason }) => [name(file), reason]));
+  }
+}
+
+/**
+ * Report cleaning results, then summarize and/or queue the audiobook job
+ * @param {object} result - TextCleaner result
+ * @param {string} source - File path, or "stdin"
+ */
+async function queueResult(result, source, options = {}) {
+  const summaryOnly = options.summary === true;
+  const withSummary = options.withSummary === true;
+
+  if (options.title) {
+    result.metadata.title = options.title;
+  }
+
   console.log(`✓ Extracted ${result.stats.originalLength.toLocaleString()} characters`);
+
+  const ocr = result.stats.ocr;
+  if (ocr && ocr.ocrPages > 0) {
+    console.log(`✓ OCR'd ${ocr.ocrPages} of ${ocr.totalPages} pages (average confidence ${ocr.averageConfidence}%)`);
+    const lowConfidence = ocr.pages.filter(p => p.confidence !== null && p.confidence < 60);
+    if (lowConfidence.length > 0) {
+      console.log(`  ⚠️  Low confidence on page(s): ${lowConfidence.map(p => `${p.page} (${p.confidence}%)`).join(', ')}`);
+    }
+  } else if (ocr && ocr.skipped) {
+    console.log(`⚠️  ${ocr.flaggedPages} scanned page(s) not OCR'd (${ocr.skipped})`);
+  }
+
+  const reflow = result.stats.reflow;
+  if (reflow && reflow.multiColumnPages > 0) {
+    console.log(`✓ Reflowed ${reflow.multiColumnPages} multi-column pages (${reflow.sidebars} sidebars, ${reflow.pullQuotes} pull quotes)`);
+  }
+
+  const encoding = result.stats.encoding;
+  if (encoding && (encoding.overridden || !['utf-8', 'ascii'].includes(encoding.name))) {
+    const how = encoding.overridden
+      ? 'from --encoding'
+      : encoding.declared ? 'declared by the document' : `detected, ${Math.round(encoding.confidence * 100)}% confidence`;
+    console.log(`✓ Encoding: ${encoding.name} (${how})`);
+  }
+
+  const boilerplate = result.stats.boilerplate;
+  if (boilerplate) {
+    console.log(`✓ Removed ${boilerplate.source} license text (${boilerplate.removedLength.toLocaleString()} characters)`);
+  }
+
+  const streamed = result.stats.streamed;
+  if (streamed) {
+    console.log(`✓ Streamed in ${streamed.windows} windows (chapters saved to disk)`);
+  }
+
   console.log(`✓ Cleaned to ${result.stats.cleanedLength.toLocaleString()} characters (${result.stats.reductionPercent}% reduction)`);
+
+  const stages = Object.entries(result.stats.stages || {}).filter(([, removed]) => removed > 0);
+  if (stages.length > 0) {
+    console.log(`  ${stages.map(([name, removed]) => `${name}: -${removed.toLocaleString()}`).join(', ')}`);
+  }
+
+  const rewritten = Object.entries(result.stats.unicode || {}).sort(([, a], [, b]) => b - a);
+  if (rewritten.length > 0) {
+    const shown = rewritten.slice(0, 10).map(([char, count]) => `${UnicodeNormalizer.describe(char)} ×${count.toLocaleString()}`);
+    const more = rewritten.length - shown.length;
+    console.log(`  Characters rewritten: ${shown.join(', ')}${more > 0 ? `, and ${more} more` : ''}`);
+  }
+
+  const hyphenation = result.stats.hyphenation;
+  if (hyphenation && hyphenation.joined + hyphenation.kept > 0) {
+    console.log(`  Line-end hyphens: ${hyphenation.joined} joined, ${hyphenation.kept} kept`);
+    if (hyphenation.unresolved.length > 0) {
+      const shown = hyphenation.unresolved.slice(0, 10).map(({ word, joined }) => `${word} → ${joined}`);
+      const more = hyphenation.unresolved.length - shown.length;
+      console.log(`  Unresolved (joined): ${shown.join(', ')}${more > 0 ? `, and ${more} more` : ''}`);
+    }
+  }
   console.log(`✓ Detected ${result.chapters.length} chapters\n`);
 
   // If summary requested, generate it
   if (summaryOnly || withSummary) {
-    await generateSummary(filePath, result.cleanedText, summaryOnly);
-    if (summaryOnly) return; // Don't create audiobook job
+    const text = result.cleanedText ?? StreamProcessor.readText(result.chapters);
+    await generateSummary(source, text, summaryOnly, options.title);
+
+    if (summaryOnly) {
+      StreamProcessor.removeFiles(result.chapters);
+      return; // Don't create audiobook job
+    }
+  }
+
+  const described = await describeCodeListings(result, options);
+  if (described > 0) {
+    console.log(`✓ Described ${described} code listings`);
+  }
+
+  const changes = normalizeSpeech(result, options);
+  if (changes === null) {
+    console.log(`⚠️  No speech normalization for language "${result.metadata.language}"; numbers are read as written`);
+  } else if (changes.length > 0) {
+    console.log(`✓ Spelled out ${changes.length} numbers, dates and units for speech`);
+  }
+  if (changes && options.showNormalization) {
+    printNormalization(changes);
   }
 
   // Create job
   console.log('📋 Creating job...');
   const queue = new Queue();
-  const job = queue.createJob(filePath, result.chapters);
+  const job = queue.createJob(source, result.chapters, result.metadata);
 
   console.log(`✓ Job created: ${job.jobId}`);
   console.log(`✓ Title: ${job.title}`);
+  if (job.author) console.log(`✓ Author: ${job.author}`);
   console.log(`✓ Chapters: ${job.chapters}`);
   console.log(`✓ Total words: ${job.totalWords.toLocaleString()}`);
   console.log(`✓ Estimated time: ~${job.estimatedMinutes} minutes\n`);
@@ -176,17 +529,17 @@ async function processFile(filePath, options = {}) {
   queue.close();
 }
 
-async function generateSummary(filePath, text, summaryOnly = false) {
+async function generateSummary(filePath, text, summaryOnly = false, title = null) {
   console.log('📝 Generating summary...\n');
 
   const summarizer = new Summarizer();
   const result = await summarizer.summarize(text);
 
-  // Save summary to file
-  const outputDir = path.join(
-    config.paths.audiobooks,
-    path.basename(filePath, path.extname(filePath)) + '-summary'
-  );
+  // Save summary to file (named after --title when given)
+  const name = title
+    ? title.replace(/[\\/:*?"<>|]/g, '-').trim()
+    : path.basename(filePath, path.extname(filePath));
+  const outputDir = path.join(config.paths.audiobooks, name + '-summary');
 
   fs.mkdirSync(outputDir, { recursive: true });
   const summaryPath = path.join(outputDir, 'summary.txt');
@@ -482,10 +835,16 @@ configCmd
 
     console.log('\n📝 ACTIVE SETTINGS:');
     console.log(`  Max file size: ${summary.settings.maxFileSize}`);
+    console.log(`  Streaming: ${summary.settings.streaming}`);
     console.log(`  Max concurrent jobs: ${summary.settings.maxConcurrentJobs}`);
     console.log(`  Chunk size: ${summary.settings.chunkSize}`);
     console.log(`  Memory monitoring: ${summary.settings.memoryMonitoring}`);
     console.log(`  Memory threshold: ${summary.settings.memoryThreshold}`);
+    console.log(`  Disabled cleaning stages: ${summary.settings.disabledStages.join(', ') || 'none'}`);
+    console.log(`  Footnotes: ${summary.settings.footnotes}`);
+    console.log(`  Tables: ${summary.settings.tables}`);
+    console.log(`  Code listings: ${summary.settings.codeListings}`);
+    console.log(`  Custom abbreviations: ${summary.settings.abbreviations}, acronyms: ${summary.settings.acronyms}`);
     console.log(`  TTS speed: ${summary.settings.ttsSpeed}`);
     console.log(`  Temperature: ${summary.settings.temperature}`);
 
@@ -519,6 +878,7 @@ configCmd
       const summary = configManager.getSummary();
       console.log('New settings:');
       console.log(`  Max file size: ${summary.settings.maxFileSize}`);
+      console.log(`  Streaming: ${summary.settings.streaming}`);
       console.log(`  Max concurrent jobs: ${summary.settings.maxConcurrentJobs}`);
       console.log(`  Memory monitoring: ${summary.settings.memoryMonitoring}\n`);
     } catch (error) {
@@ -568,6 +928,106 @@ configCmd
     console.log(`✓ Memory monitoring ${enabled ? 'enabled' : 'disabled'}\n`);
   });
 
+// Enable or disable a text cleaning stage
+configCmd
+  .command('set-stage <stage> <state>')
+  .description('Enable or disable a text cleaning stage (on/off)')
+  .action(async (stage, state) => {
+    const enabled = state.toLowerCase() === 'on';
+    const stages = new TextCleaner({ mode: 'paper' }).pipeline.names;
+
+    if (!['on', 'off'].includes(state.toLowerCase())) {
+      console.error('Error: State must be "on" or "off"\n');
+      process.exit(1);
+    }
+
+    if (!stages.includes(stage)) {
+      console.error(`Error: Unknown cleaning stage: ${stage}`);
+      console.log(`\nStages (in order): ${stages.join(', ')}\n`);
+      process.exit(1);
+    }
+
+    await configManager.init();
+    configManager.setCleaningStage(stage, enabled);
+    console.log(`✓ Cleaning stage ${stage} ${enabled ? 'enabled' : 'disabled'}\n`);
+  });
+
+// Set footnote policy
+configCmd
+  .command('set-footnotes <policy>')
+  .description('How to read footnotes and endnotes (drop, end, inline)')
+  .action(async (policy) => {
+    try {
+      await configManager.init();
+      configManager.setFootnotePolicy(policy);
+      console.log(`✓ Footnotes: ${policy}\n`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      console.log('\nValid policies: drop, end, inline\n');
+      process.exit(1);
+    }
+  });
+
+// Set table policy
+configCmd
+  .command('set-tables <policy>')
+  .description('How to read tables (announce, narrate)')
+  .action(async (policy) => {
+    try {
+      await configManager.init();
+      configManager.setTablePolicy(policy);
+      console.log(`✓ Tables: ${policy}\n`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      console.log('\nValid policies: announce, narrate\n');
+      process.exit(1);
+    }
+  });
+
+// Set code listing policy
+configCmd
+  .command('set-code <policy>')
+  .description('How to read code listings (announce, describe)')
+  .action(async (policy) => {
+    try {
+      await configManager.init();
+      configManager.setCodeListingPolicy(policy);
+      console.log(`✓ Code listings: ${policy}\n`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      console.log('\nValid policies: announce, describe\n');
+      process.exit(1);
+    }
+  });
+
+// Add, change or remove an abbreviation
+configCmd
+  .command('set-abbreviation <abbreviation> [expansion]')
+  .description('Expand an abbreviation when reading (no expansion removes it)')
+  .action(async (abbreviation, expansion) => {
+    await configManager.init();
+    configManager.setAbbreviation(abbreviation, expansion ?? null);
+    console.log(expansion
+      ? `✓ ${abbreviation} is read as "${expansion}"\n`
+      : `✓ Removed abbreviation ${abbreviation}\n`);
+  });
+
+// Spell out an acronym or read it as a word
+configCmd
+  .command('set-acronym <acronym> <mode>')
+  .description('Read an acronym spelled out or as a word (spell, word, default)')
+  .action(async (acronym, mode) => {
+    try {
+      await configManager.init();
+      configManager.setAcronym(acronym, mode === 'default' ? null : mode);
+      console.log(mode === 'default' ? `✓ ${acronym.toUpperCase()}: built-in reading\n` : `✓ ${acronym.toUpperCase()}: ${mode}\n`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      console.log('\nValid modes: spell, word, default\n');
+      process.exit(1);
+    }
+  });
+
 // Show recommendations
 configCmd
   .command('recommend')
@@ -609,6 +1069,7 @@ configCmd
       console.log(`\n${key.toUpperCase()}: ${profile.name}`);
       console.log(`  ${profile.description}`);
       console.log(`  Max file: ${(profile.maxFileSize / (1024 * 1024)).toFixed(0)}MB`);
+      console.log(`  Streaming: PDF/TXT from ${(profile.streamThreshold / (1024 * 1024)).toFixed(0)}MB, up to ${(profile.maxStreamFileSize / (1024 * 1024)).toFixed(0)}MB`);
       console.log(`  Jobs: ${profile.maxConcurrentJobs} concurrent`);
       console.log(`  Monitoring: ${profile.enableMemoryMonitoring ? 'Enabled' : 'Disabled'} by default`);
     });
@@ -653,6 +1114,128 @@ configCmd
     console.log();
   });
 
+// ============================================================================
+// Lexicon Commands
+// ============================================================================
+
+const lexiconCmd = program
+  .command('lexicon')
+  .description('Manage how words are pronounced');
+
+/**
+ * The global lexicon, or a job's own entries with --job
+ * @returns {object} - { lexicon, save(), label }
+ */
+function openLexicon(jobId) {
+  if (!jobId) {
+    const lexicon = Lexicon.load(config.paths.lexicon);
+    return { lexicon, save: () => lexicon.save(), label: 'Global lexicon' };
+  }
+
+  const queue = new Queue();
+  const job = queue.getJob(jobId);
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+
+  const lexicon = new Lexicon(job.lexicon || []);
+  return {
+    lexicon,
+    save: () => queue.updateJobLexicon(jobId, lexicon.entries),
+    label: `Lexicon for "${job.title}"`
+  };
+}
+
+lexiconCmd
+  .command('add <word> <respelling>')
+  .description('Say <word> as <respelling> (e.g. lexicon add Hermione "her-MY-oh-nee")')
+  .option('--regex', 'Treat <word> as a regular expression ($1... in the respelling)')
+  .option('--case-sensitive', 'Only match <word> with the same capitalization')
+  .option('--job <jobId>', 'Only for this audiobook')
+  .action((word, respelling, options) => {
+    try {
+      const { lexicon, save } = openLexicon(options.job);
+      lexicon.add({ match: word, say: respelling, regex: options.regex, caseSensitive: options.caseSensitive });
+      save();
+      console.log(`✓ ${word} → ${respelling}${options.job ? ' (this job only)' : ''}\n`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+lexiconCmd
+  .command('list')
+  .description('List pronunciations')
+  .option('--job <jobId>', 'Show the entries for this audiobook')
+  .action((options) => {
+    try {
+      const { lexicon, label } = openLexicon(options.job);
+      console.log(`\n📖 ${label} (${lexicon.size} entries)\n`);
+
+      if (lexicon.size === 0) {
+        console.log('  No entries. Add one with: voicci lexicon add <word> <respelling>\n');
+        return;
+      }
+
+      const width = Math.max(...lexicon.entries.map(entry => entry.match.length));
+      for (const entry of lexicon.entries) {
+        const flags = [entry.regex && 'regex', entry.caseSensitive && 'case-sensitive'].filter(Boolean);
+        console.log(`  ${entry.match.padEnd(width)}  → ${entry.say}${flags.length ? `  (${flags.join(', ')})` : ''}`);
+      }
+      console.log();
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+lexiconCmd
+  .command('remove <word>')
+  .description('Remove a pronunciation')
+  .option('--job <jobId>', 'From this audiobook\'s entries')
+  .action((word, options) => {
+    try {
+      const { lexicon, save } = openLexicon(options.job);
+      if (!lexicon.remove(word)) {
+        console.error(`Error: No lexicon entry for ${word}\n`);
+        process.exit(1);
+      }
+      save();
+      console.log(`✓ Removed ${word}\n`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+lexiconCmd
+  .command('test <text>')
+  .description('Show how text will be read (speech normalization, then the lexicon)')
+  .option('--job <jobId>', 'Include this audiobook\'s entries')
+  .action(async (text, options) => {
+    try {
+      await configManager.init();
+      const settings = configManager.getActiveSettings();
+      const global = Lexicon.load(config.paths.lexicon);
+      const lexicon = options.job ? global.withOverrides(openLexicon(options.job).lexicon.entries) : global;
+
+      const normalized = new SpeechNormalizer({ abbreviations: settings.abbreviations, acronyms: settings.acronyms }).normalize(text);
+      const result = lexicon.apply(normalized.text);
+
+      console.log(`\n  Input:      ${text}`);
+      console.log(`  Normalized: ${normalized.text}`);
+      console.log(`  Spoken:     ${result.text}\n`);
+      for (const change of result.changes) {
+        console.log(`  ${change.from} → ${change.to}  (${change.match})`);
+      }
+      if (result.changes.length > 0) console.log();
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // ============================================================================
 // Summary Command
 // ============================================================================
@@ -662,6 +1245,11 @@ program
   .description('Generate analytical text summary (2-5% of original length)')
   .action(async (file) => {
     try {
+      if (file === '-') {
+        await processStdin({ summary: true });
+        return;
+      }
+
       if (!fs.existsSync(file)) {
         console.error(`Error: File not found: ${file}\n`);
         process.exit(1);
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * Abbreviation Dictionary
+ * Expands abbreviations (Dr., St., e.g., vs., etc.) and decides how
+ * acronyms are read: spelled out letter by letter (FBI => "F B I") or as a
+ * word (NASA => "Nasa"). Built-in English entries can be extended or
+ * overridden by the user's own. Used by SpeechNormalizer.
+ */
+
+// Read before a name only: "Dr. Watson"
+const TITLES = {
+  'Mr.': 'Mister',
+  'Mrs.': 'Missus',
+  'Ms.': 'Miz',
+  'Dr.': 'Doctor',
+  'Prof.': 'Professor',
+  'Rev.': 'Reverend',
+  'Fr.': 'Father',
+  'Gen.': 'General',
+  'Col.': 'Colonel',
+  'Capt.': 'Captain',
+  'Lt.': 'Lieutenant',
+  'Sgt.': 'Sergeant',
+  'Gov.': 'Governor',
+  'Sen.': 'Senator',
+  'Rep.': 'Representative',
+  'Hon.': 'Honorable',
+  'Mt.': 'Mount'
+};
+
+// Read before a number only: "No. 5", "p. 12"
+const NUMBERED = {
+  'No.': 'number',
+  'no.': 'number',
+  'Nos.': 'numbers',
+  'Vol.': 'volume',
+  'vol.': 'volume',
+  'Fig.': 'figure',
+  'fig.': 'figure',
+  'Ch.': 'chapter',
+  'ch.': 'chapter',
+  'p.': 'page',
+  'pp.': 'pages',
+  'Eq.': 'equation',
+  'eq.': 'equation'
+};
+
+// Anywhere
+const GENERAL = {
+  'e.g.': 'for example',
+  'i.e.': 'that is',
+  'vs.': 'versus',
+  'etc.': 'et cetera',
+  'cf.': 'compare',
+  'approx.': 'approximately',
+  'et al.': 'and others',
+  'Jr.': 'Junior',
+  'Sr.': 'Senior',
+  'Inc.': 'Incorporated',
+  'Ltd.': 'Limited',
+  'Corp.': 'Corporation',
+  'Co.': 'Company',
+  'Ave.': 'Avenue',
+  'Rd.': 'Road',
+  'Blvd.': 'Boulevard',
+  'Jan.': 'January',
+  'Feb.': 'February',
+  'Mar.': 'March',
+  'Apr.': 'April',
+  'Aug.': 'August',
+  'Sept.': 'September',
+  'Sep.': 'September',
+  'Oct.': 'October',
+  'Nov.': 'November',
+  'Dec.': 'December',
+  'U.S.': 'U S',
+  'U.K.': 'U K',
+  'U.N.': 'U N',
+  'a.k.a.': 'also known as',
+  'w/': 'with'
+};
+
+// Entries that often end a sentence: their period is kept when the next
+// word starts a new sentence, or the text ends
+const SENTENCE_FINAL = new Set([
+  'etc.', 'Jr.', 'Sr.', 'Inc.', 'Ltd.', 'Corp.', 'Co.', 'Ave.', 'Rd.', 'Blvd.', 'et al.',
+  'U.S.', 'U.K.', 'U.N.', 'a.k.a.'
+]);
+
+// ...except these, which come before a name ("a.k.a. The Boss"): only the
+// end of a paragraph ends their sentence
+const BEFORE_NAME = new Set(['a.k.a.']);
+
+// Acronyms read as words; anything else short or unpronounceable is spelled
+const WORD_ACRONYMS = [
+  'NASA', 'NATO', 'UNESCO', 'UNICEF', 'OPEC', 'FIFA', 'UEFA', 'NAFTA', 'LASER', 'RADAR', 'SONAR', 'SCUBA',
+  'AIDS', 'SARS', 'COVID', 'GIF', 'JPEG', 'PIN', 'SIM', 'RAM', 'ROM', 'LAN', 'WAN', 'SWAT', 'POTUS', 'ISIS',
+  'NASDAQ', 'ASCII', 'BASIC', 'COBOL', 'FORTRAN', 'WIFI', 'IKEA', 'ANZAC', 'DARPA', 'NIMBY', 'YOLO', 'FOMO'
+];
+const SPELLED_ACRONYMS = [
+  'FBI', 'CIA', 'NSA', 'BBC', 'CNN', 'USA', 'UK', 'EU', 'UN', 'IBM', 'HTML', 'URL', 'CPU', 'GPU', 'PDF', 'DNA',
+  'RNA', 'HIV', 'CEO', 'CFO', 'NYC', 'DC', 'MIT', 'UCLA', 'IEEE', 'USB', 'DVD', 'TV', 'PC', 'AI', 'API', 'SQL',
+  'HTTP', 'FAQ', 'IQ', 'ID', 'GDP', 'ATM', 'BMW', 'ICU', 'MRI', 'WHO', 'IRS', 'UFO', 'VIP'
+];
+
+// Capitals that are just emphasis, not acronyms ("it was NOT me")
+const EMPHASIS = new Set([
+  'A', 'I', 'AN', 'AS', 'AT', 'BE', 'BY', 'DO', 'GO', 'HE', 'IF', 'IN', 'IS', 'IT', 'ME', 'MY', 'NO', 'OF', 'OH',
+  'OK', 'ON', 'OR', 'SO', 'TO', 'UP', 'US', 'WE', 'ALL', 'AND', 'ARE', 'BUT', 'CAN', 'DID', 'FOR', 'GET', 'HAS',
+  'HER', 'HIM', 'HIS', 'HOW', 'ITS', 'NOT', 'NOW', 'OFF', 'OUR', 'OUT', 'SHE', 'THE', 'TOO', 'WAS', 'WAY', 'WHY',
+  'YES', 'YET', 'YOU', 'BEEN', 'DONT', 'EVER', 'FROM', 'HAVE', 'JUST', 'MUST', 'NEED', 'ONLY', 'STOP', 'THAT',
+  'THEY', 'THIS', 'VERY', 'WHAT', 'WHEN', 'WILL', 'WITH', 'YOUR'
+]);
+
+// Capitalized words that can come before "St. Louis" without naming a street
+const LEADING_WORDS = new Set(['In', 'At', 'To', 'From', 'On', 'Of', 'The', 'And', 'Near', 'By', 'Visit', 'Visiting', 'Like', 'Past', 'Outside']);
+
+const ACRONYM_MODES = ['spell', 'word'];
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+class AbbreviationDictionary {
+  /**
+   * @param {object} options
+   * @param {object} options.abbreviations - Extra abbreviation => expansion
+   *   (an empty expansion removes a built-in entry)
+   * @param {object} options.acronyms - Acronym => 'spell' or 'word'
+   */
+  constructor(options = {}) {
+    this.titles = { ...TITLES };
+    this.numbered = { ...NUMBERED };
+    this.general = { ...GENERAL };
+
+    for (const [abbreviation, expansion] of Object.entries(options.abbreviations || {})) {
+      delete this.titles[abbreviation];
+      delete this.numbered[abbreviation];
+      delete this.general[abbreviation];
+      if (expansion) this.general[abbreviation] = expansion;
+    }
+
+    this.acronyms = new Map([
+      ...WORD_ACRONYMS.map(acronym => [acronym, 'word']),
+      ...SPELLED_ACRONYMS.map(acronym => [acronym, 'spell'])
+    ]);
+    for (const [acronym, mode] of Object.entries(options.acronyms || {})) {
+      if (!ACRONYM_MODES.includes(mode)) {
+        throw new Error(`Unknown acronym mode for ${acronym}: ${mode} (use ${ACRONYM_MODES.join(', ')})`);
+      }
+      this.acronyms.set(acronym.toUpperCase(), mode);
+    }
+  }
+
+  static get acronymModes() {
+    return [...ACRONYM_MODES];
+  }
+
+  /**
+   * Every abbreviation that ends in a period, for the sentence splitter
+   */
+  get protected() {
+    return [...Object.keys(this.titles), ...Object.keys(this.numbered), ...Object.keys(this.general), 'St.']
+      .filter(abbreviation => abbreviation.endsWith('.'));
+  }
+
+  /**
+   * The protected abbreviations that end a sentence when the next word is
+   * capitalized ("Apple Inc. It grew")
+   */
+  get sentenceFinal() {
+    return this.protected.filter(abbreviation => SENTENCE_FINAL.has(abbreviation) && !BEFORE_NAME.has(abbreviation));
+  }
+
+  /**
+   * Rules for SpeechNormalizer: abbreviations run before its number and
+   * date rules ("No. 5", "Jan. 3"), acronyms after (Roman numerals first)
+   * @returns {object} - { before: [rule], after: [rule] }
+   */
+  rules() {
+    const before = [];
+
+    // "St. Paul" is a saint, "Baker St." a street
+    before.push({
+      name: 'abbreviation',
+      pattern: /(?<![\p{L}.])St\.(?:(\s+)(?=["“]?\p{Lu})|(\s*)$)?/gmu,
+      replace: (m, beforeName, atEnd, offset, text) => {
+        const previous = /(\S+)\s+$/.exec(text.slice(Math.max(0, offset - 40), offset));
+        const street = previous && (/\d/.test(previous[1]) ||
+          (/^\p{Lu}\p{Ll}+$/u.test(previous[1]) && !LEADING_WORDS.has(previous[1])));
+
+        if (beforeName !== undefined) return street ? `Street.${beforeName}` : `Saint${beforeName}`;
+        return `Street${atEnd === undefined ? '' : `.${atEnd}`}`;
+      }
+    });
+
+    const entries = (dictionary) => Object.keys(dictionary)
+      .sort((a, b) => b.length - a.length)
+      .map(escape)
+      .join('|');
+
+    if (Object.keys(this.titles).length > 0) {
+      before.push({
+        name: 'abbreviation',
+        pattern: new RegExp(String.raw`(?<![\p{L}.])(${entries(this.titles)})(?=\s+\p{Lu})`, 'gu'),
+        replace: (m, key) => this.titles[key]
+      });
+    }
+
+    if (Object.keys(this.numbered).length > 0) {
+      before.push({
+        name: 'abbreviation',
+        pattern: new RegExp(String.raw`(?<![\p{L}.])(${entries(this.numbered)})(?=\s*\d)`, 'gu'),
+        replace: (m, key) => this.numbered[key]
+      });
+    }
+
+    if (Object.keys(this.general).length > 0) {
+      // Sentence-initial "E.g." matches its lower-case entry
+      const variants = new Map();
+      for (const key of Object.keys(this.general)) {
+        variants.set(key, key);
+        if (/^\p{Ll}/u.test(key)) variants.set(capitalize(key), key);
+      }
+
+      before.push({
+        name: 'abbreviation',
+        pattern: new RegExp(String.raw`(?<![\p{L}\d.])(${entries(Object.fromEntries(variants))})(?![\p{L}\d])(\s+(?=["“]?\p{Lu})|\s*$)?`, 'gmu'),
+        replace: (m, written, next, offset, text) => {
+          const key = variants.get(written);
+          const expansion = written === key ? this.general[key] : capitalize(this.general[key]);
+          // The abbreviation's period also ended the sentence (an empty
+          // match of the optional group at the very end is left unset)
+          const last = offset + m.length === text.length || /\n\s*\n/.test(next ?? '');
+          const ends = BEFORE_NAME.has(key) ? last : last || next !== undefined;
+          if (ends && SENTENCE_FINAL.has(key)) return `${expansion}.${next ?? ''}`;
+          return `${expansion}${next ?? ''}`;
+        }
+      });
+    }
+
+    const after = [{
+      name: 'acronym',
+      pattern: /(?<![\p{L}\d])(\p{Lu}{2,7})(s?)(?![\p{L}\d])/gu,
+      replace: (m, acronym, plural, offset, text) => {
+        const spoken = this.readAcronym(acronym, text, offset, m.length);
+        return spoken === null ? m : spoken + plural;
+      }
+    }];
+
+    return { before, after };
+  }
+
+  /**
+   * @returns {string|null} - How to read the acronym, or null to leave it
+   */
+  readAcronym(acronym, text, offset, length) {
+    const mode = this.acronyms.get(acronym);
+
+    if (!mode) {
+      // All-caps headings and shouting are not acronyms
+      if (EMPHASIS.has(acronym) || /^[IVX]+$/.test(acronym)) return null;
+      const previous = /(\p{L}+)[^\p{L}]*$/u.exec(text.slice(Math.max(0, offset - 40), offset));
+      const next = /^[^\p{L}]*(\p{L}+)/u.exec(text.slice(offset + length, offset + length + 40));
+      const caps = (word) => word && word.length > 1 && word === word.toUpperCase();
+      if (caps(previous && previous[1]) || caps(next && next[1])) return null;
+    }
+
+    if ((mode || this.guessMode(acronym)) === 'word') {
+      return capitalize(acronym.toLowerCase());
+    }
+    return [...acronym].join(' ');
+  }
+
+  /**
+   * Pronounceable acronyms (vowels and consonants alternate) are read as
+   * words; short or unpronounceable ones are spelled
+   */
+  guessMode(acronym) {
+    if (acronym.length < 4) return 'spell';
+    if (!/[AEIOU]/.test(acronym)) return 'spell';
+    if (/[^AEIOUY]{3}|[AEIOU]{3}/.test(acronym)) return 'spell';
+    if (/^[^AEIOU]{2}/.test(acronym) && !/^(?:BL|BR|CH|CL|CR|DR|FL|FR|GL|GR|PL|PR|SC|SH|SK|SL|SM|SN|SP|ST|SW|TH|TR|TW|WH)/.test(acronym)) {
+      return 'spell';
+    }
+    return 'word';
+  }
+}
+
+export default AbbreviationDictionary;
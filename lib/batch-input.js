@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import pathValidator from './path-validator.js';
+
+/**
+ * Batch Input
+ * Expands a directory or glob pattern ("~/papers/*.pdf", "*.{epub,mobi}")
+ * into a validated list of files, recording every file that was left out
+ * and why.
+ */
+
+const MAGIC_PATTERN = /[*?[{]/;
+
+// A pattern that names a place or a file type ("~/papers/*", "*.{epub,mobi}")
+// rather than a search query that happens to contain "?" or "["
+const PATH_LIKE = /[/\\]|^~|\.[\w{},*?[\]!-]+$/;
+
+class BatchInput {
+  constructor(options = {}) {
+    this.allowedExtensions = options.allowedExtensions || null;
+    this.maxFiles = options.maxFiles || 500;
+    this.validator = options.validator || pathValidator;
+  }
+
+  /**
+   * Check whether an input names several files (directory or glob). A
+   * pattern that does not look like a path ("what is love?") only counts
+   * when it matches files; otherwise it is left to book search.
+   */
+  static isBatch(input) {
+    const expanded = BatchInput.expandHome(input);
+
+    if (fs.existsSync(expanded)) {
+      return fs.statSync(expanded).isDirectory();
+    }
+
+    if (!MAGIC_PATTERN.test(input)) return false;
+
+    return PATH_LIKE.test(input) || new BatchInput().glob(expanded).candidates.length > 0;
+  }
+
+  static expandHome(input) {
+    return input === '~' || input.startsWith('~/') ? path.join(os.homedir(), input.slice(1)) : input;
+  }
+
+  /**
+   * Expand a directory or glob pattern
+   * @returns {object} - { base, files: string[], skipped: [{ file, reason }] }
+   */
+  expand(input) {
+    const expanded = BatchInput.expandHome(input);
+    const isDirectory = fs.existsSync(expanded) && fs.statSync(expanded).isDirectory();
+
+    const { base, candidates } = isDirectory
+      ? { base: path.resolve(expanded), candidates: this.listDirectory(expanded) }
+      : this.glob(expanded);
+
+    const files = [];
+    const skipped = [];
+
+    for (const file of candidates) {
+      const ext = path.extname(file).toLowerCase();
+
+      if (this.allowedExtensions && !this.allowedExtensions.includes(ext)) {
+        skipped.push({ file, reason: ext ? `unsupported format (${ext})` : 'no file extension' });
+        continue;
+      }
+
+      if (files.length >= this.maxFiles) {
+        skipped.push({ file, reason: `batch limit reached (${this.maxFiles} files)` });
+        continue;
+      }
+
+      try {
+        files.push(this.validator.validateFilePath(file, {
+          mustExist: true,
+          allowedExtensions: this.allowedExtensions
+        }));
+      } catch (error) {
+        skipped.push({ file, reason: error.message.split('\n')[0] });
+      }
+    }
+
+    return { base, files, skipped };
+  }
+
+  /**
+   * Files directly inside a directory (not recursive, no hidden files)
+   */
+  listDirectory(dir) {
+    return this.readDir(dir)
+      .filter(entry => !entry.name.startsWith('.') && (entry.isFile() || entry.isSymbolicLink()))
+      .map(entry => path.resolve(dir, entry.name))
+      .sort();
+  }
+
+  /**
+   * Expand a glob pattern: *, ?, [abc], {a,b} within a path segment and
+   * ** for any number of directories. Hidden entries only match patterns
+   * that start with a dot.
+   *
+   * @returns {object} - { base, candidates }
+   */
+  glob(pattern) {
+    const segments = path.resolve(pattern).split(path.sep);
+
+    // Walk from the longest literal prefix
+    let base = segments[0] + path.sep;
+    let index = 1;
+    while (index < segments.length - 1 && !MAGIC_PATTERN.test(segments[index])) {
+      base = path.join(base, segments[index++]);
+    }
+
+    const results = new Set();
+    const limit = this.maxFiles * 4;
+
+    const walk = (dir, i) => {
+      if (results.size >= limit) return;
+
+      if (i === segments.length) {
+        if (this.isFile(dir)) results.add(dir);
+        return;
+      }
+
+      const segment = segments[i];
+
+      if (segment === '**') {
+        walk(dir, i + 1);
+        for (const entry of this.readDir(dir)) {
+          if (entry.isDirectory() && !entry.name.startsWith('.')) walk(path.join(dir, entry.name), i);
+        }
+        return;
+      }
+
+      if (!MAGIC_PATTERN.test(segment)) {
+        walk(path.join(dir, segment), i + 1);
+        return;
+      }
+
+      const regex = this.segmentRegExp(segment);
+      for (const entry of this.readDir(dir)) {
+        if (entry.name.startsWith('.') && !segment.startsWith('.')) continue;
+        if (!regex.test(entry.name)) continue;
+
+        if (i === segments.length - 1 || entry.isDirectory()) {
+          walk(path.join(dir, entry.name), i + 1);
+        }
+      }
+    };
+
+    walk(base, index);
+    return { base, candidates: [...results].sort() };
+  }
+
+  segmentRegExp(segment) {
+    let source = '';
+
+    for (let i = 0; i < segment.length; i++) {
+      const ch = segment[i];
+
+      if (ch === '*') {
+        source += '.*';
+      } else if (ch === '?') {
+        source += '.';
+      } else if (ch === '[' && segment.indexOf(']', i + 2) !== -1) {
+        const close = segment.indexOf(']', i + 2);
+        const body = segment.slice(i + 1, close).replace(/\\/g, '\\\\');
+        source += `[${body.startsWith('!') ? `^${body.slice(1)}` : body}]`;
+        i = close;
+      } else if (ch === '{' && segment.indexOf('}', i) !== -1) {
+        const close = segment.indexOf('}', i);
+        const options = segment.slice(i + 1, close).split(',').map(option => this.escape(option));
+        source += `(?:${options.join('|')})`;
+        i = close;
+      } else {
+        source += this.escape(ch);
+      }
+    }
+
+    return new RegExp(`^${source}$`);
+  }
+
+  escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  readDir(dir) {
+    try {
+      return fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+  }
+
+  isFile(filePath) {
+    try {
+      const stats = fs.lstatSync(filePath);
+      return stats.isFile() || stats.isSymbolicLink();
+    } catch {
+      return false;
+    }
+  }
+}
+
+export default BatchInput;
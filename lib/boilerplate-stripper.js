@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Boilerplate Stripper
+ * Finds the book body inside distributor wrappers - Project Gutenberg
+ * license header/footer, the Standard Ebooks imprint and colophon, and
+ * Faded Page front matter - and reads title/author from them.
+ */
+
+const GUTENBERG_START = [
+  /^[ \t]*\*{3}[ \t]*START OF (?:THE |THIS )?PROJECT GUTENBERG E-?BOOK[^\n]*$/im,
+  /^\*END\*THE SMALL PRINT![^\n]*$/im
+];
+
+const GUTENBERG_END = [
+  /^[ \t]*\*{3}[ \t]*END OF (?:THE |THIS )?PROJECT GUTENBERG E-?BOOK[^\n]*$/im,
+  /^[ \t]*End of (?:the |this )?Project Gutenberg'?s?\b[^\n]*$/im
+];
+
+// Producer credits that directly follow the start marker
+const CREDITS = /^[ \t]*(?:Produced by|E-?text prepared by|This e-?(?:text|book) was (?:produced|prepared) by)\b/i;
+
+const STANDARD_EBOOKS_IMPRINT = /This ebook is the product of many hours of hard work by volunteers for Standard Ebooks/i;
+
+// Standard Ebooks back matter, as separate EPUB chapters
+const STANDARD_EBOOKS_CHAPTERS = /^(?:imprint|colophon|uncopyright)$/i;
+
+class BoilerplateStripper {
+  constructor() {
+    this.sources = [
+      { name: 'Project Gutenberg', find: (text) => this.findGutenberg(text) },
+      { name: 'Standard Ebooks', find: (text) => this.findStandardEbooks(text) },
+      { name: 'Faded Page', find: (text) => this.findFadedPage(text) }
+    ];
+  }
+
+  /**
+   * Locate the book body
+   * @param {string} text
+   * @param {object} options
+   * @param {boolean} options.partial - `text` is only the start of the book
+   *   (streaming), so the body may not have begun yet
+   * @returns {object|null} - { source, start, end, metadata: { title, author } }
+   */
+  detect(text, options = {}) {
+    for (const source of this.sources) {
+      const found = source.find(text);
+
+      // Never strip everything: a marker without a body is not a wrapper
+      if (found && (options.partial || text.slice(found.start, found.end).trim().length > 0)) {
+        return { source: source.name, ...found };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Strip boilerplate from plain text
+   * @returns {object} - { text, source, metadata, removed }
+   */
+  strip(text) {
+    const found = this.detect(text);
+    if (!found) {
+      return { text, source: null, metadata: {}, removed: 0 };
+    }
+
+    const body = text.slice(found.start, found.end).trim();
+    return {
+      text: body,
+      source: found.source,
+      metadata: found.metadata,
+      removed: text.length - body.length
+    };
+  }
+
+  /**
+   * Strip boilerplate from chapters (EPUB, MOBI, ...): chapters outside
+   * the body are dropped and the chapters holding the markers are cut
+   *
+   * @returns {object} - { chapters, source, metadata, removed }
+   */
+  stripChapters(chapters) {
+    const separator = '\n\n';
+    const text = chapters.map(ch => ch.text).join(separator);
+    const found = this.detect(text);
+
+    const isBackMatter = (chapter) => STANDARD_EBOOKS_CHAPTERS.test((chapter.title || '').trim());
+    const standardEbooks = /Standard Ebooks/.test(text) && chapters.some(isBackMatter);
+
+    if (!found && !standardEbooks) {
+      return { chapters, source: null, metadata: {}, removed: 0 };
+    }
+
+    const start = found ? found.start : 0;
+    const end = found ? found.end : text.length;
+    const kept = [];
+    let offset = 0;
+    let removed = 0;
+
+    for (const chapter of chapters) {
+      const from = offset;
+      const to = offset + chapter.text.length;
+      offset = to + separator.length;
+
+      const body = (standardEbooks && isBackMatter(chapter)) || to <= start || from >= end
+        ? ''
+        : chapter.text.slice(Math.max(start - from, 0), Math.min(end, to) - from).trim();
+
+      removed += chapter.text.length - body.length;
+      if (body.length > 0) {
+        kept.push({ ...chapter, text: body });
+      }
+    }
+
+    return {
+      chapters: kept.length > 0 ? kept : chapters,
+      source: found ? found.source : 'Standard Ebooks',
+      metadata: found ? found.metadata : {},
+      removed: kept.length > 0 ? removed : 0
+    };
+  }
+
+  /**
+   * Where the trailing boilerplate of `source` starts in a later part of
+   * the book (streaming)
+   * @returns {number|null}
+   */
+  findEnd(text, source) {
+    let match = null;
+
+    if (source === 'Project Gutenberg') {
+      match = this.firstMatch(text, GUTENBERG_END, 0);
+    } else if (source === 'Standard Ebooks') {
+      match = /^[ \t]*(?:Colophon|Uncopyright)[ \t]*$/im.exec(text);
+    } else if (source === 'Faded Page') {
+      match = /^[ \t]*\[End of [^\]\n]*\][ \t]*$/im.exec(text);
+    }
+
+    return match ? match.index : null;
+  }
+
+  findGutenberg(text) {
+    const start = this.firstMatch(text, GUTENBERG_START, 0);
+    const end = this.firstMatch(text, GUTENBERG_END, start ? start.index + start[0].length : 0);
+    if (!start && !end) return null;
+
+    const header = start ? text.slice(0, start.index) : text;
+    const metadata = this.readFields(header);
+
+    // Older files name the book in the first line instead
+    const banner = /Project Gutenberg'?s? E-?(?:Book|Text) of (.+?), by (.+?)\s*$/im.exec(header);
+    if (banner) {
+      metadata.title = metadata.title || banner[1].trim();
+      metadata.author = metadata.author || banner[2].trim();
+    }
+
+    return {
+      start: start ? this.skipCredits(text, start.index + start[0].length) : 0,
+      end: end ? end.index : text.length,
+      metadata
+    };
+  }
+
+  findStandardEbooks(text) {
+    const imprint = STANDARD_EBOOKS_IMPRINT.exec(text);
+    if (!imprint) return null;
+
+    // The imprint ends with the paragraph pointing at standardebooks.org
+    const link = text.slice(imprint.index).search(/standardebooks\.org/i);
+    const start = link === -1 ? imprint.index : this.paragraphEnd(text, imprint.index + link);
+
+    const rest = text.slice(start);
+    const colophon = /^[ \t]*(?:Colophon|Uncopyright)[ \t]*$/im.exec(rest);
+    const end = colophon ? start + colophon.index : text.length;
+
+    const published = /^[ \t]*(.+?)[ \t]*\n\s*was published in \d{4} by\s*\n\s*(.+?)\.?[ \t]*$/m.exec(rest);
+
+    return {
+      start,
+      end,
+      metadata: {
+        title: published ? published[1].trim() : null,
+        author: published ? published[2].trim() : null
+      }
+    };
+  }
+
+  findFadedPage(text) {
+    const id = /^.*Faded Page eBook #\s*\d+.*$/im.exec(text);
+    if (!id) return null;
+
+    const start = this.skipCredits(text, this.paragraphEnd(text, id.index));
+
+    // The body closes with "[End of <title> by <author>]"
+    const endings = [...text.slice(start).matchAll(/^[ \t]*\[End of [^\]\n]*\][ \t]*$/gim)];
+    const end = endings.length > 0 ? start + endings[endings.length - 1].index : text.length;
+
+    return { start, end, metadata: this.readFields(text.slice(0, start)) };
+  }
+
+  /**
+   * "Title:" / "Author:" header fields
+   */
+  readFields(header) {
+    const field = (name) => {
+      const match = new RegExp(`^[ \\t]*${name}:[ \\t]*(.+(?:\\n[ \\t]+\\S.*)*)`, 'im').exec(header);
+      return match ? match[1].replace(/\s+/g, ' ').trim() : null;
+    };
+
+    const author = field('Author');
+    return {
+      title: field('Title'),
+      // Faded Page adds life dates: "Frances Hodgson Burnett (1849-1924)"
+      author: author ? author.replace(/\s*\(\s*\d{3,4}\s*[-–]\s*\d{0,4}\s*\)\s*$/, '') : null
+    };
+  }
+
+  firstMatch(text, patterns, from) {
+    let first = null;
+
+    for (const pattern of patterns) {
+      const match = pattern.exec(text.slice(from));
+      if (match) {
+        match.index += from;
+        if (!first || match.index < first.index) first = match;
+      }
+    }
+
+    return first;
+  }
+
+  paragraphEnd(text, index) {
+    const blank = /\n[ \t]*\n/g;
+    blank.lastIndex = index;
+    const match = blank.exec(text);
+    return match ? match.index + match[0].length : text.length;
+  }
+
+  skipCredits(text, index) {
+    let start = index;
+
+    for (;;) {
+      const rest = text.slice(start);
+      const leading = rest.length - rest.trimStart().length;
+      if (!CREDITS.test(rest.slice(leading))) return start;
+      start = this.paragraphEnd(text, start + leading);
+    }
+  }
+}
+
+export default BoilerplateStripper;
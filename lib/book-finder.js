@@ -47,7 +47,7 @@ class BookFinder {
     this.downloadDir = path.join(config.paths.temp, 'downloads');
     this.maxFileSize = options.maxFileSize || 500 * 1024 * 1024; // 500MB default
     this.minFileSize = options.minFileSize || 1024; // 1KB minimum
-    this.allowedExtensions = ['.pdf', '.epub', '.mobi', '.txt'];
+    this.allowedExtensions = ['.pdf', '.epub', '.mobi', '.azw3', '.txt'];
     this.warningShown = false; // Track if copyright warning was shown
   }
 
@@ -340,12 +340,13 @@ class BookFinder {
           // Extract file info if available
           const sizeMatch = row.match(/(\d+(?:\.\d+)?)\s*(KB|MB|GB)/i);
           const size = sizeMatch ? `${sizeMatch[1]}${sizeMatch[2]}` : null;
+          const formatMatch = row.match(/<td[^>]*>\s*(pdf|epub|mobi|azw3|txt)\s*<\/td>/i);
 
           results.push({
             title: title.substring(0, 200),
             author: author || 'Unknown',
             downloadUrl: downloadPage,
-            format: 'pdf',
+            format: formatMatch ? formatMatch[1].toLowerCase() : 'pdf',
             size: size
           });
         } catch (e) {
@@ -443,23 +444,23 @@ class BookFinder {
 
     // Generate safe filename
     const baseFilename = this.sanitizeFilename(book.title);
-    const filename = `${baseFilename}.pdf`;
+    const format = `.${book.format || 'pdf'}`;
+    const filename = baseFilename + (this.allowedExtensions.includes(format) ? format : '.pdf');
     const outputPath = path.join(this.downloadDir, filename);
 
-    // Check if file already exists
-    if (fs.existsSync(outputPath)) {
-      const stats = fs.statSync(outputPath);
-      if (stats.size > this.minFileSize) {
-        console.log(`File already exists: ${outputPath}`);
-        return outputPath;
-      }
+    // Check if file already exists (under this name, or renamed to match
+    // its contents by an earlier download)
+    const existing = this.findDownloaded(outputPath);
+    if (existing) {
+      console.log(`File already exists: ${existing}`);
+      return existing;
     }
 
     try {
       if (book.source === 'LibGen') {
-        return await this.downloadFromLibGen(book.downloadUrl, outputPath);
+        return this.correctExtension(await this.downloadFromLibGen(book.downloadUrl, outputPath));
       } else if (book.source === 'AnnaArchive') {
-        return await this.downloadFromAnnaArchive(book.downloadUrl, outputPath);
+        return this.correctExtension(await this.downloadFromAnnaArchive(book.downloadUrl, outputPath));
       } else {
         throw new BookFinderError(
           `Download not supported for source: ${book.source}`,
@@ -600,6 +601,86 @@ class BookFinder {
     }
   }
 
+  /**
+   * An earlier download of this file: the requested path, or the same name
+   * with the extension correctExtension would have given it
+   */
+  findDownloaded(outputPath) {
+    const current = path.extname(outputPath);
+    const base = current ? outputPath.slice(0, -current.length) : outputPath;
+    const renamed = ['.pdf', '.epub', '.mobi']
+      .filter(ext => ext !== current.toLowerCase())
+      .map(ext => base + ext);
+
+    for (const candidate of [outputPath, ...renamed]) {
+      if (!fs.existsSync(candidate) || fs.statSync(candidate).size <= this.minFileSize) {
+        continue;
+      }
+      // A renamed file only counts when its contents match the new name
+      if (candidate === outputPath || this.detectFormat(candidate) === path.extname(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Detect a downloaded file's real format from its magic bytes
+   * Returns an extension from allowedExtensions, or null if unknown
+   */
+  detectFormat(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    const head = Buffer.alloc(68);
+
+    try {
+      fs.readSync(fd, head, 0, head.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (head.toString('latin1', 0, 5) === '%PDF-') {
+      return '.pdf';
+    }
+
+    if (head.toString('latin1', 0, 4) === 'PK\x03\x04' &&
+        head.toString('latin1', 30, 58) === 'mimetypeapplication/epub+zip') {
+      return '.epub';
+    }
+
+    if (head.toString('latin1', 60, 68) === 'BOOKMOBI') {
+      // KF8-only books (AZW3) are still BOOKMOBI containers; the MOBI
+      // reader handles both, so .mobi is used for either
+      return '.mobi';
+    }
+
+    return null;
+  }
+
+  /**
+   * Rename a download whose extension does not match its contents,
+   * so it is routed to the right extractor
+   */
+  correctExtension(filePath) {
+    const actual = this.detectFormat(filePath);
+    const current = path.extname(filePath).toLowerCase();
+
+    if (!actual || actual === current || (actual === '.mobi' && current === '.azw3')) {
+      return filePath;
+    }
+
+    // Never replace another file that already has the corrected name
+    const base = current ? filePath.slice(0, -current.length) : filePath;
+    let corrected = base + actual;
+    for (let n = 2; fs.existsSync(corrected); n++) {
+      corrected = `${base} (${n})${actual}`;
+    }
+    fs.renameSync(filePath, corrected);
+    console.log(`Detected ${actual.slice(1).toUpperCase()} content, renamed to: ${path.basename(corrected)}`);
+
+    return corrected;
+  }
+
   async verify(filePath) {
     if (!fs.existsSync(filePath)) {
       return false;
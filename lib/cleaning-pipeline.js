@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Cleaning Pipeline
+ * Runs text through an ordered list of named stages ({ name, run }).
+ * Stages can be switched off by name, extra stages can be inserted
+ * before or after any other, and every run reports how many characters
+ * each stage removed. A stage that throws is skipped with a warning.
+ */
+
+class CleaningPipeline {
+  /**
+   * @param {object[]} stages - { name, run(text, context) => string }
+   * @param {object} options
+   * @param {object} options.enabled - Stage name => false to disable
+   */
+  constructor(stages = [], options = {}) {
+    this.stages = [];
+
+    for (const stage of stages) {
+      this.add(stage);
+    }
+
+    for (const [name, enabled] of Object.entries(options.enabled || {})) {
+      this.setEnabled(name, enabled);
+    }
+  }
+
+  get names() {
+    return this.stages.map(stage => stage.name);
+  }
+
+  has(name) {
+    return this.stages.some(stage => stage.name === name);
+  }
+
+  /**
+   * Insert a stage (at the end, or before/after a named stage)
+   * @param {object} stage - { name, run(text, context) => string, enabled }
+   * @param {object} position - { before } or { after }
+   */
+  add(stage, position = {}) {
+    if (!stage || typeof stage.name !== 'string' || !stage.name || typeof stage.run !== 'function') {
+      throw new Error('A cleaning stage needs a name and a run(text) function');
+    }
+
+    if (this.has(stage.name)) {
+      throw new Error(`Duplicate cleaning stage: ${stage.name}`);
+    }
+
+    const entry = { name: stage.name, run: stage.run, enabled: stage.enabled !== false };
+    const anchor = position.before || position.after;
+
+    if (!anchor) {
+      this.stages.push(entry);
+      return this;
+    }
+
+    const index = this.indexOf(anchor);
+    this.stages.splice(position.before ? index : index + 1, 0, entry);
+    return this;
+  }
+
+  remove(name) {
+    this.stages.splice(this.indexOf(name), 1);
+    return this;
+  }
+
+  setEnabled(name, enabled) {
+    this.stages[this.indexOf(name)].enabled = Boolean(enabled);
+    return this;
+  }
+
+  isEnabled(name) {
+    return this.has(name) && this.stages[this.indexOf(name)].enabled;
+  }
+
+  indexOf(name) {
+    const index = this.stages.findIndex(stage => stage.name === name);
+    if (index === -1) {
+      throw new Error(`Unknown cleaning stage: ${name} (available: ${this.names.join(', ')})`);
+    }
+    return index;
+  }
+
+  /**
+   * Run the enabled stages in order
+   *
+   * @param {string} text
+   * @param {object} options
+   * @param {object} options.report - Accumulates stage name => characters
+   *   removed (negative when a stage adds text)
+   * @param {string[]} options.only - Run just these stages
+   * @param {string[]} options.skip - Leave these stages out
+   * @param {object} options.context - Passed to every stage
+   * @returns {string}
+   */
+  run(text, options = {}) {
+    const report = options.report || {};
+    let result = text;
+
+    for (const stage of this.stages) {
+      if (!stage.enabled) continue;
+      if (options.only && !options.only.includes(stage.name)) continue;
+      if (options.skip && options.skip.includes(stage.name)) continue;
+
+      const before = result.length;
+
+      try {
+        const output = stage.run(result, options.context || {});
+        if (typeof output !== 'string') {
+          throw new Error('stage did not return text');
+        }
+        result = output;
+      } catch (error) {
+        console.warn(`Cleaning stage ${stage.name} failed, skipping:`, error.message);
+      }
+
+      report[stage.name] = (report[stage.name] || 0) + (before - result.length);
+    }
+
+    return result;
+  }
+}
+
+export default CleaningPipeline;
@@ -2,6 +2,9 @@ import os from 'os';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import FootnoteHandler from './footnote-handler.js';
+import TableHandler from './table-handler.js';
+import AbbreviationDictionary from './abbreviations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,6 +25,9 @@ export const MEMORY_PROFILES = {
   low: {
     name: 'Low Memory (2-4GB RAM)',
     maxFileSize: 50 * 1024 * 1024, // 50MB
+    streamThreshold: 10 * 1024 * 1024, // Stream PDF/TXT from 10MB
+    maxTextLength: 50 * 1024 * 1024, // 50MB of text cleaned in memory
+    maxStreamFileSize: 500 * 1024 * 1024, // 500MB when streamed
     maxConcurrentJobs: 1,
     chunkSize: 2000, // words per chunk
     enableMemoryMonitoring: true,
@@ -32,6 +38,9 @@ export const MEMORY_PROFILES = {
   medium: {
     name: 'Medium Memory (4-8GB RAM)',
     maxFileSize: 100 * 1024 * 1024, // 100MB
+    streamThreshold: 50 * 1024 * 1024, // Stream PDF/TXT from 50MB
+    maxTextLength: 50 * 1024 * 1024, // 50MB of text cleaned in memory
+    maxStreamFileSize: 500 * 1024 * 1024, // 500MB when streamed
     maxConcurrentJobs: 2,
     chunkSize: 5000,
     enableMemoryMonitoring: true,
@@ -42,6 +51,9 @@ export const MEMORY_PROFILES = {
   high: {
     name: 'High Memory (8GB+ RAM)',
     maxFileSize: 500 * 1024 * 1024, // 500MB
+    streamThreshold: 200 * 1024 * 1024, // Stream PDF/TXT from 200MB
+    maxTextLength: 200 * 1024 * 1024, // Up to the stream threshold, so smaller files fit
+    maxStreamFileSize: 1024 * 1024 * 1024, // 1GB when streamed
     maxConcurrentJobs: 5,
     chunkSize: 10000,
     enableMemoryMonitoring: false, // Disabled by default on high-memory systems
@@ -94,6 +106,12 @@ const DEFAULT_CONFIG = {
   qualityPreset: 'balanced',
   autoDetectProfile: true, // Automatically set profile based on system RAM
   enableMemoryMonitoring: null, // null = use profile default
+  cleaningStages: {}, // Text cleaning stage name => false to skip it
+  footnotes: 'end', // Footnotes/endnotes: 'drop', 'end' (of chapter) or 'inline'
+  tables: 'announce', // Tables: 'announce' ("Table 3 omitted.") or 'narrate' (row by row)
+  codeListings: 'announce', // Code listings: 'announce' or 'describe' (by the local LLM)
+  abbreviations: {}, // Extra abbreviation => expansion ("Dept." => "Department")
+  acronyms: {}, // Acronym => 'spell' (F B I) or 'word' (Nasa)
   customSettings: {
     // Users can override specific settings here
   }
@@ -233,6 +251,9 @@ class ConfigManager {
     return {
       // Memory settings
       maxFileSize: profile.maxFileSize,
+      streamThreshold: profile.streamThreshold,
+      maxTextLength: profile.maxTextLength,
+      maxStreamFileSize: profile.maxStreamFileSize,
       maxConcurrentJobs: profile.maxConcurrentJobs,
       chunkSize: profile.chunkSize,
       enableMemoryMonitoring,
@@ -245,6 +266,14 @@ class ConfigManager {
       topP: quality.topP,
       repetitionPenalty: quality.repetitionPenalty,
 
+      // Text cleaning
+      cleaningStages: { ...this.config.cleaningStages },
+      footnotes: this.config.footnotes,
+      tables: this.config.tables,
+      codeListings: this.config.codeListings,
+      abbreviations: { ...this.config.abbreviations },
+      acronyms: { ...this.config.acronyms },
+
       // Profile info
       memoryProfile: this.config.memoryProfile,
       qualityPreset: this.config.qualityPreset,
@@ -289,6 +318,86 @@ class ConfigManager {
     return this.saveConfig();
   }
 
+  /**
+   * Enable or disable a text cleaning stage
+   */
+  setCleaningStage(name, enabled) {
+    this.config.cleaningStages = { ...this.config.cleaningStages, [name]: enabled };
+    return this.saveConfig();
+  }
+
+  /**
+   * Set how footnotes and endnotes are read
+   */
+  setFootnotePolicy(policy) {
+    if (!FootnoteHandler.policies.includes(policy)) {
+      throw new Error(`Invalid footnote policy: ${policy}. Valid: ${FootnoteHandler.policies.join(', ')}`);
+    }
+
+    this.config.footnotes = policy;
+    return this.saveConfig();
+  }
+
+  /**
+   * Set whether tables are skipped with an announcement or narrated
+   */
+  setTablePolicy(policy) {
+    if (!TableHandler.policies.includes(policy)) {
+      throw new Error(`Invalid table policy: ${policy}. Valid: ${TableHandler.policies.join(', ')}`);
+    }
+
+    this.config.tables = policy;
+    return this.saveConfig();
+  }
+
+  /**
+   * Set whether code listings are only announced or described by the LLM
+   */
+  setCodeListingPolicy(policy) {
+    const valid = ['announce', 'describe'];
+    if (!valid.includes(policy)) {
+      throw new Error(`Invalid code listing policy: ${policy}. Valid: ${valid.join(', ')}`);
+    }
+
+    this.config.codeListings = policy;
+    return this.saveConfig();
+  }
+
+  /**
+   * Add or change an abbreviation's expansion (null removes it)
+   */
+  setAbbreviation(abbreviation, expansion) {
+    const abbreviations = { ...this.config.abbreviations };
+    if (expansion === null) {
+      delete abbreviations[abbreviation];
+    } else {
+      abbreviations[abbreviation] = expansion;
+    }
+
+    this.config.abbreviations = abbreviations;
+    return this.saveConfig();
+  }
+
+  /**
+   * Set whether an acronym is spelled out or read as a word (null restores
+   * the built-in choice)
+   */
+  setAcronym(acronym, mode) {
+    if (mode !== null && !AbbreviationDictionary.acronymModes.includes(mode)) {
+      throw new Error(`Invalid acronym mode: ${mode}. Valid: ${AbbreviationDictionary.acronymModes.join(', ')}`);
+    }
+
+    const acronyms = { ...this.config.acronyms };
+    if (mode === null) {
+      delete acronyms[acronym.toUpperCase()];
+    } else {
+      acronyms[acronym.toUpperCase()] = mode;
+    }
+
+    this.config.acronyms = acronyms;
+    return this.saveConfig();
+  }
+
   /**
    * Reset to defaults
    */
@@ -326,10 +435,17 @@ class ConfigManager {
       },
       settings: {
         maxFileSize: `${(settings.maxFileSize / (1024 * 1024)).toFixed(0)}MB`,
+        streaming: `PDF/TXT from ${(settings.streamThreshold / (1024 * 1024)).toFixed(0)}MB, up to ${(settings.maxStreamFileSize / (1024 * 1024)).toFixed(0)}MB`,
         maxConcurrentJobs: settings.maxConcurrentJobs,
         chunkSize: `${settings.chunkSize.toLocaleString()} words`,
         memoryMonitoring: settings.enableMemoryMonitoring ? 'Enabled' : 'Disabled',
         memoryThreshold: `${(settings.memoryThreshold * 100).toFixed(0)}%`,
+        footnotes: settings.footnotes,
+        tables: settings.tables,
+        codeListings: settings.codeListings,
+        disabledStages: Object.keys(settings.cleaningStages).filter(name => settings.cleaningStages[name] === false),
+        abbreviations: Object.keys(settings.abbreviations).length,
+        acronyms: Object.keys(settings.acronyms).length,
         ttsSpeed: settings.ttsSpeed,
         temperature: settings.temperature
       },
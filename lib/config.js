@@ -35,11 +35,13 @@ class Config {
     return {
       ...base,
       audiobooks: path.join(base.data, 'audiobooks'),
+      chapters: path.join(base.data, 'chapters'),
       queue: path.join(base.data, 'queue.db'),
       temp: path.join(base.cache, 'temp'),
       models: path.join(base.cache, 'models'),
       logs: path.join(base.data, 'logs'),
-      settings: path.join(base.config, 'settings.json')
+      settings: path.join(base.config, 'settings.json'),
+      lexicon: path.join(base.config, 'lexicon.json')
     };
   }
 
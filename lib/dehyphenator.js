@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Dehyphenator
+ * Rejoins words split across lines ("exam-\nple" -> "example") while
+ * keeping genuine compounds that happen to break at their hyphen
+ * ("well-\nknown" -> "well-known"). Each break is decided by how the word
+ * is written elsewhere in the text, then by the bundled word list
+ * (data/english-words.txt, most frequent words first) and known compound
+ * prefixes and suffixes. Breaks none of these settle are joined, as
+ * before, and reported as unresolved.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const WORDS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'english-words.txt');
+
+// "state-of-the-\nart": the first part may itself be hyphenated
+const BREAK = /((?:[\p{L}\p{N}]+-)*[\p{L}\p{N}]+)-[ \t\f]*\n\s*([\p{L}\p{N}]+)/gu;
+
+const WORD = /\p{L}+(?:-\p{L}+)*/gu;
+
+// Parts this frequent (by rank in the word list) are common words
+const COMMON_RANK = 1000;
+
+// First parts that keep their hyphen: "self-driving", "well-known"
+const KEEP_PREFIXES = new Set([
+  'self', 'ex', 'all', 'well', 'ill', 'half', 'quasi', 'pseudo', 'great',
+  'cross', 'non', 'anti', 'semi', 'multi', 'mid',
+  'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'
+]);
+
+// Second parts that keep their hyphen: "evidence-based", "user-friendly"
+const KEEP_SUFFIXES = new Set([
+  'based', 'related', 'specific', 'friendly', 'driven', 'oriented', 'sized',
+  'scale', 'level', 'term', 'style', 'aware', 'free', 'like', 'wide',
+  'known', 'made', 'born', 'led', 'owned', 'old', 'up', 'down', 'off', 'out'
+]);
+
+// Suffixes tried when a word is not listed as written:
+// [suffix, replacement] so "studies" -> "study", "making" -> "make"
+const INFLECTIONS = [
+  ['ies', 'y'], ['ied', 'y'], ['ier', 'y'], ['iest', 'y'], ['ily', 'y'],
+  ['es', ''], ['s', ''], ['ed', ''], ['ed', 'e'], ['ing', ''], ['ing', 'e'],
+  ['er', ''], ['er', 'e'], ['est', ''], ['est', 'e'], ['ly', ''], ['ness', ''],
+  ['ment', ''], ['ful', ''], ['less', '']
+];
+
+let dictionary = null;
+
+// Word => rank (1 is the most frequent), read once on first use
+function loadDictionary() {
+  if (!dictionary) {
+    dictionary = new Map();
+    for (const line of fs.readFileSync(WORDS_FILE, 'utf8').split('\n')) {
+      if (line.startsWith('#')) continue;
+      for (const word of line.split(/\s+/)) {
+        if (word && !dictionary.has(word)) dictionary.set(word, dictionary.size + 1);
+      }
+    }
+  }
+  return dictionary;
+}
+
+class Dehyphenator {
+  constructor() {
+    this.words = loadDictionary();
+  }
+
+  /**
+   * Rank of a word or its base form in the word list (0 when unknown)
+   * @param {string} word
+   * @returns {number}
+   */
+  rank(word) {
+    const lower = word.toLowerCase();
+    if (this.words.has(lower)) return this.words.get(lower);
+
+    for (const [suffix, replacement] of INFLECTIONS) {
+      if (!lower.endsWith(suffix)) continue;
+      const stem = lower.slice(0, -suffix.length);
+      if (stem.length < 3) continue;
+
+      const base = stem + replacement;
+      if (this.words.has(base)) return this.words.get(base);
+
+      // "stopped" -> "stop", "running" -> "run"
+      if (!replacement && /([b-df-hj-np-tv-z])\1$/.test(stem) && this.words.has(stem.slice(0, -1))) {
+        return this.words.get(stem.slice(0, -1));
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {object} - { text, joined, kept, unresolved: [{ word, joined }] }
+   */
+  process(text) {
+    const result = { text, joined: 0, kept: 0, unresolved: [] };
+    let counts = null;
+
+    result.text = text.replace(BREAK, (found, first, second, offset) => {
+      // How often each spelling appears elsewhere, counted on first need
+      counts = counts || this.countWords(text);
+
+      // "mother-\nin-law" goes on past the second part
+      const chain = text[offset + found.length] === '-';
+      const decision = chain ? 'keep' : this.decide(first, second, counts);
+      if (decision === 'keep') {
+        result.kept++;
+        return `${first}-${second}`;
+      }
+
+      result.joined++;
+      if (decision === 'unresolved') {
+        result.unresolved.push({ word: `${first}-${second}`, joined: first + second });
+      }
+      return first + second;
+    });
+
+    return result;
+  }
+
+  /**
+   * @returns {string} - 'join', 'keep' or 'unresolved' (joined)
+   */
+  decide(first, second, counts) {
+    const hyphenated = counts.get(`${first}-${second}`.toLowerCase()) || 0;
+    const closed = counts.get((first + second).toLowerCase()) || 0;
+    if (hyphenated !== closed) return hyphenated > closed ? 'keep' : 'join';
+
+    // Numbers ("COVID-19"), names ("Anglo-Saxon") and chains ("state-of-the-art")
+    if (/\p{N}/u.test(first + second) || first.includes('-')) return 'keep';
+    if (/^\p{Lu}/u.test(second) && second !== second.toUpperCase()) return 'keep';
+
+    if (this.rank(first + second)) return 'join';
+
+    const head = first.toLowerCase();
+    const tail = second.toLowerCase();
+    if (KEEP_PREFIXES.has(head) || KEEP_SUFFIXES.has(tail)) return 'keep';
+
+    const common = (part) => {
+      const rank = this.rank(part);
+      return part.length >= 3 && rank > 0 && rank <= COMMON_RANK;
+    };
+    if (common(head) && common(tail)) return 'keep';
+
+    return 'unresolved';
+  }
+
+  /**
+   * Lowercased words (hyphenated compounds whole) and how often they appear
+   */
+  countWords(text) {
+    const counts = new Map();
+    for (const [word] of text.matchAll(WORD)) {
+      const lower = word.toLowerCase();
+      counts.set(lower, (counts.get(lower) || 0) + 1);
+    }
+    return counts;
+  }
+}
+
+export default Dehyphenator;
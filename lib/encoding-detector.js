@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Encoding Detector
+ * Decodes text files that are not UTF-8: byte order marks first, then
+ * UTF-16 without a BOM (zero-byte pattern), strict UTF-8 validation, and
+ * finally a statistical pick between common legacy single-byte encodings
+ * based on how word-like the decoded text is.
+ */
+
+const BOMS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be' }
+];
+
+// Tried in order; earlier candidates win ties
+const SINGLE_BYTE_CANDIDATES = ['windows-1252', 'windows-1250', 'windows-1251', 'koi8-r', 'iso-8859-7'];
+
+const SAMPLE_SIZE = 64 * 1024;
+
+// HTML declares its encoding within the first 1024 bytes:
+// <meta charset="..."> or <meta http-equiv="Content-Type" content="...; charset=...">
+const DECLARATION_SIZE = 1024;
+const META_CHARSET = /<meta\s[^>]*?charset\s*=\s*["']?\s*([\w.:-]+)/i;
+const XML_ENCODING = /^\s*<\?xml[^>]*?encoding\s*=\s*["']([\w.:-]+)["']/i;
+
+// windows-1252 printable characters in the C1 range (0x80-0x9F); Node's
+// TextDecoder decodes that range as Latin-1 control characters
+const WINDOWS_1252_C1 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+class EncodingDetector {
+  /**
+   * Detect the encoding of a buffer
+   * @param {Buffer} buffer
+   * @param {boolean} partial - `buffer` is only the start of the file
+   * @returns {object} - { encoding, confidence (0-1), bom }
+   */
+  detect(buffer, partial = false) {
+    for (const bom of BOMS) {
+      if (bom.bytes.every((byte, i) => buffer[i] === byte)) {
+        return { encoding: bom.encoding, confidence: 1, bom: true };
+      }
+    }
+
+    const sample = buffer.subarray(0, SAMPLE_SIZE);
+
+    const utf16 = this.detectUtf16(sample);
+    if (utf16) {
+      return { encoding: utf16, confidence: 0.9, bom: false };
+    }
+
+    if (this.isUtf8(sample, partial || sample.length < buffer.length)) {
+      const ascii = sample.every(byte => byte < 0x80);
+      return { encoding: ascii ? 'ascii' : 'utf-8', confidence: ascii ? 1 : 0.99, bom: false };
+    }
+
+    return this.detectSingleByte(sample);
+  }
+
+  /**
+   * Decode a buffer to a string
+   * @param {Buffer} buffer
+   * @param {string} encoding - Override (skips detection)
+   * @param {string} declared - Encoding the document declares (e.g. an HTML
+   *   meta charset); used unless there is a byte order mark
+   * @returns {object} - { text, encoding, confidence, bom, overridden, declared }
+   */
+  decode(buffer, encoding = null, declared = null) {
+    let detected = encoding
+      ? { encoding: EncodingDetector.normalize(encoding), confidence: 1, bom: false }
+      : this.detect(buffer);
+
+    const useDeclared = Boolean(!encoding && declared && !detected.bom);
+    if (useDeclared) {
+      detected = { encoding: declared, confidence: 1, bom: false };
+    }
+
+    const text = this.decodeAs(buffer, detected.encoding);
+
+    return { text, ...detected, overridden: Boolean(encoding), declared: useDeclared };
+  }
+
+  /**
+   * The encoding an HTML or XML document declares for itself, with HTML's
+   * label rules (so "iso-8859-1" means windows-1252)
+   * @param {Buffer} buffer
+   * @returns {string|null} - null when none is declared or the label is unknown
+   */
+  static declaredEncoding(buffer) {
+    const head = buffer.subarray(0, DECLARATION_SIZE).toString('latin1');
+    const match = XML_ENCODING.exec(head) || META_CHARSET.exec(head);
+    if (!match) return null;
+
+    try {
+      const name = new TextDecoder(match[1]).encoding;
+      // A declaration readable as ASCII cannot be in UTF-16
+      return name.startsWith('utf-16') ? null : name;
+    } catch {
+      return null;
+    }
+  }
+
+  decodeAs(buffer, encoding) {
+    const decoder = this.createStreamDecoder(encoding);
+    return decoder.write(buffer) + decoder.end();
+  }
+
+  /**
+   * Incremental decoder for reading a file in chunks
+   * @returns {object} - { write(chunk) => string, end() => string }
+   */
+  createStreamDecoder(encoding) {
+    // TextDecoder strips a matching BOM itself
+    const decoder = new TextDecoder(encoding === 'ascii' ? 'utf-8' : encoding);
+    const fix = (text) => (encoding === 'windows-1252'
+      ? text.replace(/[\u0080-\u009F]/g, ch => WINDOWS_1252_C1[ch.charCodeAt(0) - 0x80])
+      : text);
+
+    return {
+      write: (chunk) => fix(decoder.decode(chunk, { stream: true })),
+      end: () => fix(decoder.decode())
+    };
+  }
+
+  /**
+   * Canonical name for a user-supplied encoding label
+   * @throws {RangeError} - Unknown encoding
+   */
+  static normalize(encoding) {
+    const label = String(encoding).trim().toLowerCase();
+    if (label === 'ascii' || label === 'us-ascii') return 'ascii';
+
+    const name = new TextDecoder(label).encoding;
+
+    // WHATWG maps Latin-1 labels to its superset windows-1252
+    return /^(latin-?1|iso-?8859-1|l1)$/.test(label) ? 'iso-8859-1' : name;
+  }
+
+  /**
+   * ASCII-heavy UTF-16 has a zero in every other byte
+   */
+  detectUtf16(sample) {
+    if (sample.length < 4) return null;
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    const pairs = Math.floor(sample.length / 2);
+
+    for (let i = 0; i + 1 < sample.length; i += 2) {
+      if (sample[i] === 0) evenZeros++;
+      if (sample[i + 1] === 0) oddZeros++;
+    }
+
+    if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return 'utf-16le';
+    if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return 'utf-16be';
+    return null;
+  }
+
+  /**
+   * Strict UTF-8 check; a sample cut mid-character is still valid
+   */
+  isUtf8(sample, truncated) {
+    let bytes = sample;
+
+    if (truncated) {
+      // Drop a trailing partial sequence
+      let end = bytes.length;
+      let back = 0;
+      while (back < 3 && end - back - 1 >= 0 && (bytes[end - back - 1] & 0xC0) === 0x80) back++;
+      if (end - back - 1 >= 0 && bytes[end - back - 1] >= 0xC0) end = end - back - 1;
+      bytes = bytes.subarray(0, end);
+    }
+
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  detectSingleByte(sample) {
+    const scored = SINGLE_BYTE_CANDIDATES
+      .map(encoding => ({ encoding, score: this.score(this.decodeAs(sample, encoding)) }))
+      .sort((a, b) => b.score - a.score);
+
+    const [best, second] = scored;
+
+    // Without C1 control bytes (0x80-0x9F), windows-1252 text is plain Latin-1
+    let encoding = best.encoding;
+    if (encoding === 'windows-1252' && !sample.some(byte => byte >= 0x80 && byte <= 0x9F)) {
+      encoding = 'iso-8859-1';
+    }
+
+    // Plausible text counts most; a clear lead over the runner-up adds to it
+    const margin = best.score - (second ? second.score : 0);
+    return {
+      encoding,
+      confidence: Math.round(Math.min(0.95, best.score * 0.7 + margin * 0.3) * 100) / 100,
+      bom: false
+    };
+  }
+
+  /**
+   * How plausible decoded text is: share of non-ASCII characters that sit
+   * in single-script, sensibly-cased words (0-1)
+   */
+  score(text) {
+    let good = 0;
+    let total = 0;
+
+    for (const match of text.matchAll(/[^\s]*[^\x00-\x7F][^\s]*/g)) {
+      const token = match[0];
+      const nonAscii = token.replace(/[\x00-\x7F]/g, '').length;
+      total += nonAscii;
+
+      const word = token.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+      if (!word || /[\p{C}]/u.test(token)) continue;
+
+      const scripts = ['Latin', 'Cyrillic', 'Greek'].filter(script => new RegExp(`\\p{Script=${script}}`, 'u').test(word));
+      const wordLike = /^\p{L}+(?:['’-]\p{L}+)*$/u.test(word);
+      const cased = /^\p{Lu}?[\p{Ll}'’-]*$/u.test(word) || /^[\p{Lu}'’-]+$/u.test(word);
+
+      // Latin words made only of accented letters are Cyrillic or Greek
+      // read with the wrong code page
+      const sprinkled = scripts[0] !== 'Latin' || word.length < 3 || /[A-Za-z]/.test(word);
+
+      if (scripts.length === 1 && wordLike && cased && sprinkled) {
+        good += word.replace(/[\x00-\x7F]/g, '').length;
+      }
+    }
+
+    return total > 0 ? good / total : 0;
+  }
+}
+
+export default EncodingDetector;
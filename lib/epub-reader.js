@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import ZipReader from './zip-reader.js';
+import {
+  parseMarkup,
+  findAll,
+  findFirst,
+  getAttr,
+  localName,
+  textContent,
+  extractBlocks
+} from './markup.js';
+
+/**
+ * EPUB Reader
+ * Reads EPUB 2/3 books in spine order and splits them into chapters using
+ * the navigation document (EPUB 3) or NCX (EPUB 2) table of contents.
+ */
+
+const posix = path.posix;
+
+class EpubReader {
+  constructor(options = {}) {
+    this.maxEntrySize = options.maxEntrySize;
+  }
+
+  /**
+   * Read an EPUB file
+   * @param {string} filePath - Path to .epub
+   * @returns {object} - { text, chapters, metadata }
+   */
+  read(filePath) {
+    const zip = ZipReader.fromFile(filePath, { maxEntrySize: this.maxEntrySize });
+    const opfPath = this.findPackagePath(zip);
+    const opf = parseMarkup(zip.readText(opfPath), { xml: true });
+    const baseDir = posix.dirname(opfPath);
+
+    const metadata = this.readMetadata(opf);
+    const manifest = this.readManifest(opf, baseDir);
+    const spine = this.readSpine(opf, manifest);
+
+    if (spine.length === 0) {
+      throw new Error('EPUB spine is empty');
+    }
+
+    const toc = this.readTOC(zip, opf, manifest);
+    const documents = spine.map(item => ({
+      href: item.href,
+      blocks: this.readDocument(zip, item.href)
+    }));
+
+    const chapters = toc.length > 0
+      ? this.splitByTOC(documents, toc)
+      : this.splitByDocument(documents);
+
+    return {
+      text: chapters.map(ch => ch.text).join('\n\n'),
+      chapters,
+      metadata
+    };
+  }
+
+  findPackagePath(zip) {
+    if (!zip.has('META-INF/container.xml')) {
+      throw new Error('Missing META-INF/container.xml');
+    }
+
+    const container = parseMarkup(zip.readText('META-INF/container.xml'), { xml: true });
+    const rootfile = findFirst(container, 'rootfile');
+    const fullPath = rootfile && getAttr(rootfile, 'full-path');
+
+    if (!fullPath || !zip.has(fullPath)) {
+      throw new Error('EPUB package document (OPF) not found');
+    }
+
+    return fullPath;
+  }
+
+  readMetadata(opf) {
+    const metadataEl = findFirst(opf, 'metadata');
+    const pick = (name) => {
+      const el = metadataEl && findFirst(metadataEl, name);
+      return el ? textContent(el).trim() || null : null;
+    };
+
+    const authors = metadataEl
+      ? findAll(metadataEl, 'creator').map(el => textContent(el).trim()).filter(Boolean)
+      : [];
+
+    return {
+      title: pick('title'),
+      author: authors.length > 0 ? authors.join(', ') : null,
+      language: pick('language'),
+      publisher: pick('publisher')
+    };
+  }
+
+  readManifest(opf, baseDir) {
+    const manifest = new Map();
+
+    for (const item of findAll(opf, 'item')) {
+      const id = getAttr(item, 'id');
+      const href = getAttr(item, 'href');
+      if (!id || !href) continue;
+
+      manifest.set(id, {
+        id,
+        href: this.resolveHref(baseDir, href),
+        mediaType: getAttr(item, 'media-type') || '',
+        properties: (getAttr(item, 'properties') || '').split(/\s+/)
+      });
+    }
+
+    return manifest;
+  }
+
+  readSpine(opf, manifest) {
+    return findAll(opf, 'itemref')
+      .filter(ref => getAttr(ref, 'linear') !== 'no')
+      .map(ref => manifest.get(getAttr(ref, 'idref')))
+      .filter(item => item && /html|xml/i.test(item.mediaType));
+  }
+
+  /**
+   * Table of contents as a flat list of { title, href, fragment }
+   * Prefers the EPUB 3 nav document, falls back to the EPUB 2 NCX.
+   */
+  readTOC(zip, opf, manifest) {
+    const navItem = Array.from(manifest.values()).find(item => item.properties.includes('nav'));
+
+    if (navItem && zip.has(navItem.href)) {
+      const toc = this.readNavDocument(zip, navItem.href);
+      if (toc.length > 0) return toc;
+    }
+
+    const spineEl = findFirst(opf, 'spine');
+    const ncxId = spineEl && getAttr(spineEl, 'toc');
+    const ncxItem = (ncxId && manifest.get(ncxId)) ||
+      Array.from(manifest.values()).find(item => item.mediaType === 'application/x-dtbncx+xml');
+
+    if (ncxItem && zip.has(ncxItem.href)) {
+      return this.readNCX(zip, ncxItem.href);
+    }
+
+    return [];
+  }
+
+  readNavDocument(zip, navHref) {
+    const doc = parseMarkup(zip.readText(navHref));
+    const navs = findAll(doc, 'nav');
+    const tocNav = navs.find(nav => getAttr(nav, 'epub:type') === 'toc') || navs[0];
+
+    if (!tocNav) return [];
+
+    const list = findFirst(tocNav, 'ol');
+    if (!list) return [];
+
+    const readList = (ol) => ol.children
+      .filter(child => child.type === 'element' && localName(child.name) === 'li')
+      .map(li => {
+        const link = findFirst(li, 'a');
+        const nested = li.children.find(c => c.type === 'element' && localName(c.name) === 'ol');
+        return {
+          title: link ? textContent(link).trim() : '',
+          target: link ? getAttr(link, 'href') : null,
+          children: nested ? readList(nested) : []
+        };
+      });
+
+    return this.flattenTOC(readList(list), posix.dirname(navHref));
+  }
+
+  readNCX(zip, ncxHref) {
+    const doc = parseMarkup(zip.readText(ncxHref), { xml: true });
+    const navMap = findFirst(doc, 'navmap');
+    if (!navMap) return [];
+
+    const readPoints = (parent) => parent.children
+      .filter(child => child.type === 'element' && localName(child.name) === 'navpoint')
+      .map(point => {
+        const label = findFirst(point, 'navlabel');
+        const content = findFirst(point, 'content');
+        return {
+          title: label ? textContent(label).trim() : '',
+          target: content ? getAttr(content, 'src') : null,
+          children: readPoints(point)
+        };
+      });
+
+    return this.flattenTOC(readPoints(navMap), posix.dirname(ncxHref));
+  }
+
+  /**
+   * Pick the chapter level of a nested TOC
+   *
+   * Uses top-level entries, unless the book wraps everything in a single
+   * entry (e.g. "Book One"), in which case its children are used instead.
+   */
+  flattenTOC(entries, baseDir) {
+    let level = entries.filter(entry => entry.target);
+
+    while (level.length === 1 && level[0].children.length > 0) {
+      level = level[0].children.filter(entry => entry.target);
+    }
+
+    return level.map(entry => {
+      const [file, fragment] = entry.target.split('#');
+      return {
+        title: entry.title,
+        href: this.resolveHref(baseDir, file),
+        fragment: fragment ? decodeURIComponent(fragment) : null
+      };
+    });
+  }
+
+  readDocument(zip, href) {
+    if (!zip.has(href)) {
+      return [];
+    }
+
+    const doc = parseMarkup(zip.readText(href));
+    const body = findFirst(doc, 'body') || doc;
+
+    return extractBlocks(body);
+  }
+
+  splitByTOC(documents, toc) {
+    const chapters = [];
+    let current = { title: 'Introduction', blocks: [] };
+
+    const startChapter = (entry) => {
+      chapters.push(current);
+      current = { title: entry.title || `Chapter ${chapters.length}`, blocks: [] };
+    };
+
+    for (const doc of documents) {
+      const docEntries = toc.filter(entry => entry.href === doc.href);
+      const wholeDoc = docEntries.find(entry => !entry.fragment);
+
+      if (wholeDoc) {
+        startChapter(wholeDoc);
+      }
+
+      for (const block of doc.blocks) {
+        const anchored = docEntries.find(entry =>
+          entry.fragment && entry !== wholeDoc && block.anchors.includes(entry.fragment)
+        );
+
+        if (anchored) {
+          startChapter(anchored);
+        }
+
+        if (block.text) {
+          current.blocks.push(block.text);
+        }
+      }
+    }
+
+    chapters.push(current);
+
+    return this.finalizeChapters(chapters);
+  }
+
+  splitByDocument(documents) {
+    const chapters = documents.map((doc, i) => {
+      const heading = doc.blocks.find(block => /^h[1-3]$/.test(block.tag));
+      return {
+        title: heading ? heading.text : `Chapter ${i + 1}`,
+        blocks: doc.blocks.map(block => block.text).filter(Boolean)
+      };
+    });
+
+    return this.finalizeChapters(chapters);
+  }
+
+  finalizeChapters(rawChapters) {
+    const chapters = [];
+
+    for (const raw of rawChapters) {
+      // Drop a leading heading that just repeats the chapter title
+      const blocks = raw.blocks.slice();
+      if (blocks.length > 1 && blocks[0].trim().toLowerCase() === raw.title.trim().toLowerCase()) {
+        blocks.shift();
+      }
+
+      const text = blocks.join('\n\n').trim();
+      if (text.length === 0) continue;
+
+      chapters.push({
+        number: chapters.length + 1,
+        title: raw.title.substring(0, 200),
+        text
+      });
+    }
+
+    return chapters;
+  }
+
+  resolveHref(baseDir, href) {
+    let decoded = href;
+    try {
+      decoded = decodeURIComponent(href);
+    } catch {
+      // Keep the raw href if it is not valid percent-encoding
+    }
+
+    return posix.normalize(posix.join(baseDir === '.' ? '' : baseDir, decoded)).replace(/^\/+/, '');
+  }
+}
+
+export default EpubReader;
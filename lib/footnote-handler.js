@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+/**
+ * Footnote Handler
+ * Finds note markers in running text (word¹, word[12], word*, and plain
+ * digits after a word when a matching note exists) and the note bodies -
+ * footnote blocks at page bottoms and "Notes"/"Endnotes" sections - then
+ * drops the notes, moves them to the end of the chapter, or reads them
+ * inline after the sentence that cites them.
+ */
+
+const SUPERSCRIPTS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+const POLICIES = ['drop', 'end', 'inline'];
+
+// Units after a number, whose superscripts are exponents: "5 km²", "9.8 m/s²"
+const UNIT = String.raw`(?:[kcmdµμn]?m|ft|in|mi|yd|ha|[kMG]?[gWJ]|[kMG]?Hz|s|[lL])`;
+
+// `always` markers are removed even when no note body is found. Superscripts
+// are not: after a number ("10⁶") or a unit ("km²") they are exponents
+const MARKERS = [
+  { pattern: new RegExp(String.raw`(?<=[\p{L}.,;:!?'"”’)\]])(?<!\d[ \t]?(?:${UNIT}\/)?${UNIT})[⁰¹²³⁴⁵⁶⁷⁸⁹]+`, 'gu'), key: m => toDigits(m[0]), always: false },
+  { pattern: /(?<=[\p{L}.,;:!?'"”’)])\[(\d{1,3})\](?![[(])/gu, key: m => m[1], always: true },
+  { pattern: /(?<=[\p{L}.,;:!?'"”’)])(\*{1,3}|†|‡)(?=[\s.,;:!?'"”’)]|$)/gu, key: m => m[1], always: false },
+  { pattern: /(?<=\p{Ll}[.,;:!?"”’)]?)(\d{1,3})(?=[\s"”’)]|$)/gu, key: m => m[1], always: false }
+];
+
+// "¹ Text", "[1] Text", "1. Text", "1 Text", "* Text"
+const NOTE_LINE = /^[ \t]*(?:([⁰¹²³⁴⁵⁶⁷⁸⁹]+)|\[(\d{1,3})\]|(\d{1,3})[.):]?|(\*{1,3}|†|‡))[ \t]+(\S.*)$/u;
+
+const NOTES_HEADING = /^[ \t]*(?:notes|endnotes|footnotes)[ \t]*$/i;
+
+const SEPARATOR = /^[ \t]*[_—–-]{5,}[ \t]*$/;
+
+function toDigits(text) {
+  return text.replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]/g, ch => String(SUPERSCRIPTS.indexOf(ch)));
+}
+
+class FootnoteHandler {
+  /**
+   * @param {object} options
+   * @param {string} options.policy - 'drop', 'end' (of the chapter) or 'inline'
+   * @param {function} options.isHeading - Whether a line starts a chapter
+   */
+  constructor(options = {}) {
+    this.policy = options.policy || 'end';
+    this.isHeading = options.isHeading || (() => false);
+
+    if (!POLICIES.includes(this.policy)) {
+      throw new Error(`Unknown footnote policy: ${this.policy} (use ${POLICIES.join(', ')})`);
+    }
+  }
+
+  static get policies() {
+    return [...POLICIES];
+  }
+
+  /**
+   * @param {string} text
+   * @param {object} options
+   * @param {object[]} options.carry - Notes still waiting for their chapter
+   *   to end; shared between the windows of a streamed book
+   * @param {boolean} options.final - No more text follows
+   * @returns {object} - { text, notes } (notes found)
+   */
+  process(text, options = {}) {
+    const carry = options.carry || [];
+    const final = options.final !== false;
+
+    const lines = text.split('\n');
+    const markers = this.findMarkers(lines);
+    const { notes, removed } = this.findNotes(lines, markers);
+
+    if (notes.length === 0 && markers.length === 0 && carry.length === 0) {
+      return { text, notes: 0 };
+    }
+
+    // Markers inside note bodies go with them
+    const cited = markers.filter(marker => {
+      if (!removed.has(marker.line)) return true;
+      if (marker.note) marker.note.marker = null;
+      return false;
+    });
+
+    // Text without the note bodies; markers keep their line/column
+    const starts = [];
+    const kept = [];
+    let offset = 0;
+    lines.forEach((line, i) => {
+      starts.push(offset);
+      if (removed.has(i)) return;
+      kept.push(line);
+      offset += line.length + 1;
+    });
+    const body = kept.join('\n');
+    const position = (marker) => starts[marker.line] + marker.column;
+
+    const edits = [];
+    const moved = [...carry.splice(0)];
+
+    cited.forEach((marker, seq) => {
+      if (!marker.note && !marker.always) return;
+      const at = position(marker);
+
+      if (this.policy === 'inline' && marker.note) {
+        const end = this.sentenceEnd(body, at, at + marker.length);
+        if (end === at + marker.length) {
+          edits.push({ at, remove: marker.length, insert: ` Note: ${marker.note.text}`, seq });
+        } else {
+          edits.push({ at, remove: marker.length, insert: '', seq });
+          edits.push({ at: end, remove: 0, insert: ` Note: ${marker.note.text}`, seq });
+        }
+        return;
+      }
+
+      edits.push({ at, remove: marker.length, insert: '', seq });
+      if (this.policy === 'end' && marker.note) {
+        moved.push({ ...marker.note, at });
+      }
+    });
+
+    // Notes nobody cites (e.g. an endnote section with unmarked references)
+    if (this.policy !== 'drop') {
+      for (const note of notes.filter(n => !n.marker)) {
+        moved.push({ ...note, at: starts[note.line] });
+      }
+    }
+
+    // Each chapter's notes go just before the next chapter heading
+    const headings = this.headingOffsets(body);
+    const groups = new Map();
+    for (const note of moved.sort((a, b) => (a.at ?? -1) - (b.at ?? -1))) {
+      const next = headings.find(h => h > (note.at ?? -1));
+      const target = next === undefined ? body.length : next;
+
+      if (next === undefined && !final) {
+        carry.push({ key: note.key, text: note.text });
+        continue;
+      }
+
+      if (!groups.has(target)) groups.set(target, []);
+      groups.get(target).push(note);
+    }
+
+    for (const [target, group] of groups) {
+      const block = ['Notes.', ...group.map(note => (/^\d+$/.test(note.key) ? `Note ${note.key}: ` : 'Note: ') + note.text)].join('\n\n');
+      edits.push({
+        at: target,
+        remove: 0,
+        insert: target === body.length ? `\n\n${block}` : `${block}\n\n`,
+        seq: Infinity
+      });
+    }
+
+    let result = body;
+    edits
+      .sort((a, b) => b.at - a.at || b.seq - a.seq)
+      .forEach(edit => {
+        result = result.slice(0, edit.at) + edit.insert + result.slice(edit.at + edit.remove);
+      });
+
+    return { text: result, notes: notes.length };
+  }
+
+  findMarkers(lines) {
+    const markers = [];
+
+    lines.forEach((line, i) => {
+      if (NOTE_LINE.test(line)) return;
+
+      for (const type of MARKERS) {
+        for (const match of line.matchAll(type.pattern)) {
+          markers.push({
+            line: i,
+            column: match.index,
+            length: match[0].length,
+            key: type.key(match),
+            always: type.always,
+            note: null
+          });
+        }
+      }
+    });
+
+    return markers.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Note bodies: footnote blocks (after a blank or separator line, cited
+   * earlier) and everything in a Notes section
+   * @returns {object} - { notes, removed: Set of line indices }
+   */
+  findNotes(lines, markers) {
+    const notes = [];
+    const removed = new Set();
+    let section = false;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const match = NOTE_LINE.exec(line);
+      const key = match ? toDigits(match[1] || match[2] || match[3] || match[4]) : null;
+      const marker = match ? this.citingMarker(markers, key, i) : null;
+
+      // "3. See Smith" looks like a chapter heading; in a Notes section
+      // it is a note if something cites it
+      if (this.isHeading(line) && !(section && marker)) {
+        section = false;
+        continue;
+      }
+
+      if (NOTES_HEADING.test(line) && this.nextNoteLine(lines, i + 1) !== -1) {
+        section = true;
+        removed.add(i);
+        continue;
+      }
+
+      if (!match) continue;
+
+      const previous = i > 0 ? lines[i - 1] : '';
+      const startsBlock = i === 0 || previous.trim() === '' || SEPARATOR.test(previous) || removed.has(i - 1);
+
+      if (!section && !(startsBlock && marker)) continue;
+
+      // Continuation lines run to the next blank line or note
+      const parts = [match[5].trim()];
+      removed.add(i);
+      let j = i + 1;
+      while (j < lines.length && lines[j].trim() !== '' && !NOTE_LINE.test(lines[j]) &&
+             !this.isHeading(lines[j]) && !SEPARATOR.test(lines[j])) {
+        parts.push(lines[j].trim());
+        removed.add(j);
+        j++;
+      }
+
+      if (i > 0 && SEPARATOR.test(previous)) removed.add(i - 1);
+
+      const note = { key, text: this.noteText(parts), line: i, marker };
+      if (marker) marker.note = note;
+      notes.push(note);
+      i = j - 1;
+    }
+
+    return { notes, removed };
+  }
+
+  /**
+   * The latest uncited marker with this key before `line`
+   */
+  citingMarker(markers, key, line) {
+    for (let k = markers.length - 1; k >= 0; k--) {
+      const marker = markers[k];
+      if (marker.line < line && marker.key === key && !marker.note) {
+        return marker;
+      }
+    }
+    return null;
+  }
+
+  nextNoteLine(lines, from) {
+    for (let i = from; i < lines.length; i++) {
+      if (lines[i].trim() === '') continue;
+      return NOTE_LINE.test(lines[i]) ? i : -1;
+    }
+    return -1;
+  }
+
+  noteText(parts) {
+    const text = parts.join(' ')
+      .replace(/(\w)- (\w)/g, '$1$2')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return /[.!?]["”’)]*$/.test(text) ? text : `${text}.`;
+  }
+
+  /**
+   * Where the sentence holding a marker ends (right after its punctuation)
+   * @param {number} start - Marker start
+   * @param {number} from - Marker end
+   */
+  sentenceEnd(text, start, from) {
+    // Marker right after the full stop: "the end.¹"
+    if (/[.!?]["”’)]*$/.test(text.slice(Math.max(0, start - 4), start))) {
+      return from;
+    }
+
+    const end = /[.!?]+["”’)]*(?=\s|$)/g;
+    end.lastIndex = from;
+    const match = end.exec(text);
+    const paragraph = text.indexOf('\n\n', from);
+
+    if (match && (paragraph === -1 || match.index < paragraph)) {
+      return match.index + match[0].length;
+    }
+    return paragraph === -1 ? text.length : paragraph;
+  }
+
+  headingOffsets(text) {
+    const offsets = [];
+    let offset = 0;
+
+    for (const line of text.split('\n')) {
+      if (this.isHeading(line)) offsets.push(offset);
+      offset += line.length + 1;
+    }
+
+    return offsets;
+  }
+}
+
+export default FootnoteHandler;
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+import {
+  parseMarkup,
+  findAll,
+  findFirst,
+  getAttr,
+  localName,
+  textContent,
+  extractBlocks
+} from './markup.js';
+
+/**
+ * HTML Article Extractor
+ * Pulls the main article out of a saved web page (readability-style
+ * scoring), keeps the headline and byline, and splits on h1-h3 headings.
+ */
+
+// Page furniture that is never part of the article
+const REMOVED_ELEMENTS = new Set([
+  'nav', 'footer', 'aside', 'form', 'button', 'iframe', 'noscript', 'dialog'
+]);
+
+const UNLIKELY_PATTERN = /(^|[\s_-])(ad|ads|advert|banner|breadcrumb|comment|cookie|disqus|footer|menu|meta|modal|nav|newsletter|outbrain|pagination|popup|promo|related|share|sharing|sidebar|social|sponsor|subscribe|taboola|widget)s?([\s_-]|$)/i;
+const LIKELY_PATTERN = /article|body|content|entry|main|post|story|text/i;
+const POSITIVE_PATTERN = /article|body|content|entry|main|page|post|story|text/i;
+const NEGATIVE_PATTERN = /comment|footer|footnote|masthead|promo|related|scroll|shoutbox|sidebar|sponsor|shopping|tags|widget/i;
+const BYLINE_PATTERN = /byline|author|writtenby|p-author/i;
+
+const SCORED_TAGS = new Set(['p', 'pre', 'td', 'blockquote']);
+
+class HtmlExtractor {
+  constructor(options = {}) {
+    this.minParagraphLength = options.minParagraphLength || 25;
+  }
+
+  /**
+   * Extract the main article from an HTML document
+   * @param {string} html - Page source
+   * @returns {object} - { text, chapters, metadata }
+   */
+  extract(html) {
+    const doc = parseMarkup(html);
+    const author = this.findByline(doc);
+
+    const body = findFirst(doc, 'body') || doc;
+    this.removeClutter(body);
+
+    const content = this.findContent(body);
+    const metadata = {
+      title: this.findHeadline(doc, content),
+      author
+    };
+    const blocks = content.flatMap(node => extractBlocks({ children: [node] }));
+    const chapters = this.splitByHeadings(blocks, metadata);
+
+    return {
+      text: chapters.map(ch => ch.text).join('\n\n'),
+      chapters,
+      metadata
+    };
+  }
+
+  /**
+   * @param {object} doc - Parsed page
+   * @param {object[]} content - Article nodes picked by findContent
+   */
+  findHeadline(doc, content = []) {
+    const meta = findAll(doc, 'meta').find(el =>
+      /^(og:title|twitter:title)$/i.test(getAttr(el, 'property') || getAttr(el, 'name') || '')
+    );
+    if (meta && getAttr(meta, 'content')) {
+      return getAttr(meta, 'content').trim();
+    }
+
+    // The article's own h1 before any other: a site header's h1 comes first
+    const h1 = this.articleHeading(content) || findFirst(doc, h => localName(h.name) === 'h1' && textContent(h).trim());
+    if (h1 && textContent(h1).trim()) {
+      return textContent(h1).trim();
+    }
+
+    const title = findFirst(doc, 'title');
+    if (title) {
+      // "Headline | Site Name" -> "Headline"
+      return textContent(title).split(/\s[|\-–—]\s/)[0].trim() || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * The h1 inside the article, or else the closest one just before it
+   */
+  articleHeading(content) {
+    const isHeading = el => localName(el.name) === 'h1' && textContent(el).trim().length > 0;
+
+    for (const node of content) {
+      const inside = findFirst({ children: [node] }, isHeading);
+      if (inside) return inside;
+    }
+
+    const first = content[0];
+    const siblings = (first && first.parent && first.parent.children) || [];
+    for (let i = siblings.indexOf(first) - 1; i >= 0; i--) {
+      const before = findAll({ children: [siblings[i]] }, isHeading);
+      if (before.length > 0) return before[before.length - 1];
+    }
+
+    return null;
+  }
+
+  findByline(doc) {
+    const meta = findAll(doc, 'meta').find(el =>
+      /^(author|article:author|byl)$/i.test(getAttr(el, 'name') || getAttr(el, 'property') || '')
+    );
+    if (meta && getAttr(meta, 'content') && !/^https?:/.test(getAttr(meta, 'content'))) {
+      return this.cleanByline(getAttr(meta, 'content'));
+    }
+
+    const candidate = findAll(doc, el =>
+      getAttr(el, 'rel') === 'author' ||
+      /author/i.test(getAttr(el, 'itemprop') || '') ||
+      BYLINE_PATTERN.test(`${el.attrs.class || ''} ${el.attrs.id || ''}`)
+    ).find(el => {
+      const text = textContent(el).trim();
+      return text.length > 0 && text.length < 100;
+    });
+
+    return candidate ? this.cleanByline(textContent(candidate)) : null;
+  }
+
+  cleanByline(text) {
+    return text.replace(/\s+/g, ' ').replace(/^\s*by\s+/i, '').trim() || null;
+  }
+
+  /**
+   * Remove navigation, ads, comments and other non-article elements
+   */
+  removeClutter(node) {
+    node.children = node.children.filter(child => {
+      if (child.type !== 'element') return true;
+
+      const name = localName(child.name);
+      const classAndId = `${child.attrs.class || ''} ${child.attrs.id || ''} ${child.attrs.role || ''}`;
+
+      if (REMOVED_ELEMENTS.has(name)) return false;
+      if (/^(navigation|banner|complementary|contentinfo)$/i.test(child.attrs.role || '')) return false;
+      if (name !== 'body' && name !== 'article' && name !== 'main' &&
+          UNLIKELY_PATTERN.test(classAndId) && !LIKELY_PATTERN.test(classAndId)) {
+        return false;
+      }
+
+      this.removeClutter(child);
+      return true;
+    });
+  }
+
+  /**
+   * Score candidate containers and return the nodes that make up the article
+   */
+  findContent(body) {
+    const scores = new Map();
+
+    const addScore = (node, amount) => {
+      if (!node || node.type !== 'element') return;
+      if (!scores.has(node)) {
+        scores.set(node, this.initialScore(node));
+      }
+      scores.set(node, scores.get(node) + amount);
+    };
+
+    for (const el of findAll(body, el => SCORED_TAGS.has(localName(el.name)))) {
+      const text = textContent(el).trim();
+      if (text.length < this.minParagraphLength) continue;
+
+      const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      addScore(el.parent, score);
+      addScore(el.parent && el.parent.parent, score / 2);
+    }
+
+    let top = null;
+    let topScore = 0;
+
+    for (const [node, score] of scores) {
+      const adjusted = score * (1 - this.linkDensity(node));
+      scores.set(node, adjusted);
+      if (adjusted > topScore) {
+        top = node;
+        topScore = adjusted;
+      }
+    }
+
+    if (!top) {
+      return [body];
+    }
+
+    // Pull in siblings that look like part of the same article
+    const parent = top.parent;
+    if (!parent || parent.type === 'root') {
+      return [top];
+    }
+
+    const threshold = Math.max(10, topScore * 0.2);
+    return parent.children.filter(sibling => {
+      if (sibling === top) return true;
+      if (sibling.type !== 'element') return false;
+      if (scores.has(sibling) && scores.get(sibling) >= threshold) return true;
+
+      if (localName(sibling.name) === 'p') {
+        const text = textContent(sibling).trim();
+        return text.length > 80 && this.linkDensity(sibling) < 0.25;
+      }
+
+      return false;
+    });
+  }
+
+  initialScore(node) {
+    const name = localName(node.name);
+    let score = 0;
+
+    if (name === 'article' || name === 'main') score += 10;
+    else if (name === 'div' || name === 'section') score += 5;
+    else if (['pre', 'td', 'blockquote'].includes(name)) score += 3;
+    else if (['ol', 'ul', 'dl', 'dd', 'dt', 'li', 'form'].includes(name)) score -= 3;
+    else if (/^h[1-6]$/.test(name) || name === 'th') score -= 5;
+
+    const classAndId = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+    if (POSITIVE_PATTERN.test(classAndId)) score += 25;
+    if (NEGATIVE_PATTERN.test(classAndId)) score -= 25;
+
+    return score;
+  }
+
+  linkDensity(node) {
+    const total = textContent(node).trim().length;
+    if (total === 0) return 0;
+
+    const linked = findAll(node, 'a').reduce((sum, a) => sum + textContent(a).trim().length, 0);
+    return linked / total;
+  }
+
+  /**
+   * Turn content blocks into chapters at h1-h3 headings
+   * The headline and byline open the first chapter.
+   */
+  splitByHeadings(blocks, metadata) {
+    const headline = metadata.title || 'Article';
+    const sections = [];
+    let current = { title: headline, blocks: [] };
+
+    if (metadata.author) {
+      current.blocks.push(`By ${metadata.author}.`);
+    }
+
+    for (const block of blocks) {
+      if (/^h[1-3]$/.test(block.tag)) {
+        // The article's own headline is already the first chapter title
+        if (block.text.toLowerCase() === headline.toLowerCase()) continue;
+
+        sections.push(current);
+        current = { title: block.text, blocks: [] };
+        continue;
+      }
+
+      // Skip repeated byline lines inside the article body
+      if (metadata.author && block.text.length < 100 &&
+          this.cleanByline(block.text) === metadata.author) {
+        continue;
+      }
+
+      current.blocks.push(block.text);
+    }
+
+    sections.push(current);
+
+    const chapters = [];
+    let byline = [];
+    for (const section of sections) {
+      // A byline alone is not a chapter: it opens the next one instead
+      if (section.blocks.length === 1 && section.blocks[0] === `By ${metadata.author}.`) {
+        byline = section.blocks;
+        continue;
+      }
+
+      if (section.blocks.join('').trim().length === 0) {
+        continue;
+      }
+
+      const text = [...byline, ...section.blocks].join('\n\n').trim();
+      byline = [];
+
+      chapters.push({
+        number: chapters.length + 1,
+        title: section.title.substring(0, 200),
+        text
+      });
+    }
+
+    return chapters;
+  }
+}
+
+export default HtmlExtractor;
@@ -0,0 +1,820 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * LaTeX Extractor
+ * Reads .tex sources (arXiv-style papers): follows \input/\include,
+ * expands simple \newcommand macros, drops the preamble, floats and
+ * display math, resolves \ref to numbers and makes citations speakable.
+ * The top two sectioning levels present (usually \section and
+ * \subsection) become chapters; deeper headings are read as sentences.
+ */
+
+// Environments whose content is never read
+const DROPPED_ENVIRONMENTS = new Set([
+  'figure', 'figure*', 'table', 'table*', 'wrapfigure', 'wraptable', 'subfigure', 'sidewaysfigure',
+  'sidewaystable', 'algorithm', 'algorithm*', 'algorithmic', 'lstlisting', 'verbatim', 'verbatim*',
+  'minted', 'tikzpicture', 'tabular', 'tabular*', 'tabularx', 'longtable', 'thebibliography',
+  'equation', 'equation*', 'align', 'align*', 'alignat', 'alignat*', 'gather', 'gather*',
+  'multline', 'multline*', 'eqnarray', 'eqnarray*', 'displaymath', 'comment', 'filecontents',
+  'filecontents*'
+]);
+
+const FLOAT_TYPES = {
+  figure: 'figure', 'figure*': 'figure', wrapfigure: 'figure', sidewaysfigure: 'figure',
+  table: 'table', 'table*': 'table', wraptable: 'table', sidewaystable: 'table',
+  algorithm: 'algorithm', 'algorithm*': 'algorithm'
+};
+
+const EQUATION_ENVIRONMENTS = new Set(['equation', 'align', 'gather', 'multline', 'eqnarray', 'alignat']);
+
+const SECTION_LEVELS = { part: 0, chapter: 1, section: 2, subsection: 3, subsubsection: 4, paragraph: 5, subparagraph: 6 };
+
+const REF_NAMES = {
+  chapter: 'Chapter', section: 'Section', subsection: 'Section', subsubsection: 'Section',
+  figure: 'Figure', table: 'Table', equation: 'Equation', algorithm: 'Algorithm', appendix: 'Appendix'
+};
+
+// Citation commands read as part of the sentence ("Smith et al. (2020) showed")
+const TEXTUAL_CITES = new Set(['citet', 'citet*', 'textcite', 'Textcite', 'citealt', 'citeauthor', 'Citet', 'Citeauthor']);
+const PARENTHETICAL_CITES = new Set(['cite', 'citep', 'citep*', 'citealp', 'parencite', 'Parencite', 'autocite', 'Autocite', 'footcite', 'supercite', 'Cite', 'Citep']);
+
+// Commands whose arguments are not part of the text
+const DROPPED_COMMANDS = {
+  label: 1, vspace: 1, hspace: 1, includegraphics: 1, bibliographystyle: 1, bibliography: 1,
+  setlength: 2, addtolength: 2, setcounter: 2, addtocounter: 2, pagestyle: 1, thispagestyle: 1,
+  pagenumbering: 1, usepackage: 1, documentclass: 1, caption: 1, footnote: 1, footnotetext: 1,
+  thanks: 1, index: 1, glossary: 1, pageref: 1, addcontentsline: 3, hypersetup: 1, definecolor: 3,
+  color: 1, todo: 1, marginpar: 1, affil: 1, affiliation: 1, email: 1, orcid: 1, institute: 1,
+  vskip: 0, hskip: 0, newpage: 0, clearpage: 0, cleardoublepage: 0, maketitle: 0, tableofcontents: 0,
+  listoffigures: 0, listoftables: 0, noindent: 0, centering: 0, raggedright: 0, raggedleft: 0,
+  medskip: 0, smallskip: 0, bigskip: 0, hfill: 0, vfill: 0, linebreak: 0, pagebreak: 0, protect: 0,
+  appendix: 0, nocite: 1, printbibliography: 0, acknowledgments: 0, IEEEpeerreviewmaketitle: 0
+};
+
+const ACCENTS = {
+  "'": '́', '`': '̀', '^': '̂', '"': '̈', '~': '̃', '=': '̄',
+  '.': '̇', c: '̧', u: '̆', v: '̌', H: '̋', k: '̨', r: '̊'
+};
+
+const SYMBOLS = {
+  ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', aa: 'å', AA: 'Å', l: 'ł', L: 'Ł',
+  i: 'ı', ldots: '…', dots: '…', textendash: '–', textemdash: '—', textquoteleft: '‘',
+  textquoteright: '’', textquotedblleft: '“', textquotedblright: '”', textbullet: '•', S: '§',
+  P: '¶', copyright: '©', textregistered: '®', texttrademark: '™', pounds: '£', euro: '€',
+  textasciitilde: '~', textbackslash: '\\', LaTeX: 'LaTeX', TeX: 'TeX', today: ''
+};
+
+const GREEK = new Set([
+  'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'varepsilon', 'zeta', 'eta', 'theta', 'vartheta',
+  'iota', 'kappa', 'lambda', 'mu', 'nu', 'xi', 'pi', 'rho', 'sigma', 'tau', 'upsilon', 'phi',
+  'varphi', 'chi', 'psi', 'omega', 'Gamma', 'Delta', 'Theta', 'Lambda', 'Xi', 'Pi', 'Sigma',
+  'Phi', 'Psi', 'Omega'
+]);
+
+const HEADING_MARK = '\u0001';
+
+class LatexExtractor {
+  /**
+   * @param {object} options
+   * @param {string} options.citations - 'remove' (default) or 'speak' parenthetical citations
+   * @param {Function} options.readText - File reader (default: UTF-8)
+   */
+  constructor(options = {}) {
+    this.citations = options.citations || 'remove';
+    this.maxInputDepth = options.maxInputDepth || 10;
+    this.maxLength = options.maxLength || 50 * 1024 * 1024;
+    this.readText = options.readText || ((file) => fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Extract chapters from a .tex file (and the files it includes)
+   * @param {string} filePath - Main .tex file
+   * @returns {object} - { text, chapters, metadata }
+   */
+  extract(filePath) {
+    const rootDir = path.dirname(path.resolve(filePath));
+    const source = this.readSource(path.resolve(filePath), rootDir, new Set(), 0);
+
+    const { source: withoutMacros, macros } = this.collectMacros(source);
+    const expanded = this.expandMacros(withoutMacros, macros);
+
+    const metadata = this.readMetadata(expanded);
+    const bibliography = this.readBibliography(expanded, filePath, rootDir);
+
+    const beginDoc = expanded.indexOf('\\begin{document}');
+    const endDoc = expanded.indexOf('\\end{document}');
+    let body = beginDoc === -1
+      ? expanded
+      : expanded.slice(beginDoc + '\\begin{document}'.length, endDoc === -1 ? undefined : endDoc);
+
+    const labels = this.collectLabels(body);
+
+    body = this.removeEnvironments(body);
+    body = this.removeMath(body);
+    body = this.convertCommands(body, { labels, bibliography });
+
+    const chapters = this.splitChapters(this.toBlocks(body), metadata);
+
+    return {
+      text: chapters.map(ch => ch.text).join('\n\n'),
+      chapters,
+      metadata
+    };
+  }
+
+  /**
+   * Read a file with comments removed and \input/\include resolved
+   */
+  readSource(filePath, rootDir, seen, depth) {
+    if (seen.has(filePath)) {
+      return '';
+    }
+    seen.add(filePath);
+
+    const source = this.stripComments(this.readText(filePath).replace(/\r\n?/g, '\n'));
+    let total = source.length;
+
+    return source.replace(/\\(input|include|subfile)\s*\{([^}]+)\}/g, (match, command, name) => {
+      if (depth >= this.maxInputDepth) return '';
+
+      let target = path.resolve(path.dirname(filePath), name.trim());
+      if (!fs.existsSync(target) && fs.existsSync(`${target}.tex`)) target = `${target}.tex`;
+
+      // Included files must stay inside the paper's directory
+      const relative = path.relative(rootDir, target);
+      if (relative.startsWith('..') || path.isAbsolute(relative) || !fs.existsSync(target) ||
+          !fs.statSync(target).isFile()) {
+        return '';
+      }
+
+      const included = this.readSource(target, rootDir, seen, depth + 1);
+      total += included.length;
+      if (total > this.maxLength) {
+        throw new Error('LaTeX source too large');
+      }
+
+      // \include starts a new page, i.e. a new paragraph
+      return command === 'include' ? `\n\n${included}\n\n` : included;
+    });
+  }
+
+  stripComments(source) {
+    // An unescaped % comments out the rest of the line, newline included
+    return source
+      .replace(/(^|[^\\])((?:\\\\)*)%.*\n?/gm, '$1$2')
+      .replace(/\\begin\{comment\}[\s\S]*?\\end\{comment\}/g, '');
+  }
+
+  /**
+   * Remove \newcommand/\renewcommand/\def definitions, returning the macros
+   */
+  collectMacros(source) {
+    const macros = new Map();
+    let out = '';
+    let i = 0;
+    const pattern = /\\(?:(?:re)?newcommand\*?|providecommand\*?|DeclareRobustCommand\*?|def)\s*/g;
+
+    while (i < source.length) {
+      pattern.lastIndex = i;
+      const match = pattern.exec(source);
+      if (!match) break;
+
+      out += source.slice(i, match.index);
+      let pos = match.index + match[0].length;
+      let name = null;
+      let argCount = 0;
+
+      if (source[pos] === '{') {
+        const group = this.readGroup(source, pos);
+        name = group.content.trim().replace(/^\\/, '');
+        pos = group.end;
+      } else {
+        const nameMatch = /^\\([A-Za-z]+|.)/.exec(source.slice(pos));
+        if (nameMatch) {
+          name = nameMatch[1];
+          pos += nameMatch[0].length;
+        }
+      }
+
+      // [n] argument count, optional default, or \def parameter text (#1#2)
+      let optional = this.readOptional(source, pos);
+      if (optional) {
+        argCount = parseInt(optional.content, 10) || 0;
+        pos = optional.end;
+        optional = this.readOptional(source, pos);
+        if (optional) pos = optional.end;
+      }
+      const params = /^(#\d)+/.exec(source.slice(pos));
+      if (params) {
+        argCount = params[0].length / 2;
+        pos += params[0].length;
+      }
+
+      while (pos < source.length && /\s/.test(source[pos])) pos++;
+      if (source[pos] === '{' && name) {
+        const body = this.readGroup(source, pos);
+        macros.set(name, { argCount, body: body.content });
+        pos = body.end;
+      }
+
+      i = pos;
+    }
+
+    out += source.slice(i);
+    return { source: out, macros };
+  }
+
+  expandMacros(source, macros) {
+    if (macros.size === 0) return source;
+
+    const names = [...macros.keys()].filter(name => /^[A-Za-z]+$/.test(name));
+    if (names.length === 0) return source;
+
+    const pattern = new RegExp(`\\\\(${names.join('|')})(?![A-Za-z])`, 'g');
+
+    for (let pass = 0; pass < 10; pass++) {
+      let changed = false;
+      let out = '';
+      let i = 0;
+      let match;
+
+      pattern.lastIndex = 0;
+      while ((match = pattern.exec(source)) !== null) {
+        const macro = macros.get(match[1]);
+        let pos = match.index + match[0].length;
+        const args = [];
+
+        for (let n = 0; n < macro.argCount; n++) {
+          while (pos < source.length && /\s/.test(source[pos])) pos++;
+          if (source[pos] === '{') {
+            const group = this.readGroup(source, pos);
+            args.push(group.content);
+            pos = group.end;
+          } else {
+            args.push(source[pos] || '');
+            pos++;
+          }
+        }
+
+        out += source.slice(i, match.index) +
+          macro.body.replace(/#(\d)/g, (m, n) => args[n - 1] ?? '') +
+          (macro.argCount === 0 && /[A-Za-z]/.test(source[pos] || '') ? ' ' : '');
+        i = pos;
+        pattern.lastIndex = pos;
+        changed = true;
+      }
+
+      source = out + source.slice(i);
+      if (!changed) break;
+    }
+
+    return source;
+  }
+
+  readMetadata(source) {
+    const argument = (command) => {
+      const match = new RegExp(`\\\\${command}\\s*(?:\\[[^\\]]*\\])?\\s*\\{`).exec(source);
+      return match ? this.readGroup(source, match.index + match[0].length - 1).content : null;
+    };
+
+    const clean = (value) => value
+      ? this.inlineText(this.convertCommands(value, {}).replace(/\n+/g, ' ')) || null
+      : null;
+
+    const rawAuthor = argument('author');
+    const authors = rawAuthor
+      ? rawAuthor.split(/\\and\b|\\AND\b|\\\\/).map(author => clean(author)).filter(Boolean)
+      : [];
+
+    return {
+      title: clean(argument('title')),
+      author: authors.length > 0 ? authors.join(', ') : null
+    };
+  }
+
+  /**
+   * Citation labels from \bibitem entries (inline or .bbl) and .bib files
+   * @returns {Map} - key -> { author, year, number }
+   */
+  readBibliography(source, filePath, rootDir) {
+    const entries = new Map();
+    const inside = (file) => {
+      const relative = path.relative(rootDir, file);
+      return !relative.startsWith('..') && !path.isAbsolute(relative) && fs.existsSync(file);
+    };
+
+    // .bib databases named by \bibliography{refs,more} or \addbibresource{refs.bib}
+    const bibFiles = [];
+    for (const match of source.matchAll(/\\(?:bibliography|addbibresource)\s*(?:\[[^\]]*\])?\s*\{([^}]+)\}/g)) {
+      for (const name of match[1].split(',')) {
+        const file = path.resolve(rootDir, name.trim());
+        bibFiles.push(file.endsWith('.bib') ? file : `${file}.bib`);
+      }
+    }
+    for (const file of bibFiles.filter(inside)) {
+      this.parseBibtex(this.readText(file), entries);
+    }
+
+    // \bibitem entries, from the document or the compiled .bbl
+    const bbl = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}.bbl`);
+    const items = source + (inside(bbl) ? `\n${this.readText(bbl)}` : '');
+    let number = 0;
+
+    for (const match of items.matchAll(/\\bibitem\s*(?:\[((?:[^\][]|\{[^}]*\})*)\])?\s*\{([^}]+)\}/g)) {
+      number++;
+      const key = match[2].trim();
+      const entry = entries.get(key) || { author: null, year: null };
+      entry.number = number;
+
+      // natbib labels look like "Smith et~al.(2020)Smith, Jones, and Lee"
+      const label = match[1] && /^([\s\S]*?)\((\d{4}[a-z]?)\)/.exec(match[1]);
+      if (label && !entry.author) {
+        entry.author = this.inlineText(this.convertCommands(label[1], {}));
+        entry.year = label[2];
+      }
+
+      entries.set(key, entry);
+    }
+
+    return entries;
+  }
+
+  parseBibtex(source, entries) {
+    for (const match of source.matchAll(/@(\w+)\s*\{\s*([^,\s]+)\s*,/g)) {
+      if (/^(string|comment|preamble)$/i.test(match[1])) continue;
+
+      const start = source.indexOf('{', match.index);
+      const body = this.readGroup(source, start).content;
+
+      const field = (name) => {
+        const fieldMatch = new RegExp(`\\b${name}\\s*=\\s*([{"]|\\d)`, 'i').exec(body);
+        if (!fieldMatch) return null;
+        const pos = fieldMatch.index + fieldMatch[0].length - 1;
+        if (fieldMatch[1] === '{') return this.readGroup(body, pos).content;
+        if (fieldMatch[1] === '"') return body.slice(pos + 1, body.indexOf('"', pos + 1));
+        return /^\d+/.exec(body.slice(pos))[0];
+      };
+
+      const names = (field('author') || field('editor') || '')
+        .split(/\s+and\s+/i)
+        .map(name => name.includes(',') ? name.split(',')[0] : name.trim().split(/\s+/).pop())
+        .map(name => this.inlineText(this.convertCommands(name || '', {})))
+        .filter(name => name && name.toLowerCase() !== 'others');
+
+      let author = null;
+      if (names.length === 1) author = names[0];
+      else if (names.length === 2) author = `${names[0]} and ${names[1]}`;
+      else if (names.length > 2) author = `${names[0]} et al.`;
+
+      const year = (field('year') || field('date') || '').match(/\d{4}/);
+      entries.set(match[2], { author, year: year ? year[0] : null, number: null });
+    }
+  }
+
+  /**
+   * Number sections, floats and equations so \ref can be read aloud
+   * @returns {Map} - label -> { type, number }
+   */
+  collectLabels(body) {
+    const labels = new Map();
+    const counters = { chapter: 0, section: 0, subsection: 0, subsubsection: 0, figure: 0, table: 0, algorithm: 0, equation: 0 };
+    const hasChapters = /\\chapter\*?\s*[[{]/.test(body);
+    let appendix = false;
+    let current = null;
+    const environments = [];
+
+    const pattern = /\\(chapter|section|subsection|subsubsection)(\*?)\s*(?=[[{])|\\begin\{([^}]+)\}|\\end\{([^}]+)\}|\\label\{([^}]+)\}|\\(appendix)\b|\\(nonumber|notag)\b/g;
+    let match;
+
+    while ((match = pattern.exec(body)) !== null) {
+      if (match[1]) {
+        if (match[2]) { current = null; continue; }
+        const level = match[1];
+        counters[level]++;
+        if (level === 'chapter') Object.assign(counters, { section: 0, subsection: 0, subsubsection: 0 });
+        if (level === 'section') Object.assign(counters, { subsection: 0, subsubsection: 0 });
+        if (level === 'subsection') counters.subsubsection = 0;
+
+        const top = hasChapters ? 'chapter' : 'section';
+        const topNumber = appendix ? String.fromCharCode(64 + counters[top]) : String(counters[top]);
+        const parts = hasChapters
+          ? [topNumber, counters.section, counters.subsection, counters.subsubsection]
+          : [topNumber, counters.subsection, counters.subsubsection];
+        const depth = ['chapter', 'section', 'subsection', 'subsubsection'].indexOf(level) - (hasChapters ? 0 : 1);
+
+        current = { type: appendix && level === top ? 'appendix' : level, number: parts.slice(0, depth + 1).join('.') };
+      } else if (match[3]) {
+        const name = match[3];
+        environments.push(name);
+        if (FLOAT_TYPES[name]) {
+          const type = FLOAT_TYPES[name];
+          counters[type]++;
+          current = { type, number: String(counters[type]) };
+        } else if (name === 'equation') {
+          counters.equation++;
+          current = { type: 'equation', number: String(counters.equation) };
+        }
+      } else if (match[4]) {
+        environments.pop();
+      } else if (match[5]) {
+        const env = environments[environments.length - 1] || '';
+        if (EQUATION_ENVIRONMENTS.has(env) && env !== 'equation') {
+          // Multi-line environments number each labelled line
+          counters.equation++;
+          labels.set(match[5].trim(), { type: 'equation', number: String(counters.equation) });
+        } else if (current) {
+          labels.set(match[5].trim(), current);
+        }
+      } else if (match[6]) {
+        appendix = true;
+        counters[hasChapters ? 'chapter' : 'section'] = 0;
+      }
+    }
+
+    return labels;
+  }
+
+  /**
+   * Drop floats, display math, code and bibliography environments;
+   * keep the content of everything else
+   */
+  removeEnvironments(body) {
+    let out = '';
+    let i = 0;
+    const begin = /\\begin\s*\{([^}]+)\}/g;
+
+    while (i < body.length) {
+      begin.lastIndex = i;
+      const match = begin.exec(body);
+      if (!match) break;
+
+      out += body.slice(i, match.index);
+      const name = match[1].trim();
+
+      if (DROPPED_ENVIRONMENTS.has(name)) {
+        i = this.findEnvironmentEnd(body, name, match.index + match[0].length);
+        // A display on its own lines does not end the surrounding paragraph
+        if (/\n[ \t]*$/.test(out) && body[i] === '\n') i++;
+        out += ' ';
+      } else if (name === 'abstract') {
+        out += `\n\n${HEADING_MARK}0${HEADING_MARK}Abstract\n\n`;
+        i = match.index + match[0].length;
+      } else {
+        // Skip environment arguments such as {tabular} column specs or [options]
+        let pos = match.index + match[0].length;
+        const optional = this.readOptional(body, pos);
+        if (optional) pos = optional.end;
+        out += '\n\n';
+        i = pos;
+      }
+    }
+
+    out += body.slice(i);
+    return out
+      .replace(/\\end\s*\{[^}]+\}/g, '\n\n')
+      .replace(/\\item\s*(\[[^\]]*\])?/g, (m, label) => `\n\n${label ? `${label.slice(1, -1)} ` : ''}`);
+  }
+
+  findEnvironmentEnd(body, name, from) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`\\\\(begin|end)\\s*\\{${escaped}\\}`, 'g');
+    pattern.lastIndex = from;
+    let depth = 1;
+    let match;
+
+    while ((match = pattern.exec(body)) !== null) {
+      depth += match[1] === 'begin' ? 1 : -1;
+      if (depth === 0) return match.index + match[0].length;
+    }
+
+    return body.length;
+  }
+
+  /**
+   * Drop display math; read short inline math as words
+   */
+  removeMath(body) {
+    return body
+      .replace(/\\\$/g, '\u0002')
+      .replace(/\$\$[\s\S]*?\$\$/g, ' ')
+      .replace(/\\\[[\s\S]*?\\\]/g, ' ')
+      .replace(/\$([^$]+)\$/g, (match, expr) => this.speakMath(expr))
+      .replace(/\\\(([\s\S]*?)\\\)/g, (match, expr) => this.speakMath(expr))
+      .replace(/\u0002/g, '\\$');
+  }
+
+  speakMath(expr) {
+    if (/\\(frac|dfrac|sum|int|prod|sqrt|lim|begin|matrix|over|binom)\b/.test(expr)) return '';
+
+    const spoken = expr
+      .replace(/\\([A-Za-z]+)/g, (match, name) => (GREEK.has(name) ? ` ${name} ` : match))
+      .replace(/\\(mathrm|mathbf|mathit|mathcal|mathbb|text|textrm|operatorname|mathsf|boldsymbol)\s*\{([^}]*)\}/g, '$2')
+      .replace(/\\(cdot|times)\b/g, ' times ')
+      .replace(/\\(leq|le)\b/g, ' ≤ ')
+      .replace(/\\(geq|ge)\b/g, ' ≥ ')
+      .replace(/\\(neq|ne)\b/g, ' ≠ ')
+      .replace(/\\approx\b/g, ' ≈ ')
+      .replace(/\\(in)\b/g, ' in ')
+      .replace(/\\infty\b/g, ' infinity ')
+      .replace(/\\%/g, '%')
+      .replace(/\\[A-Za-z]+/g, ' ')
+      .replace(/[\\{}]/g, '')
+      .replace(/[_^]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return spoken.length > 30 ? '' : spoken;
+  }
+
+  /**
+   * Convert commands to text: headings, references, citations,
+   * formatting and accents; drop everything else
+   */
+  convertCommands(source, context, depth = 0) {
+    if (depth > 20) return source;
+
+    const { labels = new Map(), bibliography = new Map() } = context;
+    let out = '';
+    let i = 0;
+
+    while (i < source.length) {
+      const j = source.indexOf('\\', i);
+      if (j === -1) {
+        out += source.slice(i);
+        break;
+      }
+      out += source.slice(i, j);
+
+      const symbol = /^\\([^A-Za-z])/.exec(source.slice(j, j + 2));
+      if (symbol) {
+        const ch = symbol[1];
+        if (ACCENTS[ch]) {
+          const accented = this.readAccentTarget(source, j + 2);
+          out += (accented.letter + ACCENTS[ch]).normalize('NFC');
+          i = accented.end;
+        } else if (ch === '\\') {
+          out += '\n';
+          i = j + 2;
+          const optional = this.readOptional(source, i);
+          if (optional && /^\s*[\d.]+\s*\w*\s*$/.test(optional.content)) i = optional.end;
+        } else {
+          // \& \% \$ \# \_ \{ \} and spacing commands (\, \; \ )
+          out += /[&%$#_{}]/.test(ch) ? ch : ' ';
+          i = j + 2;
+        }
+        continue;
+      }
+
+      const commandMatch = /^\\([A-Za-z]+)(\*?)/.exec(source.slice(j, j + 64));
+      if (!commandMatch) {
+        i = j + 1;
+        continue;
+      }
+
+      const name = commandMatch[1];
+      const star = commandMatch[2];
+      let pos = j + commandMatch[0].length;
+      const readArgs = (count) => {
+        const options = [];
+        const args = [];
+        for (;;) {
+          const optional = this.readOptional(source, pos);
+          if (!optional) break;
+          options.push(optional.content);
+          pos = optional.end;
+        }
+        for (let n = 0; n < count; n++) {
+          let p = pos;
+          while (p < source.length && /\s/.test(source[p])) p++;
+          if (source[p] !== '{') break;
+          const group = this.readGroup(source, p);
+          args.push(group.content);
+          pos = group.end;
+        }
+        return { options, args };
+      };
+
+      if (name in SECTION_LEVELS) {
+        const { args } = readArgs(1);
+        const title = this.inlineText(this.convertCommands(args[0] || '', context, depth + 1));
+        out += `\n\n${HEADING_MARK}${SECTION_LEVELS[name]}${HEADING_MARK}${title}\n\n`;
+      } else if (/^(ref|autoref|cref|Cref|eqref|nameref|vref|Autoref)$/.test(name)) {
+        const { args } = readArgs(1);
+        out += (args[0] || '').split(',').map(key => this.speakRef(name, labels.get(key.trim()))).filter(Boolean).join(' and ');
+      } else if (TEXTUAL_CITES.has(name + star) || PARENTHETICAL_CITES.has(name + star) || name === 'citeyear') {
+        const { options, args } = readArgs(1);
+        out += this.speakCitation(name + star, (args[0] || '').split(',').map(k => k.trim()), options, bibliography);
+      } else if (name === 'href') {
+        const { args } = readArgs(2);
+        out += this.convertCommands(args[1] || '', context, depth + 1);
+      } else if (name === 'url') {
+        const { args } = readArgs(1);
+        out += args[0] || '';
+      } else if (name in SYMBOLS) {
+        out += SYMBOLS[name];
+        if (source[pos] === '{' && source[pos + 1] === '}') pos += 2;
+        else if (/^[A-Za-z]/.test(SYMBOLS[name].slice(-1)) && source[pos] === ' ') pos++;
+      } else if (name in DROPPED_COMMANDS) {
+        readArgs(DROPPED_COMMANDS[name]);
+        out += ' ';
+      } else if (name === 'par' || name === 'newline') {
+        out += name === 'par' ? '\n\n' : '\n';
+      } else {
+        // Formatting and unknown commands keep their (first) argument's text
+        const { args } = readArgs(1);
+        if (args.length > 0) out += this.convertCommands(args[0], context, depth + 1);
+      }
+
+      i = pos;
+    }
+
+    return out;
+  }
+
+  readAccentTarget(source, pos) {
+    while (source[pos] === ' ') pos++;
+    if (source[pos] === '{') {
+      const group = this.readGroup(source, pos);
+      const letter = group.content.replace(/^\\([ij])$/, '$1').trim();
+      return { letter: letter || '', end: group.end };
+    }
+    const dotless = /^\\([ij])(?![A-Za-z])/.exec(source.slice(pos, pos + 3));
+    if (dotless) return { letter: dotless[1], end: pos + 2 };
+    return { letter: source[pos] || '', end: pos + 1 };
+  }
+
+  speakRef(command, label) {
+    if (!label) return '';
+    if (command === 'eqref') return `(${label.number})`;
+    if (/^(autoref|Autoref|cref|Cref)$/.test(command)) return `${REF_NAMES[label.type] || ''} ${label.number}`.trim();
+    return label.number;
+  }
+
+  speakCitation(command, keys, options, bibliography) {
+    const refs = keys.filter(Boolean).map(key => {
+      const entry = bibliography.get(key);
+      if (entry && entry.author) return { author: entry.author, year: entry.year };
+      if (entry && entry.number) return { number: entry.number };
+
+      // No bibliography: guess from keys like "smith2020deep"
+      const guess = /^([A-Za-z]+)[-_:]?((?:19|20)\d{2})/.exec(key);
+      return guess ? { author: guess[1][0].toUpperCase() + guess[1].slice(1), year: guess[2] } : null;
+    }).filter(Boolean);
+
+    if (refs.length === 0) return '';
+
+    const numbered = (ref) => `reference ${ref.number}`;
+
+    if (command === 'citeyear') {
+      return refs.map(ref => ref.year || '').filter(Boolean).join(', ');
+    }
+
+    if (TEXTUAL_CITES.has(command)) {
+      // Part of the sentence, so always read
+      return refs.map(ref => {
+        if (ref.number) return numbered(ref);
+        return command.toLowerCase().startsWith('citeauthor') || !ref.year
+          ? ref.author
+          : `${ref.author} (${ref.year})`;
+      }).join(', ');
+    }
+
+    if (this.citations !== 'speak') return '';
+
+    const note = options.length > 0 ? options[options.length - 1] : '';
+    const list = refs.map(ref => (ref.number ? numbered(ref) : [ref.author, ref.year].filter(Boolean).join(', ')));
+    return `(${list.join('; ')}${note ? `, ${note}` : ''})`;
+  }
+
+  /**
+   * Split converted text into heading and paragraph blocks
+   */
+  toBlocks(text) {
+    const blocks = [];
+
+    for (const raw of text.split(/\n\s*\n/)) {
+      const heading = new RegExp(`^\\s*${HEADING_MARK}(\\d)${HEADING_MARK}(.*)$`, 's').exec(raw);
+      if (heading) {
+        blocks.push({ type: 'heading', level: parseInt(heading[1], 10), text: heading[2].trim() });
+        continue;
+      }
+
+      const paragraph = this.inlineText(raw);
+      if (paragraph) blocks.push({ type: 'paragraph', text: paragraph });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Final text cleanup: TeX quotes, dashes, ties and leftover braces
+   */
+  inlineText(text) {
+    return text
+      .replace(/``/g, '“')
+      .replace(/''/g, '”')
+      .replace(/---/g, '—')
+      .replace(/--/g, '–')
+      .replace(/~/g, ' ')
+      .replace(/[{}]/g, '')
+      .replace(/\s+/g, ' ')
+      .replace(/\s+([.,;:!?)])/g, '$1')
+      .replace(/\(\s*\)/g, '')
+      .replace(/\s+([.,;:!?])/g, '$1')
+      .trim();
+  }
+
+  /**
+   * Group blocks into chapters
+   *
+   * The abstract and the top two sectioning levels present start
+   * chapters; deeper headings are read as sentences of their own.
+   */
+  splitChapters(blocks, metadata) {
+    const levels = [...new Set(blocks.filter(b => b.type === 'heading' && b.level > 0).map(b => b.level))].sort();
+    const chapterLevels = new Set([0, ...levels.slice(0, 2)]);
+
+    const chapters = [];
+    let current = { title: metadata.title || 'Introduction', level: Infinity, lines: [] };
+
+    const finish = () => {
+      const text = current.lines.join('\n\n').trim();
+      if (text.length > 0) {
+        chapters.push({ number: chapters.length + 1, title: current.title.substring(0, 200), text });
+      }
+    };
+
+    for (const block of blocks) {
+      if (block.type === 'heading' && chapterLevels.has(block.level)) {
+        // A section that opens straight into a subsection lends it its title
+        const title = current.lines.length === 0 && current.level < block.level && block.text
+          ? `${current.title}: ${block.text}`
+          : block.text;
+
+        finish();
+        current = { title: title || `Chapter ${chapters.length + 1}`, level: block.level, lines: [] };
+      } else if (block.type === 'heading') {
+        if (block.text) current.lines.push(/[.!?:]$/.test(block.text) ? block.text : `${block.text}.`);
+      } else {
+        current.lines.push(block.text);
+      }
+    }
+
+    finish();
+    return chapters;
+  }
+
+  /**
+   * Read a balanced {...} group starting at `pos`
+   * @returns {object} - { content, end } (end is just past the closing brace)
+   */
+  readGroup(source, pos) {
+    let depth = 0;
+
+    for (let i = pos; i < source.length; i++) {
+      const ch = source[i];
+      if (ch === '\\') {
+        i++;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}') {
+        depth--;
+        if (depth === 0) return { content: source.slice(pos + 1, i), end: i + 1 };
+      }
+    }
+
+    return { content: source.slice(pos + 1), end: source.length };
+  }
+
+  /**
+   * Read an optional [...] argument at `pos` (after whitespace), if any
+   */
+  readOptional(source, pos) {
+    let start = pos;
+    while (start < source.length && (source[start] === ' ' || source[start] === '\t')) start++;
+    if (source[start] !== '[') return null;
+
+    let depth = 0;
+    for (let i = start; i < source.length; i++) {
+      const ch = source[i];
+      if (ch === '\\') {
+        i++;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}') {
+        depth--;
+      } else if (ch === ']' && depth === 0) {
+        return { content: source.slice(start + 1, i), end: i + 1 };
+      } else if (ch === '\n' && source[i + 1] === '\n') {
+        return null;
+      }
+    }
+
+    return null;
+  }
+}
+
+export default LatexExtractor;
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Pronunciation Lexicon
+ * Maps words (or regular expressions) to phonetic respellings the TTS
+ * engine says correctly ("Hermione" => "her-MY-oh-nee"). A global lexicon
+ * lives in the config directory; a job can override entries for one book.
+ * Applied to chapter text right before it goes to the TTS engine.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+class Lexicon {
+  /**
+   * @param {object[]} entries - { match, say, regex, caseSensitive }
+   * @param {object} options
+   * @param {string} options.file - Where save() writes
+   */
+  constructor(entries = [], options = {}) {
+    this.file = options.file || null;
+    this.entries = [];
+
+    for (const entry of entries) {
+      this.add(entry);
+    }
+  }
+
+  /**
+   * Read a lexicon file (missing file = empty lexicon)
+   */
+  static load(file) {
+    if (!fs.existsSync(file)) {
+      return new Lexicon([], { file });
+    }
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new Lexicon(Array.isArray(data) ? data : data.entries || [], { file });
+  }
+
+  save() {
+    if (!this.file) {
+      throw new Error('Lexicon has no file to save to');
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ version: 1, entries: this.entries }, null, 2));
+  }
+
+  /**
+   * Add an entry, replacing any entry for the same word or pattern
+   * @param {object} entry - { match, say, regex, caseSensitive }
+   */
+  add(entry) {
+    const match = typeof entry.match === 'string' ? entry.match.trim() : '';
+    if (!match) {
+      throw new Error('A lexicon entry needs a word or pattern to match');
+    }
+    if (typeof entry.say !== 'string' || !entry.say.trim()) {
+      throw new Error(`A lexicon entry needs a respelling: ${match}`);
+    }
+
+    const clean = {
+      match,
+      say: entry.say.trim(),
+      regex: Boolean(entry.regex),
+      caseSensitive: Boolean(entry.caseSensitive)
+    };
+
+    if (clean.regex) {
+      try {
+        new RegExp(match, 'u');
+      } catch (error) {
+        throw new Error(`Invalid lexicon pattern ${match}: ${error.message}`);
+      }
+    }
+
+    const index = this.entries.findIndex(existing => existing.match === match);
+    if (index === -1) {
+      this.entries.push(clean);
+    } else {
+      this.entries[index] = clean;
+    }
+    return this;
+  }
+
+  /**
+   * @returns {boolean} - Whether there was an entry to remove
+   */
+  remove(match) {
+    const index = this.entries.findIndex(entry => entry.match === match);
+    if (index === -1) return false;
+
+    this.entries.splice(index, 1);
+    return true;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * This lexicon with a job's own entries taking precedence
+   * @param {object[]} entries
+   */
+  withOverrides(entries = []) {
+    const merged = new Lexicon(this.entries);
+    for (const entry of entries) {
+      merged.add(entry);
+    }
+    return merged;
+  }
+
+  /**
+   * Replace every match with its respelling. Words are matched whole (and
+   * case-insensitively unless the entry says otherwise), longest first, in
+   * one pass so a respelling is never respelled again; patterns run after.
+   * @param {string} text
+   * @returns {object} - { text, changes: [{ match, from, to }] }
+   */
+  apply(text) {
+    const changes = [];
+    let result = text;
+
+    const words = this.entries
+      .filter(entry => !entry.regex)
+      .sort((a, b) => b.match.length - a.match.length);
+
+    if (words.length > 0) {
+      const pattern = new RegExp(String.raw`(?<![\p{L}\p{N}_])(?:${words.map(entry => escape(entry.match)).join('|')})(?![\p{L}\p{N}_])`, 'giu');
+
+      result = result.replace(pattern, (found) => {
+        const entry = words.find(candidate => (candidate.caseSensitive
+          ? candidate.match === found
+          : candidate.match.toLowerCase() === found.toLowerCase()));
+        if (!entry) return found;
+
+        changes.push({ match: entry.match, from: found, to: entry.say });
+        return entry.say;
+      });
+    }
+
+    for (const entry of this.entries.filter(candidate => candidate.regex)) {
+      const pattern = new RegExp(entry.match, entry.caseSensitive ? 'gu' : 'giu');
+      result = result.replace(pattern, (...args) => {
+        const found = args[0];
+        const named = typeof args[args.length - 1] === 'object';
+        const groups = args.slice(1, named ? -3 : -2);
+        const say = entry.say.replace(/\$(\d)/g, (m, n) => groups[n - 1] ?? '');
+        changes.push({ match: entry.match, from: found, to: say });
+        return say;
+      });
+    }
+
+    return { text: result, changes };
+  }
+}
+
+export default Lexicon;
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+/**
+ * Markdown Extractor
+ * Converts Markdown into speakable text: headings become chapters, links
+ * are read as their anchor text, code blocks are skipped or announced and
+ * tables are narrated row by row.
+ */
+
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const ATX_HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const SETEXT_PATTERN = /^\s{0,3}(=+|-+)\s*$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const HR_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+
+class MarkdownExtractor {
+  /**
+   * @param {object} options
+   * @param {string} options.codeBlocks - 'announce' (default) or 'skip'
+   */
+  constructor(options = {}) {
+    this.codeBlocks = options.codeBlocks || 'announce';
+  }
+
+  /**
+   * Extract chapters from Markdown source
+   * @param {string} source - Markdown text
+   * @returns {object} - { text, chapters, metadata }
+   */
+  extract(source) {
+    const { body, metadata } = this.readFrontMatter(source.replace(/\r\n?/g, '\n'));
+    const blocks = this.readBlocks(body);
+    const chapters = this.splitChapters(blocks, metadata);
+
+    return {
+      text: chapters.map(ch => ch.text).join('\n\n'),
+      chapters,
+      metadata
+    };
+  }
+
+  readFrontMatter(source) {
+    const metadata = { title: null, author: null };
+    const match = source.match(/^---\n([\s\S]*?)\n(?:---|\.\.\.)\n/);
+
+    if (!match) {
+      return { body: source, metadata };
+    }
+
+    for (const line of match[1].split('\n')) {
+      const field = line.match(/^(title|author):\s*["']?(.*?)["']?\s*$/i);
+      if (field && field[2]) {
+        metadata[field[1].toLowerCase()] = field[2];
+      }
+    }
+
+    return { body: source.slice(match[0].length), metadata };
+  }
+
+  /**
+   * Split source into { type, level?, text } blocks
+   */
+  readBlocks(source) {
+    const lines = source.split('\n');
+    const blocks = [];
+    const references = this.readReferences(lines);
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        const text = this.renderInline(paragraph.join(' '), references);
+        if (text) blocks.push({ type: 'paragraph', text });
+        paragraph = [];
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Fenced code block
+      const fence = line.match(FENCE_PATTERN);
+      if (fence) {
+        flushParagraph();
+        const closing = new RegExp(`^\\s{0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+        while (i + 1 < lines.length && !closing.test(lines[i + 1])) i++;
+        i++;
+        this.pushCode(blocks, fence[2]);
+        continue;
+      }
+
+      // Indented code block (only after a blank line)
+      if (/^( {4}|\t)/.test(line) && paragraph.length === 0 && line.trim()) {
+        while (i + 1 < lines.length && (/^( {4}|\t)/.test(lines[i + 1]) || !lines[i + 1].trim())) i++;
+        this.pushCode(blocks, '');
+        continue;
+      }
+
+      if (!line.trim()) {
+        flushParagraph();
+        continue;
+      }
+
+      // Reference definitions are not read
+      if (/^\s{0,3}\[[^\]]+\]:\s*\S+/.test(line)) {
+        continue;
+      }
+
+      const atx = line.match(ATX_HEADING_PATTERN);
+      if (atx) {
+        flushParagraph();
+        blocks.push({ type: 'heading', level: atx[1].length, text: this.renderInline(atx[2], references) });
+        continue;
+      }
+
+      // Setext heading: underline directly after a paragraph line
+      if (paragraph.length === 1 && SETEXT_PATTERN.test(line)) {
+        const text = this.renderInline(paragraph[0], references);
+        paragraph = [];
+        blocks.push({ type: 'heading', level: line.trim()[0] === '=' ? 1 : 2, text });
+        continue;
+      }
+
+      if (HR_PATTERN.test(line)) {
+        flushParagraph();
+        continue;
+      }
+
+      // Table: header row followed by a separator row
+      if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1])) {
+        flushParagraph();
+        const rows = [line];
+        i++;
+        while (i + 1 < lines.length && lines[i + 1].includes('|') && lines[i + 1].trim()) {
+          rows.push(lines[++i]);
+        }
+        const text = this.renderTable(rows, references);
+        if (text) blocks.push({ type: 'paragraph', text });
+        continue;
+      }
+
+      // List items and block quotes each read as their own line
+      const listItem = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+      if (listItem) {
+        flushParagraph();
+        paragraph.push(listItem[1].replace(/^\[[ xX]\]\s+/, ''));
+        flushParagraph();
+        continue;
+      }
+
+      paragraph.push(line.replace(/^\s*(>\s?)+/, ''));
+    }
+
+    flushParagraph();
+    return blocks;
+  }
+
+  readReferences(lines) {
+    const references = new Map();
+    for (const line of lines) {
+      const match = line.match(/^\s{0,3}\[([^\]]+)\]:\s*(\S+)/);
+      if (match) references.set(match[1].toLowerCase(), match[2]);
+    }
+    return references;
+  }
+
+  pushCode(blocks, language) {
+    if (this.codeBlocks === 'skip') return;
+
+    const label = language ? `${language.charAt(0).toUpperCase()}${language.slice(1)} code` : 'Code';
+    blocks.push({ type: 'paragraph', text: `${label} example omitted.` });
+  }
+
+  /**
+   * Narrate a table row by row, pairing each cell with its header
+   */
+  renderTable(rows, references) {
+    const cells = (row) => row.trim().replace(/^\|/, '').replace(/\|$/, '')
+      .split('|')
+      .map(cell => this.renderInline(cell.trim(), references));
+
+    const headers = cells(rows[0]);
+    const sentences = rows.slice(1).map((row, i) => {
+      const values = cells(row);
+      const pairs = values
+        .map((value, j) => (value ? (headers[j] ? `${headers[j]}, ${value}` : value) : null))
+        .filter(Boolean);
+      return pairs.length > 0 ? `Row ${i + 1}: ${pairs.join('; ')}.` : null;
+    }).filter(Boolean);
+
+    if (sentences.length === 0) return '';
+
+    return [`Table with columns ${headers.filter(Boolean).join(', ')}.`, ...sentences].join('\n');
+  }
+
+  /**
+   * Strip inline Markdown syntax, keeping the words
+   */
+  renderInline(text, references = new Map()) {
+    return text
+      // Inline code keeps its content, minus the backticks
+      .replace(/(`+)(.+?)\1/g, '$2')
+      // Images are not read
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/!\[[^\]]*\]\[[^\]]*\]/g, '')
+      // Links read as their anchor text
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\[([^\]]*)\]/g, (match, label, ref) =>
+        references.has((ref || label).toLowerCase()) ? label : match)
+      .replace(/<((?:https?|mailto):[^>\s]+)>/g, '$1')
+      // Inline HTML tags
+      .replace(/<\/?[a-z][^>]*>/gi, '')
+      // Emphasis and strikethrough markers
+      .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+      .replace(/(?<!\w)(\*|_)(?=\S)(.+?)(?<=\S)\1(?!\w)/g, '$2')
+      .replace(/~~(.+?)~~/g, '$1')
+      // Backslash escapes
+      .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Split blocks into chapters at the top heading level
+   *
+   * A single leading level-1 heading is treated as the document title and
+   * chapters start at the next level down. Deeper headings stay in the
+   * chapter text as spoken section titles.
+   */
+  splitChapters(blocks, metadata) {
+    const headings = blocks.filter(block => block.type === 'heading');
+    let chapterLevel = headings.length > 0 ? Math.min(...headings.map(h => h.level)) : 0;
+
+    const topHeadings = headings.filter(h => h.level === chapterLevel);
+    if (topHeadings.length === 1 && headings[0] === topHeadings[0] && headings.length > 1) {
+      metadata.title = metadata.title || topHeadings[0].text;
+      topHeadings[0].title = true;
+      chapterLevel = Math.min(...headings.filter(h => !h.title).map(h => h.level));
+    }
+
+    const chapters = [];
+    let current = { title: 'Introduction', lines: [] };
+
+    const finish = () => {
+      const text = current.lines.join('\n\n').trim();
+      if (text.length > 0) {
+        chapters.push({ number: chapters.length + 1, title: current.title.substring(0, 200), text });
+      }
+    };
+
+    for (const block of blocks) {
+      if (block.type === 'heading' && block.title) {
+        current.title = block.text;
+      } else if (block.type === 'heading' && block.level === chapterLevel) {
+        finish();
+        current = { title: block.text || `Chapter ${chapters.length + 1}`, lines: [] };
+      } else if (block.type === 'heading') {
+        // Sub-headings are read as a sentence of their own
+        current.lines.push(/[.!?:]$/.test(block.text) ? block.text : `${block.text}.`);
+      } else {
+        current.lines.push(block.text);
+      }
+    }
+
+    finish();
+    return chapters;
+  }
+}
+
+export default MarkdownExtractor;
@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+
+/**
+ * Markup Utilities
+ * Lightweight, dependency-free HTML/XML parsing for document extractors
+ * (EPUB, HTML, Office formats). Not a validating parser - it builds a
+ * forgiving element tree that is good enough to pull readable text out.
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+// Elements that start a new block of text when converted to plain text
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd',
+  'div', 'dl', 'dt', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'table', 'td', 'th', 'tr', 'ul'
+]);
+
+// Elements whose content is never read aloud
+const SKIPPED_ELEMENTS = new Set([
+  'head', 'script', 'style', 'noscript', 'template', 'svg', 'math',
+  'iframe', 'object', 'button', 'select', 'form'
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  shy: '\u00ad', copy: '©', reg: '®', trade: '™', deg: '°',
+  hellip: '…', mdash: '—', ndash: '–', minus: '−', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  laquo: '«', raquo: '»', prime: '′', Prime: '″', times: '×', divide: '÷',
+  frac12: '½', frac14: '¼', frac34: '¾', sect: '§', para: '¶', dagger: '†',
+  Dagger: '‡', euro: '€', pound: '£', yen: '¥', cent: '¢', thinsp: '\u2009',
+  ensp: '\u2002', emsp: '\u2003', zwj: '\u200d', zwnj: '\u200c',
+  eacute: 'é', egrave: 'è', ecirc: 'ê', euml: 'ë', aacute: 'á', agrave: 'à',
+  acirc: 'â', auml: 'ä', aring: 'å', ccedil: 'ç', iacute: 'í', icirc: 'î',
+  iuml: 'ï', ntilde: 'ñ', oacute: 'ó', ocirc: 'ô', ouml: 'ö', oslash: 'ø',
+  uacute: 'ú', ucirc: 'û', uuml: 'ü', szlig: 'ß', aelig: 'æ', oelig: 'œ',
+  Eacute: 'É', Aacute: 'Á', Ouml: 'Ö', Uuml: 'Ü', Auml: 'Ä', Ntilde: 'Ñ'
+};
+
+/**
+ * Decode HTML/XML character references
+ * @param {string} str - Raw text
+ * @returns {string} - Text with entities replaced
+ */
+export function decodeEntities(str) {
+  if (!str || !str.includes('&')) {
+    return str;
+  }
+
+  return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
+      }
+    }
+
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, ref)
+      ? NAMED_ENTITIES[ref]
+      : match;
+  });
+}
+
+/**
+ * Strip a namespace prefix and lowercase a tag name ("dc:Title" -> "title")
+ */
+export function localName(name) {
+  const idx = name.indexOf(':');
+  return (idx === -1 ? name : name.slice(idx + 1)).toLowerCase();
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const attrPattern = /([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+
+  while ((match = attrPattern.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attrs[match[1]] = decodeEntities(value);
+  }
+
+  return attrs;
+}
+
+/**
+ * Parse HTML or XML into a simple element tree
+ *
+ * Nodes are { type: 'element', name, attrs, children, parent } or
+ * { type: 'text', text }. Unclosed elements are closed implicitly, stray
+ * closing tags are ignored.
+ *
+ * @param {string} source - Markup source
+ * @param {object} options
+ * @param {boolean} options.xml - Strict XML: no void elements or implicit closing
+ * @returns {object} - Root node ({ type: 'root', children })
+ */
+export function parseMarkup(source, options = {}) {
+  const { xml = false } = options;
+  const root = { type: 'root', name: '#root', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/?([A-Za-z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (text, raw = false) => {
+    if (text.length > 0) {
+      current().children.push({ type: 'text', text: raw ? text : decodeEntities(text) });
+    }
+  };
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    pushText(source.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    const token = match[0];
+
+    if (match[1] !== undefined) {
+      // CDATA section
+      pushText(match[1], true);
+      continue;
+    }
+
+    if (!match[2]) {
+      // Comment, doctype or processing instruction
+      continue;
+    }
+
+    const name = match[2];
+    const lower = localName(name);
+
+    if (token[1] === '/') {
+      // Closing tag: pop back to the matching element if it is open
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === name || localName(stack[i].name) === lower) {
+          stack.length = i;
+          break;
+        }
+      }
+      continue;
+    }
+
+    const rawAttrs = match[3] || '';
+    const selfClosing = /\/\s*$/.test(rawAttrs);
+    const element = {
+      type: 'element',
+      name,
+      attrs: parseAttributes(rawAttrs.replace(/\/\s*$/, '')),
+      children: [],
+      parent: current()
+    };
+
+    // A new paragraph or list item implicitly closes an open one (HTML)
+    if (!xml && (lower === 'p' || lower === 'li')) {
+      for (let i = stack.length - 1; i > 0; i--) {
+        const open = localName(stack[i].name);
+        if (open === lower) {
+          stack.length = i;
+          break;
+        }
+        if (BLOCK_ELEMENTS.has(open) && open !== 'p') {
+          break;
+        }
+      }
+      element.parent = current();
+    }
+
+    current().children.push(element);
+
+    if (selfClosing || (!xml && VOID_ELEMENTS.has(lower))) {
+      continue;
+    }
+
+    if (!xml && RAW_TEXT_ELEMENTS.has(lower)) {
+      // Script/style content is not markup; jump to the closing tag
+      const closing = new RegExp(`</${name}\\s*>`, 'ig');
+      closing.lastIndex = lastIndex;
+      const end = closing.exec(source);
+      const stop = end ? end.index : source.length;
+      element.children.push({ type: 'text', text: source.slice(lastIndex, stop) });
+      lastIndex = end ? closing.lastIndex : source.length;
+      tagPattern.lastIndex = lastIndex;
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  pushText(source.slice(lastIndex));
+
+  return root;
+}
+
+/**
+ * Get an attribute by name, ignoring namespace prefixes
+ */
+export function getAttr(node, name) {
+  if (!node || !node.attrs) {
+    return undefined;
+  }
+
+  if (node.attrs[name] !== undefined) {
+    return node.attrs[name];
+  }
+
+  const wanted = localName(name);
+  const key = Object.keys(node.attrs).find(k => localName(k) === wanted);
+  return key === undefined ? undefined : node.attrs[key];
+}
+
+/**
+ * Collect all descendant elements matching a predicate (document order)
+ * @param {object} node - Root of the search
+ * @param {string|Function} predicate - Local tag name or test function
+ */
+export function findAll(node, predicate) {
+  const test = typeof predicate === 'string'
+    ? (el => localName(el.name) === predicate)
+    : predicate;
+  const results = [];
+
+  const walk = (current) => {
+    for (const child of current.children || []) {
+      if (child.type !== 'element') continue;
+      if (test(child)) results.push(child);
+      walk(child);
+    }
+  };
+
+  walk(node);
+  return results;
+}
+
+/**
+ * First descendant element matching a predicate, or null
+ */
+export function findFirst(node, predicate) {
+  return findAll(node, predicate)[0] || null;
+}
+
+/**
+ * Concatenated text of a node, whitespace collapsed
+ */
+export function textContent(node) {
+  if (!node) {
+    return '';
+  }
+
+  if (node.type === 'text') {
+    return node.text.replace(/\s+/g, ' ');
+  }
+
+  return (node.children || [])
+    .map(child => textContent(child))
+    .join('')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Flatten an element tree into text blocks
+ *
+ * Each block is { tag, text, anchors } where `tag` is the local name of the
+ * block element that produced it and `anchors` lists element ids that were
+ * opened since the previous block (used to split at TOC fragment targets).
+ *
+ * @param {object} node - Root node
+ * @param {object} options
+ * @param {Function} options.skip - Extra predicate for elements to ignore
+ * @returns {Array<object>}
+ */
+export function extractBlocks(node, options = {}) {
+  const { skip = null } = options;
+  const blocks = [];
+  let buffer = '';
+  let bufferTag = 'p';
+  let pendingAnchors = [];
+
+  const flush = () => {
+    // Preformatted text (code listings) keeps its lines and indentation
+    const text = bufferTag === 'pre'
+      ? buffer.replace(/\r\n?/g, '\n').replace(/[ \t\f]+$/gm, '').replace(/^\n+|\s+$/g, '')
+      : buffer.replace(/[ \t\r\n\f]+/g, ' ').trim();
+    if (text.length > 0) {
+      blocks.push({ tag: bufferTag, text, anchors: pendingAnchors });
+      pendingAnchors = [];
+    }
+    buffer = '';
+  };
+
+  const walk = (current, blockTag) => {
+    for (const child of current.children || []) {
+      if (child.type === 'text') {
+        if (buffer.length === 0) bufferTag = blockTag;
+        buffer += child.text;
+        continue;
+      }
+
+      const name = localName(child.name);
+
+      if (SKIPPED_ELEMENTS.has(name) || (skip && skip(child))) {
+        continue;
+      }
+
+      const id = child.attrs.id || child.attrs.name;
+      if (id && (name !== 'meta')) {
+        pendingAnchors.push(id);
+      }
+
+      if (name === 'br') {
+        buffer += blockTag === 'pre' ? '\n' : ' ';
+        continue;
+      }
+
+      if (BLOCK_ELEMENTS.has(name)) {
+        flush();
+        walk(child, name);
+        flush();
+      } else {
+        walk(child, blockTag);
+      }
+    }
+  };
+
+  walk(node, 'p');
+  flush();
+
+  // Anchors at the very end (e.g. an empty trailing section) still count
+  if (pendingAnchors.length > 0) {
+    blocks.push({ tag: 'p', text: '', anchors: pendingAnchors });
+  }
+
+  return blocks;
+}
+
+export { BLOCK_ELEMENTS, SKIPPED_ELEMENTS };
@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import {
+  parseMarkup,
+  findAll,
+  findFirst,
+  getAttr,
+  textContent,
+  extractBlocks
+} from './markup.js';
+
+/**
+ * MOBI Reader
+ * Reads Mobipocket (MOBI 6 / PalmDOC) and Kindle KF8 (AZW3) books.
+ *
+ * MOBI 6 chapters come from the guide's TOC page (filepos links into the
+ * text). KF8 books are split per embedded XHTML file. DRM-protected and
+ * HUFF/CDIC-compressed books are rejected.
+ */
+
+const COMPRESSION_NONE = 1;
+const COMPRESSION_PALMDOC = 2;
+const COMPRESSION_HUFFCDIC = 17480;
+
+const EXTH_AUTHOR = 100;
+const EXTH_PUBLISHER = 101;
+const EXTH_TITLE = 503;
+const EXTH_LANGUAGE = 524;
+
+class MobiReader {
+  constructor(options = {}) {
+    this.maxTextLength = options.maxTextLength || 50 * 1024 * 1024; // 50MB
+  }
+
+  /**
+   * Read a MOBI/AZW3 file
+   * @param {string} filePath - Path to .mobi/.azw3/.azw
+   * @returns {object} - { text, chapters, metadata }
+   */
+  read(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const records = this.readRecordTable(buffer);
+    const header = this.readHeader(buffer, records);
+    const raw = this.readText(buffer, records, header);
+
+    // Plain PalmDOC text has no markup; chapters are detected downstream
+    if (!header.hasMobiHeader) {
+      return { text: raw.decode(raw.buffer), chapters: null, metadata: header.metadata };
+    }
+
+    const chapters = header.version >= 8
+      ? this.splitKF8(raw)
+      : this.splitMobi6(raw);
+
+    return {
+      text: chapters.map(ch => ch.text).join('\n\n'),
+      chapters,
+      metadata: header.metadata
+    };
+  }
+
+  readRecordTable(buffer) {
+    if (buffer.length < 78) {
+      throw new Error('File too small to be a MOBI book');
+    }
+
+    const type = buffer.toString('latin1', 60, 68);
+    if (type !== 'BOOKMOBI' && type !== 'TEXtREAd') {
+      throw new Error(`Not a MOBI book (type: ${type})`);
+    }
+
+    const count = buffer.readUInt16BE(76);
+    const records = [];
+
+    for (let i = 0; i < count; i++) {
+      const offset = buffer.readUInt32BE(78 + i * 8);
+      records.push({ start: offset });
+    }
+
+    records.forEach((record, i) => {
+      record.end = i + 1 < records.length ? records[i + 1].start : buffer.length;
+    });
+
+    return records;
+  }
+
+  readHeader(buffer, records) {
+    const base = records[0].start;
+    const compression = buffer.readUInt16BE(base);
+    const textLength = buffer.readUInt32BE(base + 4);
+    const recordCount = buffer.readUInt16BE(base + 8);
+    const encryption = buffer.readUInt16BE(base + 12);
+
+    if (encryption !== 0) {
+      throw new Error('Book is DRM-protected');
+    }
+
+    if (compression === COMPRESSION_HUFFCDIC) {
+      throw new Error('HUFF/CDIC compressed books are not supported');
+    }
+
+    if (compression !== COMPRESSION_NONE && compression !== COMPRESSION_PALMDOC) {
+      throw new Error(`Unknown compression type: ${compression}`);
+    }
+
+    const header = {
+      compression,
+      textLength,
+      recordCount,
+      encoding: 'windows-1252',
+      hasMobiHeader: false,
+      version: 0,
+      extraDataFlags: 0,
+      fdstIndex: null,
+      metadata: { title: null, author: null, language: null, publisher: null }
+    };
+
+    // Plain PalmDOC (TEXtREAd) files have no MOBI header
+    if (buffer.toString('latin1', base + 16, base + 20) !== 'MOBI') {
+      return header;
+    }
+
+    header.hasMobiHeader = true;
+    const headerLength = buffer.readUInt32BE(base + 20);
+    header.encoding = buffer.readUInt32BE(base + 28) === 65001 ? 'utf-8' : 'windows-1252';
+    header.version = buffer.readUInt32BE(base + 36);
+
+    if (headerLength >= 0xE4) {
+      header.extraDataFlags = buffer.readUInt16BE(base + 0xF2);
+    }
+
+    if (header.version >= 8 && headerLength >= 0xB8) {
+      const fdst = buffer.readUInt32BE(base + 0xC0);
+      header.fdstIndex = fdst !== 0xffffffff && fdst < records.length ? fdst : null;
+    }
+
+    const decode = (buf) => new TextDecoder(header.encoding).decode(buf);
+    const nameOffset = buffer.readUInt32BE(base + 84);
+    const nameLength = buffer.readUInt32BE(base + 88);
+    if (nameLength > 0 && base + nameOffset + nameLength <= records[0].end) {
+      header.metadata.title = decode(buffer.subarray(base + nameOffset, base + nameOffset + nameLength));
+    }
+
+    const hasExth = (buffer.readUInt32BE(base + 128) & 0x40) !== 0;
+    if (hasExth) {
+      this.readExth(buffer, base + 16 + headerLength, header, decode);
+    }
+
+    return header;
+  }
+
+  readExth(buffer, offset, header, decode) {
+    if (buffer.toString('latin1', offset, offset + 4) !== 'EXTH') {
+      return;
+    }
+
+    const count = buffer.readUInt32BE(offset + 8);
+    const authors = [];
+    let pos = offset + 12;
+
+    for (let i = 0; i < count && pos + 8 <= buffer.length; i++) {
+      const type = buffer.readUInt32BE(pos);
+      const length = buffer.readUInt32BE(pos + 4);
+      if (length < 8) break;
+
+      const value = decode(buffer.subarray(pos + 8, pos + length)).trim();
+
+      if (type === EXTH_AUTHOR && value) authors.push(value);
+      else if (type === EXTH_TITLE && value) header.metadata.title = value;
+      else if (type === EXTH_LANGUAGE && value) header.metadata.language = value;
+      else if (type === EXTH_PUBLISHER && value) header.metadata.publisher = value;
+
+      pos += length;
+    }
+
+    if (authors.length > 0) {
+      header.metadata.author = authors.join(', ');
+    }
+  }
+
+  /**
+   * Decompress all text records into the raw markup buffer
+   */
+  readText(buffer, records, header) {
+    const parts = [];
+    let total = 0;
+
+    for (let i = 1; i <= header.recordCount && i < records.length; i++) {
+      let data = buffer.subarray(records[i].start, records[i].end);
+      data = data.subarray(0, data.length - this.trailingSize(data, header.extraDataFlags));
+
+      const text = header.compression === COMPRESSION_PALMDOC
+        ? this.decompressPalmDoc(data)
+        : Buffer.from(data);
+
+      total += text.length;
+      if (total > this.maxTextLength) {
+        throw new Error('Decompressed text exceeds maximum length');
+      }
+
+      parts.push(text);
+    }
+
+    let raw = Buffer.concat(parts).subarray(0, header.textLength);
+
+    // KF8 stores CSS/SVG flows after the main text; keep only flow 0
+    if (header.fdstIndex !== null) {
+      const fdst = records[header.fdstIndex];
+      if (buffer.toString('latin1', fdst.start, fdst.start + 4) === 'FDST') {
+        const flowEnd = buffer.readUInt32BE(fdst.start + 16);
+        raw = raw.subarray(buffer.readUInt32BE(fdst.start + 12), flowEnd);
+      }
+    }
+
+    return { buffer: raw, decode: (buf) => new TextDecoder(header.encoding).decode(buf) };
+  }
+
+  /**
+   * Size of the trailing entries appended to a text record
+   * (multibyte overlap and indexing data, per the MOBI extra data flags)
+   */
+  trailingSize(data, flags) {
+    let size = 0;
+
+    for (let testFlags = flags >> 1; testFlags; testFlags >>= 1) {
+      if (testFlags & 1) {
+        size += this.readBackwardVarint(data, data.length - size);
+      }
+    }
+
+    if (flags & 1) {
+      size += (data[data.length - size - 1] & 0x3) + 1;
+    }
+
+    return Math.min(size, data.length);
+  }
+
+  readBackwardVarint(data, end) {
+    let result = 0;
+    let shift = 0;
+    let pos = end;
+
+    while (pos > 0) {
+      const byte = data[--pos];
+      result |= (byte & 0x7f) << shift;
+      shift += 7;
+      if ((byte & 0x80) !== 0 || shift >= 28) break;
+    }
+
+    return result;
+  }
+
+  /**
+   * PalmDOC LZ77 decompression
+   */
+  decompressPalmDoc(data) {
+    const out = Buffer.alloc(Math.max(data.length * 8, 4096));
+    let o = 0;
+    let i = 0;
+
+    while (i < data.length && o < out.length) {
+      const c = data[i++];
+
+      if (c === 0 || (c >= 0x09 && c <= 0x7f)) {
+        // Literal byte
+        out[o++] = c;
+      } else if (c <= 0x08) {
+        // Copy the next 1-8 bytes verbatim
+        for (let k = 0; k < c && i < data.length; k++) {
+          out[o++] = data[i++];
+        }
+      } else if (c <= 0xbf) {
+        // Back-reference: 11-bit distance, 3-bit length
+        const pair = (c << 8) | data[i++];
+        const distance = (pair >> 3) & 0x7ff;
+        const length = (pair & 0x7) + 3;
+        for (let k = 0; k < length && distance > 0 && distance <= o; k++) {
+          out[o] = out[o - distance];
+          o++;
+        }
+      } else {
+        // Space followed by a character
+        out[o++] = 0x20;
+        out[o++] = c ^ 0x80;
+      }
+    }
+
+    return out.subarray(0, o);
+  }
+
+  /**
+   * MOBI 6: split at the filepos targets listed on the guide's TOC page
+   */
+  splitMobi6(raw) {
+    const latin = raw.buffer.toString('latin1');
+    const guide = parseMarkup(latin.match(/<guide>[\s\S]*?<\/guide>/i)?.[0] || '');
+    const tocRef = findAll(guide, 'reference').find(ref => /toc/i.test(getAttr(ref, 'type') || ''));
+    const tocPos = tocRef ? parseInt(getAttr(tocRef, 'filepos'), 10) : NaN;
+
+    if (Number.isFinite(tocPos) && tocPos < raw.buffer.length) {
+      // TOC page runs until the next page break
+      const tocEnd = latin.slice(tocPos).search(/<mbp:pagebreak/i);
+      const tocStop = tocEnd === -1 ? raw.buffer.length : tocPos + tocEnd;
+      const tocDoc = parseMarkup(raw.decode(raw.buffer.subarray(tocPos, tocStop)));
+
+      const entries = findAll(tocDoc, el => el.attrs.filepos !== undefined)
+        .map(link => ({
+          title: textContent(link).trim(),
+          pos: parseInt(link.attrs.filepos, 10)
+        }))
+        .filter(entry => entry.title && Number.isFinite(entry.pos) && entry.pos < raw.buffer.length)
+        .sort((a, b) => a.pos - b.pos);
+
+      if (entries.length > 0) {
+        const withoutToc = (start, end) => {
+          // Cut the TOC page itself out of whichever chapter contains it
+          if (tocPos >= start && tocPos < end) {
+            return Buffer.concat([
+              raw.buffer.subarray(start, tocPos),
+              raw.buffer.subarray(Math.min(tocStop, end), end)
+            ]);
+          }
+          return raw.buffer.subarray(start, end);
+        };
+
+        const sections = [{ title: 'Introduction', start: 0, end: entries[0].pos }];
+        entries.forEach((entry, i) => {
+          sections.push({
+            title: entry.title,
+            start: entry.pos,
+            end: i + 1 < entries.length ? entries[i + 1].pos : raw.buffer.length
+          });
+        });
+
+        return this.finalizeChapters(sections.map(section => ({
+          title: section.title,
+          blocks: this.readBlocks(raw.decode(withoutToc(section.start, section.end)))
+        })));
+      }
+    }
+
+    // No usable TOC: split at page breaks, titled by the first heading
+    const parts = raw.decode(raw.buffer).split(/<mbp:pagebreak[^>]*>/i);
+    return this.splitByHeading(parts);
+  }
+
+  /**
+   * KF8: each embedded XHTML file becomes a chapter
+   */
+  splitKF8(raw) {
+    const parts = raw.decode(raw.buffer).split(/(?=<\?xml|<html[\s>])/i);
+    return this.splitByHeading(parts);
+  }
+
+  splitByHeading(parts) {
+    return this.finalizeChapters(parts.map((part, i) => {
+      const blocks = this.readBlocks(part);
+      const heading = blocks.find(block => /^h[1-3]$/.test(block.tag));
+      return {
+        title: heading ? heading.text : `Chapter ${i + 1}`,
+        blocks
+      };
+    }));
+  }
+
+  readBlocks(markup) {
+    const doc = parseMarkup(markup);
+    const guide = findFirst(doc, 'guide');
+    return extractBlocks(doc, { skip: el => el === guide });
+  }
+
+  finalizeChapters(rawChapters) {
+    const chapters = [];
+
+    for (const raw of rawChapters) {
+      const blocks = raw.blocks.map(block => block.text).filter(Boolean);
+
+      // Drop a leading heading that just repeats the chapter title
+      if (blocks.length > 1 && blocks[0].toLowerCase() === raw.title.toLowerCase()) {
+        blocks.shift();
+      }
+
+      const text = blocks.join('\n\n').trim();
+      if (text.length === 0) continue;
+
+      chapters.push({
+        number: chapters.length + 1,
+        title: raw.title.substring(0, 200),
+        text
+      });
+    }
+
+    return chapters;
+  }
+}
+
+export default MobiReader;
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+import ZipReader from './zip-reader.js';
+import {
+  parseMarkup,
+  findAll,
+  findFirst,
+  getAttr,
+  localName,
+  textContent
+} from './markup.js';
+
+/**
+ * Office Document Reader
+ * Reads Word (.docx) and OpenDocument (.odt) text documents. Heading
+ * styles drive the structure: the top heading level present becomes
+ * chapters, the next one down becomes spoken section titles. Footnotes,
+ * comments and tracked deletions are never read.
+ */
+
+// DOCX elements whose content is not part of the visible text
+const DOCX_SKIPPED = new Set([
+  'del', 'movefrom', 'deltext', 'delinstrtext', 'instrtext', 'footnotereference',
+  'endnotereference', 'commentreference', 'txbxcontent', 'fallback', 'ppr', 'rpr'
+]);
+
+// ODT elements whose content is not part of the visible text
+const ODT_SKIPPED = new Set([
+  'note', 'annotation', 'annotation-end', 'tracked-changes', 'bookmark-ref',
+  'sequence-decls', 'variable-decls', 'user-field-decls', 'soft-page-break'
+]);
+
+class OfficeReader {
+  constructor(options = {}) {
+    this.maxEntrySize = options.maxEntrySize;
+  }
+
+  /**
+   * Read a .docx file
+   * @returns {object} - { text, chapters, metadata }
+   */
+  readDocx(filePath) {
+    const zip = ZipReader.fromFile(filePath, { maxEntrySize: this.maxEntrySize });
+
+    if (!zip.has('word/document.xml')) {
+      throw new Error('Missing word/document.xml');
+    }
+
+    const styles = zip.has('word/styles.xml')
+      ? this.readDocxStyles(parseMarkup(zip.readText('word/styles.xml'), { xml: true }))
+      : new Map();
+
+    const doc = parseMarkup(zip.readText('word/document.xml'), { xml: true });
+    const body = findFirst(doc, 'body');
+    if (!body) {
+      throw new Error('Document has no body');
+    }
+
+    const paragraphs = [];
+    for (const child of body.children) {
+      if (child.type !== 'element') continue;
+      this.collectDocx(child, paragraphs, styles);
+    }
+
+    const metadata = zip.has('docProps/core.xml')
+      ? this.readCoreProperties(zip.readText('docProps/core.xml'))
+      : { title: null, author: null };
+
+    return this.buildDocument(paragraphs, metadata);
+  }
+
+  /**
+   * Map styleId -> { level, title } following basedOn inheritance
+   */
+  readDocxStyles(stylesDoc) {
+    const raw = new Map();
+
+    for (const style of findAll(stylesDoc, 'style')) {
+      const id = getAttr(style, 'w:styleId');
+      if (!id) continue;
+
+      const nameEl = findFirst(style, 'name');
+      const basedOn = findFirst(style, 'basedon');
+      const outline = findFirst(style, 'outlinelvl');
+
+      raw.set(id, {
+        name: nameEl ? getAttr(nameEl, 'w:val') || '' : '',
+        basedOn: basedOn ? getAttr(basedOn, 'w:val') : null,
+        outline: outline ? parseInt(getAttr(outline, 'w:val'), 10) : null
+      });
+    }
+
+    const resolve = (id, depth = 0) => {
+      const style = raw.get(id);
+      if (!style || depth > 10) return { level: 0, title: false };
+
+      const named = style.name.match(/^heading\s*(\d)$/i);
+      if (named) return { level: parseInt(named[1], 10), title: false };
+      if (/^title$/i.test(style.name)) return { level: 0, title: true };
+      if (Number.isInteger(style.outline) && style.outline < 9) {
+        return { level: style.outline + 1, title: false };
+      }
+
+      return style.basedOn ? resolve(style.basedOn, depth + 1) : { level: 0, title: false };
+    };
+
+    const styles = new Map();
+    for (const id of raw.keys()) {
+      styles.set(id, resolve(id));
+    }
+    return styles;
+  }
+
+  collectDocx(node, paragraphs, styles) {
+    const name = localName(node.name);
+
+    if (name === 'p') {
+      const text = this.docxRunText(node).replace(/\s+/g, ' ').trim();
+      if (!text) return;
+
+      const pPr = node.children.find(c => c.type === 'element' && localName(c.name) === 'ppr');
+      const styleEl = pPr && findFirst(pPr, 'pstyle');
+      const outlineEl = pPr && findFirst(pPr, 'outlinelvl');
+      const styleId = styleEl ? getAttr(styleEl, 'w:val') : null;
+
+      let style = (styleId && styles.get(styleId)) || { level: 0, title: false };
+      if (!styles.has(styleId) && styleId) {
+        // No styles.xml entry: fall back to the built-in ids ("Heading1", "Title")
+        const builtIn = styleId.match(/^heading(\d)$/i);
+        style = builtIn
+          ? { level: parseInt(builtIn[1], 10), title: false }
+          : { level: 0, title: /^title$/i.test(styleId) };
+      }
+      if (outlineEl) {
+        const outline = parseInt(getAttr(outlineEl, 'w:val'), 10);
+        if (outline < 9) style = { level: outline + 1, title: false };
+      }
+
+      paragraphs.push({ text, level: style.level, title: style.title });
+      return;
+    }
+
+    if (name === 'tbl') {
+      for (const row of findAll(node, 'tr')) {
+        const cells = row.children
+          .filter(c => c.type === 'element' && localName(c.name) === 'tc')
+          .map(cell => findAll(cell, 'p').map(p => this.docxRunText(p)).join(' ').replace(/\s+/g, ' ').trim())
+          .filter(Boolean);
+        if (cells.length > 0) {
+          paragraphs.push({ text: `${cells.join(', ')}.`, level: 0, title: false });
+        }
+      }
+      return;
+    }
+
+    if (DOCX_SKIPPED.has(name)) return;
+
+    // Structured document tags, inserted runs, smart tags etc.
+    for (const child of node.children) {
+      if (child.type === 'element') this.collectDocx(child, paragraphs, styles);
+    }
+  }
+
+  docxRunText(node) {
+    let text = '';
+
+    for (const child of node.children) {
+      if (child.type !== 'element') continue;
+      const name = localName(child.name);
+
+      if (DOCX_SKIPPED.has(name)) continue;
+
+      if (name === 't') {
+        text += textContent(child);
+      } else if (name === 'tab' || name === 'br' || name === 'cr') {
+        text += ' ';
+      } else if (name === 'nobreakhyphen') {
+        text += '-';
+      } else {
+        text += this.docxRunText(child);
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Read a .odt file
+   * @returns {object} - { text, chapters, metadata }
+   */
+  readOdt(filePath) {
+    const zip = ZipReader.fromFile(filePath, { maxEntrySize: this.maxEntrySize });
+
+    if (!zip.has('content.xml')) {
+      throw new Error('Missing content.xml');
+    }
+
+    const doc = parseMarkup(zip.readText('content.xml'), { xml: true });
+    const body = findFirst(doc, el => el.name === 'office:text');
+    if (!body) {
+      throw new Error('Document has no text body');
+    }
+
+    const paragraphs = [];
+    this.collectOdt(body, paragraphs);
+
+    const metadata = zip.has('meta.xml')
+      ? this.readCoreProperties(zip.readText('meta.xml'))
+      : { title: null, author: null };
+
+    return this.buildDocument(paragraphs, metadata);
+  }
+
+  collectOdt(node, paragraphs) {
+    for (const child of node.children) {
+      if (child.type !== 'element') continue;
+      const name = localName(child.name);
+
+      if (ODT_SKIPPED.has(name)) continue;
+
+      if (name === 'h' || name === 'p') {
+        const text = this.odtText(child).replace(/\s+/g, ' ').trim();
+        if (!text) continue;
+
+        const level = name === 'h' ? parseInt(getAttr(child, 'text:outline-level') || '1', 10) : 0;
+        const styleName = getAttr(child, 'text:style-name') || '';
+        paragraphs.push({ text, level, title: name === 'p' && /^title$/i.test(styleName) });
+      } else if (name === 'table-row') {
+        const cells = child.children
+          .filter(c => c.type === 'element' && localName(c.name) === 'table-cell')
+          .map(cell => this.odtText(cell).replace(/\s+/g, ' ').trim())
+          .filter(Boolean);
+        if (cells.length > 0) {
+          paragraphs.push({ text: `${cells.join(', ')}.`, level: 0, title: false });
+        }
+      } else {
+        // Sections, lists, list items, table bodies
+        this.collectOdt(child, paragraphs);
+      }
+    }
+  }
+
+  odtText(node) {
+    let text = '';
+
+    for (const child of node.children) {
+      if (child.type === 'text') {
+        text += child.text;
+        continue;
+      }
+
+      const name = localName(child.name);
+      if (ODT_SKIPPED.has(name)) continue;
+
+      if (name === 's') {
+        text += ' '.repeat(parseInt(getAttr(child, 'text:c') || '1', 10));
+      } else if (name === 'tab' || name === 'line-break') {
+        text += ' ';
+      } else if (name === 'p' || name === 'h') {
+        text += ` ${this.odtText(child)} `;
+      } else {
+        text += this.odtText(child);
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Title and author from docProps/core.xml (DOCX) or meta.xml (ODT)
+   */
+  readCoreProperties(xml) {
+    const doc = parseMarkup(xml, { xml: true });
+    const pick = (...names) => {
+      for (const name of names) {
+        const el = findFirst(doc, el => el.name === name);
+        const value = el ? textContent(el).trim() : '';
+        if (value) return value;
+      }
+      return null;
+    };
+
+    return {
+      title: pick('dc:title'),
+      author: pick('dc:creator', 'meta:initial-creator')
+    };
+  }
+
+  /**
+   * Group paragraphs into chapters by heading level
+   */
+  buildDocument(paragraphs, metadata) {
+    const titleParagraph = paragraphs.find(p => p.title);
+    if (titleParagraph && !metadata.title) {
+      metadata.title = titleParagraph.text;
+    }
+
+    const levels = paragraphs.filter(p => p.level > 0).map(p => p.level);
+    const chapterLevel = levels.length > 0 ? Math.min(...levels) : 0;
+
+    const chapters = [];
+    let current = { title: metadata.title || 'Introduction', lines: [] };
+
+    const finish = () => {
+      const text = current.lines.join('\n\n').trim();
+      if (text.length > 0) {
+        chapters.push({ number: chapters.length + 1, title: current.title.substring(0, 200), text });
+      }
+    };
+
+    for (const paragraph of paragraphs) {
+      if (paragraph.title) continue;
+
+      if (chapterLevel > 0 && paragraph.level === chapterLevel) {
+        finish();
+        current = { title: paragraph.text, lines: [] };
+      } else if (paragraph.level > 0) {
+        // Section and sub-section titles are read as sentences of their own
+        current.lines.push(/[.!?:]$/.test(paragraph.text) ? paragraph.text : `${paragraph.text}.`);
+      } else {
+        current.lines.push(paragraph.text);
+      }
+    }
+
+    finish();
+
+    return {
+      text: chapters.map(ch => ch.text).join('\n\n'),
+      chapters,
+      metadata
+    };
+  }
+}
+
+export default OfficeReader;
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Paper Cleaner
+ * Extra cleaning for research papers (TextCleaner `mode: 'paper'`): cuts
+ * the reference list, removes or softens citations ([3, 14], (Smith et
+ * al., 2020)), drops or announces figure/table captions, drops equation
+ * fragments, and arranges chapters so the abstract comes first.
+ */
+
+const REFERENCES_HEADING = /^[ \t]*(?:(?:\d+|[IVXLCDM]+)\.?[ \t]+)?(?:references|bibliography|works cited|literature cited|references and notes)[ \t]*$/gim;
+
+const NAME = String.raw`(?:(?:van|von|de|der|den|di|da|du|le|la)\s+)*\p{Lu}[\p{L}'’-]+`;
+const AUTHORS = String.raw`${NAME}(?:(?:,\s*|,?\s+and\s+|\s*&\s*)${NAME})*(?:,?\s+et\s+al\.?)?`;
+const YEARS = String.raw`(?:19|20)\d{2}[a-z]?(?:,\s*(?:19|20)\d{2}[a-z]?)*`;
+const CITE = String.raw`${AUTHORS},?\s+${YEARS}(?:,\s*(?:pp?\.|chap\.)\s*\d+(?:[-–]\d+)?)?`;
+
+// (Smith et al., 2020; Lee 2019a), (see Jones, 2018, p. 4)
+const PARENTHETICAL = new RegExp(String.raw`[ \t]?\((?:(?:see|e\.g\.|cf\.|i\.e\.)(?:,)?\s+)?(${CITE}(?:\s*;\s*${CITE})*)\)`, 'gu');
+
+// Smith et al. (2020), Smith and Jones (2019a, 2019b)
+const NARRATIVE = new RegExp(String.raw`(${AUTHORS})\s+\(${YEARS}\)`, 'gu');
+
+// [3], [3, 14], [3-5], [3]-[5]
+const NUMERIC = /(?<=\S)[ \t]*\[\d+(?:\s*[-–,;]\s*\d+)*\](?:\s*[-–,]\s*\[\d+(?:\s*[-–,;]\s*\d+)*\])*/g;
+
+const CAPTION = /^[ \t]*(Figure|Fig\.|Table|Algorithm)[ \t]+(\d+|[IVX]+)[.:][ \t]/i;
+
+const MATH = /[=∑∫∏√≤≥≈≠∈∉⊂∀∃∂∇∞±×÷→↦^]/;
+
+// A stated value reads fine aloud: "α = 0.05", "n ≈ 40%"
+const VALUE = /^[\p{L}\p{N}_]{1,3}\s*[=≈≤≥<>]\s*-?(?:\d*\.\d+|\d+%)$/u;
+
+const CITATION_STYLES = ['remove', 'soften'];
+const FIGURE_STYLES = ['skip', 'announce'];
+
+class PaperCleaner {
+  /**
+   * @param {object} options
+   * @param {string} options.citations - 'remove', or 'soften' (keep author
+   *   names, drop years: "(Smith and colleagues)")
+   * @param {string} options.figures - 'skip' captions, or 'announce' them
+   */
+  constructor(options = {}) {
+    this.citations = options.citations || 'remove';
+    this.figures = options.figures || 'skip';
+
+    if (!CITATION_STYLES.includes(this.citations)) {
+      throw new Error(`Unknown citation style: ${this.citations} (use ${CITATION_STYLES.join(', ')})`);
+    }
+    if (!FIGURE_STYLES.includes(this.figures)) {
+      throw new Error(`Unknown figure style: ${this.figures} (use ${FIGURE_STYLES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Section headings of papers, for chapter detection
+   */
+  static get headingPatterns() {
+    return [
+      /^abstract[.:]?$/i,
+      /^(?:\d+|[IVXLCDM]+)\.?\s+\p{Lu}[\p{L}-]*(?:\s+[\p{L}-]+){0,6}$/u,
+      /^(?:introduction|background|related work|methods?|methodology|materials and methods|experiments?|evaluation|results(?: and discussion)?|discussion|conclusions?(?: and future work)?|acknowledge?ments|appendix(?:\s+[A-Z])?)$/i
+    ];
+  }
+
+  /**
+   * Cleaning stages, each with where it goes in TextCleaner's pipeline
+   */
+  stages() {
+    return [
+      { name: 'stripReferences', before: 'removeTOC', run: (text, context) => this.stripReferences(text, context) },
+      { name: 'splitAbstract', before: 'removeTOC', run: text => this.splitAbstract(text) },
+      { name: 'removeFigureCaptions', after: 'handleTables', run: text => this.removeFigureCaptions(text) },
+      { name: 'removeEquations', after: 'removeFigureCaptions', run: text => this.removeEquations(text) },
+      { name: 'removeCitations', after: 'removeEquations', run: text => this.removeCitations(text) }
+    ];
+  }
+
+  /**
+   * Cut the text at the (last) References/Bibliography heading
+   * @param {object} context - `stop` (and `final`: no text follows) is set
+   *   when the cut was made, so a streamed paper can stop reading
+   */
+  stripReferences(text, context = {}) {
+    const headings = [...text.matchAll(REFERENCES_HEADING)];
+    if (headings.length === 0) return text;
+
+    context.stop = true;
+    context.final = true;
+    return text.slice(0, headings[headings.length - 1].index);
+  }
+
+  /**
+   * "Abstract—We study ..." becomes an Abstract heading and a paragraph
+   */
+  splitAbstract(text) {
+    return text.replace(/^[ \t]*(abstract)[ \t]*(?:[—–:.]|-{1,2})[ \t]*(\S.*)$/im, (m, word, rest) => `Abstract\n\n${rest}`);
+  }
+
+  removeFigureCaptions(text) {
+    const lines = text.split('\n');
+    const output = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = CAPTION.exec(lines[i]);
+      if (!match) {
+        output.push(lines[i]);
+        continue;
+      }
+
+      // The caption runs to the end of its paragraph
+      while (i + 1 < lines.length && lines[i + 1].trim() !== '') i++;
+
+      if (this.figures === 'announce') {
+        const kind = /^fig/i.test(match[1]) ? 'Figure' : match[1][0].toUpperCase() + match[1].slice(1).toLowerCase();
+        output.push(`${kind} ${match[2]} is shown here.`);
+      }
+    }
+
+    return output.join('\n');
+  }
+
+  /**
+   * Drop display equations and the math fragments pdftotext leaves behind
+   */
+  removeEquations(text) {
+    return text
+      .split('\n')
+      .filter(line => !this.isEquation(line))
+      .join('\n');
+  }
+
+  isEquation(line) {
+    const trimmed = line.trim();
+
+    // Labels like "Fig. 3(a)–(c)" and symbol list items have no math in them
+    if (!MATH.test(trimmed) || VALUE.test(trimmed)) return false;
+
+    const words = (trimmed.match(/\p{L}{3,}/gu) || []).join('').length;
+    const chars = trimmed.replace(/\s/g, '').length;
+
+    // "E = mc2    (1)", a line that is mostly symbols, or stray operators: "i=1", "∑"
+    return /\(\d+(?:\.\d+)?[a-z]?\)$/.test(trimmed) || words / chars < 0.5;
+  }
+
+  removeCitations(text) {
+    const soften = this.citations === 'soften';
+    const names = (authors) => authors.replace(/,?\s+et\s+al\.?/, ' and colleagues').replace(/\s+/g, ' ').trim();
+
+    return text
+      .replace(NUMERIC, '')
+      .replace(PARENTHETICAL, (match, cites) => {
+        if (!soften) return '';
+        const authors = cites.split(/\s*;\s*/).map(cite => names(cite.replace(new RegExp(String.raw`,?\s+${YEARS}.*$`, 'u'), '')));
+        return ` (${authors.join('; ')})`;
+      })
+      .replace(NARRATIVE, (match, authors) => (soften ? names(authors) : authors));
+  }
+
+  /**
+   * Start at the abstract (dropping title/author/affiliation front matter)
+   * and stop at a References chapter
+   */
+  arrangeChapters(chapters) {
+    let kept = chapters;
+
+    const abstract = kept.findIndex(chapter => /^abstract\b/i.test(chapter.title.trim()));
+    if (abstract > 0) {
+      kept = kept.slice(abstract);
+    }
+
+    const references = kept.findIndex(chapter => new RegExp(REFERENCES_HEADING.source, 'i').test(chapter.title.trim()));
+    if (references > 0) {
+      kept = kept.slice(0, references);
+    }
+
+    return kept.map((chapter, i) => ({
+      ...chapter,
+      number: i + 1,
+      title: i === 0 && abstract !== -1 ? 'Abstract' : chapter.title
+    }));
+  }
+}
+
+export default PaperCleaner;
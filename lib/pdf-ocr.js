@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import config from './config.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * PDF OCR Fallback
+ * Finds image-only or garbled pages in pdftotext output, rasterizes them
+ * with pdftoppm and recognizes them with a local tesseract binary.
+ */
+
+class PdfOcr {
+  constructor(options = {}) {
+    this.language = options.language || 'eng';
+    this.resolution = options.resolution || 300; // DPI
+    this.minChars = options.minChars || 20; // Fewer visible chars = image-only page
+    this.minLetterRatio = options.minLetterRatio || 0.5; // Below = garbled text layer
+    this.pageTimeout = options.pageTimeout || 120000; // 2 minutes per page
+    this.tempDir = options.tempDir || config.paths.temp;
+  }
+
+  /**
+   * Check whether a page's extracted text is missing or garbage
+   */
+  needsOcr(pageText) {
+    const visible = pageText.replace(/\s+/g, '');
+
+    if (visible.length < this.minChars) {
+      return true;
+    }
+
+    const letters = (visible.match(/[\p{L}\p{N}]/gu) || []).length;
+    return letters / visible.length < this.minLetterRatio;
+  }
+
+  /**
+   * Check for pdftoppm and tesseract
+   * @returns {string[]} - Names of missing tools
+   */
+  async missingTools() {
+    const missing = [];
+
+    for (const tool of ['pdftoppm', 'tesseract']) {
+      try {
+        await execFileAsync('which', [tool]);
+      } catch {
+        missing.push(tool);
+      }
+    }
+
+    return missing;
+  }
+
+  /**
+   * OCR the pages that need it, in place
+   *
+   * @param {string} filePath - Source PDF
+   * @param {string[]} pages - Per-page text from pdftotext (modified)
+   * @param {number} firstPage - Page number of pages[0] (when streaming)
+   * @returns {object} - Summary for processing stats
+   */
+  async apply(filePath, pages, firstPage = 1) {
+    const candidates = pages
+      .map((text, i) => ({ index: i, text }))
+      .filter(page => this.needsOcr(page.text));
+
+    const summary = {
+      totalPages: pages.length,
+      flaggedPages: candidates.length,
+      ocrPages: 0,
+      averageConfidence: null,
+      pages: [],
+      skipped: null
+    };
+
+    if (candidates.length === 0) {
+      return summary;
+    }
+
+    const missing = await this.missingTools();
+    if (missing.length > 0) {
+      summary.skipped = `missing ${missing.join(', ')}`;
+      return summary;
+    }
+
+    const workDir = fs.mkdtempSync(path.join(this.tempDir, 'ocr-'));
+
+    try {
+      for (const page of candidates) {
+        const pageNum = firstPage + page.index;
+
+        try {
+          const result = await this.recognizePage(filePath, pageNum, workDir);
+
+          // Keep the original text layer if OCR found nothing better
+          if (result.text.replace(/\s+/g, '').length > page.text.replace(/\s+/g, '').length) {
+            pages[page.index] = result.text;
+          }
+
+          summary.pages.push({ page: pageNum, confidence: result.confidence, words: result.words });
+        } catch (error) {
+          summary.pages.push({ page: pageNum, confidence: null, words: 0, error: error.message });
+        }
+      }
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    const recognized = summary.pages.filter(p => p.confidence !== null);
+    summary.ocrPages = recognized.length;
+
+    if (recognized.length > 0) {
+      const totalWords = recognized.reduce((sum, p) => sum + p.words, 0);
+      summary.averageConfidence = totalWords > 0
+        ? Math.round(recognized.reduce((sum, p) => sum + p.confidence * p.words, 0) / totalWords)
+        : 0;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Rasterize one page and run tesseract on it
+   * @returns {object} - { text, confidence (0-100), words }
+   */
+  async recognizePage(filePath, pageNum, workDir) {
+    const prefix = path.join(workDir, `page-${pageNum}`);
+
+    await execFileAsync('pdftoppm', [
+      '-f', String(pageNum),
+      '-l', String(pageNum),
+      '-r', String(this.resolution),
+      '-gray',
+      '-png',
+      '-singlefile',
+      filePath,
+      prefix
+    ], { timeout: this.pageTimeout });
+
+    const { stdout } = await execFileAsync(
+      'tesseract',
+      [`${prefix}.png`, 'stdout', '-l', this.language, 'tsv'],
+      { timeout: this.pageTimeout, maxBuffer: 20 * 1024 * 1024 }
+    );
+
+    return this.parseTSV(stdout);
+  }
+
+  /**
+   * Rebuild page text and mean word confidence from tesseract TSV output
+   */
+  parseTSV(tsv) {
+    const lines = [];
+    const confidences = [];
+    let currentKey = null;
+    let currentBlock = null;
+    let line = [];
+
+    const flushLine = () => {
+      if (line.length > 0) lines.push(line.join(' '));
+      line = [];
+    };
+
+    for (const row of tsv.split('\n').slice(1)) {
+      const cols = row.split('\t');
+      if (cols.length < 12 || cols[0] !== '5') continue; // Level 5 = word
+
+      const [, , block, par, lineNum] = cols;
+      const conf = parseFloat(cols[10]);
+      const word = cols.slice(11).join('\t').trim();
+      if (!word) continue;
+
+      const blockKey = `${block}.${par}`;
+      const key = `${blockKey}.${lineNum}`;
+
+      if (key !== currentKey) {
+        flushLine();
+        // Blank line between paragraphs
+        if (currentBlock !== null && blockKey !== currentBlock) lines.push('');
+        currentKey = key;
+        currentBlock = blockKey;
+      }
+
+      line.push(word);
+      if (conf >= 0) confidences.push(conf);
+    }
+
+    flushLine();
+
+    return {
+      text: lines.join('\n') + '\n',
+      confidence: confidences.length > 0
+        ? Math.round(confidences.reduce((a, b) => a + b, 0) / confidences.length)
+        : 0,
+      words: confidences.length
+    };
+  }
+}
+
+export default PdfOcr;
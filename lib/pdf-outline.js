@@ -0,0 +1,679 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import zlib from 'zlib';
+
+/**
+ * PDF Outline Reader
+ * Reads the document outline (bookmarks) of a PDF: entry titles and the
+ * pages they point to. Only the objects needed for the outline, page tree
+ * and named destinations are read, seeking to them through the
+ * cross-reference data at the end of the file; page content is left to
+ * pdftotext.
+ */
+
+// PDFDocEncoding characters that differ from Latin-1 (0x80-0x92)
+const PDF_DOC_ENCODING = '•†‡…—–ƒ⁄‹›−‰„“”‘’‚™';
+
+const MAX_OUTLINE_ITEMS = 10000;
+
+// Read from the end of the file to find "startxref"
+const TAIL_SIZE = 4096;
+
+// First read for an object; grown (up to the maximum) for larger objects
+const OBJECT_CHUNK = 16 * 1024;
+const MAX_OBJECT_SIZE = 16 * 1024 * 1024;
+const DELIMITERS = '()<>[]{}/%';
+
+const isWhitespace = (ch) => ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t' || ch === '\f' || ch === '\0';
+const isName = (value, name) => value && value.type === 'name' && (name === undefined || value.value === name);
+const isRef = (value) => value && value.type === 'ref';
+
+/**
+ * Tokenizer/parser for PDF object syntax over a Latin-1 string
+ * (one character per byte, so string offsets are byte offsets)
+ */
+class PdfLexer {
+  constructor(source, pos = 0) {
+    this.src = source;
+    this.pos = pos;
+  }
+
+  skipWhitespace() {
+    const src = this.src;
+    while (this.pos < src.length) {
+      const ch = src[this.pos];
+      if (isWhitespace(ch)) {
+        this.pos++;
+      } else if (ch === '%') {
+        while (this.pos < src.length && src[this.pos] !== '\n' && src[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readRegular() {
+    const start = this.pos;
+    while (this.pos < this.src.length && !isWhitespace(this.src[this.pos]) &&
+           !DELIMITERS.includes(this.src[this.pos])) {
+      this.pos++;
+    }
+    return this.src.slice(start, this.pos);
+  }
+
+  parseObject(depth = 0) {
+    if (depth > 100) throw new Error('PDF object nesting too deep');
+
+    this.skipWhitespace();
+    const src = this.src;
+    const ch = src[this.pos];
+
+    if (ch === undefined) throw new Error('Unexpected end of PDF data');
+
+    if (ch === '<' && src[this.pos + 1] === '<') {
+      this.pos += 2;
+      const dict = Object.create(null);
+      for (;;) {
+        this.skipWhitespace();
+        if (src.startsWith('>>', this.pos)) {
+          this.pos += 2;
+          return dict;
+        }
+        const key = this.parseObject(depth + 1);
+        if (!isName(key)) throw new Error('Invalid PDF dictionary key');
+        dict[key.value] = this.parseObject(depth + 1);
+      }
+    }
+
+    if (ch === '<') {
+      const end = src.indexOf('>', this.pos);
+      if (end === -1) throw new Error('Unterminated PDF hex string');
+      let hex = src.slice(this.pos + 1, end).replace(/[^0-9a-fA-F]/g, '');
+      if (hex.length % 2) hex += '0';
+      this.pos = end + 1;
+      return Buffer.from(hex, 'hex').toString('latin1');
+    }
+
+    if (ch === '(') return this.parseLiteralString();
+
+    if (ch === '[') {
+      this.pos++;
+      const array = [];
+      for (;;) {
+        this.skipWhitespace();
+        if (src[this.pos] === ']') {
+          this.pos++;
+          return array;
+        }
+        array.push(this.parseObject(depth + 1));
+      }
+    }
+
+    if (ch === '/') {
+      this.pos++;
+      const raw = this.readRegular();
+      return { type: 'name', value: raw.replace(/#([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))) };
+    }
+
+    if (DELIMITERS.includes(ch)) {
+      throw new Error(`Unexpected "${ch}" in PDF object`);
+    }
+
+    const token = this.readRegular();
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      // "12 0 R" is an indirect reference
+      if (/^\d+$/.test(token)) {
+        const match = /^\s+(\d+)\s+R(?![^\s()<>[\]{}/%])/.exec(src.slice(this.pos, this.pos + 32));
+        if (match) {
+          this.pos += match[0].length;
+          return { type: 'ref', num: parseInt(token, 10), gen: parseInt(match[1], 10) };
+        }
+      }
+      return parseFloat(token);
+    }
+
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+
+    throw new Error(`Unexpected PDF token "${token}"`);
+  }
+
+  parseLiteralString() {
+    const src = this.src;
+    let out = '';
+    let nesting = 0;
+    this.pos++;
+
+    while (this.pos < src.length) {
+      const ch = src[this.pos++];
+
+      if (ch === '\\') {
+        const next = src[this.pos++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        if (next in escapes) {
+          out += escapes[next];
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && src[this.pos] >= '0' && src[this.pos] <= '7') octal += src[this.pos++];
+          out += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+        } else if (next === '\r') {
+          if (src[this.pos] === '\n') this.pos++; // Line continuation
+        } else if (next !== '\n') {
+          out += next;
+        }
+      } else if (ch === '(') {
+        nesting++;
+        out += ch;
+      } else if (ch === ')') {
+        if (nesting === 0) return out;
+        nesting--;
+        out += ch;
+      } else {
+        out += ch;
+      }
+    }
+
+    throw new Error('Unterminated PDF string');
+  }
+}
+
+/**
+ * Indirect object store that reads only what it needs from the file: the
+ * cross-reference data found through "startxref" at its end (tables or
+ * xref streams, following /Prev to older sections), then each object at
+ * its recorded offset. Throws when that data is missing or damaged.
+ */
+class PdfObjects {
+  constructor(fd, size) {
+    this.fd = fd;
+    this.size = size;
+    // Object number => { offset } or { stream, index }; null when freed
+    this.entries = new Map();
+    this.cache = new Map();
+    this.objectStreams = new Map();
+    this.trailerDict = this.readXref();
+  }
+
+  resolve(value, depth = 0) {
+    while (isRef(value) && depth++ < 32) {
+      value = this.get(value.num);
+    }
+    return value;
+  }
+
+  decodeStream(stream) {
+    const filter = this.resolve(stream.dict.Filter);
+    const filters = Array.isArray(filter) ? filter.map(f => this.resolve(f)) : (filter ? [filter] : []);
+    let data = stream.data;
+
+    for (const f of filters) {
+      if (!isName(f, 'FlateDecode')) {
+        throw new Error(`Unsupported PDF stream filter: ${f && f.value}`);
+      }
+      data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    }
+
+    return data;
+  }
+
+  read(offset, length) {
+    const buffer = Buffer.alloc(Math.max(0, Math.min(length, this.size - offset)));
+    const bytes = fs.readSync(this.fd, buffer, 0, buffer.length, offset);
+    return buffer.subarray(0, bytes);
+  }
+
+  trailer() {
+    return this.trailerDict;
+  }
+
+  readXref() {
+    const tailStart = Math.max(0, this.size - TAIL_SIZE);
+    const tail = this.read(tailStart, TAIL_SIZE).toString('latin1');
+    const match = /startxref\s+(\d+)/.exec(tail.slice(tail.lastIndexOf('startxref')));
+    if (!match) throw new Error('PDF startxref not found');
+
+    let trailer = null;
+    let offset = parseInt(match[1], 10);
+    const visited = new Set();
+
+    // Newest section first; entries already seen are not replaced
+    while (offset !== null && !visited.has(offset) && visited.size < 64) {
+      visited.add(offset);
+      const section = this.readSection(offset);
+      trailer = trailer || section;
+
+      // Hybrid files keep compressed objects in a separate xref stream
+      if (typeof section.XRefStm === 'number' && !visited.has(section.XRefStm)) {
+        visited.add(section.XRefStm);
+        this.readSection(section.XRefStm);
+      }
+      offset = typeof section.Prev === 'number' ? section.Prev : null;
+    }
+
+    if (!trailer || !trailer.Root) throw new Error('PDF trailer not found in cross-reference data');
+    return trailer;
+  }
+
+  /**
+   * One cross-reference section: an "xref" table and its trailer, or an
+   * xref stream
+   * @returns {object} - The trailer dictionary
+   */
+  readSection(offset) {
+    if (offset >= this.size) throw new Error('PDF cross-reference offset past end of file');
+
+    const head = this.read(offset, 16).toString('latin1');
+    if (/^\s*xref\b/.test(head)) return this.readTable(offset + head.indexOf('xref') + 'xref'.length);
+
+    const stream = this.parseAt(offset);
+    if (!stream || stream.type !== 'stream' || !isName(stream.dict.Type, 'XRef')) {
+      throw new Error('No PDF cross-reference data at startxref offset');
+    }
+    this.readXrefStream(stream);
+    return stream.dict;
+  }
+
+  readTable(pos) {
+    // Subsections: "first count" then count entries of exactly 20 bytes
+    for (;;) {
+      const header = /^\s*(\d+)[ \t]+(\d+)\s*/.exec(this.read(pos, 64).toString('latin1'));
+      if (!header) break;
+
+      const first = parseInt(header[1], 10);
+      const count = parseInt(header[2], 10);
+      pos += header[0].length;
+      if (pos + count * 20 > this.size) throw new Error('PDF cross-reference table runs past end of file');
+
+      const data = this.read(pos, count * 20).toString('latin1');
+      for (let i = 0; i < count; i++) {
+        const entry = /^(\d{10}) (\d{5}) ([nf])/.exec(data.slice(i * 20, i * 20 + 20));
+        if (!entry) throw new Error('Invalid PDF cross-reference entry');
+        if (!this.entries.has(first + i)) {
+          this.entries.set(first + i, entry[3] === 'n' ? { offset: parseInt(entry[1], 10) } : null);
+        }
+      }
+      pos += count * 20;
+    }
+
+    const rest = this.read(pos, TAIL_SIZE).toString('latin1');
+    const index = rest.indexOf('trailer');
+    if (index === -1) throw new Error('PDF trailer not found after cross-reference table');
+    return new PdfLexer(rest, index + 'trailer'.length).parseObject();
+  }
+
+  readXrefStream(stream) {
+    const widths = this.resolve(stream.dict.W);
+    const size = this.resolve(stream.dict.Size);
+    const index = Array.isArray(stream.dict.Index) ? stream.dict.Index.map(n => this.resolve(n)) : [0, size];
+    if (!Array.isArray(widths) || widths.length < 3) throw new Error('Invalid PDF xref stream');
+
+    const data = this.decodeStream(stream);
+    const rowLength = widths.reduce((sum, width) => sum + width, 0);
+    let pos = 0;
+
+    for (let i = 0; i + 1 < index.length; i += 2) {
+      for (let k = 0; k < index[i + 1] && pos + rowLength <= data.length; k++) {
+        const fields = widths.map((width) => {
+          let value = 0;
+          for (let b = 0; b < width; b++) value = value * 256 + data[pos++];
+          return value;
+        });
+
+        const num = index[i] + k;
+        if (this.entries.has(num)) continue;
+
+        // The type field defaults to 1 (plain object) when its width is 0
+        const type = widths[0] === 0 ? 1 : fields[0];
+        if (type === 1) this.entries.set(num, { offset: fields[1] });
+        else if (type === 2) this.entries.set(num, { stream: fields[1], index: fields[2] });
+        else this.entries.set(num, null);
+      }
+    }
+  }
+
+  get(num) {
+    if (this.cache.has(num)) return this.cache.get(num);
+
+    const entry = this.entries.get(num);
+    let value = null;
+    if (entry && entry.offset !== undefined) {
+      value = this.parseAt(entry.offset);
+    } else if (entry) {
+      value = this.getCompressed(entry);
+    }
+
+    this.cache.set(num, value);
+    return value;
+  }
+
+  /**
+   * Parse the "N G obj" at an offset, reading more of the file until the
+   * object fits
+   */
+  parseAt(offset) {
+    for (let size = OBJECT_CHUNK; ; size *= 4) {
+      const chunk = this.read(offset, size).toString('latin1');
+      const complete = offset + chunk.length >= this.size || size >= MAX_OBJECT_SIZE;
+
+      try {
+        const header = /^\s*\d+\s+\d+\s+obj\b/.exec(chunk);
+        if (!header) throw new Error(`No PDF object at offset ${offset}`);
+
+        const lexer = new PdfLexer(chunk, header[0].length);
+        const value = lexer.parseObject();
+        lexer.skipWhitespace();
+
+        // The "stream" keyword may lie just past the end of the chunk
+        if (!complete && lexer.pos + 'stream'.length + 2 > chunk.length) throw new Error('PDF object cut off');
+        if (!chunk.startsWith('stream', lexer.pos)) return value;
+
+        let start = lexer.pos + 'stream'.length;
+        if (chunk[start] === '\r') start++;
+        if (chunk[start] === '\n') start++;
+
+        const length = this.resolve(value.Length);
+        if (typeof length !== 'number') throw new Error('PDF stream without a length');
+
+        return { type: 'stream', dict: value, data: this.read(offset + start, length) };
+      } catch (error) {
+        if (complete) throw error;
+      }
+    }
+  }
+
+  getCompressed(entry) {
+    let objectStream = this.objectStreams.get(entry.stream);
+
+    if (!objectStream) {
+      const stream = this.get(entry.stream);
+      if (!stream || stream.type !== 'stream') return null;
+
+      const source = this.decodeStream(stream).toString('latin1');
+      const first = this.resolve(stream.dict.First);
+      objectStream = { source, first, numbers: source.slice(0, first).trim().split(/\s+/).map(Number) };
+      this.objectStreams.set(entry.stream, objectStream);
+    }
+
+    const offset = objectStream.numbers[2 * entry.index + 1];
+    if (offset === undefined) return null;
+    return new PdfLexer(objectStream.source, objectStream.first + offset).parseObject();
+  }
+}
+
+class PdfOutline {
+  /**
+   * @param {object} options
+   * @param {number} options.maxItems - Outline entries read at most
+   */
+  constructor(options = {}) {
+    this.maxItems = options.maxItems || MAX_OUTLINE_ITEMS;
+  }
+
+  /**
+   * Read the outline of a PDF file, seeking to the objects it needs.
+   * Throws when the cross-reference data is damaged; callers then fall
+   * back to finding chapter headings in the text.
+   * @param {string} filePath - Path to .pdf
+   * @returns {object[]} - Tree of { title, page (1-based or null), children }
+   */
+  read(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+
+    try {
+      return this.readObjects(new PdfObjects(fd, fs.fstatSync(fd).size));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  readObjects(objects) {
+    const trailer = objects.trailer();
+
+    if (!trailer) {
+      throw new Error('PDF trailer not found');
+    }
+
+    // Encrypted strings would come out as noise
+    if (trailer.Encrypt) {
+      return [];
+    }
+
+    const catalog = objects.resolve(trailer.Root);
+    if (!catalog || !catalog.Outlines) {
+      return [];
+    }
+
+    const pages = this.readPageTree(objects, catalog.Pages);
+    const resolveDest = this.createDestResolver(objects, catalog, pages);
+
+    const outlines = objects.resolve(catalog.Outlines);
+    const seen = new Set();
+    let count = 0;
+
+    const readItems = (firstRef) => {
+      const items = [];
+      let ref = firstRef;
+
+      while (isRef(ref) && !seen.has(ref.num) && count < this.maxItems) {
+        seen.add(ref.num);
+        count++;
+
+        const item = objects.get(ref.num);
+        if (!item) break;
+
+        const action = objects.resolve(item.A);
+        const dest = item.Dest !== undefined
+          ? item.Dest
+          : (action && isName(objects.resolve(action.S), 'GoTo') ? action.D : null);
+
+        items.push({
+          title: this.decodeText(objects.resolve(item.Title)).replace(/\s+/g, ' ').trim(),
+          page: dest != null ? resolveDest(dest) : null,
+          children: readItems(item.First)
+        });
+
+        ref = item.Next;
+      }
+
+      return items;
+    };
+
+    return outlines ? readItems(outlines.First) : [];
+  }
+
+  /**
+   * Map page object numbers to 1-based page numbers
+   */
+  readPageTree(objects, rootRef) {
+    const pages = new Map();
+    const seen = new Set();
+
+    const walk = (ref) => {
+      if (!isRef(ref) || seen.has(ref.num)) return;
+      seen.add(ref.num);
+
+      const node = objects.get(ref.num);
+      if (!node) return;
+
+      if (Array.isArray(objects.resolve(node.Kids))) {
+        for (const kid of objects.resolve(node.Kids)) walk(kid);
+      } else {
+        pages.set(ref.num, pages.size + 1);
+      }
+    };
+
+    walk(rootRef);
+    return pages;
+  }
+
+  createDestResolver(objects, catalog, pages) {
+    let named = null;
+
+    const lookupNamed = (key) => {
+      if (!named) {
+        named = new Map();
+
+        // PDF 1.1: /Dests dictionary in the catalog
+        const dests = objects.resolve(catalog.Dests);
+        if (dests && typeof dests === 'object') {
+          for (const name of Object.keys(dests)) named.set(name, dests[name]);
+        }
+
+        // PDF 1.2+: /Names /Dests name tree
+        const names = objects.resolve(catalog.Names);
+        const seen = new Set();
+        const walk = (node, depth) => {
+          node = objects.resolve(node);
+          if (!node || depth > 32) return;
+          const leaves = objects.resolve(node.Names);
+          if (Array.isArray(leaves)) {
+            for (let i = 0; i + 1 < leaves.length; i += 2) {
+              named.set(objects.resolve(leaves[i]), leaves[i + 1]);
+            }
+          }
+          const kids = objects.resolve(node.Kids);
+          if (Array.isArray(kids)) {
+            for (const kid of kids) {
+              if (isRef(kid) && seen.has(kid.num)) continue;
+              if (isRef(kid)) seen.add(kid.num);
+              walk(kid, depth + 1);
+            }
+          }
+        };
+        if (names) walk(names.Dests, 0);
+      }
+
+      return named.get(key);
+    };
+
+    return (dest) => {
+      dest = objects.resolve(dest);
+
+      if (isName(dest) || typeof dest === 'string') {
+        dest = objects.resolve(lookupNamed(isName(dest) ? dest.value : dest));
+        if (dest && !Array.isArray(dest)) dest = objects.resolve(dest.D);
+      }
+
+      if (!Array.isArray(dest) || dest.length === 0) return null;
+
+      const target = dest[0];
+      if (isRef(target)) return pages.get(target.num) || null;
+      if (typeof target === 'number') return target + 1; // Remote-style page index
+      return null;
+    };
+  }
+
+  decodeText(value) {
+    if (typeof value !== 'string') return '';
+
+    if (value.startsWith('\xFE\xFF')) {
+      return Buffer.from(value.slice(2), 'latin1').swap16().toString('utf16le');
+    }
+    if (value.startsWith('\xEF\xBB\xBF')) {
+      return Buffer.from(value.slice(3), 'latin1').toString('utf8');
+    }
+
+    return value.replace(/[\x80-\x92]/g, ch => PDF_DOC_ENCODING[ch.charCodeAt(0) - 0x80]);
+  }
+
+  /**
+   * Pick the chapter level of an outline tree
+   *
+   * Uses top-level entries, unless the document wraps everything in a
+   * single entry (e.g. the book title), in which case its children are used.
+   */
+  chapterEntries(tree) {
+    let level = tree;
+
+    while (level.length === 1 && level[0].children.length > 0) {
+      level = level[0].children;
+    }
+
+    return level
+      .filter(entry => entry.page && entry.title)
+      .sort((a, b) => a.page - b.page);
+  }
+
+  /**
+   * Split per-page text at outline entries
+   *
+   * A chapter starts after the line carrying its title on the target page,
+   * or at the top of the page when the title can't be found there. Text
+   * before the first entry becomes an "Introduction" chapter.
+   *
+   * @param {string[]} pages - Text of each page, in order
+   * @param {object[]} entries - Chapter entries from chapterEntries()
+   * @returns {object[]} - Chapters { number, title, text }
+   */
+  splitPages(pages, entries) {
+    // Each bound: the previous chapter ends at (page, end), this one starts at (page, start)
+    const bounds = [{ title: 'Introduction', page: 0, end: 0, start: 0 }];
+
+    for (const entry of entries) {
+      const page = Math.min(entry.page, pages.length) - 1;
+      const previous = bounds[bounds.length - 1];
+      const from = page === previous.page ? previous.start : 0;
+      const found = this.findTitle(pages[page] || '', entry.title, from);
+
+      bounds.push(found
+        ? { title: entry.title, page, end: found.start, start: found.end }
+        : { title: entry.title, page, end: from, start: from });
+    }
+
+    bounds.push({ page: pages.length, end: 0, start: 0 });
+
+    const chapters = [];
+
+    for (let i = 0; i + 1 < bounds.length; i++) {
+      const from = bounds[i];
+      const to = bounds[i + 1];
+
+      // Page breaks are kept as form feeds, as in the extracted text
+      const text = (from.page === to.page
+        ? pages[from.page].slice(from.start, to.end)
+        : [
+            pages[from.page].slice(from.start),
+            ...pages.slice(from.page + 1, to.page),
+            to.page < pages.length ? pages[to.page].slice(0, to.end) : ''
+          ].join('\f\n')
+      ).trim();
+
+      if (text.length === 0) continue;
+
+      chapters.push({
+        number: chapters.length + 1,
+        title: from.title.substring(0, 200),
+        text
+      });
+    }
+
+    return chapters;
+  }
+
+  /**
+   * Find the line(s) where `title` appears on a page
+   * @returns {object|null} - { start, end } offsets spanning whole lines
+   */
+  findTitle(pageText, title, from = 0) {
+    const words = title.split(/\s+/).filter(Boolean)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (words.length === 0) return null;
+
+    const pattern = new RegExp(words.join('\\s+'), 'i');
+    const match = pattern.exec(pageText.slice(from));
+    if (!match) return null;
+
+    const index = from + match.index;
+    const lineEnd = pageText.indexOf('\n', index + match[0].length);
+
+    return {
+      start: Math.max(from, pageText.lastIndexOf('\n', index) + 1),
+      end: lineEnd === -1 ? pageText.length : lineEnd + 1
+    };
+  }
+}
+
+export default PdfOutline;
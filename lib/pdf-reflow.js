@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+/**
+ * PDF Column Reflow
+ * Rebuilds reading order from `pdftotext -layout` pages. Multi-column
+ * regions are found by the whitespace gutter running down the page and
+ * are read column by column. Narrow side columns are treated as sidebars
+ * and moved after the page body; pull quotes that repeat body text are
+ * dropped.
+ */
+
+class PdfReflow {
+  /**
+   * @param {object} options
+   * @param {string} options.sidebars - 'append' (default, after the page body) or 'skip'
+   */
+  constructor(options = {}) {
+    this.sidebars = options.sidebars || 'append';
+    this.minLines = options.minLines || 4; // Lines needed to call something a column
+    this.sidebarRatio = options.sidebarRatio || 0.6; // Narrower/wider column width
+    this.maxDepth = options.maxDepth || 2; // Nested splits (2 = up to four columns)
+  }
+
+  /**
+   * Reflow every page in place
+   *
+   * @param {string[]} pages - Per-page layout text (modified)
+   * @returns {object} - Summary for processing stats
+   */
+  reflow(pages) {
+    const summary = { multiColumnPages: 0, sidebars: 0, pullQuotes: 0 };
+
+    for (let i = 0; i < pages.length; i++) {
+      const result = this.reflowPage(pages[i]);
+      pages[i] = result.text;
+      if (result.columns > 1) summary.multiColumnPages++;
+      summary.sidebars += result.sidebars;
+    }
+
+    // Pull quotes repeat a sentence from the same or a neighbouring page
+    for (let i = 0; i < pages.length; i++) {
+      const context = [pages[i - 1] || '', pages[i + 1] || ''];
+      const result = this.removePullQuotes(pages[i], context);
+      pages[i] = result.text;
+      summary.pullQuotes += result.removed;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Reflow a single page
+   * @returns {object} - { text, columns, sidebars }
+   */
+  reflowPage(text) {
+    const trailing = text.match(/\n*$/)[0];
+    const result = this.reflowLines(text.replace(/\n+$/, '').split('\n'), 0);
+
+    const lines = result.body;
+    while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+
+    if (result.sidebars.length > 0 && this.sidebars !== 'skip') {
+      for (const sidebar of result.sidebars) {
+        lines.push('', ...sidebar);
+      }
+    }
+
+    return {
+      text: lines.join('\n') + trailing,
+      columns: result.columns,
+      sidebars: result.sidebars.length
+    };
+  }
+
+  /**
+   * @returns {object} - { body: string[], sidebars: string[][], columns }
+   */
+  reflowLines(lines, depth) {
+    const gutter = depth < this.maxDepth ? this.findGutter(lines) : null;
+    if (!gutter) {
+      return { body: lines, sidebars: [], columns: 1 };
+    }
+
+    const isSplit = (line) => line.slice(gutter.start, gutter.end).trim() === '';
+    const body = [];
+    const sidebars = [];
+    let columns = 1;
+    let region = [];
+
+    const flush = () => {
+      if (region.length === 0) return;
+
+      const left = this.reflowLines(region.map(line => line.slice(0, gutter.start).trimEnd()), depth + 1);
+      const right = this.reflowLines(this.dedent(region.map(line => line.slice(gutter.end).trimEnd())), depth + 1);
+      columns = Math.max(columns, left.columns + right.columns);
+
+      const leftWidth = this.textWidth(left.body);
+      const rightWidth = this.textWidth(right.body);
+      const narrow = Math.min(leftWidth, rightWidth) / Math.max(leftWidth, rightWidth, 1);
+
+      // Keep the column block apart from full-width lines around it
+      if (body.length > 0 && body[body.length - 1].trim()) body.push('');
+
+      if (narrow < this.sidebarRatio && Math.min(leftWidth, rightWidth) > 0) {
+        // The narrow column runs alongside the body rather than continuing it
+        const [main, side] = leftWidth >= rightWidth ? [left, right] : [right, left];
+        body.push(...this.trimBlank(main.body));
+        sidebars.push(...main.sidebars, this.trimBlank(side.body), ...side.sidebars);
+      } else {
+        // No blank line between columns: sentences run on from one to the next
+        body.push(...this.trimBlank(left.body), ...this.trimBlank(right.body));
+        sidebars.push(...left.sidebars, ...right.sidebars);
+      }
+
+      body.push('');
+
+      region = [];
+    };
+
+    for (const line of lines) {
+      if (isSplit(line)) {
+        region.push(line);
+      } else {
+        flush();
+        body.push(line);
+      }
+    }
+    flush();
+
+    return { body, sidebars: sidebars.filter(side => side.length > 0), columns };
+  }
+
+  /**
+   * Find a vertical run of blank character positions with text on both
+   * sides on most lines, and prose-like columns on either side of it
+   *
+   * @returns {object|null} - { start, end } character range of the gutter
+   */
+  findGutter(lines) {
+    const rows = lines.filter(line => line.trim());
+    if (rows.length < this.minLines) return null;
+
+    const width = Math.max(...rows.map(line => line.length));
+    const split = new Array(width).fill(0);
+    const crossing = new Array(width).fill(0);
+
+    for (const row of rows) {
+      const first = row.search(/\S/);
+      const last = row.trimEnd().length - 1;
+
+      for (let x = 1; x < width - 1; x++) {
+        if ((row[x] || ' ') !== ' ') {
+          crossing[x]++;
+        } else if ((row[x - 1] || ' ') === ' ' && (row[x + 1] || ' ') === ' ' && first < x - 1 && last > x + 1) {
+          split[x]++;
+        }
+      }
+    }
+
+    const needed = Math.max(this.minLines, Math.ceil(rows.length * 0.3));
+    const qualifies = (x) => x >= width * 0.15 && x <= width * 0.85 &&
+      split[x] >= needed && crossing[x] <= split[x] / 2;
+
+    let best = null;
+    for (let x = 0; x < width; x++) {
+      if (!qualifies(x)) continue;
+      let end = x;
+      while (end + 1 < width && qualifies(end + 1)) end++;
+      if (!best || end - x > best.end - best.start) best = { start: x, end };
+      x = end;
+    }
+
+    if (!best) return null;
+
+    const gutter = { start: best.start, end: best.end + 1 };
+
+    // Both sides must read like running text, not a table of short cells
+    const splitRows = rows.filter(row => row.slice(gutter.start, gutter.end).trim() === '');
+    const leftLines = splitRows.map(row => row.slice(0, gutter.start).trim()).filter(Boolean);
+    const rightLines = splitRows.map(row => row.slice(gutter.end).trim()).filter(Boolean);
+    if (!this.isProse(leftLines) || !this.isProse(rightLines)) return null;
+
+    return gutter;
+  }
+
+  isProse(lines) {
+    if (lines.length < this.minLines / 2) return false;
+
+    const words = lines.map(line => line.split(/\s+/).length).sort((a, b) => a - b);
+    const width = Math.max(...lines.map(line => line.length));
+    const lengths = lines.map(line => line.length).sort((a, b) => a - b);
+
+    return words[Math.floor(words.length / 2)] >= 3 && lengths[Math.floor(lengths.length / 2)] >= width * 0.5;
+  }
+
+  /**
+   * Remove short blocks whose words also appear inside a longer block
+   * @returns {object} - { text, removed }
+   */
+  removePullQuotes(text, context = []) {
+    const normalize = (value) => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    const parts = text.split(/(\n[ \t]*\n)/);
+    const blocks = [...parts.filter((part, i) => i % 2 === 0), ...context.flatMap(page => page.split(/\n[ \t]*\n/))]
+      .map(block => normalize(block))
+      .map(key => ({ key, words: key ? key.split(' ').length : 0 }));
+    let removed = 0;
+
+    for (let i = 0; i < parts.length; i += 2) {
+      const { key, words } = blocks[i / 2];
+      if (words < 6 || words > 40 || parts[i].trim().split('\n').length > 4) continue;
+
+      // Repeated headers are the same length everywhere; a pull quote is an excerpt
+      if (blocks.some(other => other.words > words + 2 && other.key.includes(key))) {
+        parts[i] = '';
+        removed++;
+      }
+    }
+
+    return {
+      text: removed > 0 ? parts.join('').replace(/\n{3,}/g, '\n\n') : text,
+      removed
+    };
+  }
+
+  dedent(lines) {
+    const indents = lines.filter(line => line.trim()).map(line => line.search(/\S/));
+    const indent = indents.length > 0 ? Math.min(...indents) : 0;
+    return lines.map(line => line.slice(indent));
+  }
+
+  trimBlank(lines) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && !lines[start].trim()) start++;
+    while (end > start && !lines[end - 1].trim()) end--;
+    return lines.slice(start, end);
+  }
+
+  textWidth(lines) {
+    return Math.max(0, ...lines.map(line => line.trim().length));
+  }
+}
+
+export default PdfReflow;
@@ -24,16 +24,18 @@ class Queue {
     fs.writeFileSync(this.queueFile, JSON.stringify(this.data, null, 2));
   }
 
-  createJob(sourceFile, chapters) {
+  createJob(sourceFile, chapters, metadata = {}) {
     const jobId = uuidv4();
     const now = Date.now();
-    const title = sourceFile.split('/').pop().replace(/\.(pdf|txt)$/i, '');
+    // Prefer the document's own title (e.g. EPUB metadata) over the filename
+    const title = metadata.title || path.basename(sourceFile, path.extname(sourceFile));
     const totalWords = chapters.reduce((sum, ch) => sum + (ch.wordCount || 0), 0);
     const estimatedMinutes = Math.ceil(totalWords / 150);
 
     const job = {
       id: jobId,
       title,
+      author: metadata.author || null,
       source_file: sourceFile,
       status: 'pending',
       total_chapters: chapters.length,
@@ -58,7 +60,9 @@ class Queue {
         job_id: jobId,
         chapter_num: chapter.number,
         title: chapter.title,
-        text: chapter.text,
+        // Streamed chapters stay on disk instead of in the queue file
+        text: chapter.text ?? null,
+        text_file: chapter.textFile || null,
         word_count: chapter.wordCount,
         status: 'pending',
         audio_file: null,
@@ -75,6 +79,7 @@ class Queue {
     return {
       jobId,
       title,
+      author: job.author,
       chapters: chapters.length,
       estimatedMinutes,
       totalWords
@@ -138,6 +143,18 @@ class Queue {
     this.saveQueue();
   }
 
+  /**
+   * Pronunciation lexicon entries for this job only (see Lexicon)
+   */
+  updateJobLexicon(jobId, entries) {
+    const job = this.data.jobs[jobId];
+    if (!job) return;
+
+    job.lexicon = entries;
+    job.updated_at = Date.now();
+    this.saveQueue();
+  }
+
   updateChapterStatus(chapterId, status, audioFile = null, error = null) {
     const chapter = this.data.chapters[chapterId];
     if (!chapter) return;
@@ -177,13 +194,28 @@ class Queue {
     // Delete job
     delete this.data.jobs[jobId];
 
-    // Delete associated chapters
+    // Delete associated chapters (and streamed chapter text)
+    const textDirs = new Set();
+
     Object.keys(this.data.chapters).forEach(chapterId => {
-      if (this.data.chapters[chapterId].job_id === jobId) {
+      const chapter = this.data.chapters[chapterId];
+      if (chapter.job_id === jobId) {
+        if (chapter.text_file) {
+          fs.rmSync(chapter.text_file, { force: true });
+          textDirs.add(path.dirname(chapter.text_file));
+        }
         delete this.data.chapters[chapterId];
       }
     });
 
+    textDirs.forEach(dir => {
+      try {
+        fs.rmdirSync(dir);
+      } catch (error) {
+        // Still holds other files
+      }
+    });
+
     this.saveQueue();
   }
 
@@ -0,0 +1,469 @@
+#!/usr/bin/env node
+
+/**
+ * Speech Normalizer
+ * Writes out what XTTS would mispronounce: currencies ($3.5M), dates,
+ * times, decades (1990s), years, ordinals, fractions, percentages, units
+ * (km/h), Roman numerals (Henry VIII, World War II), plain numbers,
+ * abbreviations (Dr., e.g.) and acronyms (FBI, NASA).
+ * Runs on finished chapters, just before they are queued. Rules are per
+ * language (by the document's metadata); other languages are left as is.
+ */
+
+import fs from 'fs';
+import AbbreviationDictionary from './abbreviations.js';
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+
+const ORDINAL_WORDS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MONTH = MONTHS.join('|');
+
+const CURRENCIES = {
+  '$': ['dollar', 'dollars', 'cent', 'cents'],
+  '£': ['pound', 'pounds', 'penny', 'pence'],
+  '€': ['euro', 'euros', 'cent', 'cents'],
+  '¥': ['yen', 'yen', null, null]
+};
+
+const MAGNITUDES = { k: 'thousand', K: 'thousand', thousand: 'thousand', M: 'million', million: 'million', B: 'billion', bn: 'billion', billion: 'billion', trillion: 'trillion' };
+
+// Symbol => [singular, plural]
+const UNITS = {
+  'km/h': ['kilometer per hour', 'kilometers per hour'],
+  kph: ['kilometer per hour', 'kilometers per hour'],
+  mph: ['mile per hour', 'miles per hour'],
+  'm/s': ['meter per second', 'meters per second'],
+  km: ['kilometer', 'kilometers'],
+  cm: ['centimeter', 'centimeters'],
+  mm: ['millimeter', 'millimeters'],
+  m: ['meter', 'meters'],
+  mi: ['mile', 'miles'],
+  ft: ['foot', 'feet'],
+  kg: ['kilogram', 'kilograms'],
+  mg: ['milligram', 'milligrams'],
+  g: ['gram', 'grams'],
+  lb: ['pound', 'pounds'],
+  lbs: ['pound', 'pounds'],
+  oz: ['ounce', 'ounces'],
+  ml: ['milliliter', 'milliliters'],
+  mL: ['milliliter', 'milliliters'],
+  L: ['liter', 'liters'],
+  KB: ['kilobyte', 'kilobytes'],
+  kB: ['kilobyte', 'kilobytes'],
+  MB: ['megabyte', 'megabytes'],
+  GB: ['gigabyte', 'gigabytes'],
+  TB: ['terabyte', 'terabytes'],
+  Hz: ['hertz', 'hertz'],
+  kHz: ['kilohertz', 'kilohertz'],
+  MHz: ['megahertz', 'megahertz'],
+  GHz: ['gigahertz', 'gigahertz'],
+  W: ['watt', 'watts'],
+  kW: ['kilowatt', 'kilowatts'],
+  kWh: ['kilowatt hour', 'kilowatt hours'],
+  V: ['volt', 'volts'],
+  h: ['hour', 'hours'],
+  hr: ['hour', 'hours'],
+  hrs: ['hour', 'hours'],
+  min: ['minute', 'minutes'],
+  s: ['second', 'seconds'],
+  sec: ['second', 'seconds'],
+  '°C': ['degree Celsius', 'degrees Celsius'],
+  '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+  '°': ['degree', 'degrees']
+};
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+const UNIT = Object.keys(UNITS).sort((a, b) => b.length - a.length).map(escape).join('|');
+
+const FRACTIONS = {
+  2: ['half', 'halves'],
+  3: ['third', 'thirds'],
+  4: ['quarter', 'quarters'],
+  5: ['fifth', 'fifths'],
+  6: ['sixth', 'sixths'],
+  8: ['eighth', 'eighths'],
+  10: ['tenth', 'tenths'],
+  16: ['sixteenth', 'sixteenths'],
+  32: ['thirty-second', 'thirty-seconds'],
+  100: ['hundredth', 'hundredths']
+};
+const VULGAR = { '½': [1, 2], '⅓': [1, 3], '⅔': [2, 3], '¼': [1, 4], '¾': [3, 4], '⅕': [1, 5], '⅛': [1, 8], '⅜': [3, 8], '⅝': [5, 8], '⅞': [7, 8] };
+
+const ROMAN = /^M{0,3}(CM|CD|D?C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})$/;
+const ROMAN_VALUES = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+
+// Roman numerals read as numbers after these words ("World War II" => "two").
+// Others ("Appendix I", "Type I") are as often letters or labels
+const NUMBERED = 'Chapter|Part|Book|Volume|Vol\\.|World War';
+
+// Regnal numbers follow a ruler's title or one of these names ("Henry VIII"),
+// so "Apple II" and "Rocky IV" stay as written
+const TITLES = 'King|Queen|Pope|Emperor|Empress|Tsar|Czar|Tsarina|Kaiser|Pharaoh|Sultan|Shah|Prince|Princess|Duke|Duchess|Count|Earl|Saint';
+const RULERS = new Set([
+  'Henry', 'Edward', 'George', 'William', 'Richard', 'James', 'Charles', 'John', 'Elizabeth', 'Mary', 'Anne', 'Victoria',
+  'Louis', 'Philip', 'Francis', 'Frederick', 'Peter', 'Catherine', 'Alexander', 'Nicholas', 'Ivan', 'Paul', 'Leo',
+  'Gregory', 'Benedict', 'Pius', 'Innocent', 'Clement', 'Urban', 'Boniface', 'Ferdinand', 'Alfonso', 'Otto', 'Rudolf',
+  'Wilhelm', 'Friedrich', 'Ludwig', 'Leopold', 'Joseph', 'Gustav', 'Christian', 'Umberto', 'Constantine', 'Ramesses',
+  'Ptolemy', 'Amenhotep', 'Thutmose', 'Malcolm', 'David', 'Robert', 'Stephen', 'Casimir', 'Sigismund', 'Pedro', 'Manuel'
+]);
+
+// Four-digit numbers are read as years after a date word ("in 1999"). After
+// words that also come before counts ("of 1500 people") the number must end
+// the phrase: punctuation, the end of the text or a new clause follows
+const DATE_WORDS = 'in|since|until|till|during|circa|c\\.|year';
+const COUNT_WORDS = 'by|from|of|to|before|after|around|between';
+const YEAR = '1[1-9]\\d\\d|20\\d\\d';
+const PHRASE_END = String.raw`(?=\s*(?:[^\p{L}\d\s]|$)|\s+(?:the|when|onwards?)\b)`;
+
+const NUMBER = String.raw`(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?`;
+
+// Phone numbers and IDs: "555-1234", "978-3-16-148410-0"
+const DIGIT_GROUPS = /(?<![\p{L}\d.,-])(\d{3}[-–]\d{4}|\d+(?:[-–]\d+){2,})(?![\p{L}\d]|[-–.,]\d)/gu;
+
+function cardinal(n) {
+  if (n < 20) return ONES[n];
+  if (n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+  if (n < 1000) return `${ONES[Math.floor(n / 100)]} hundred` + (n % 100 ? ` ${cardinal(n % 100)}` : '');
+
+  const parts = [];
+  let rest = n;
+  for (let scale = 0; rest > 0; scale++) {
+    const group = rest % 1000;
+    if (group) parts.unshift(cardinal(group) + (SCALES[scale] ? ` ${SCALES[scale]}` : ''));
+    rest = Math.floor(rest / 1000);
+  }
+  return parts.join(' ');
+}
+
+function ordinal(n) {
+  return cardinal(n).replace(/(\w+)$/, (word) => {
+    if (ORDINAL_WORDS[word]) return ORDINAL_WORDS[word];
+    if (word.endsWith('y')) return `${word.slice(0, -1)}ieth`;
+    return `${word}th`;
+  });
+}
+
+function year(n) {
+  if (n < 1000 || n >= 10000) return cardinal(n);
+  if (n >= 2000 && n < 2010) return cardinal(n);
+
+  const high = Math.floor(n / 100);
+  const low = n % 100;
+  if (low === 0) return `${cardinal(high)} hundred`;
+  if (low < 10) return `${cardinal(high)} oh ${ONES[low]}`;
+  return `${cardinal(high)} ${cardinal(low)}`;
+}
+
+function plural(words) {
+  return words.replace(/(\w+)$/, (word) => {
+    if (word.endsWith('y')) return `${word.slice(0, -1)}ies`;
+    if (word.endsWith('x')) return `${word}es`;
+    return `${word}s`;
+  });
+}
+
+/**
+ * "1,234.05" => "one thousand two hundred thirty-four point zero five"
+ */
+function number(text) {
+  const [whole, fraction] = text.replace(/,/g, '').split('.');
+  const value = Number(whole);
+
+  // Long digit strings (IDs, phone numbers) and leading zeros: digit by digit
+  const spoken = whole.length > 15 || (whole.length > 1 && whole.startsWith('0'))
+    ? [...whole].map(d => ONES[d]).join(' ')
+    : cardinal(value);
+
+  return fraction ? `${spoken} point ${[...fraction].map(d => ONES[d]).join(' ')}` : spoken;
+}
+
+function isOne(text) {
+  return /^1(?:\.0+)?$/.test(text);
+}
+
+function romanValue(text) {
+  if (!text || !ROMAN.test(text)) return null;
+  let value = 0;
+  for (let i = 0; i < text.length; i++) {
+    const current = ROMAN_VALUES[text[i]];
+    const next = ROMAN_VALUES[text[i + 1]] || 0;
+    value += current < next ? -current : current;
+  }
+  return value;
+}
+
+function fraction(numerator, denominator) {
+  const names = FRACTIONS[denominator];
+  if (!names || numerator >= denominator) return null;
+  return `${cardinal(numerator)} ${numerator === 1 ? names[0] : names[1]}`;
+}
+
+/**
+ * English rules, in the order they run. Each rule sees the output of the
+ * ones before it, so later (more general) rules only get what is left.
+ */
+const ENGLISH = [
+  {
+    name: 'currency',
+    pattern: new RegExp(String.raw`([$£€¥])\s?(${NUMBER})(?:\s?(bn|[kKMB]|thousand|million|billion|trillion)\b)?`, 'g'),
+    replace: (m, symbol, amount, magnitude) => {
+      const [one, many, subunit, subunits] = CURRENCIES[symbol];
+      if (magnitude) return `${number(amount)} ${MAGNITUDES[magnitude]} ${many}`;
+
+      const [whole, cents] = amount.replace(/,/g, '').split('.');
+      const main = `${number(whole)} ${whole === '1' ? one : many}`;
+      if (!cents || !subunit || /^0+$/.test(cents) || cents.length !== 2) {
+        return cents && !/^0+$/.test(cents) ? `${number(amount)} ${many}` : main;
+      }
+      const value = Number(cents);
+      return `${main} and ${cardinal(value)} ${value === 1 ? subunit : subunits}`;
+    }
+  },
+  {
+    name: 'date',
+    pattern: /\b(\d{4})-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])\b/g,
+    replace: (m, y, mo, d) => `${MONTHS[Number(mo) - 1]} ${ordinal(Number(d))}, ${year(Number(y))}`
+  },
+  {
+    name: 'date',
+    pattern: new RegExp(String.raw`\b(${MONTH})\s+([1-9]|[12]\d|3[01])(?:st|nd|rd|th)?\b(?:,?\s+(\d{4})\b)?`, 'g'),
+    replace: (m, month, d, y) => `${month} ${ordinal(Number(d))}` + (y ? `, ${year(Number(y))}` : '')
+  },
+  {
+    name: 'date',
+    pattern: new RegExp(String.raw`\b([1-9]|[12]\d|3[01])(?:st|nd|rd|th)?\s+(${MONTH})\b(?:,?\s+(\d{4})\b)?`, 'g'),
+    replace: (m, d, month, y) => `the ${ordinal(Number(d))} of ${month}` + (y ? ` ${year(Number(y))}` : '')
+  },
+  {
+    name: 'time',
+    pattern: /\b([01]?\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?(?:\s?([aApP])\.?[mM](?:\.(?=\s*[\p{Ll},;)]))?(?![\p{L}]))?/gu,
+    replace: (m, h, min, half) => {
+      const hour = cardinal(Number(h));
+      const minutes = Number(min);
+      const spokenMinutes = minutes === 0 ? (half ? '' : " o'clock") : ` ${minutes < 10 ? 'oh ' : ''}${cardinal(minutes)}`;
+      return `${hour}${spokenMinutes}` + (half ? ` ${half.toLowerCase()} m` : '');
+    }
+  },
+  {
+    name: 'time',
+    pattern: /\b(1[0-2]|[1-9])\s?([aApP])\.?[mM](?:\.(?=\s*[\p{Ll},;)]))?(?![\p{L}])/gu,
+    replace: (m, h, half) => `${cardinal(Number(h))} ${half.toLowerCase()} m`
+  },
+  {
+    name: 'decade',
+    pattern: /\b(1[1-9]|20)(\d0)['’]?s\b/g,
+    replace: (m, century, decade) => plural(year(Number(century + decade)))
+  },
+  {
+    name: 'decade',
+    pattern: /(?<![\p{L}\d])['’]([2-9]0)s\b/gu,
+    replace: (m, decade) => plural(cardinal(Number(decade)))
+  },
+  {
+    name: 'number',
+    pattern: DIGIT_GROUPS,
+    replace: (m, groups) => groups.split(/[-–]/).map(group => [...group].map(d => ONES[d]).join(' ')).join(', ')
+  },  {
+    name: 'year',
+    pattern: /\b(1[1-9]\d\d|20\d\d)\s?[–-]\s?(1[1-9]\d\d|20\d\d)\b/g,
+    replace: (m, from, to) => `${year(Number(from))} to ${year(Number(to))}`
+  },
+  {
+    name: 'year',
+    pattern: /\b(\d{1,4})\s?(BCE|BC|CE|AD)\b/g,
+    replace: (m, y, era) => `${year(Number(y))} ${[...era].join(' ')}`
+  },
+  {
+    name: 'year',
+    pattern: /\b(AD)\s?(\d{1,4})\b/g,
+    replace: (m, era, y) => `A D ${year(Number(y))}`
+  },
+  {
+    name: 'year',
+    pattern: new RegExp(String.raw`\b(from|between)(\s+)(${YEAR})(\s+)(to|and|until)(\s+)(${YEAR})${PHRASE_END}`, 'giu'),
+    replace: (m, word, space, from, gap, joint, space2, to) => `${word}${space}${year(Number(from))}${gap}${joint}${space2}${year(Number(to))}`
+  },
+  {
+    name: 'year',
+    pattern: new RegExp(String.raw`\b(${DATE_WORDS})(\s+)(${YEAR})\b(?![.,]\d|\s?(?:${UNIT})(?![\p{L}\d]))`, 'giu'),
+    replace: (m, word, space, y) => `${word}${space}${year(Number(y))}`
+  },
+  {
+    name: 'year',
+    pattern: new RegExp(String.raw`\b(${COUNT_WORDS})(\s+)(${YEAR})${PHRASE_END}(?![.,]\d)`, 'giu'),
+    replace: (m, word, space, y) => `${word}${space}${year(Number(y))}`
+  },
+  {
+    name: 'year',
+    pattern: /\((1[1-9]\d\d|20\d\d)\)/g,
+    replace: (m, y) => `(${year(Number(y))})`
+  },
+  {
+    name: 'ordinal',
+    pattern: /\b(\d+)(st|nd|rd|th)\b/g,
+    replace: (m, n) => ordinal(Number(n))
+  },
+  {
+    name: 'fraction',
+    pattern: /\b(\d+)\s+(\d+)\/(\d+)\b(?!\/)/g,
+    replace: (m, whole, num, den) => {
+      const part = Number(num) === 1 && Number(den) === 2 ? 'a half' : fraction(Number(num), Number(den));
+      return part ? `${cardinal(Number(whole))} and ${part}` : m;
+    }
+  },
+  {
+    name: 'fraction',
+    pattern: /(?<![\d/])(\d+)\/(\d+)(?![\d/])/g,
+    replace: (m, num, den) => fraction(Number(num), Number(den)) || m
+  },
+  {
+    name: 'fraction',
+    pattern: /(?:(\d+)\s?)?([½⅓⅔¼¾⅕⅛⅜⅝⅞])/g,
+    replace: (m, whole, symbol) => {
+      const [num, den] = VULGAR[symbol];
+      const part = num === 1 && den === 2 && whole ? 'a half' : fraction(num, den);
+      return whole ? `${cardinal(Number(whole))} and ${part}` : part;
+    }
+  },
+  {
+    name: 'percent',
+    // A range: "10-20%", "5–10 %"
+    pattern: new RegExp(String.raw`(?<![\p{L}\d.,])(${NUMBER})\s?[-–]\s?(${NUMBER})\s?%`, 'gu'),
+    replace: (m, from, to) => `${number(from)} to ${number(to)} percent`
+  },
+  {
+    name: 'percent',
+    pattern: new RegExp(String.raw`(?<![\p{L}\d.,])(-?)(${NUMBER})\s?%`, 'gu'),
+    replace: (m, minus, n) => `${minus ? 'minus ' : ''}${number(n)} percent`
+  },
+  {
+    name: 'unit',
+    pattern: new RegExp(String.raw`(?<![\p{L}\d.,])(-?)(${NUMBER})\s?(${UNIT})(?![\p{L}\d])`, 'gu'),
+    replace: (m, minus, n, unit) => `${minus ? 'minus ' : ''}${number(n)} ${UNITS[unit][isOne(n) ? 0 : 1]}`
+  },
+  {
+    name: 'unit',
+    pattern: /(?<![\p{L}\d])(km\/h|m\/s|mph)(?![\p{L}\d])/gu,
+    replace: (m, unit) => UNITS[unit][1]
+  },
+  {
+    name: 'roman',
+    // A lone C, D, L or M is a label: "Appendix C", "Class D"
+    pattern: new RegExp(String.raw`\b(${NUMBERED})\s+([IVX]|[IVXLCDM]{2,})\b`, 'g'),
+    replace: (m, word, numeral) => {
+      const value = romanValue(numeral);
+      return value ? `${word} ${cardinal(value)}` : m;
+    }
+  },
+  {
+    name: 'roman',
+    // Regnal numbers: "Henry VIII", "Pope John XXIII" (not a lone "I")
+    pattern: new RegExp(String.raw`\b(?:(${TITLES})\s+)?(\p{Lu}\p{Ll}+)\s+([IVX]{2,}|V|X)\b(?!['’]\p{L})`, 'gu'),
+    replace: (m, title, name, numeral) => {
+      const value = romanValue(numeral);
+      if (!value || !(title || RULERS.has(name))) return m;
+      return `${title ? `${title} ` : ''}${name} the ${ordinal(value).replace(/^\w/, c => c.toUpperCase())}`;
+    }
+  },
+  {
+    name: 'number',
+    pattern: new RegExp(String.raw`(?<![\p{L}\d.,])(-?)(${NUMBER})(?![\p{L}\d]|[.,]\d)`, 'gu'),
+    replace: (m, minus, n) => `${minus ? 'minus ' : ''}${number(n)}`
+  }
+];
+
+// Language => [rules, abbreviation dictionary class]
+const RULES = { en: [ENGLISH, AbbreviationDictionary] };
+
+class SpeechNormalizer {
+  /**
+   * @param {object} options
+   * @param {string} options.language - Document language ("en", "en-US",
+   *   "eng"); defaults to English
+   * @param {object} options.abbreviations - Extra abbreviation => expansion
+   * @param {object} options.acronyms - Acronym => 'spell' or 'word'
+   */
+  constructor(options = {}) {
+    this.language = SpeechNormalizer.languageCode(options.language);
+    this.rules = null;
+    this.abbreviations = null;
+
+    if (RULES[this.language]) {
+      const [rules, Dictionary] = RULES[this.language];
+      this.abbreviations = new Dictionary({ abbreviations: options.abbreviations, acronyms: options.acronyms });
+      const { before, after } = this.abbreviations.rules();
+      this.rules = [...before, ...rules, ...after];
+    }
+  }
+
+  /**
+   * "en-GB", "EN", "eng" => "en"
+   */
+  static languageCode(language) {
+    if (!language) return 'en';
+    const code = String(language).trim().toLowerCase().split(/[-_]/)[0];
+    return code === 'eng' ? 'en' : code;
+  }
+
+  static get languages() {
+    return Object.keys(RULES);
+  }
+
+  get supported() {
+    return this.rules !== null;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {object} - { text, changes: [{ rule, from, to }] }
+   */
+  normalize(text) {
+    const changes = [];
+    if (!this.rules) return { text, changes };
+
+    let result = text;
+    for (const rule of this.rules) {
+      result = result.replace(rule.pattern, (...args) => {
+        const match = args[0];
+        const spoken = rule.replace(...args);
+        if (spoken !== match) changes.push({ rule: rule.name, from: match, to: spoken });
+        return spoken;
+      });
+    }
+
+    return { text: result, changes };
+  }
+
+  /**
+   * Normalize chapters in place (streamed chapters are rewritten on disk)
+   * @param {object[]} chapters - { text } or { textFile }
+   * @returns {object[]} - All changes, in chapter order
+   */
+  normalizeChapters(chapters) {
+    const changes = [];
+    if (!this.rules) return changes;
+
+    for (const chapter of chapters) {
+      const text = chapter.text ?? fs.readFileSync(chapter.textFile, 'utf8');
+      const result = this.normalize(text);
+      if (result.changes.length === 0) continue;
+
+      if (chapter.textFile && chapter.text == null) {
+        fs.writeFileSync(chapter.textFile, result.text);
+      } else {
+        chapter.text = result.text;
+      }
+      chapter.wordCount = result.text.split(/\s+/).filter(word => word.length > 0).length;
+      changes.push(...result.changes);
+    }
+
+    return changes;
+  }
+}
+
+export default SpeechNormalizer;
@@ -0,0 +1,666 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { StringDecoder } from 'string_decoder';
+import { randomUUID } from 'crypto';
+import config from './config.js';
+import EncodingDetector from './encoding-detector.js';
+import BoilerplateStripper from './boilerplate-stripper.js';
+import PdfOcr from './pdf-ocr.js';
+import PdfOutline from './pdf-outline.js';
+import PdfReflow from './pdf-reflow.js';
+
+/**
+ * Stream Processor
+ * Extracts and cleans very large PDF/TXT inputs without holding the book
+ * in memory: pdftotext output and text files are read incrementally, the
+ * cleaning stages run on windows of text cut at paragraph breaks, and
+ * chapters are written to disk as they are detected. The chapters it
+ * returns carry a `textFile` instead of `text`.
+ */
+
+const READ_CHUNK = 64 * 1024;
+const WRITE_BUFFER = 256 * 1024;
+
+const streamError = (message, code, details = {}) => Object.assign(new Error(message), { code, details });
+
+/**
+ * Writes chapter text to numbered files, keeping only counts in memory
+ */
+class ChapterWriter {
+  constructor(dir, maxChapters) {
+    this.dir = dir;
+    this.maxChapters = maxChapters;
+    this.chapters = [];
+    this.current = null;
+    this.files = 0;
+    this.cleanedLength = 0;
+
+    // Text of dropped chapters, for the "Full Text" fallback when no
+    // chapter is substantial enough to keep (so never more than a few words each)
+    this.dropped = '';
+  }
+
+  /**
+   * @param {boolean} heading - The title is a line of the book text
+   */
+  begin(number, title, startLine = 0, heading = true) {
+    this.files++;
+    const textFile = path.join(this.dir, `${String(this.files).padStart(4, '0')}.txt`);
+
+    this.current = {
+      number,
+      title: title.substring(0, 200),
+      heading,
+      startLine,
+      textFile,
+      fd: fs.openSync(textFile, 'w'),
+      pending: '',
+      blankLines: 0,
+      written: false,
+      wordCount: 0
+    };
+  }
+
+  /**
+   * Add one line; leading and trailing blank lines are dropped, like trim()
+   */
+  writeLine(line) {
+    const chapter = this.current;
+
+    if (line.trim().length === 0) {
+      if (chapter.written) chapter.blankLines++;
+      return;
+    }
+
+    chapter.pending += (chapter.written ? '\n'.repeat(chapter.blankLines + 1) : '') + line;
+    chapter.written = true;
+    chapter.blankLines = 0;
+    chapter.wordCount += line.trim().split(/\s+/).length;
+
+    if (chapter.pending.length >= WRITE_BUFFER) {
+      this.flush();
+    }
+  }
+
+  writeText(text) {
+    for (const line of text.split('\n')) {
+      this.writeLine(line);
+    }
+  }
+
+  flush() {
+    const chapter = this.current;
+    if (chapter.pending.length > 0) {
+      fs.writeSync(chapter.fd, chapter.pending);
+      this.cleanedLength += chapter.pending.length;
+      chapter.pending = '';
+    }
+  }
+
+  /**
+   * Close the current chapter, keeping it if it has more than `minWords`
+   */
+  end(minWords) {
+    const chapter = this.current;
+    if (!chapter) return;
+
+    this.flush();
+    fs.closeSync(chapter.fd);
+    this.current = null;
+
+    if (chapter.wordCount <= minWords) {
+      if (this.dropped !== null) {
+        this.dropped += (chapter.heading ? `${chapter.title}\n` : '') + fs.readFileSync(chapter.textFile, 'utf8') + '\n';
+      }
+      fs.rmSync(chapter.textFile, { force: true });
+      return;
+    }
+
+    this.dropped = null;
+
+    this.chapters.push({
+      number: chapter.number,
+      title: chapter.title,
+      textFile: chapter.textFile,
+      startLine: chapter.startLine,
+      wordCount: chapter.wordCount
+    });
+
+    if (this.chapters.length > this.maxChapters) {
+      throw streamError(
+        `Too many chapters detected (max ${this.maxChapters})`,
+        'TOO_MANY_CHAPTERS',
+        { max: this.maxChapters }
+      );
+    }
+  }
+
+  close() {
+    if (this.current) {
+      fs.closeSync(this.current.fd);
+      this.current = null;
+    }
+  }
+}
+
+class StreamProcessor {
+  static formats = ['.pdf', '.txt'];
+
+  /**
+   * @param {TextCleaner} cleaner - Supplies the options and cleaning stages
+   * @param {object} options
+   * @param {string} options.outputDir - Chapter files (default: a new directory in chaptersDir)
+   * @param {string} options.chaptersDir - Parent of outputDir (default: the data dir)
+   * @param {number} options.windowSize - Characters cleaned at a time
+   */
+  constructor(cleaner, options = {}) {
+    this.cleaner = cleaner;
+    this.outputDir = options.outputDir || path.join(options.chaptersDir || config.paths.chapters, randomUUID());
+    this.windowSize = options.windowSize || 1024 * 1024;
+    this.encoding = null;
+  }
+
+  /**
+   * Stream a PDF or text file into chapter files
+   * @returns {object} - Same shape as TextCleaner.processFile, with
+   *   originalText/cleanedText null and chapters pointing at files
+   */
+  async process(filePath) {
+    const pdf = path.extname(filePath).toLowerCase() === '.pdf';
+    const pages = pdf ? this.readPdfPages(filePath) : this.readTextChunks(filePath);
+
+    return this.processPages(pages, { pdfPath: pdf ? filePath : null });
+  }
+
+  /**
+   * Run pages (or text chunks) through OCR, reflow, cleaning and chapter
+   * detection, one window at a time
+   *
+   * @param {AsyncIterable<string>} pages
+   * @param {object} options
+   * @param {string} options.pdfPath - Source PDF, for OCR and the outline
+   */
+  async processPages(pages, options = {}) {
+    const cleaner = this.cleaner;
+    const pdfPath = options.pdfPath || null;
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    this.writer = new ChapterWriter(this.outputDir, cleaner.maxChapters);
+    this.window = '';
+    this.windows = 0;
+    this.lineIndex = 0;
+    this.chapterNum = 0;
+    this.ended = false;
+    this.boilerplate = null;
+    this.metadata = {};
+    this.ocr = null;
+    this.reflow = null;
+    this.stages = {};
+    this.footnotes = [];
+    // PDF pages are kept apart as TextCleaner keeps them, for running heads
+    this.pageBreak = pdfPath ? '\f\n' : '';
+
+    let originalLength = 0;
+    let whitespace = 0;
+
+    try {
+      // Chapters from PDF bookmarks start at known pages
+      const entries = pdfPath ? this.readOutline(pdfPath) : null;
+      this.outline = entries ? { entries, next: 0 } : null;
+      if (this.outline) this.writer.begin(1, 'Introduction', 0, false);
+
+      const ocr = pdfPath && cleaner.ocr
+        ? new PdfOcr({ language: cleaner.ocrLanguage, minChars: cleaner.ocrMinChars, pageTimeout: cleaner.ocrTimeout })
+        : null;
+      const reflow = pdfPath && cleaner.pdfColumns ? new PdfReflow({ sidebars: cleaner.pdfSidebars }) : null;
+      if (reflow) this.reflow = { multiColumnPages: 0, sidebars: 0, pullQuotes: 0 };
+
+      // A reflowed page waits for the next one: pull quotes repeat text nearby
+      let previous = '';
+      let held = null;
+      let index = 0;
+
+      for await (const raw of pages) {
+        originalLength += raw.length;
+        whitespace += raw.length - raw.replace(/\s/g, '').length;
+
+        let page = raw;
+
+        if (ocr) {
+          const single = [page];
+          this.mergeOcr(await ocr.apply(pdfPath, single, index + 1));
+          page = single[0];
+        }
+
+        if (reflow) {
+          const result = reflow.reflowPage(page);
+          page = result.text;
+          if (result.columns > 1) this.reflow.multiColumnPages++;
+          this.reflow.sidebars += result.sidebars;
+
+          if (held) {
+            const quoted = reflow.removePullQuotes(held.text, [previous, page]);
+            this.reflow.pullQuotes += quoted.removed;
+            previous = quoted.text;
+            this.addPage(held.index, quoted.text);
+          }
+          held = { index, text: page };
+        } else {
+          this.addPage(index, page);
+        }
+
+        index++;
+        if (this.ended) break;
+      }
+
+      if (held && !this.ended) {
+        const quoted = reflow.removePullQuotes(held.text, [previous, '']);
+        this.reflow.pullQuotes += quoted.removed;
+        this.addPage(held.index, quoted.text);
+      }
+
+      if (!this.ended) this.flushWindow(true);
+      this.writer.end(this.outline ? 0 : 10);
+
+      // If no chapters were detected, treat the entire text as one chapter
+      if (this.writer.chapters.length === 0 && this.writer.dropped && this.writer.dropped.trim()) {
+        const text = this.writer.dropped;
+        this.writer.dropped = null;
+        this.writer.begin(1, 'Full Text', 0, false);
+        this.writer.writeText(text);
+        this.writer.end(0);
+      }
+
+      if (originalLength === 0) {
+        throw streamError('Extracted text is empty', 'EMPTY_TEXT');
+      }
+
+      const nonPrintableRatio = whitespace / originalLength;
+      if (nonPrintableRatio > 0.5) {
+        throw streamError('Text contains too many non-printable characters', 'CORRUPTED_TEXT', { ratio: nonPrintableRatio.toFixed(2) });
+      }
+
+      if (this.ocr && this.ocr.skipped && this.writer.chapters.length === 0) {
+        throw streamError(`PDF has no text layer and OCR is unavailable (${this.ocr.skipped})`, 'MISSING_DEPENDENCY', { tool: 'tesseract' });
+      }
+
+      let chapters = this.writer.chapters;
+      if (cleaner.mode === 'paper') {
+        const kept = cleaner.paper.arrangeChapters(chapters);
+        StreamProcessor.removeFiles(chapters.filter(ch => !kept.some(k => k.textFile === ch.textFile)));
+        chapters = kept;
+      }
+      cleaner.validateChapters(chapters);
+
+      const cleanedLength = this.writer.cleanedLength;
+      return {
+        originalText: null,
+        cleanedText: null,
+        chapters,
+        metadata: this.metadata,
+        codeListings: cleaner.codeListings,
+        stats: {
+          originalLength,
+          cleanedLength,
+          reductionPercent: ((1 - cleanedLength / originalLength) * 100).toFixed(2),
+          chapterCount: chapters.length,
+          avgChapterLength: Math.round(cleanedLength / chapters.length),
+          ocr: this.ocr,
+          reflow: this.reflow,
+          encoding: this.encoding,
+          boilerplate: this.boilerplate,
+          stages: this.stages,
+          hyphenation: cleaner.hyphenation,
+          unicode: cleaner.unicode,
+          streamed: { outputDir: this.outputDir, windows: this.windows }
+        }
+      };
+    } catch (error) {
+      this.writer.close();
+      fs.rmSync(this.outputDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a page's text, splitting it at bookmarked chapter starts
+   */
+  addPage(index, text) {
+    if (this.ended) return;
+
+    let from = 0;
+
+    if (this.outline) {
+      const outline = new PdfOutline();
+      const { entries } = this.outline;
+
+      while (this.outline.next < entries.length && entries[this.outline.next].page - 1 <= index) {
+        const entry = entries[this.outline.next++];
+        const found = outline.findTitle(text, entry.title, from);
+        const cut = found || { start: from, end: from };
+
+        this.window += text.slice(from, cut.start);
+        this.flushWindow(true);
+        if (this.ended) return;
+
+        this.writer.end(0);
+        this.writer.begin(this.writer.chapters.length + 1, entry.title);
+        from = cut.end;
+      }
+    }
+
+    this.window += text.slice(from) + this.pageBreak;
+
+    while (this.window.length >= this.windowSize && !this.ended && this.flushWindow(false)) {
+      // Clean full windows as soon as they are available
+    }
+  }
+
+  /**
+   * Clean the queued window and hand it to the chapter writer. Unless
+   * `final`, the window ends at a paragraph break so hyphenation and
+   * paragraphs are not cut in half, and the rest waits for the next one.
+   * @returns {boolean} - False if there was no break to cut at yet
+   */
+  flushWindow(final) {
+    let text = this.window;
+
+    if (!final) {
+      const cut = this.paragraphCut(text.slice(0, this.windowSize)) || this.paragraphCut(text);
+      if (cut <= 0) return false;
+
+      text = text.slice(0, cut);
+    }
+
+    this.window = this.window.slice(text.length);
+
+    text = this.stripBoilerplate(text);
+    const last = final || this.ended;
+
+    // The last window still has to place notes carried over from earlier ones
+    if (text.trim().length === 0 && !(last && this.footnotes.length > 0)) return true;
+
+    // Copyright notices sit at the front of the book; a paper stops at
+    // its references (the stage sets `stop`)
+    const context = { footnotes: this.footnotes, final: last };
+    const cleaned = this.cleaner.pipeline.run(text, {
+      skip: this.windows === 0 ? [] : ['removeCopyright'],
+      report: this.stages,
+      context
+    });
+    if (context.stop) this.ended = true;
+
+    // Windows are separate paragraphs
+    if (this.windows > 0 && this.writer.current) this.writer.writeLine('');
+    this.windows++;
+
+    if (this.outline) {
+      this.writer.writeText(cleaned);
+    } else {
+      this.detectChapters(cleaned);
+    }
+
+    return true;
+  }
+
+  /**
+   * Incremental TextCleaner.detectChapters
+   */
+  detectChapters(text) {
+    const writer = this.writer;
+
+    for (const raw of text.split('\n')) {
+      const line = raw.trim();
+      const lineIndex = this.lineIndex++;
+
+      if (this.cleaner.isChapterHeading(line)) {
+        writer.end(10);
+        this.chapterNum++;
+        writer.begin(this.chapterNum, line, lineIndex);
+      } else if (writer.current) {
+        writer.writeLine(line);
+      } else if (this.chapterNum === 0 && line.length > 0) {
+        writer.begin(0, 'Introduction', 0, false);
+        writer.writeLine(line);
+      }
+    }
+  }
+
+  /**
+   * Drop distributor license text: the header in the first window, the
+   * footer wherever its marker shows up (which ends the book)
+   */
+  stripBoilerplate(text) {
+    if (!this.cleaner.boilerplate) return text;
+
+    const stripper = new BoilerplateStripper();
+
+    if (this.windows === 0 && !this.boilerplate) {
+      const found = stripper.detect(text, { partial: true });
+      if (!found) return text;
+
+      this.boilerplate = { source: found.source, removedLength: text.length - (found.end - found.start) };
+      this.metadata = this.cleaner.definedFields(found.metadata);
+      this.ended = found.end < text.length;
+      return text.slice(found.start, found.end);
+    }
+
+    if (!this.boilerplate) return text;
+
+    const end = stripper.findEnd(text, this.boilerplate.source);
+    if (end === null) return text;
+
+    this.boilerplate.removedLength += text.length - end;
+    this.ended = true;
+    return text.slice(0, end);
+  }
+
+  /**
+   * Offset just past the last blank line (or, failing that, the last line
+   * break); 0 if there is none
+   */
+  paragraphCut(text) {
+    let pos = text.lastIndexOf('\n');
+    const lastBreak = pos + 1;
+
+    while (pos > 0) {
+      const prev = text.lastIndexOf('\n', pos - 1);
+      // A page break is not a paragraph break
+      const line = text.slice(prev + 1, pos);
+      if (prev !== -1 && line.trim() === '' && !line.includes('\f')) return prev + 1;
+      pos = prev;
+    }
+
+    return lastBreak;
+  }
+
+  readOutline(pdfPath) {
+    try {
+      // A PDF whose cross-reference data is damaged is chaptered by
+      // heading detection instead
+      const outline = new PdfOutline();
+      const entries = outline.chapterEntries(outline.read(pdfPath));
+      return entries.length >= 2 ? entries : null;
+    } catch (error) {
+      console.warn('Could not read PDF outline:', error.message);
+      return null;
+    }
+  }
+
+  mergeOcr(part) {
+    if (!this.ocr) {
+      this.ocr = { totalPages: 0, flaggedPages: 0, ocrPages: 0, averageConfidence: null, pages: [], skipped: null };
+    }
+
+    const ocr = this.ocr;
+    ocr.totalPages += part.totalPages;
+    ocr.flaggedPages += part.flaggedPages;
+    ocr.pages.push(...part.pages);
+    ocr.skipped = ocr.skipped || part.skipped;
+
+    const recognized = ocr.pages.filter(p => p.confidence !== null);
+    ocr.ocrPages = recognized.length;
+
+    const totalWords = recognized.reduce((sum, p) => sum + p.words, 0);
+    if (recognized.length > 0) {
+      ocr.averageConfidence = totalWords > 0
+        ? Math.round(recognized.reduce((sum, p) => sum + p.confidence * p.words, 0) / totalWords)
+        : 0;
+    }
+  }
+
+  /**
+   * pdftotext output, one page at a time
+   */
+  async * readPdfPages(filePath) {
+    const timeout = this.cleaner.pdfTimeout;
+    const child = spawn('pdftotext', ['-layout', filePath, '-'], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let stderr = '';
+    child.stderr.on('data', data => {
+      if (stderr.length < 4096) stderr += data;
+    });
+
+    let spawnError = null;
+    const exited = new Promise(resolve => {
+      child.on('error', error => {
+        spawnError = error;
+        resolve(null);
+      });
+      child.on('close', code => resolve(code));
+    });
+
+    const decoder = new StringDecoder('utf8');
+    const chunks = child.stdout[Symbol.asyncIterator]();
+    let buffer = '';
+    let timedOut = false;
+    let completed = false;
+
+    try {
+      for (;;) {
+        // Only time pdftotext itself, not the cleaning between reads
+        const timer = setTimeout(() => {
+          timedOut = true;
+          child.kill();
+        }, timeout);
+        const { value, done } = await chunks.next();
+        clearTimeout(timer);
+
+        if (done) break;
+
+        buffer += decoder.write(value);
+        let pageEnd;
+        while ((pageEnd = buffer.indexOf('\f')) !== -1) {
+          yield buffer.slice(0, pageEnd);
+          buffer = buffer.slice(pageEnd + 1);
+        }
+      }
+
+      buffer += decoder.end();
+      const code = await exited;
+
+      if (timedOut) {
+        throw streamError('PDF extraction timed out', 'TIMEOUT', { timeout });
+      }
+      if (spawnError || code !== 0) {
+        throw streamError('Failed to extract text from PDF', 'PDF_EXTRACTION_FAILED', {
+          error: spawnError ? spawnError.message : stderr.trim() || `pdftotext exited with code ${code}`
+        });
+      }
+
+      if (stderr.trim().length > 0) {
+        console.warn('pdftotext warning:', stderr);
+      }
+
+      if (buffer.trim().length > 0) yield buffer;
+      completed = true;
+    } finally {
+      if (!completed) child.kill();
+    }
+  }
+
+  /**
+   * A text file as chunks of whole lines, decoded from its encoding
+   */
+  async * readTextChunks(filePath) {
+    const detector = new EncodingDetector();
+    let encoding;
+
+    if (this.cleaner.encoding) {
+      try {
+        encoding = { encoding: EncodingDetector.normalize(this.cleaner.encoding), confidence: 1, bom: false, overridden: true };
+      } catch (error) {
+        throw streamError(`Unknown encoding: ${this.cleaner.encoding}`, 'INVALID_ENCODING', { encoding: this.cleaner.encoding });
+      }
+    } else {
+      const sample = Buffer.alloc(READ_CHUNK);
+      const fd = fs.openSync(filePath, 'r');
+      let bytes;
+      try {
+        bytes = fs.readSync(fd, sample, 0, sample.length, 0);
+      } finally {
+        fs.closeSync(fd);
+      }
+      encoding = { ...detector.detect(sample.subarray(0, bytes), bytes === sample.length), overridden: false };
+    }
+
+    this.encoding = {
+      name: encoding.encoding,
+      confidence: encoding.confidence,
+      bom: encoding.bom,
+      overridden: encoding.overridden
+    };
+
+    const decoder = detector.createStreamDecoder(encoding.encoding);
+    let pending = '';
+
+    for await (const chunk of fs.createReadStream(filePath, { highWaterMark: READ_CHUNK })) {
+      pending += decoder.write(chunk);
+
+      const cut = pending.lastIndexOf('\n');
+      if (cut !== -1) {
+        yield pending.slice(0, cut + 1);
+        pending = pending.slice(cut + 1);
+      }
+    }
+
+    pending += decoder.end();
+    if (pending.length > 0) yield pending;
+  }
+
+  /**
+   * Text of streamed chapters, read back from disk
+   */
+  static readText(chapters) {
+    return chapters
+      .map(chapter => (chapter.textFile ? fs.readFileSync(chapter.textFile, 'utf8') : chapter.text))
+      .join('\n\n');
+  }
+
+  /**
+   * Delete streamed chapter files (and their directory once empty)
+   */
+  static removeFiles(chapters) {
+    const dirs = new Set();
+
+    for (const chapter of chapters) {
+      if (!chapter.textFile) continue;
+      fs.rmSync(chapter.textFile, { force: true });
+      dirs.add(path.dirname(chapter.textFile));
+    }
+
+    for (const dir of dirs) {
+      try {
+        fs.rmdirSync(dir);
+      } catch {
+        // Not empty (or already gone)
+      }
+    }
+  }
+}
+
+export default StreamProcessor;
@@ -147,8 +147,13 @@ class Summarizer {
    * Summarize a single chunk with Ollama
    */
   async summarizeChunkOllama(text, targetWords, model) {
-    const prompt = this.buildSummaryPrompt(text, targetWords);
+    return this.runOllama(this.buildSummaryPrompt(text, targetWords), model);
+  }
 
+  /**
+   * Run a prompt through Ollama and return its answer
+   */
+  async runOllama(prompt, model) {
     // Create temp file for input (avoid shell escaping issues)
     const { writeFileSync, unlinkSync } = await import('fs');
     const { join } = await import('path');
@@ -169,6 +174,37 @@ class Summarizer {
     }
   }
 
+  /**
+   * Describe a code listing in a sentence or two, for listeners who
+   * cannot see it (requires Ollama)
+   */
+  async describeCode(code, options = {}) {
+    const model = options.model || 'llama3.2:latest';
+    const description = await this.runOllama(this.buildCodePrompt(code), model);
+
+    if (!description) {
+      throw new Error('Empty code description');
+    }
+    const sentence = description.replace(/\s+/g, ' ');
+    return /[.!?]$/.test(sentence) ? sentence : `${sentence}.`;
+  }
+
+  buildCodePrompt(code) {
+    return `You are narrating a technical book as an audiobook. The listener cannot see the code listing below.
+
+Describe in one or two plain sentences (at most 40 words) what the code does.
+
+DO NOT:
+- Read the code aloud or quote identifiers character by character
+- Use code formatting, bullet points or symbols
+- Start with "This code listing" or add commentary
+
+CODE:
+${code}
+
+DESCRIPTION:`;
+  }
+
   /**
    * Build summary prompt
    */
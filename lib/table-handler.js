@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * Table Handler
+ * Finds tables in layout text (`pdftotext -layout`, aligned plain text):
+ * runs of lines split into cells by wide gaps, whose cells line up in
+ * columns and are mostly numbers. Each table is skipped with an
+ * announcement ("Table 3 omitted.") or narrated row by row using its
+ * header cells ("North: 2019, 12; 2020, 15.").
+ */
+
+const POLICIES = ['announce', 'narrate'];
+
+// "Table 3: Sales by region", "Table IV." or a bare "Table 2"
+const CAPTION = /^[ \t]*Table[ \t]+(\d+|[IVX]+)(?:[.:]|[ \t]*$)[ \t]*(.*)$/i;
+
+// Cells are separated by two or more spaces (or a tab)
+const CELL = /\S+(?: \S+)*/g;
+
+const NUMERIC = /^[(+\-−±~<>≈]?[$€£¥]?\d[\d,.]*(?:[eE][+\-−]?\d+)?(?:%|[a-zA-Zµ°]{1,3})?\)?[*†‡]*$/;
+const YEAR = /^(1[5-9]|20)\d\d$/;
+const EMPTY = /^(?:[-–—.]+|n\/?a)$/i;
+
+const MIN_ROWS = 3;
+const MAX_CELL_AVERAGE = 24; // Longer cells are prose split by wide spacing
+const ALIGNED_ROWS = 0.75;
+const NUMERIC_CELLS = 0.3;
+
+function cellsOf(line) {
+  const text = line.replace(/\t/g, '    ');
+  return [...text.matchAll(CELL)].map(m => ({ text: m[0], start: m.index, end: m.index + m[0].length }));
+}
+
+function isNumeric(text) {
+  return NUMERIC.test(text) || EMPTY.test(text);
+}
+
+// A cell lines up with a column when its left edge, right edge or centre does
+function linesUp(cell, column) {
+  return Math.abs(cell.start - column.start) <= 1 ||
+    Math.abs(cell.end - column.end) <= 1 ||
+    Math.abs((cell.start + cell.end) - (column.start + column.end)) <= 2;
+}
+
+// The row with the most cells marks out the columns
+function widest(rows) {
+  return rows.reduce((cells, row) => (row.cells.length > cells.length ? row.cells : cells), []);
+}
+
+function sentence(text) {
+  const trimmed = text.trim().replace(/[\s:;,]+$/, '');
+  return /[.!?]$/.test(trimmed) ? trimmed : `${trimmed}.`;
+}
+
+class TableHandler {
+  /**
+   * @param {object} options
+   * @param {string} options.policy - 'announce' (skip, saying so) or 'narrate'
+   */
+  constructor(options = {}) {
+    this.policy = options.policy || 'announce';
+
+    if (!POLICIES.includes(this.policy)) {
+      throw new Error(`Unknown table policy: ${this.policy} (use ${POLICIES.join(', ')})`);
+    }
+  }
+
+  static get policies() {
+    return [...POLICIES];
+  }
+
+  /**
+   * @param {string} text
+   * @returns {object} - { text, tables } (tables found)
+   */
+  process(text) {
+    const lines = text.split('\n');
+    const tables = this.findTables(lines);
+
+    if (tables.length === 0) {
+      return { text, tables: 0 };
+    }
+
+    // Replace from the end so earlier line numbers stay valid
+    for (const table of [...tables].reverse()) {
+      const caption = this.findCaption(lines, table);
+      let first = table.first;
+      let last = table.last;
+      let replacement;
+
+      if (this.policy === 'announce') {
+        if (caption) {
+          first = Math.min(first, caption.line);
+          last = Math.max(last, caption.line);
+        }
+        replacement = [this.announce(caption)];
+      } else {
+        replacement = this.narrate(table, caption);
+        // The caption introduces the rows, so it ends as a sentence
+        if (caption) lines[caption.line] = sentence(lines[caption.line]);
+      }
+
+      lines.splice(first, last - first + 1, ...replacement);
+    }
+
+    return { text: lines.join('\n'), tables: tables.length };
+  }
+
+  /**
+   * Runs of cell rows (a single blank line may sit between rows) that
+   * line up in columns and hold enough numbers to be a table
+   * @returns {object[]} - { first, last, rows, columns, header }
+   */
+  findTables(lines) {
+    const rowAt = (i) => {
+      if (i >= lines.length || CAPTION.test(lines[i])) return null;
+      const cells = cellsOf(lines[i]);
+      if (cells.length < 2) return null;
+
+      const average = cells.reduce((sum, cell) => sum + cell.text.length, 0) / cells.length;
+      return average <= MAX_CELL_AVERAGE ? cells : null;
+    };
+
+    const tables = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      if (!rowAt(i)) {
+        i++;
+        continue;
+      }
+
+      const rows = [];
+      let j = i;
+      while (j < lines.length) {
+        const cells = rowAt(j);
+        if (cells) {
+          rows.push({ line: j, cells });
+          j++;
+        } else if (!lines[j].trim() && rowAt(j + 1) && this.continues(rows, rowAt(j + 1))) {
+          j++;
+        } else {
+          break;
+        }
+      }
+
+      const table = this.assess(rows);
+      if (table) {
+        tables.push({ first: i, last: rows[rows.length - 1].line, ...table });
+      }
+      i = j;
+    }
+
+    return tables;
+  }
+
+  /**
+   * Whether a row past a blank line carries on the columns above it
+   */
+  continues(rows, cells) {
+    const columns = widest(rows);
+    return cells.filter(cell => columns.some(column => linesUp(cell, column))).length >= 2;
+  }
+
+  /**
+   * Whether rows form a table - and if so its columns and header row
+   */
+  assess(rows) {
+    if (rows.length < MIN_ROWS) return null;
+
+    const columns = widest(rows);
+
+    const aligned = rows.filter(row => {
+      const matched = row.cells.filter(cell => columns.some(column => linesUp(cell, column))).length;
+      return matched >= 2 && matched / row.cells.length >= 0.6;
+    });
+    if (aligned.length / rows.length < ALIGNED_ROWS) return null;
+
+    const body = rows.slice(1).flatMap(row => row.cells);
+    const numeric = body.filter(cell => isNumeric(cell.text)).length / body.length;
+    const regular = rows.filter(row => row.cells.length === columns.length).length / rows.length;
+
+    // Tables of words pass on perfectly regular columns alone
+    if (numeric < NUMERIC_CELLS && !(columns.length >= 3 && regular >= 0.9)) return null;
+
+    // A first row of words (years allowed: "Region  2019  2020") is the header
+    const top = rows[0].cells;
+    const header = top.filter(cell => isNumeric(cell.text) && !YEAR.test(cell.text)).length / top.length < 0.5 &&
+      top.some(cell => !isNumeric(cell.text));
+
+    return { rows, columns, header };
+  }
+
+  /**
+   * A "Table N" caption just above or below the table
+   * @returns {object|null} - { line, number, title }
+   */
+  findCaption(lines, table) {
+    for (const step of [-1, 1]) {
+      let i = step < 0 ? table.first - 1 : table.last + 1;
+      // Past one blank line at most
+      if (lines[i] !== undefined && !lines[i].trim()) i += step;
+      if (lines[i] === undefined) continue;
+
+      const match = CAPTION.exec(lines[i]);
+      if (match) {
+        return { line: i, number: match[1], title: match[2].trim() };
+      }
+    }
+    return null;
+  }
+
+  announce(caption) {
+    if (!caption) return 'Table omitted.';
+    return caption.title
+      ? sentence(`Table ${caption.number} omitted: ${caption.title}`)
+      : `Table ${caption.number} omitted.`;
+  }
+
+  /**
+   * One sentence per row; cells are read with their column's header
+   */
+  narrate(table, caption) {
+    const width = table.columns.length;
+
+    // Each cell goes to the column it overlaps most (or sits nearest)
+    const place = (cells) => {
+      const values = new Array(width).fill('');
+      for (const cell of cells) {
+        let best = 0;
+        let bestScore = -Infinity;
+        table.columns.forEach((column, index) => {
+          const overlap = Math.min(cell.end, column.end) - Math.max(cell.start, column.start);
+          const score = overlap > 0 ? overlap : -Math.abs((cell.start + cell.end) - (column.start + column.end));
+          if (score > bestScore) {
+            best = index;
+            bestScore = score;
+          }
+        });
+        values[best] = values[best] ? `${values[best]} ${cell.text}` : cell.text;
+      }
+      return values;
+    };
+
+    const rows = table.rows.map(row => place(row.cells));
+    const headers = table.header ? rows.shift() : null;
+
+    // A first column of words names each row
+    const labelled = rows.every(values => !values[0] || !NUMERIC.test(values[0]));
+
+    const spoken = rows.map((values, index) => {
+      const label = labelled && values[0] ? values[0] : `Row ${index + 1}`;
+      const cells = values
+        .map((value, column) => ({ value, column }))
+        .filter(({ value, column }) => value && !EMPTY.test(value) && !(labelled && column === 0));
+
+      const parts = cells.map(({ value, column }) => (headers && headers[column]
+        ? `${headers[column]}, ${value}`
+        : value));
+
+      return sentence(`${label}: ${parts.join(headers ? '; ' : ', ')}`);
+    });
+
+    return caption ? spoken : ['A table follows.', ...spoken];
+  }
+}
+
+export default TableHandler;
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Technical Text Verbalizer
+ * Makes URLs, email addresses, file paths and code speakable: a URL is
+ * read as its domain ("github dot com"), an email as "name at domain", a
+ * path as its file name, inline `code` without the punctuation, and a
+ * multi-line code listing is replaced by "Code listing 3 omitted." (which
+ * the CLI can later swap for a description of the code).
+ */
+
+const URL = /\b(?:(?:https?|ftp):\/\/|www\.)[^\s<>"'“”‘’()[\]{}]+/gi;
+const EMAIL = /(?<![\w.+-])([\w.+-]+)@((?:[\w-]+\.)+[a-z]{2,})\b/gi;
+const DOMAIN = /(?<![\w@/.-])((?:[a-z0-9-]+\.)+(?:com|org|net|edu|gov|io|dev|ai|app|info|co\.uk|org\.uk|ac\.uk|de|fr|eu))(\/[^\s<>"'“”‘’()[\]{}]*)?(?![\w-])/gi;
+const PATH = /(?<![\w/\\.:-])(?:(?:~|\.{1,2})?(?:\/[\w.@-]+){2,}\/?|(?:~|\.{1,2})\/[\w.@-]+|[\w.-]+(?:\/[\w.-]+)+\.[a-z]\w{0,4}\b|[A-Z]:\\(?:[\w. -]+\\)*[\w.-]+)/g;
+const INLINE_CODE = /(`+)([^`\n]+?)\1/g;
+
+// Lines that can only be code
+const CODE_LINE = [
+  /^\s*[}\])]+[;,)]*\s*$/, // closing brackets
+  /^\s*(?:\/\/|\/\*|\*\/|#include\b|#!|#define\b)/, // comments, preprocessor
+  /(?:=>|===?|!==?|:=|->|\+\+|&&|\|\||\+=|-=|::)/, // operators
+  /\w\([^()]*\)\s*[;:{]?\s*$/, // call or signature ending the line
+  /^(?=.*(?:\w\(|[^=!<>]=(?!=)|[{}])).*[)\]"'\w]\s*;\s*$/, // statement: a call, assignment or braces
+  /[)\w]\s*\{\s*$/ // block opener
+];
+
+// Lines starting like code; they only count as code with some punctuation
+const KEYWORD = /^\s*(?:def|class|function|import|from|return|const|let|var|if|elif|else|for|while|try|catch|except|public|private|protected|static|package|func|fn|struct|enum|switch|case|print|echo|SELECT|INSERT|UPDATE|CREATE)\b/;
+
+const MIN_CODE_LINES = 2;
+const CODE_SHARE = 0.5;
+
+// "github.com" => "github dot com"
+function spokenName(name) {
+  return name.replace(/[._-]+$/, '').replace(/\./g, ' dot ');
+}
+
+function trailing(text) {
+  const match = /[.,;:!?]+$/.exec(text);
+  return match ? [text.slice(0, match.index), match[0]] : [text, ''];
+}
+
+class TechVerbalizer {
+  /**
+   * Whether a line can only be code (`true`), may be code when it sits
+   * among code (`'maybe'`) or is prose (`false`)
+   */
+  static lineKind(line) {
+    if (CODE_LINE.some(pattern => pattern.test(line))) return true;
+    if (KEYWORD.test(line)) return /[(){}[\]=:;]/.test(line) ? true : 'maybe';
+    return false;
+  }
+
+  /**
+   * @param {string} text
+   * @param {object} options
+   * @param {number} options.first - Number of the first code listing found
+   * @returns {object} - { text, listings: [{ number, code }] }
+   */
+  process(text, options = {}) {
+    const { text: withoutListings, listings } = this.replaceListings(text, options.first || 1);
+    return { text: this.verbalize(withoutListings), listings };
+  }
+
+  /**
+   * Runs of code lines (single blank lines may sit between them) with
+   * enough lines that can only be code, each replaced by an announcement
+   */
+  replaceListings(text, first = 1) {
+    const lines = text.split('\n');
+    const kinds = lines.map(line => (line.trim() ? TechVerbalizer.lineKind(line) : null));
+    const output = [];
+    const listings = [];
+
+    let i = 0;
+    while (i < lines.length) {
+      if (!kinds[i]) {
+        output.push(lines[i]);
+        i++;
+        continue;
+      }
+
+      let end = i;
+      while (end + 1 < lines.length && (kinds[end + 1] || (kinds[end + 1] === null && kinds[end + 2]))) {
+        end++;
+      }
+
+      const block = kinds.slice(i, end + 1).filter(kind => kind !== null);
+      const certain = block.filter(kind => kind === true).length;
+
+      if (certain >= MIN_CODE_LINES && certain / block.length >= CODE_SHARE) {
+        const number = first + listings.length;
+        listings.push({ number, code: lines.slice(i, end + 1).join('\n') });
+        output.push(`Code listing ${number} omitted.`);
+      } else {
+        output.push(...lines.slice(i, end + 1));
+      }
+      i = end + 1;
+    }
+
+    return { text: output.join('\n'), listings };
+  }
+
+  /**
+   * URLs, emails, paths and inline code in running text
+   */
+  verbalize(text) {
+    return text
+      .replace(URL, (found) => {
+        const [url, after] = trailing(found);
+        const host = url.replace(/^[a-z]+:\/\//i, '').split(/[/?#:]/)[0].replace(/^www\./i, '');
+        return `${spokenName(host)}${after}`;
+      })
+      .replace(EMAIL, (found, name, domain) => `${spokenName(name)} at ${spokenName(domain)}`)
+      .replace(DOMAIN, (found, domain, path = '') => `${spokenName(domain)}${trailing(path)[1]}`)
+      .replace(PATH, (found) => {
+        const [path, after] = trailing(found);
+        const name = path.split(/[/\\]/).filter(Boolean).pop();
+        return `${name ? spokenName(name) : path}${after}`;
+      })
+      .replace(INLINE_CODE, (found, ticks, code) => code
+        .replace(/\(\)/g, '')
+        .replace(/(?<=\w)\.(?=\w)/g, ' dot ')
+        .replace(/[_]+/g, ' ')
+        .trim());
+  }
+}
+
+export default TechVerbalizer;
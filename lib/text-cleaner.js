@@ -1,118 +1,934 @@
 #!/usr/bin/env node
 
 import fs from 'fs';
+import path from 'path';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
-import pathValidator from './path-validator.js';
+import EpubReader from './epub-reader.js';
+import MobiReader from './mobi-reader.js';
+import HtmlExtractor from './html-extractor.js';
+import MarkdownExtractor from './markdown-extractor.js';
+import OfficeReader from './office-reader.js';
+import LatexExtractor from './latex-extractor.js';
+import BoilerplateStripper from './boilerplate-stripper.js';
+import EncodingDetector from './encoding-detector.js';
+import PdfOcr from './pdf-ocr.js';
+import PdfOutline from './pdf-outline.js';
+import PdfReflow from './pdf-reflow.js';
+import StreamProcessor from './stream-processor.js';
+import CleaningPipeline from './cleaning-pipeline.js';
+import FootnoteHandler from './footnote-handler.js';
+import PaperCleaner from './paper-cleaner.js';
+import TableHandler from './table-handler.js';
+import TechVerbalizer from './tech-verbalizer.js';
+import Dehyphenator from './dehyphenator.js';
+import UnicodeNormalizer from './unicode-normalizer.js';
+
+// Between the pages of a PDF; normalizeWhitespace takes it out again
+const PAGE_BREAK = '\f\n';
 
 const execFileAsync = promisify(execFile);
 
+class TextCleanerError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'TextCleanerError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
 class TextCleaner {
-  constructor() {
+  constructor(options = {}) {
     this.chapterPatterns = [
       /^Chapter\s+(\d+|[IVXLCDM]+)[\s:\.]/i,
       /^CHAPTER\s+(\d+|[IVXLCDM]+)[\s:\.]/,
       /^(\d+|[IVXLCDM]+)\.\s+[A-Z]/,
       /^\d+\s*$/
     ];
+
+    // Resource limits
+    this.maxFileSize = options.maxFileSize || 100 * 1024 * 1024; // 100MB
+    this.maxTextLength = options.maxTextLength || 50 * 1024 * 1024; // 50MB text
+    this.maxChapters = options.maxChapters || 1000;
+    this.pdfTimeout = options.pdfTimeout || 60000; // 60 seconds
+
+    // OCR fallback for scanned PDF pages (needs pdftoppm and tesseract)
+    this.ocr = options.ocr !== false;
+    this.ocrLanguage = options.ocrLanguage || 'eng';
+    this.ocrMinChars = options.ocrMinChars || 20;
+    this.ocrTimeout = options.ocrTimeout || 120000; // 2 minutes per page
+
+    // Multi-column PDF reflow (sidebars: 'append' after the page body, or 'skip')
+    this.pdfColumns = options.pdfColumns !== false;
+    this.pdfSidebars = options.pdfSidebars || 'append';
+
+    // Markdown code blocks: 'announce' or 'skip'
+    this.markdownCodeBlocks = options.markdownCodeBlocks || 'announce';
+
+    // Text file encoding (null = detect from BOM / content)
+    this.encoding = options.encoding || null;
+
+    // Strip Project Gutenberg / Standard Ebooks / Faded Page wrappers
+    this.boilerplate = options.boilerplate !== false;
+
+    // LaTeX parenthetical citations: 'remove' or 'speak'
+    this.latexCitations = options.latexCitations || 'remove';
+
+    // Streaming for very large PDF/TXT inputs: 'auto' (at streamThreshold
+    // bytes), true or false. Streamed chapters are written to chaptersDir
+    // (default: the data directory) and carry a `textFile` instead of `text`.
+    this.streaming = options.streaming ?? 'auto';
+    this.streamThreshold = options.streamThreshold || 20 * 1024 * 1024; // 20MB
+    this.maxStreamFileSize = options.maxStreamFileSize || 500 * 1024 * 1024; // 500MB
+    this.streamWindowSize = options.streamWindowSize || 1024 * 1024; // 1M characters
+    this.chaptersDir = options.chaptersDir || null;
+
+    // Footnotes/endnotes: 'drop', 'end' (of the chapter) or 'inline'
+    this.footnotes = options.footnotes || 'end';
+    if (!FootnoteHandler.policies.includes(this.footnotes)) {
+      throw new TextCleanerError(
+        `Unknown footnote policy: ${this.footnotes}`,
+        'INVALID_OPTION',
+        { footnotes: this.footnotes, valid: FootnoteHandler.policies }
+      );
+    }
+
+    // Tables in layout text: 'announce' ("Table 3 omitted.") or 'narrate'
+    this.tables = options.tables || 'announce';
+    if (!TableHandler.policies.includes(this.tables)) {
+      throw new TextCleanerError(
+        `Unknown table policy: ${this.tables}`,
+        'INVALID_OPTION',
+        { tables: this.tables, valid: TableHandler.policies }
+      );
+    }
+
+    // Code listings replaced by "Code listing N omitted." during cleaning,
+    // kept so the caller can swap in a description of the code
+    this.codeListings = [];
+
+    // Line-end hyphens joined or kept, and the breaks the word list could
+    // not settle (joined, but listed in the report)
+    this.hyphenation = { joined: 0, kept: 0, unresolved: [] };
+
+    // Characters rewritten by normalizeUnicode (character => count)
+    this.unicode = {};
+
+    // Research papers (mode 'paper'): references cut, citations removed or
+    // softened ('remove'/'soften'), captions skipped or announced
+    // ('skip'/'announce'), the abstract as the first chapter
+    this.mode = options.mode || 'book';
+    if (!['book', 'paper'].includes(this.mode)) {
+      throw new TextCleanerError(
+        `Unknown cleaning mode: ${this.mode}`,
+        'INVALID_OPTION',
+        { mode: this.mode, valid: ['book', 'paper'] }
+      );
+    }
+    try {
+      this.paper = new PaperCleaner({ citations: options.citations, figures: options.figures });
+    } catch (error) {
+      throw new TextCleanerError(error.message, 'INVALID_OPTION', { citations: options.citations, figures: options.figures });
+    }
+    if (this.mode === 'paper') {
+      this.chapterPatterns = [...PaperCleaner.headingPatterns, ...this.chapterPatterns];
+    }
+
+    // Cleaning stages: options.stages switches stages on/off by name,
+    // options.customStages inserts extra { name, run, before/after } stages
+    this.pipeline = this.createPipeline(options.stages, options.customStages);
+
+    // Supported formats
+    this.supportedFormats = ['.pdf', '.txt', '.epub', '.mobi', '.azw3', '.html', '.htm', '.md', '.markdown', '.docx', '.odt', '.tex'];
   }
 
   async processFile(filePath) {
     // Validate file path
-    const validatedPath = pathValidator.validateFilePath(filePath, {
-      mustExist: true,
-      allowedExtensions: ['.pdf', '.txt']
-    });
+    this.validateFilePath(filePath);
+
+    if (this.shouldStream(filePath)) {
+      return this.processStream(filePath);
+    }
+
+    try {
+      // Extract text (and structure, for formats that carry it)
+      const document = await this.extractDocument(filePath);
+      return await this.processDocument(document);
+    } catch (error) {
+      if (error instanceof TextCleanerError) {
+        throw error;
+      }
+
+      throw new TextCleanerError(
+        'Failed to process file',
+        'PROCESS_FAILED',
+        { filePath, error: error.message }
+      );
+    }
+  }
+
+  /**
+   * Whether a file is read incrementally instead of all at once
+   */
+  shouldStream(filePath) {
+    if (!StreamProcessor.formats.includes(path.extname(filePath).toLowerCase())) {
+      return false;
+    }
+
+    if (this.streaming === 'auto') {
+      return fs.statSync(filePath).size >= this.streamThreshold;
+    }
+
+    return Boolean(this.streaming);
+  }
+
+  /**
+   * Extract and clean a large PDF/TXT window by window, writing chapters
+   * to disk as they are detected
+   */
+  async processStream(filePath) {
+    if (path.extname(filePath).toLowerCase() === '.pdf') {
+      await this.checkPdftotext();
+    }
+
+    this.codeListings = [];
+    this.hyphenation = { joined: 0, kept: 0, unresolved: [] };
+    this.unicode = {};
+
+    try {
+      const processor = new StreamProcessor(this, {
+        chaptersDir: this.chaptersDir,
+        windowSize: this.streamWindowSize
+      });
+      return await processor.process(filePath);
+    } catch (error) {
+      if (error instanceof TextCleanerError) {
+        throw error;
+      }
+
+      throw new TextCleanerError(
+        error.code ? error.message : 'Failed to process file',
+        error.code || 'STREAM_FAILED',
+        { filePath, ...error.details, error: error.message }
+      );
+    }
+  }
+
+  /**
+   * Process text that did not come from a file (e.g. piped on stdin)
+   * @param {string|Buffer} text - Raw text, or bytes in any supported encoding
+   * @param {object} metadata - { title, author }
+   */
+  async processText(text, metadata = {}) {
+    try {
+      // Raw bytes (e.g. from stdin) are decoded like text files
+      if (Buffer.isBuffer(text)) {
+        const decoded = this.decodeText(text);
+        return await this.processDocument({ text: decoded.text, chapters: null, metadata, encoding: decoded.encoding });
+      }
+
+      return await this.processDocument({ text, chapters: null, metadata });
+    } catch (error) {
+      if (error instanceof TextCleanerError) {
+        throw error;
+      }
+
+      throw new TextCleanerError(
+        'Failed to process text',
+        'PROCESS_FAILED',
+        { error: error.message }
+      );
+    }
+  }
+
+  /**
+   * Clean an extracted document and split it into chapters
+   * @param {object} document - { text, chapters, metadata, ... } from extractDocument
+   */
+  async processDocument(document) {
+    const text = document.text;
+    this.codeListings = [];
+    this.hyphenation = { joined: 0, kept: 0, unresolved: [] };
+    this.unicode = {};
+
+    // Validate extracted text
+    this.validateText(text);
+
+    // Keep only the book body inside distributor license wrappers
+    const body = this.stripBoilerplate(document);
+    const metadata = { ...body.metadata, ...this.definedFields(document.metadata) };
+
+    let cleaned;
+    let chapters;
+    const stages = {};
+
+    if (body.chapters && body.chapters.length > 0) {
+      // Chapters come from the document's own table of contents
+      chapters = await this.cleanChapters(body.chapters, { layout: document.layout, report: stages });
+      cleaned = chapters.map(ch => ch.text).join('\n\n');
+    } else {
+      // Clean text
+      cleaned = await this.cleanText(body.text, stages);
+
+      // Detect chapters
+      chapters = await this.detectChapters(cleaned);
+    }
+
+    // Papers start at the abstract and stop at the references
+    if (this.mode === 'paper') {
+      chapters = this.paper.arrangeChapters(chapters);
+      if (body.chapters && body.chapters.length > 0) {
+        cleaned = chapters.map(ch => ch.text).join('\n\n');
+      }
+    }
 
-    const text = await this.extractText(validatedPath);
-    const cleaned = await this.cleanText(text);
-    const chapters = await this.detectChapters(cleaned);
+    // Validate chapters
+    this.validateChapters(chapters);
 
     return {
       originalText: text,
       cleanedText: cleaned,
       chapters: chapters,
+      metadata,
+      codeListings: this.codeListings,
       stats: {
         originalLength: text.length,
         cleanedLength: cleaned.length,
-        reductionPercent: ((1 - cleaned.length / text.length) * 100).toFixed(2),
-        chapterCount: chapters.length
+        reductionPercent: text.length > 0
+          ? ((1 - cleaned.length / text.length) * 100).toFixed(2)
+          : '0.00',
+        chapterCount: chapters.length,
+        avgChapterLength: chapters.length > 0
+          ? Math.round(cleaned.length / chapters.length)
+          : 0,
+        ocr: document.ocr || null,
+        reflow: document.reflow || null,
+        encoding: document.encoding || null,
+        boilerplate: body.source ? { source: body.source, removedLength: body.removed } : null,
+        stages,
+        hyphenation: this.hyphenation,
+        unicode: this.unicode,
+        streamed: null
       }
     };
   }
 
+  /**
+   * Remove license headers/footers (Project Gutenberg, Standard Ebooks,
+   * Faded Page), reading title and author from them
+   * @returns {object} - { text, chapters, metadata, source, removed }
+   */
+  stripBoilerplate(document) {
+    const none = { text: document.text, chapters: document.chapters, metadata: {}, source: null, removed: 0 };
+    if (!this.boilerplate) {
+      return none;
+    }
+
+    try {
+      const stripper = new BoilerplateStripper();
+
+      if (document.chapters && document.chapters.length > 0) {
+        const result = stripper.stripChapters(document.chapters);
+        return { ...result, text: document.text, metadata: this.definedFields(result.metadata) };
+      }
+
+      const result = stripper.strip(document.text);
+      return { ...result, chapters: null, metadata: this.definedFields(result.metadata) };
+    } catch (error) {
+      console.warn('Boilerplate removal failed, skipping:', error.message);
+      return none;
+    }
+  }
+
+  definedFields(object = {}) {
+    return Object.fromEntries(Object.entries(object || {}).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+  }
+
+  validateFilePath(filePath) {
+    // Check if path is provided
+    if (!filePath || typeof filePath !== 'string') {
+      throw new TextCleanerError(
+        'File path must be a string',
+        'INVALID_PATH',
+        { filePath }
+      );
+    }
+
+    // Check for path traversal attempts
+    const normalized = path.normalize(filePath);
+    if (normalized.includes('..')) {
+      throw new TextCleanerError(
+        'Path traversal detected',
+        'SECURITY_ERROR',
+        { filePath }
+      );
+    }
+
+    // Check if file exists
+    if (!fs.existsSync(filePath)) {
+      throw new TextCleanerError(
+        'File does not exist',
+        'FILE_NOT_FOUND',
+        { filePath }
+      );
+    }
+
+    // Check if it's a file (not directory)
+    const stats = fs.statSync(filePath);
+    if (!stats.isFile()) {
+      throw new TextCleanerError(
+        'Path is not a file',
+        'NOT_A_FILE',
+        { filePath }
+      );
+    }
+
+    // Check file size
+    if (stats.size === 0) {
+      throw new TextCleanerError(
+        'File is empty',
+        'EMPTY_FILE',
+        { filePath }
+      );
+    }
+
+    // Streamed formats are never held in memory whole
+    const maxSize = this.shouldStream(filePath)
+      ? Math.max(this.maxFileSize, this.maxStreamFileSize)
+      : this.maxFileSize;
+
+    if (stats.size > maxSize) {
+      throw new TextCleanerError(
+        `File too large (max ${maxSize / (1024 * 1024)}MB)`,
+        'FILE_TOO_LARGE',
+        { size: stats.size, maxSize }
+      );
+    }
+
+    // Check file extension
+    const ext = path.extname(filePath).toLowerCase();
+    if (!this.supportedFormats.includes(ext)) {
+      throw new TextCleanerError(
+        `Unsupported file format: ${ext}`,
+        'UNSUPPORTED_FORMAT',
+        { ext, supported: this.supportedFormats }
+      );
+    }
+  }
+
+  validateText(text) {
+    if (!text || typeof text !== 'string') {
+      throw new TextCleanerError(
+        'Extracted text must be a string',
+        'INVALID_TEXT'
+      );
+    }
+
+    if (text.length === 0) {
+      throw new TextCleanerError(
+        'Extracted text is empty',
+        'EMPTY_TEXT'
+      );
+    }
+
+    if (text.length > this.maxTextLength) {
+      throw new TextCleanerError(
+        `Text too long (max ${this.maxTextLength / (1024 * 1024)}MB)`,
+        'TEXT_TOO_LONG',
+        { length: text.length, maxLength: this.maxTextLength }
+      );
+    }
+
+    // Check if text is mostly readable
+    const printableChars = text.replace(/[\s\n\r\t]/g, '').length;
+    const nonPrintable = text.length - printableChars;
+    const nonPrintableRatio = nonPrintable / text.length;
+
+    if (nonPrintableRatio > 0.5) {
+      throw new TextCleanerError(
+        'Text contains too many non-printable characters',
+        'CORRUPTED_TEXT',
+        { ratio: nonPrintableRatio.toFixed(2) }
+      );
+    }
+  }
+
+  validateChapters(chapters) {
+    if (!Array.isArray(chapters)) {
+      throw new TextCleanerError(
+        'Chapters must be an array',
+        'INVALID_CHAPTERS'
+      );
+    }
+
+    if (chapters.length === 0) {
+      throw new TextCleanerError(
+        'No chapters detected',
+        'NO_CHAPTERS'
+      );
+    }
+
+    if (chapters.length > this.maxChapters) {
+      throw new TextCleanerError(
+        `Too many chapters detected (max ${this.maxChapters})`,
+        'TOO_MANY_CHAPTERS',
+        { count: chapters.length, max: this.maxChapters }
+      );
+    }
+
+    // Validate each chapter
+    for (let i = 0; i < chapters.length; i++) {
+      const chapter = chapters[i];
+
+      // Streamed chapters live on disk
+      const empty = chapter.textFile
+        ? !(chapter.wordCount > 0)
+        : !chapter.text || chapter.text.trim().length === 0;
+
+      if (empty) {
+        throw new TextCleanerError(
+          `Chapter ${i + 1} has no text`,
+          'EMPTY_CHAPTER',
+          { chapterIndex: i }
+        );
+      }
+
+      if (!chapter.title || chapter.title.trim().length === 0) {
+        throw new TextCleanerError(
+          `Chapter ${i + 1} has no title`,
+          'NO_CHAPTER_TITLE',
+          { chapterIndex: i }
+        );
+      }
+    }
+  }
+
   async extractText(filePath) {
-    const ext = filePath.toLowerCase().split('.').pop();
+    const document = await this.extractDocument(filePath);
+    return document.text;
+  }
 
-    if (ext === 'pdf') {
-      return await this.extractFromPDF(filePath);
-    } else if (ext === 'txt') {
-      return fs.readFileSync(filePath, 'utf8');
-    } else {
-      throw new Error(`Unsupported file type: ${ext}`);
+  /**
+   * Extract a document as { text, chapters, metadata }
+   * `chapters` is null for formats without a usable structure, in which
+   * case chapters are detected from the cleaned text.
+   */
+  async extractDocument(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const plain = (text) => ({ text, chapters: null, metadata: {} });
+
+    try {
+      if (ext === '.pdf') {
+        return await this.extractFromPDF(filePath);
+      } else if (ext === '.txt') {
+        const { text, encoding } = await this.readTextFile(filePath);
+        return { ...plain(text), encoding };
+      } else if (ext === '.md' || ext === '.markdown') {
+        return await this.extractFromMarkdown(filePath);
+      } else if (ext === '.epub') {
+        return await this.extractFromEPUB(filePath);
+      } else if (ext === '.mobi' || ext === '.azw3') {
+        return await this.extractFromMOBI(filePath);
+      } else if (ext === '.html' || ext === '.htm') {
+        return await this.extractFromHTML(filePath);
+      } else if (ext === '.docx' || ext === '.odt') {
+        return await this.extractFromOffice(filePath, ext);
+      } else if (ext === '.tex') {
+        return await this.extractFromLaTeX(filePath);
+      } else {
+        throw new TextCleanerError(
+          `Unsupported file type: ${ext}`,
+          'UNSUPPORTED_TYPE',
+          { ext }
+        );
+      }
+    } catch (error) {
+      if (error instanceof TextCleanerError) {
+        throw error;
+      }
+
+      throw new TextCleanerError(
+        'Text extraction failed',
+        'EXTRACTION_FAILED',
+        { filePath, error: error.message }
+      );
     }
   }
 
-  async extractFromPDF(filePath) {
-    // Check if pdftotext is available
+  async checkPdftotext() {
     try {
       await execFileAsync('which', ['pdftotext']);
-    } catch {
-      throw new Error(
+    } catch (e) {
+      throw new TextCleanerError(
         'pdftotext not found. Please install poppler-utils:\n' +
         '  macOS: brew install poppler\n' +
         '  Linux: sudo apt-get install poppler-utils\n' +
-        '  Windows: Download from https://github.com/oschwartz10612/poppler-windows/releases/'
+        '  Windows: Download from https://github.com/oschwartz10612/poppler-windows/releases/',
+        'MISSING_DEPENDENCY',
+        { tool: 'pdftotext' }
+      );
+    }
+  }
+
+  async extractFromPDF(filePath) {
+    try {
+      // Check if pdftotext is available
+      await this.checkPdftotext();
+
+      // Extract with timeout and resource limits
+      // (execFile with array args to prevent command injection)
+      // Page breaks are kept so scanned pages can be found and OCR'd
+      const { stdout, stderr } = await execFileAsync(
+        'pdftotext',
+        ['-layout', filePath, '-'],
+        {
+          timeout: this.pdfTimeout,
+          maxBuffer: this.maxTextLength
+        }
+      );
+
+      if (stderr && stderr.trim().length > 0) {
+        console.warn('pdftotext warning:', stderr);
+      }
+
+      const pages = (stdout || '').split('\f');
+      if (pages.length > 1 && pages[pages.length - 1].trim() === '') {
+        pages.pop(); // Trailing form feed after the last page
+      }
+
+      let ocr = null;
+      if (this.ocr) {
+        const pdfOcr = new PdfOcr({
+          language: this.ocrLanguage,
+          minChars: this.ocrMinChars,
+          pageTimeout: this.ocrTimeout
+        });
+        ocr = await pdfOcr.apply(filePath, pages);
+      }
+
+      // Read multi-column pages column by column
+      const reflow = this.pdfColumns
+        ? new PdfReflow({ sidebars: this.pdfSidebars }).reflow(pages)
+        : null;
+
+      // Page breaks stay in the text (a form feed on a line of its own) so
+      // running heads and feet can be found page by page
+      const text = pages.join(PAGE_BREAK);
+
+      if (text.trim().length === 0) {
+        if (ocr && ocr.skipped) {
+          throw new TextCleanerError(
+            `PDF has no text layer and OCR is unavailable (${ocr.skipped}). Please install:\n` +
+            '  macOS: brew install poppler tesseract\n' +
+            '  Linux: sudo apt-get install poppler-utils tesseract-ocr',
+            'MISSING_DEPENDENCY',
+            { tool: 'tesseract' }
+          );
+        }
+        throw new Error('PDF extraction returned empty text');
+      }
+
+      if (ocr && ocr.skipped) {
+        console.warn(`Skipping OCR of ${ocr.flaggedPages} scanned page(s): ${ocr.skipped}`);
+      }
+
+      return { text, chapters: this.splitByOutline(filePath, pages), metadata: {}, ocr, reflow, layout: true };
+    } catch (error) {
+      if (error instanceof TextCleanerError) {
+        throw error;
+      }
+
+      if (error.killed) {
+        throw new TextCleanerError(
+          'PDF extraction timed out',
+          'TIMEOUT',
+          { timeout: this.pdfTimeout }
+        );
+      }
+
+      throw new TextCleanerError(
+        'Failed to extract text from PDF',
+        'PDF_EXTRACTION_FAILED',
+        { error: error.message }
       );
     }
+  }
+
+  /**
+   * Split PDF pages into chapters using the document outline (bookmarks)
+   * @returns {object[]|null} - Chapters, or null to fall back to detectChapters
+   */
+  splitByOutline(filePath, pages) {
+    try {
+      const outline = new PdfOutline();
+      const entries = outline.chapterEntries(outline.read(filePath));
+
+      if (entries.length < 2) {
+        return null;
+      }
+
+      const chapters = outline.splitPages(pages, entries);
+      return chapters.length > 0 ? chapters : null;
+    } catch (error) {
+      // A damaged outline is not worth failing the extraction over
+      console.warn('Could not read PDF outline:', error.message);
+      return null;
+    }
+  }
+
+  async extractFromText(filePath) {
+    return (await this.readTextFile(filePath)).text;
+  }
 
-    // Use execFile with array args to prevent command injection
+  /**
+   * Read a text file in whatever encoding it uses
+   * @returns {object} - { text, encoding: { name, confidence, bom, overridden, declared } }
+   */
+  async readTextFile(filePath) {
+    let buffer;
     try {
-      const { stdout } = await execFileAsync('pdftotext', ['-layout', filePath, '-']);
-      return stdout;
+      buffer = fs.readFileSync(filePath);
     } catch (error) {
-      // Provide more helpful error messages
-      if (error.code === 'ENOENT') {
-        throw new Error('pdftotext command not found');
-      } else if (error.stderr && error.stderr.includes('Syntax Error')) {
-        throw new Error('PDF file is corrupted or encrypted');
-      } else {
-        throw new Error(`Failed to extract text from PDF: ${error.message}`);
+      throw new TextCleanerError(
+        'Failed to read text file',
+        'READ_FAILED',
+        { error: error.message }
+      );
+    }
+
+    return this.decodeText(buffer);
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @param {string} declared - Encoding the document declares for itself
+   */
+  decodeText(buffer, declared = null) {
+    let decoded;
+    try {
+      decoded = new EncodingDetector().decode(buffer, this.encoding, declared);
+    } catch (error) {
+      throw new TextCleanerError(
+        `Unknown encoding: ${this.encoding}`,
+        'INVALID_ENCODING',
+        { encoding: this.encoding, error: error.message }
+      );
+    }
+
+    return {
+      text: decoded.text,
+      encoding: {
+        name: decoded.encoding,
+        confidence: decoded.confidence,
+        bom: decoded.bom,
+        overridden: decoded.overridden,
+        declared: decoded.declared
       }
+    };
+  }
+
+  async extractFromEPUB(filePath) {
+    try {
+      const reader = new EpubReader({ maxEntrySize: this.maxTextLength });
+      return reader.read(filePath);
+    } catch (error) {
+      throw new TextCleanerError(
+        'Failed to extract text from EPUB',
+        'EPUB_EXTRACTION_FAILED',
+        { error: error.message }
+      );
     }
   }
 
-  async cleanText(text) {
-    let cleaned = text;
+  async extractFromMOBI(filePath) {
+    try {
+      const reader = new MobiReader({ maxTextLength: this.maxTextLength });
+      return reader.read(filePath);
+    } catch (error) {
+      throw new TextCleanerError(
+        'Failed to extract text from MOBI',
+        'MOBI_EXTRACTION_FAILED',
+        { error: error.message }
+      );
+    }
+  }
 
-    // Remove table of contents
-    cleaned = this.removeTOC(cleaned);
+  async extractFromMarkdown(filePath) {
+    const { text: source, encoding } = await this.readTextFile(filePath);
 
-    // Remove copyright and publishing info
-    cleaned = this.removeCopyright(cleaned);
+    try {
+      return { ...new MarkdownExtractor({ codeBlocks: this.markdownCodeBlocks }).extract(source), encoding };
+    } catch (error) {
+      throw new TextCleanerError(
+        'Failed to convert Markdown',
+        'MARKDOWN_EXTRACTION_FAILED',
+        { error: error.message }
+      );
+    }
+  }
 
-    // Remove headers and footers
-    cleaned = this.removeHeadersFooters(cleaned);
+  async extractFromLaTeX(filePath) {
+    const { encoding } = await this.readTextFile(filePath);
 
-    // Remove page numbers
-    cleaned = this.removePageNumbers(cleaned);
+    try {
+      const document = new LatexExtractor({
+        citations: this.latexCitations,
+        maxLength: this.maxTextLength,
+        readText: (file) => this.decodeText(fs.readFileSync(file)).text
+      }).extract(filePath);
+      return { ...document, encoding };
+    } catch (error) {
+      throw new TextCleanerError(
+        'Failed to convert LaTeX source',
+        'LATEX_EXTRACTION_FAILED',
+        { error: error.message }
+      );
+    }
+  }
 
-    // Fix hyphenated words at line breaks
-    cleaned = this.fixHyphenation(cleaned);
+  async extractFromHTML(filePath) {
+    let buffer;
+    try {
+      buffer = fs.readFileSync(filePath);
+    } catch (error) {
+      throw new TextCleanerError(
+        'Failed to read HTML file',
+        'READ_FAILED',
+        { error: error.message }
+      );
+    }
 
-    // Normalize whitespace
-    cleaned = this.normalizeWhitespace(cleaned);
+    // Legacy pages declare their code page: <meta charset="windows-1252">
+    const { text: html, encoding } = this.decodeText(buffer, EncodingDetector.declaredEncoding(buffer));
 
-    return cleaned;
+    try {
+      return { ...new HtmlExtractor().extract(html), encoding };
+    } catch (error) {
+      throw new TextCleanerError(
+        'Failed to extract article from HTML',
+        'HTML_EXTRACTION_FAILED',
+        { error: error.message }
+      );
+    }
+  }
+
+  async extractFromOffice(filePath, ext) {
+    try {
+      const reader = new OfficeReader({ maxEntrySize: this.maxTextLength });
+      return ext === '.docx' ? reader.readDocx(filePath) : reader.readOdt(filePath);
+    } catch (error) {
+      throw new TextCleanerError(
+        `Failed to extract text from ${ext.slice(1).toUpperCase()}`,
+        'OFFICE_EXTRACTION_FAILED',
+        { error: error.message }
+      );
+    }
+  }
+
+  /**
+   * The default cleaning stages, in order
+   * @param {object} enabled - Stage name => false to disable
+   * @param {object[]} customStages - Extra { name, run, before, after } stages
+   */
+  createPipeline(enabled = {}, customStages = []) {
+    try {
+      const pipeline = new CleaningPipeline([
+        { name: 'normalizeUnicode', run: text => this.normalizeUnicode(text) },
+        { name: 'removeTOC', run: text => this.removeTOC(text) },
+        { name: 'removeCopyright', run: text => this.removeCopyright(text) },
+        { name: 'removeHeadersFooters', run: text => this.removeHeadersFooters(text) },
+        { name: 'removePageNumbers', run: text => this.removePageNumbers(text) },
+        { name: 'handleTables', run: text => this.handleTables(text) },
+        { name: 'verbalizeTechnical', run: text => this.verbalizeTechnical(text) },
+        { name: 'handleFootnotes', run: (text, context) => this.handleFootnotes(text, context) },
+        { name: 'fixHyphenation', run: text => this.fixHyphenation(text) },
+        { name: 'normalizeWhitespace', run: text => this.normalizeWhitespace(text) }
+      ]);
+
+      const paperStages = this.paper.stages();
+      if (this.mode === 'paper') {
+        for (const stage of paperStages) {
+          pipeline.add(stage, { before: stage.before, after: stage.after });
+        }
+      }
+
+      for (const stage of customStages || []) {
+        pipeline.add(stage, { before: stage.before, after: stage.after });
+      }
+
+      for (const [name, on] of Object.entries(enabled || {})) {
+        // Settings for paper stages are kept outside paper mode
+        if (!pipeline.has(name) && paperStages.some(stage => stage.name === name)) continue;
+        pipeline.setEnabled(name, on);
+      }
+
+      return pipeline;
+    } catch (error) {
+      throw new TextCleanerError(error.message, 'INVALID_STAGE', { error: error.message });
+    }
+  }
+
+  async cleanChapters(chapters, options = {}) {
+    // Layout-repair stages (TOC, headers/footers, page numbers, hyphenation)
+    // only make sense for flowed PDF/TXT output; structured chapters run the
+    // content stages, so footnotes, tables and code are handled the same
+    // whatever the input format, unless they were cut from PDF pages
+    const cleaned = [];
+    const tidy = this.mode === 'paper'
+      ? ['normalizeUnicode', 'handleTables', 'removeFigureCaptions', 'removeEquations', 'removeCitations', 'verbalizeTechnical', 'handleFootnotes', 'normalizeWhitespace']
+      : ['normalizeUnicode', 'handleTables', 'verbalizeTechnical', 'handleFootnotes', 'normalizeWhitespace'];
+
+    for (const chapter of chapters) {
+      const text = options.layout
+        ? await this.cleanText(chapter.text, options.report)
+        : this.pipeline.run(chapter.text, { only: tidy, report: options.report });
+      cleaned.push({
+        number: chapter.number,
+        title: (chapter.title || `Chapter ${chapter.number}`).substring(0, 200),
+        text,
+        startLine: 0,
+        wordCount: this.countWords(text)
+      });
+    }
+
+    return cleaned.filter(chapter => chapter.wordCount > 0);
+  }
+
+  /**
+   * Run text through the enabled cleaning stages
+   * @param {string} text
+   * @param {object} report - Accumulates characters removed per stage
+   */
+  async cleanText(text, report = {}) {
+    if (!text || text.length === 0) {
+      return text;
+    }
+
+    return this.pipeline.run(text, { report });
+  }
+
+  /**
+   * Ligatures, compatibility forms (NFKC), smart quotes, odd dashes and
+   * spaces made plain; soft hyphens and zero-width characters dropped.
+   * Rewritten characters are counted in this.unicode
+   */
+  normalizeUnicode(text) {
+    const result = new UnicodeNormalizer().process(text);
+    for (const [char, count] of Object.entries(result.rewritten)) {
+      this.unicode[char] = (this.unicode[char] || 0) + count;
+    }
+    return result.text;
   }
 
   removeTOC(text) {
-    // Look for "Table of Contents" or "Contents" section
     const tocPatterns = [
       // Match "TABLE OF CONTENTS" followed by chapter entries with dots
       /TABLE\s+OF\s+CONTENTS\s*\n+(?:Chapter.*?\.+.*?\d+\s*\n+){2,}/i,
       // Match any section with multiple lines ending in dots + page numbers
-      /(?:^.*?\.{3,}\s*\d+\s*$\n){3,}/gm
+      /(?:^.*?\.{3,}\s*\d+\s*$\n){3,}/gm,
+      // Match "Contents" section
+      /^Contents\s*\n+(?:.*?\.{2,}.*?\d+\s*\n){2,}/im
     ];
 
     let result = text;
@@ -129,55 +945,62 @@ class TextCleaner {
     return text.replace(copyrightPattern, '');
   }
 
+  /**
+   * Drop running heads and feet: lines at the top or bottom of many
+   * nearby pages that are the same apart from their numbers ("Chapter 3 ·
+   * 47", "48 · The Treaty"). Pages are delimited by pdftotext's form feeds;
+   * text without them has no pages to go by and is left alone.
+   */
   removeHeadersFooters(text) {
-    const lines = text.split('\n');
-    const pageLength = 60; // Approximate lines per page
-    const headerLines = 3;
-    const footerLines = 3;
-
-    const headerPatterns = new Map();
-    const footerPatterns = new Map();
-
-    // Sample headers and footers from multiple pages
-    for (let i = 0; i < lines.length; i += pageLength) {
-      // Headers (first few lines of page)
-      for (let j = 0; j < headerLines && i + j < lines.length; j++) {
-        const line = lines[i + j];
-        if (line && line.trim().length > 0 && line.trim().length < 100) {
-          headerPatterns.set(line.trim(), (headerPatterns.get(line.trim()) || 0) + 1);
-        }
-      }
-
-      // Footers (last few lines of page) - FIXED: Added bounds checking
-      for (let j = 1; j <= footerLines && i + pageLength - j >= 0 && i + pageLength - j < lines.length; j++) {
-        const line = lines[i + pageLength - j];
-        if (line && line.trim().length > 0 && line.trim().length < 100) {
-          footerPatterns.set(line.trim(), (footerPatterns.get(line.trim()) || 0) + 1);
-        }
-      }
+    const pages = text.split('\f').map(page => page.split('\n'));
+    if (pages.length < 3) {
+      return text;
     }
 
-    // Find patterns that repeat at least 3 times
-    const repeatThreshold = 3;
-    const commonHeaders = Array.from(headerPatterns.entries())
-      .filter(([_, count]) => count >= repeatThreshold)
-      .map(([pattern, _]) => pattern);
+    const zoneLines = 2; // Non-blank lines looked at on each end of a page
+    const signature = line => line.trim()
+      .replace(/\s+/g, ' ')
+      .replace(/\d+/g, '#')
+      .replace(/\b(?:[IVXLCDM]+|[ivxlcdm]+)\b/g, '#');
 
-    const commonFooters = Array.from(footerPatterns.entries())
-      .filter(([_, count]) => count >= repeatThreshold)
-      .map(([pattern, _]) => pattern);
-
-    // Remove common headers and footers
-    const filtered = lines.filter(line => {
-      const trimmed = line.trim();
-      return !commonHeaders.includes(trimmed) && !commonFooters.includes(trimmed);
+    const ends = pages.map(lines => {
+      const filled = lines.map((line, i) => i).filter(i => lines[i].trim());
+      return { head: filled.slice(0, zoneLines), foot: filled.slice(-zoneLines) };
     });
 
-    return filtered.join('\n');
+    // A running head repeats on at least 3 pages, and on pages close to
+    // each other (every page, or every other one), unlike chapter headings
+    const running = (zone) => {
+      const seen = new Map();
+      ends.forEach((end, page) => {
+        for (const key of new Set(end[zone].map(i => signature(pages[page][i])))) {
+          const entry = seen.get(key) || { pages: 0, close: 0, last: -Infinity };
+          entry.pages++;
+          if (page - entry.last <= 2) entry.close++;
+          entry.last = page;
+          seen.set(key, entry);
+        }
+      });
+
+      return new Set([...seen].filter(([, entry]) => entry.pages >= 3 && entry.close > 0).map(([key]) => key));
+    };
+
+    const heads = running('head');
+    const feet = running('foot');
+    if (heads.size === 0 && feet.size === 0) {
+      return text;
+    }
+
+    return pages.map((lines, page) => {
+      const drop = new Set([
+        ...ends[page].head.filter(i => heads.has(signature(lines[i]))),
+        ...ends[page].foot.filter(i => feet.has(signature(lines[i])))
+      ]);
+      return lines.filter((line, i) => !drop.has(i)).join('\n');
+    }).join('\f');
   }
 
   removePageNumbers(text) {
-    // Remove standalone page numbers
     const patterns = [
       /^\s*\d+\s*$/gm,           // Just a number on a line
       /^\s*-\s*\d+\s*-\s*$/gm,   // - 42 -
@@ -193,87 +1016,164 @@ class TextCleaner {
     return cleaned;
   }
 
+  /**
+   * Drop footnote/endnote markers and bodies, or move the notes to the
+   * end of the chapter, or read them after the citing sentence
+   * @param {object} context - { footnotes: carried notes, final } when streaming
+   */
+  handleFootnotes(text, context = {}) {
+    const handler = new FootnoteHandler({
+      policy: this.footnotes,
+      isHeading: line => this.isChapterHeading(line.trim())
+    });
+
+    return handler.process(text, { carry: context.footnotes, final: context.final }).text;
+  }
+
+  /**
+   * Skip tables with an announcement, or read them row by row
+   */
+  handleTables(text) {
+    return new TableHandler({ policy: this.tables }).process(text).text;
+  }
+
+  /**
+   * Read URLs, emails, paths and inline code as a person would, and
+   * announce code listings (collected in this.codeListings)
+   */
+  verbalizeTechnical(text) {
+    const result = new TechVerbalizer().process(text, { first: this.codeListings.length + 1 });
+    this.codeListings.push(...result.listings);
+    return result.text;
+  }
+
   fixHyphenation(text) {
-    // Fix words split across lines with hyphens
-    // "exam-\nple" -> "example"
-    return text.replace(/(\w+)-\s*\n\s*(\w+)/g, '$1$2');
+    // Fix words split across lines with hyphens, keeping real compounds
+    // "exam-\nple" -> "example", "well-\nknown" -> "well-known"
+    const result = new Dehyphenator().process(text);
+    this.hyphenation.joined += result.joined;
+    this.hyphenation.kept += result.kept;
+    this.hyphenation.unresolved.push(...result.unresolved);
+    return result.text;
   }
 
   normalizeWhitespace(text) {
     return text
+      .replace(/\f\n/g, '')           // PDF page breaks
+      .replace(/\f/g, '\n')           // ...and any other form feeds
       .replace(/[ \t]+/g, ' ')        // Multiple spaces to single space
       .replace(/\n{3,}/g, '\n\n')     // Multiple newlines to double newline
       .trim();
   }
 
   async detectChapters(text) {
-    const lines = text.split('\n');
-    const chapters = [];
-    let currentChapter = null;
-    let chapterNum = 0;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
+    try {
+      const lines = text.split('\n');
+      const chapters = [];
+      let currentChapter = null;
+      let chapterNum = 0;
 
-      // Check if line matches chapter pattern
-      const isChapter = this.chapterPatterns.some(pattern => pattern.test(line));
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
 
-      // Filter out TOC entries (lines with dots followed by page numbers)
-      const isTOCEntry = /\.{3,}\s*\d+$/.test(line);
+        if (this.isChapterHeading(line)) {
+          // Save previous chapter
+          if (currentChapter) {
+            currentChapter.text = currentChapter.text.trim();
+            currentChapter.wordCount = this.countWords(currentChapter.text);
 
-      if (isChapter && line.length < 100 && !isTOCEntry) {
-        // Save previous chapter
-        if (currentChapter) {
-          currentChapter.text = currentChapter.text.trim();
-          currentChapter.wordCount = currentChapter.text.split(/\s+/).length;
-          chapters.push(currentChapter);
-        }
+            // Only add if chapter has substantial content
+            if (currentChapter.wordCount > 10) {
+              chapters.push(currentChapter);
+            }
+          }
 
-        // Start new chapter
-        chapterNum++;
-        currentChapter = {
-          number: chapterNum,
-          title: line,
-          text: '',
-          startLine: i
-        };
-      } else if (currentChapter) {
-        // Add line to current chapter
-        currentChapter.text += line + '\n';
-      } else if (chapterNum === 0) {
-        // Before first chapter - create intro/prologue
-        if (!currentChapter) {
+          // Start new chapter
+          chapterNum++;
           currentChapter = {
-            number: 0,
-            title: 'Introduction',
+            number: chapterNum,
+            title: line.substring(0, 200), // Limit title length
             text: '',
-            startLine: 0
+            startLine: i,
+            wordCount: 0
           };
+        } else if (currentChapter) {
+          // Add line to current chapter
+          currentChapter.text += line + '\n';
+        } else if (chapterNum === 0 && line.length > 0) {
+          // Before first chapter - create intro/prologue
+          if (!currentChapter) {
+            currentChapter = {
+              number: 0,
+              title: 'Introduction',
+              text: '',
+              startLine: 0,
+              wordCount: 0
+            };
+          }
+          currentChapter.text += line + '\n';
         }
-        currentChapter.text += line + '\n';
       }
-    }
 
-    // Save last chapter
-    if (currentChapter) {
-      currentChapter.text = currentChapter.text.trim();
-      currentChapter.wordCount = currentChapter.text.split(/\s+/).length;
-      chapters.push(currentChapter);
+      // Save last chapter
+      if (currentChapter) {
+        currentChapter.text = currentChapter.text.trim();
+        currentChapter.wordCount = this.countWords(currentChapter.text);
+
+        if (currentChapter.wordCount > 10) {
+          chapters.push(currentChapter);
+        }
+      }
+
+      // If no chapters detected, treat entire text as one chapter
+      if (chapters.length === 0) {
+        const wordCount = this.countWords(text.trim());
+        chapters.push({
+          number: 1,
+          title: 'Full Text',
+          text: text.trim(),
+          wordCount: wordCount,
+          startLine: 0
+        });
+      }
+
+      return chapters;
+    } catch (error) {
+      throw new TextCleanerError(
+        'Chapter detection failed',
+        'DETECTION_FAILED',
+        { error: error.message }
+      );
     }
+  }
 
-    // If no chapters detected, treat entire text as one chapter
-    if (chapters.length === 0) {
-      chapters.push({
-        number: 1,
-        title: 'Full Text',
-        text: text.trim(),
-        wordCount: text.trim().split(/\s+/).length,
-        startLine: 0
-      });
+  isChapterHeading(line) {
+    // Check if line matches chapter pattern
+    const isChapter = this.chapterPatterns.some(pattern => pattern.test(line));
+
+    // Filter out TOC entries (lines with dots followed by page numbers)
+    const isTOCEntry = /\.{3,}\s*\d+$/.test(line);
+
+    return isChapter && line.length < 100 && !isTOCEntry;
+  }
+
+  countWords(text) {
+    if (!text || text.trim().length === 0) {
+      return 0;
     }
 
-    return chapters;
+    return text.trim().split(/\s+/).length;
+  }
+
+  getStats() {
+    return {
+      maxFileSize: this.maxFileSize,
+      maxTextLength: this.maxTextLength,
+      maxChapters: this.maxChapters,
+      supportedFormats: this.supportedFormats
+    };
   }
 }
 
 export default TextCleaner;
+export { TextCleanerError };
@@ -7,6 +7,10 @@ import torch
 from TTS.api import TTS
 import re
 
+def period_word(abbreviation):
+    """The word before an abbreviation's last period ("et al." -> "al")"""
+    return abbreviation.rstrip('.').split()[-1].lower()
+
 class TTSEngine:
     def __init__(self, model_name="tts_models/multilingual/multi-dataset/xtts_v2", device=None):
         """Initialize TTS engine with XTTS v2 model"""
@@ -29,16 +33,45 @@ class TTSEngine:
         self.tts = TTS(model_name).to(self.device)
         print("Model loaded successfully", file=sys.stderr)
 
-    def split_into_sentences(self, text):
-        """Split text into sentences for better prosody"""
-        # Basic sentence splitting
-        sentences = re.split(r'(?<=[.!?])\s+', text)
+    def split_into_sentences(self, text, abbreviations=(), sentence_final=()):
+        """Split text into sentences for better prosody
+
+        The abbreviation lists come from lib/abbreviations.js with each
+        chapter: `abbreviations` never end a sentence, `sentence_final` ones
+        do when the next word is capitalized ("Apple Inc. It grew")
+        """
+        protected = {period_word(a) for a in abbreviations}
+        final = {period_word(a) for a in sentence_final}
+
+        # Basic sentence splitting, then rejoin pieces cut after an
+        # abbreviation or an initial ("J. R. R. Tolkien")
+        sentences = []
+        for piece in re.split(r'(?<=[.!?])\s+', text):
+            if sentences and self.continues_sentence(sentences[-1], piece, protected, final):
+                sentences[-1] += ' ' + piece
+            else:
+                sentences.append(piece)
 
         # Filter out empty sentences
         sentences = [s.strip() for s in sentences if s.strip()]
 
         return sentences
 
+    def continues_sentence(self, previous, piece, protected, final):
+        """Whether the period ending `previous` belongs to an abbreviation"""
+        match = re.search(r'(\S+)\.$', previous)
+        if not match:
+            return False
+
+        token = match.group(1).lstrip('("\'\u201c\u2018')
+        if re.fullmatch(r'[A-Z]', token):
+            return True
+
+        word = token.lower()
+        if word in final:
+            return not piece[:1].isupper()
+        return word in protected
+
     def generate_chapter(self, chapter_data, output_dir, progress_callback=None):
         """Generate audio for a chapter"""
 
@@ -49,8 +82,12 @@ class TTSEngine:
         # Create output directory if needed
         os.makedirs(output_dir, exist_ok=True)
 
-        # Split into sentences
-        sentences = self.split_into_sentences(chapter_text)
+        # Split into sentences (the abbreviation lists come with the chapter)
+        sentences = self.split_into_sentences(
+            chapter_text,
+            chapter_data.get('abbreviations', []),
+            chapter_data.get('sentenceFinal', [])
+        )
         total_sentences = len(sentences)
 
         print(f"Generating chapter {chapter_num}: {chapter_title}", file=sys.stderr)
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Unicode Normalizer
+ * Rewrites the characters PDF and e-book text is full of into the plain
+ * forms the speech engine and chapter patterns expect: ligatures ("ﬁ" ->
+ * "fi"), full-width letters and other compatibility forms (NFKC), smart
+ * quotes, odd dashes and spaces, and drops soft hyphens and zero-width
+ * characters. Superscript digits (footnote markers) and vulgar fractions
+ * (spoken by the speech normalizer) are left alone. Every rewritten
+ * character is counted so the cleaning report can list them.
+ */
+
+// Handled before NFKC; '' removes the character
+const REPLACEMENTS = {
+  '\u00AD': '', // soft hyphen
+  '\u200B': '', // zero-width space
+  '\u200C': '', // zero-width non-joiner
+  '\u200D': '', // zero-width joiner
+  '\u2060': '', // word joiner
+  '\uFEFF': '', // byte order mark (zero-width no-break space)
+  '\u00A0': ' ', // no-break space
+  '\u2007': ' ', // figure space
+  '\u202F': ' ', // narrow no-break space
+  '\u2028': '\n', // line separator
+  '\u2029': '\n\n', // paragraph separator
+  '\u0085': '\n', // next line
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'", '‹': "'", '›': "'", '´': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"', '«': '"', '»': '"',
+  '‐': '-', // hyphen
+  '‑': '-', // non-breaking hyphen
+  '‒': '-', // figure dash
+  '−': '-', // minus sign
+  '―': '—' // horizontal bar
+};
+
+// Names for characters that cannot be shown in a report
+const NAMES = {
+  '\u00AD': 'soft hyphen',
+  '\u200B': 'zero-width space',
+  '\u200C': 'zero-width non-joiner',
+  '\u200D': 'zero-width joiner',
+  '\u2060': 'word joiner',
+  '\uFEFF': 'byte order mark',
+  '\u00A0': 'no-break space',
+  '\u2007': 'figure space',
+  '\u202F': 'narrow no-break space',
+  '\u2028': 'line separator',
+  '\u2029': 'paragraph separator',
+  '\u0085': 'next line'
+};
+
+// Left as they are: footnote markers and fractions are read later
+const KEEP = /[⁰¹²³⁴⁵⁶⁷⁸⁹½⅓⅔¼¾⅕⅛⅜⅝⅞]/u;
+
+// A soft hyphen at a line end joins the word around it
+const SOFT_BREAK = /\u00AD[ \t]*\n[ \t]*(?=\p{L})/gu;
+
+const COMBINING = /\p{M}/u;
+const COMBINING_ALL = /\p{M}/gu;
+
+function tally(chars) {
+  const counts = new Map();
+  for (const char of chars) counts.set(char, (counts.get(char) || 0) + 1);
+  return counts;
+}
+
+class UnicodeNormalizer {
+  constructor() {
+    // Character => its replacement, filled as characters are met
+    this.cache = new Map();
+  }
+
+  /**
+   * "ﬁ (U+FB01)", "soft hyphen (U+00AD)"
+   * @param {string} char
+   * @returns {string}
+   */
+  static describe(char) {
+    const code = `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+    const name = NAMES[char] || (/\p{M}/u.test(char) ? 'combining accent' : char);
+    return `${name} (${code})`;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {object} - { text, rewritten: { char: count } }
+   */
+  process(text) {
+    const rewritten = {};
+    const count = (char, times = 1) => {
+      rewritten[char] = (rewritten[char] || 0) + times;
+    };
+
+    let result = text.replace(SOFT_BREAK, () => {
+      count('\u00AD');
+      return '';
+    });
+
+    result = result.replace(/[^\x00-\x7F]/gu, (char) => {
+      const replacement = this.replacementFor(char);
+      if (replacement !== char) count(char);
+      return replacement;
+    });
+
+    // Letters followed by combining accents become single characters
+    if (COMBINING.test(result)) {
+      const before = tally(result.match(COMBINING_ALL));
+      result = result.normalize('NFC');
+      const after = tally(result.match(COMBINING_ALL) || []);
+      for (const [mark, times] of before) {
+        if (times > (after.get(mark) || 0)) count(mark, times - (after.get(mark) || 0));
+      }
+    }
+
+    return { text: result, rewritten };
+  }
+
+  replacementFor(char) {
+    if (!this.cache.has(char)) {
+      let replacement = char;
+      if (char in REPLACEMENTS) {
+        replacement = REPLACEMENTS[char];
+      } else if (!KEEP.test(char)) {
+        // Spacing accents ("¨") would become a space and a combining mark
+        const normalized = char.normalize('NFKC');
+        replacement = COMBINING.test(normalized) ? char : normalized;
+      }
+      this.cache.set(char, replacement);
+    }
+    return this.cache.get(char);
+  }
+}
+
+export default UnicodeNormalizer;
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import zlib from 'zlib';
+
+/**
+ * Zip Reader
+ * Minimal ZIP archive reader for container formats (EPUB, DOCX, ODT).
+ * Supports stored and deflated entries; ZIP64 and encryption are rejected.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+class ZipReader {
+  /**
+   * @param {Buffer} buffer - Complete archive contents
+   * @param {object} options
+   * @param {number} options.maxEntrySize - Largest uncompressed entry allowed
+   */
+  constructor(buffer, options = {}) {
+    this.buffer = buffer;
+    this.maxEntrySize = options.maxEntrySize || 200 * 1024 * 1024; // 200MB
+    this.entries = new Map();
+    this.readCentralDirectory();
+  }
+
+  static fromFile(filePath, options = {}) {
+    return new ZipReader(fs.readFileSync(filePath), options);
+  }
+
+  /**
+   * Check whether a buffer starts like a ZIP archive
+   */
+  static isZip(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+  }
+
+  findEndOfCentralDirectory() {
+    const buf = this.buffer;
+    // EOCD is 22 bytes plus an optional comment of up to 64KB
+    const stop = Math.max(0, buf.length - 22 - 0xffff);
+
+    for (let i = buf.length - 22; i >= stop; i--) {
+      if (buf.readUInt32LE(i) === EOCD_SIGNATURE) {
+        return i;
+      }
+    }
+
+    throw new Error('Not a zip archive (end of central directory not found)');
+  }
+
+  readCentralDirectory() {
+    const buf = this.buffer;
+    const eocd = this.findEndOfCentralDirectory();
+    const count = buf.readUInt16LE(eocd + 10);
+    let offset = buf.readUInt32LE(eocd + 16);
+
+    if (offset === 0xffffffff || count === 0xffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    for (let i = 0; i < count; i++) {
+      if (offset + 46 > buf.length || buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+        throw new Error('Corrupted zip central directory');
+      }
+
+      const flags = buf.readUInt16LE(offset + 8);
+      const method = buf.readUInt16LE(offset + 10);
+      const compressedSize = buf.readUInt32LE(offset + 20);
+      const size = buf.readUInt32LE(offset + 24);
+      const nameLength = buf.readUInt16LE(offset + 28);
+      const extraLength = buf.readUInt16LE(offset + 30);
+      const commentLength = buf.readUInt16LE(offset + 32);
+      const localOffset = buf.readUInt32LE(offset + 42);
+      const name = buf.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      this.entries.set(name, {
+        name,
+        encrypted: (flags & 0x1) !== 0,
+        method,
+        compressedSize,
+        size,
+        localOffset
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+  }
+
+  /**
+   * List entry names in archive order
+   */
+  list() {
+    return Array.from(this.entries.keys());
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * Read and decompress an entry
+   * @param {string} name - Entry path inside the archive
+   * @returns {Buffer}
+   */
+  read(name) {
+    const entry = this.entries.get(name);
+
+    if (!entry) {
+      throw new Error(`Entry not found in archive: ${name}`);
+    }
+
+    if (entry.encrypted) {
+      throw new Error(`Entry is encrypted: ${name}`);
+    }
+
+    if (entry.size > this.maxEntrySize) {
+      throw new Error(`Entry too large: ${name} (${entry.size} bytes)`);
+    }
+
+    const buf = this.buffer;
+    const header = entry.localOffset;
+
+    if (buf.readUInt32LE(header) !== LOCAL_SIGNATURE) {
+      throw new Error(`Corrupted local header for: ${name}`);
+    }
+
+    const start = header + 30 + buf.readUInt16LE(header + 26) + buf.readUInt16LE(header + 28);
+    const data = buf.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) {
+      return Buffer.from(data);
+    }
+
+    if (entry.method === 8) {
+      return zlib.inflateRawSync(data, { maxOutputLength: this.maxEntrySize });
+    }
+
+    throw new Error(`Unsupported compression method ${entry.method} for: ${name}`);
+  }
+
+  /**
+   * Read an entry as UTF-8 text (BOM stripped)
+   */
+  readText(name) {
+    return this.read(name).toString('utf8').replace(/^\uFEFF/, '');
+  }
+}
+
+export default ZipReader;
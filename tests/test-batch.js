@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Batch Input Tests
+ * Tests directory and glob expansion with per-file validation
+ */
+
+import BatchInput from '../lib/batch-input.js';
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+console.log('📂 Running Batch Input Tests\n');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voicci-batch-'));
+const allowedExtensions = ['.pdf', '.txt', '.epub'];
+
+const touch = (name, content = 'Some text.') => {
+  const filePath = path.join(tempDir, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+try {
+  touch('paper-1.pdf');
+  touch('paper-2.pdf');
+  touch('notes.txt');
+  touch('cover.jpg');
+  touch('.hidden.pdf');
+  touch('archive/old-paper.pdf');
+  touch('archive/deep/older-paper.pdf');
+  fs.symlinkSync(path.join(tempDir, 'notes.txt'), path.join(tempDir, 'link.txt'));
+
+  const names = (files, base = tempDir) => files.map(file => path.relative(base, file));
+  const batch = new BatchInput({ allowedExtensions });
+
+  // Test 1: Batch detection
+  console.log('Test 1: Batch detection');
+  assert(BatchInput.isBatch(tempDir), 'Directory is a batch');
+  assert(BatchInput.isBatch(path.join(tempDir, '*.pdf')), 'Glob is a batch');
+  assert(!BatchInput.isBatch(path.join(tempDir, 'notes.txt')), 'Single file is not a batch');
+  assert(!BatchInput.isBatch('The Catcher in the Rye'), 'Search query is not a batch');
+  for (const query of ['what is love?', 'c++ [guide]', 'Dr. Who?', '{ideas}']) {
+    assert(!BatchInput.isBatch(query), `"${query}" is searched, not globbed`);
+  }
+  assert(BatchInput.isBatch('*.{epub,mobi}'), 'Extension pattern is a batch even with no matches');
+  const cwd = process.cwd();
+  try {
+    process.chdir(tempDir);
+    assert(BatchInput.isBatch('no?es*'), 'Bare pattern that matches files is a batch');
+  } finally {
+    process.chdir(cwd);
+  }
+  console.log('  ✓ Directories and globs detected, files and queries left alone');
+  console.log('  ✓ Patterns that look like queries and match nothing go to search');
+  console.log('  ✅ Batch detection working\n');
+
+  // Test 2: Directory expansion
+  console.log('Test 2: Directory expansion');
+  {
+    const { base, files, skipped } = batch.expand(tempDir);
+    assert.strictEqual(base, path.resolve(tempDir));
+    assert.deepStrictEqual(names(files), ['notes.txt', 'paper-1.pdf', 'paper-2.pdf']);
+    assert.deepStrictEqual(skipped.map(s => path.basename(s.file)), ['cover.jpg', 'link.txt']);
+    assert.strictEqual(skipped[0].reason, 'unsupported format (.jpg)');
+    assert(skipped[1].reason.includes('Symbolic links not allowed'));
+    console.log('  ✓ Top-level files only, hidden files ignored');
+    console.log('  ✓ Unsupported formats and symlinks skipped with a reason');
+    console.log('  ✅ Directory expansion working\n');
+  }
+
+  // Test 3: Glob patterns
+  console.log('Test 3: Glob patterns');
+  {
+    assert.deepStrictEqual(names(batch.expand(path.join(tempDir, '*.pdf')).files), ['paper-1.pdf', 'paper-2.pdf']);
+    assert.deepStrictEqual(names(batch.expand(path.join(tempDir, 'paper-?.pdf')).files), ['paper-1.pdf', 'paper-2.pdf']);
+    assert.deepStrictEqual(names(batch.expand(path.join(tempDir, 'paper-[!1].pdf')).files), ['paper-2.pdf']);
+    assert.deepStrictEqual(names(batch.expand(path.join(tempDir, '*.{txt,jpg}')).files), ['notes.txt']);
+    assert.deepStrictEqual(
+      names(batch.expand(path.join(tempDir, '**', '*paper*.pdf')).files),
+      ['archive/deep/older-paper.pdf', 'archive/old-paper.pdf', 'paper-1.pdf', 'paper-2.pdf']
+    );
+    assert.deepStrictEqual(batch.expand(path.join(tempDir, '*.epub')).files, []);
+    console.log('  ✓ *, ?, [!...], {a,b} and ** patterns');
+    console.log('  ✅ Glob expansion working\n');
+  }
+
+  // Test 4: Batch size limit
+  console.log('Test 4: Batch size limit');
+  {
+    const { files, skipped } = new BatchInput({ allowedExtensions, maxFiles: 1 }).expand(path.join(tempDir, '*.pdf'));
+    assert.strictEqual(files.length, 1);
+    assert.deepStrictEqual(skipped.map(s => s.reason), ['batch limit reached (1 files)']);
+    console.log('  ✓ Files over the limit are reported, not dropped silently');
+    console.log('  ✅ Batch limit working\n');
+  }
+
+  console.log('════════════════════════════════════════════════════════════');
+  console.log('✅ All batch input tests passed!');
+  console.log('════════════════════════════════════════════════════════════\n');
+} catch (err) {
+  console.error('  ❌ FAILED:', err.message, '\n');
+  process.exitCode = 1;
+} finally {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
@@ -1,6 +1,13 @@
 #!/usr/bin/env node
 
 import TextCleaner from '../lib/text-cleaner.js';
+import FootnoteHandler from '../lib/footnote-handler.js';
+import TableHandler from '../lib/table-handler.js';
+import TechVerbalizer from '../lib/tech-verbalizer.js';
+import Dehyphenator from '../lib/dehyphenator.js';
+import UnicodeNormalizer from '../lib/unicode-normalizer.js';
+import PaperCleaner from '../lib/paper-cleaner.js';
+import assert from 'assert';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -41,4 +48,477 @@ async function testCleaner() {
   }
 }
 
-testCleaner();
+async function testPipeline() {
+  console.log('🧪 Testing Cleaning Pipeline\n');
+
+  const text = [
+    'Copyright 2024 Example Press. All rights reserved.',
+    '',
+    '',
+    'Chapter 1: The Start',
+    '',
+    'It was a long after-',
+    'noon, and the story   had only just begun to unfold for everyone.',
+    '',
+    '- 12 -',
+    '',
+    '* * *',
+    '',
+    'The rest of the chapter went on for a good while after that.'
+  ].join('\n');
+
+  try {
+    const cleaner = new TextCleaner();
+    assert.deepStrictEqual(cleaner.pipeline.names, [
+      'normalizeUnicode', 'removeTOC', 'removeCopyright', 'removeHeadersFooters', 'removePageNumbers', 'handleTables', 'verbalizeTechnical', 'handleFootnotes', 'fixHyphenation', 'normalizeWhitespace'
+    ]);
+
+    const result = await cleaner.processText(text);
+    assert(!/Copyright|- 12 -/.test(result.cleanedText));
+    assert(result.cleanedText.includes('afternoon'));
+    assert.strictEqual(result.stats.stages.removeTOC, 0);
+    assert(result.stats.stages.removeCopyright > 50, 'Copyright notice counted');
+    assert(result.stats.stages.removePageNumbers >= '- 12 -'.length, 'Page number counted');
+    console.log('   ✓ Stages run in order and report characters removed');
+
+    const custom = new TextCleaner({
+      stages: { removeCopyright: false },
+      customStages: [{ name: 'dropAsterisms', after: 'removePageNumbers', run: t => t.replace(/^\s*\*\s*\*\s*\*\s*$/gm, '') }]
+    });
+    assert.strictEqual(custom.pipeline.names[5], 'dropAsterisms');
+    const customResult = await custom.processText(text);
+    assert(customResult.cleanedText.includes('Copyright'));
+    assert(!customResult.cleanedText.includes('* * *'));
+    assert.strictEqual(customResult.stats.stages.removeCopyright, undefined, 'Disabled stage does not run');
+    assert(customResult.stats.stages.dropAsterisms >= '* * *'.length, 'Custom stage reported');
+    console.log('   ✓ Stages can be disabled and third-party stages inserted');
+
+    custom.pipeline.add({ name: 'broken', run: () => { throw new Error('boom'); } }, { before: 'removeTOC' });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert((await custom.cleanText(text)).includes('afternoon'), 'Failing stage is skipped');
+    } finally {
+      console.warn = warn;
+    }
+    assert.throws(() => new TextCleaner({ stages: { removeEverything: false } }), err => err.code === 'INVALID_STAGE');
+    assert.throws(() => custom.pipeline.add({ name: 'removeTOC', run: t => t }), /Duplicate/);
+    console.log('   ✓ Failing stages are skipped; unknown and duplicate names rejected\n');
+
+    console.log('✅ Test passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function testFootnotes() {
+  console.log('🧪 Testing Footnotes\n');
+
+  const text = [
+    'Chapter 1: The Treaty',
+    '',
+    'The treaty was signed in Vienna.¹ Historians disagree about its effects[2] on the',
+    'region, which lasted for a long time afterwards.',
+    '',
+    '__________',
+    '¹ Some sources give a later date.',
+    '[2] See the appendix for a longer',
+    'discussion of this point.',
+    '',
+    'The story went on with the next page of text, which cited a source.3 And then more.',
+    '',
+    'Chapter 2: The Aftermath',
+    '',
+    'Nothing in this chapter has any notes at all, but it has enough words to count.',
+    '',
+    'Notes',
+    '',
+    '3. Page-bottom notes can also be collected at the end.'
+  ].join('\n');
+
+  try {
+    const drop = await new TextCleaner({ footnotes: 'drop' }).processText(text);
+    assert(!/[¹[\]]|Some sources|appendix|Page-bottom|Notes|_{5}/.test(drop.cleanedText), 'Markers and notes dropped');
+    assert(drop.cleanedText.includes('effects on the'));
+    assert(drop.cleanedText.includes('signed in Vienna. Historians'));
+    assert.deepStrictEqual(drop.chapters.map(ch => ch.title), ['Chapter 1: The Treaty', 'Chapter 2: The Aftermath']);
+    console.log('   ✓ drop: markers, footnote blocks and Notes section removed');
+
+    const end = await new TextCleaner().processText(text);
+    const first = end.chapters[0].text;
+    assert(/source\. And then more\.\s+Notes\.\s+Note 1: Some sources give a later date\.\s+Note 2: See the appendix for a longer discussion of this point\.\s+Note 3: Page-bottom/.test(first), first);
+    assert(!/Note|Page-bottom/.test(end.chapters[1].text), 'Endnote 3 belongs to chapter 1');
+    console.log('   ✓ end: notes read at the end of the citing chapter');
+
+    const inline = await new TextCleaner({ footnotes: 'inline' }).processText(text);
+    const inlineText = inline.chapters[0].text;
+    assert(inlineText.includes('signed in Vienna. Note: Some sources give a later date. Historians'));
+    assert(inlineText.includes('lasted for a long time afterwards. Note: See the appendix for a longer discussion of this point.'));
+    assert(inlineText.includes('cited a source. Note: Page-bottom notes can also be collected at the end. And then more.'));
+    console.log('   ✓ inline: notes read after the sentence that cites them');
+
+    // Chapters from EPUB/HTML/Markdown get the same footnote and table handling
+    const structured = await new TextCleaner({ footnotes: 'drop' }).processDocument({
+      text,
+      chapters: [{
+        number: 1,
+        title: 'The Treaty',
+        text: [
+          'The treaty was signed in Vienna.¹ Historians still disagree about what it changed.',
+          '',
+          'Region     2019     2020',
+          'North       12       15',
+          'South        9       11',
+          '',
+          '¹ Some sources give a later date.'
+        ].join('\n')
+      }],
+      metadata: {}
+    });
+    const chapterText = structured.chapters[0].text;
+    assert(chapterText.includes('signed in Vienna. Historians') && !chapterText.includes('Some sources'), chapterText);
+    assert(chapterText.includes('Table omitted.') && !chapterText.includes('North'), chapterText);
+    console.log('   ✓ Structured chapters get footnote and table handling too');
+
+    // Plain numbers and numbered lists without a matching note stay
+    const plain = 'There were 12 apostles in 1999 and version2 of the text.\n\n1. A numbered list item\n2. Another item';
+    assert.strictEqual(new FootnoteHandler().process(plain).text, plain);
+
+    // Exponents are not note markers, even when a note with that number exists
+    const units = 'The lake covers 5 km² and is 10⁶ years old; it freezes at 9.8 m/s² of nothing, and x² is a mystery³.';
+    assert.strictEqual(new FootnoteHandler().process(units).text, units);
+    const cited = new FootnoteHandler({ policy: 'drop' }).process('The lake covers 5 km² of the valley.²\n\n² Measured in 1990.').text.trim();
+    assert.strictEqual(cited, 'The lake covers 5 km² of the valley.');
+
+    // Streamed windows carry notes until their chapter ends
+    const handler = new FootnoteHandler({ policy: 'end', isHeading: line => line.startsWith('Chapter') });
+    const carry = [];
+    const part1 = handler.process('A claim.¹ More.\n\n¹ The note.\n', { carry, final: false });
+    assert(!part1.text.includes('Note') && carry.length === 1);
+    const part2 = handler.process('Still chapter one.\n\nChapter 2\n\nText.', { carry, final: true });
+    assert(/Still chapter one\.\s+Notes\.\s+Note 1: The note\.\s+Chapter 2/.test(part2.text), part2.text);
+    assert.throws(() => new TextCleaner({ footnotes: 'sideways' }), err => err.code === 'INVALID_OPTION');
+    console.log('   ✓ Ordinary numbers and exponents ("km²", "10⁶") untouched; notes carried across streamed windows\n');
+
+    console.log('✅ Test passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function testRunningHeads() {
+  console.log('🧪 Testing Running Heads and Feet\n');
+
+  const places = ['harbor', 'river', 'stone', 'cloud', 'ember', 'frost', 'grove', 'island', 'jasper', 'meadow'];
+  const body = i => `They walked to the ${places[i]} and talked about the treaty for a while.\n` +
+    `The ${places[(i + 3) % 10]} and the ${places[(i + 7) % 10]} came up again before dark.\n`;
+
+  // Page 47 on: odd pages head "Chapter 3 · 47", even pages "48 · The Treaty"
+  const pages = [];
+  for (let i = 0; i < 10; i++) {
+    const folio = 46 + i;
+    const head = i === 0 ? 'Chapter 3: The Treaty'
+      : i === 6 ? 'Chapter 4: The Aftermath'
+        : folio % 2 ? `    Chapter ${i < 6 ? 3 : 4} · ${folio}` : `    ${folio}   ·   The Treaty`;
+    pages.push(`${head}\n\n${body(i)}\n          The Book of Tests\n`);
+  }
+  const text = pages.join('\f\n');
+
+  try {
+    const result = await new TextCleaner().processText(text);
+    assert.deepStrictEqual(result.chapters.map(ch => ch.title), ['Chapter 3: The Treaty', 'Chapter 4: The Aftermath']);
+    assert(!/·|Book of Tests|\f/.test(result.cleanedText), result.cleanedText);
+    assert(result.chapters[0].text.startsWith('They walked to the harbor'));
+    assert(result.chapters[0].text.includes('came up again before dark.\n\nThey walked to the river'), result.chapters[0].text);
+    console.log('   ✓ Heads and feet with changing page numbers dropped; chapter headings kept');
+
+    // Without page breaks there is nothing to go by
+    const unpaged = pages.join('');
+    assert.strictEqual(new TextCleaner().removeHeadersFooters(unpaged), unpaged);
+    console.log('   ✓ Text without form feeds left alone\n');
+
+    console.log('✅ Test passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function testTables() {
+  console.log('🧪 Testing Tables\n');
+
+  const text = [
+    'Sales grew in every region but one, as the figures below show.',
+    '',
+    'Table 3: Sales by region',
+    '   Region        2019      2020     Change',
+    '   North           12        15       25%',
+    '',
+    '   South            8         9     12.5%',
+    '',
+    '   East            21        19      -9.5%',
+    '',
+    'The East was the only exception to the trend.',
+    '',
+    '   1.0    2.5    3.75',
+    '   4.1    5.0    6.25',
+    '   7.0    8.5    9.00'
+  ].join('\n');
+
+  try {
+    const announced = await new TextCleaner().cleanText(text);
+    assert(announced.includes('show.\n\nTable 3 omitted: Sales by region.\n\nThe East'), announced);
+    assert(announced.endsWith('trend.\n\nTable omitted.'), announced);
+    assert(!/North|9\.00/.test(announced));
+    console.log('   ✓ announce: tables (and captions) replaced by "Table N omitted."');
+
+    const narrated = await new TextCleaner({ tables: 'narrate' }).cleanText(text);
+    assert(narrated.includes([
+      'Table 3: Sales by region.',
+      'North: 2019, 12; 2020, 15; Change, 25%.',
+      'South: 2019, 8; 2020, 9; Change, 12.5%.',
+      'East: 2019, 21; 2020, 19; Change, -9.5%.'
+    ].join('\n')), narrated);
+    assert(narrated.includes('A table follows.\nRow 1: 1.0, 2.5, 3.75.\nRow 2: 4.1, 5.0, 6.25.'), narrated);
+    console.log('   ✓ narrate: rows read with their headers (or numbered)');
+
+    // Prose spread out by justification, lists and short runs are not tables
+    const prose = [
+      'These lines are  justified  prose with  wide gaps  here and',
+      'there   because   the   layout   stretched   them   to   fit',
+      'the  column  width  of  the  page  as  pdftotext  laid   it',
+      '',
+      'Name:  Alice',
+      'Age:   42'
+    ].join('\n');
+    assert.strictEqual(new TableHandler().process(prose).tables, 0);
+    assert.throws(() => new TextCleaner({ tables: 'sing' }), err => err.code === 'INVALID_OPTION');
+    console.log('   ✓ Justified prose and two-line lists left alone\n');
+
+    console.log('✅ Test passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function testTechnicalText() {
+  console.log('🧪 Testing URLs, Emails and Code\n');
+
+  const text = [
+    'Chapter 1: Getting Started',
+    '',
+    'Download it from https://www.example.com/downloads/latest?os=mac. Questions go to jane.doe@example.org, and the source is on github.com/voicci/cli.',
+    'Then edit /etc/voicci/settings.json and call `load_config()` from src/lib/config.js as shown below:',
+    '',
+    '    function add(a, b) {',
+    '      return a + b;',
+    '    }',
+    '',
+    '    console.log(add(1, 2));',
+    '',
+    'That is all there is to it, and the rest of the chapter goes on from here.',
+    '',
+    'def greet(name):',
+    '    print("Hello", name)'
+  ].join('\n');
+
+  try {
+    const cleaner = new TextCleaner();
+    const result = await cleaner.processText(text);
+    const chapter = result.chapters[0].text;
+    assert(chapter.includes('Download it from example dot com. Questions go to jane dot doe at example dot org, and the source is on github dot com.'), chapter);
+    assert(chapter.includes('Then edit settings dot json and call load config from config dot js as shown below:'), chapter);
+    console.log('   ✓ URLs read as their domain, emails as "name at domain", paths as file names');
+
+    assert(chapter.includes('below:\n\nCode listing 1 omitted.\n\nThat is all'), chapter);
+    assert(chapter.endsWith('from here.\n\nCode listing 2 omitted.'), chapter);
+    assert.deepStrictEqual(result.codeListings.map(listing => listing.number), [1, 2]);
+    assert(result.codeListings[0].code.includes('console.log(add(1, 2));'));
+    console.log('   ✓ Code listings announced and kept for describing');
+
+    // Prose that merely mentions code words, fractions and dates stays
+    const prose = 'For the rest of the evening; they talked about it.\nif you ask me, and/or 1/2 of them, on 12/05/2020, e.g. Mr. Smith.';
+    assert.strictEqual(new TechVerbalizer().process(prose).text, prose);
+    const quoted = "We were cold and nobody wasn't tired;\nthe landlord's wife didn't ask where we'd come from;\nand \"Sit,\" she said (kindly) to the dog;";
+    assert.strictEqual(new TechVerbalizer().process(quoted).text, quoted);
+    assert.strictEqual((await cleaner.processText(text)).codeListings[0].number, 1, 'Listings numbered per document');
+    console.log('   ✓ Ordinary prose, quoted lines ending in ";", fractions and dates untouched\n');
+
+    console.log('✅ Test passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function testHyphenation() {
+  console.log('🧪 Testing Line-End Hyphens\n');
+
+  const text = [
+    'Chapter 1: The Road',
+    '',
+    'It is a well-',
+    'known fact that self-',
+    'driving cars need a good exam-',
+    'ple to follow. The after-',
+    'noon traffic was a state-of-the-',
+    'art problem for the hyphen-',
+    'ation of the long-term plan.'
+  ].join('\n');
+
+  try {
+    const cleaner = new TextCleaner();
+    const result = await cleaner.processText(text);
+    const chapter = result.chapters[0].text;
+    assert(chapter.includes('It is a well-known fact that self-driving cars need a good example to follow.'), chapter);
+    assert(chapter.includes('The afternoon traffic was a state-of-the-art problem'), chapter);
+    console.log('   ✓ Broken words rejoined, compounds keep their hyphen');
+
+    assert.strictEqual(result.stats.hyphenation.joined, 3);
+    assert.strictEqual(result.stats.hyphenation.kept, 3);
+    assert.deepStrictEqual(result.stats.hyphenation.unresolved, [{ word: 'hyphen-ation', joined: 'hyphenation' }]);
+    assert(chapter.includes('for the hyphenation of'), chapter);
+    console.log('   ✓ Unresolved breaks joined and reported');
+
+    // The book's own spelling wins over the word list
+    const dehyphenator = new Dehyphenator();
+    assert.strictEqual(dehyphenator.process('A black-\nbird sang; the blackbird flew.').text, 'A blackbird sang; the blackbird flew.');
+    assert.strictEqual(dehyphenator.process('A data-\nbase, and another data-base.').text, 'A data-base, and another data-base.');
+    assert.strictEqual(dehyphenator.process('COVID-\n19 and the Anglo-\nSaxon run-\nning stud-\nies').text, 'COVID-19 and the Anglo-Saxon running studies');
+    assert(dehyphenator.rank('stopped') > 0 && dehyphenator.rank('qwzx') === 0);
+    console.log('   ✓ Spellings elsewhere in the text, numbers and names respected\n');
+
+    console.log('✅ Test passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function testUnicode() {
+  console.log('🧪 Testing Unicode Normalization\n');
+
+  const text = [
+    'Ｃｈａｐｔｅｒ\u00A01: The ﬁrst Reﬂection',
+    '',
+    '“It’s a well‐known\u200B ﬁnding,” she said\u00A0― and the exam\u00AD',
+    'ple showed it: −5 degrees, 3\u202F000 people, cafe\u0301 au lait.',
+    'A footnote¹ and ½ a cup stay as they are.'
+  ].join('\n');
+
+  try {
+    const cleaner = new TextCleaner();
+    const result = await cleaner.processText(text);
+    assert.strictEqual(result.chapters[0].title, 'Chapter 1: The first Reflection');
+    const chapter = result.chapters[0].text;
+    assert(chapter.includes(`"It's a well-known finding," she said — and the example showed it: -5 degrees, 3 000 people, café au lait.`), chapter);
+    assert(chapter.includes('A footnote¹ and ½ a cup'), chapter);
+    console.log('   ✓ Ligatures, wide letters, quotes, dashes, spaces and invisible characters made plain');
+
+    const rewritten = result.stats.unicode;
+    assert.strictEqual(rewritten['ﬁ'], 2);
+    assert.strictEqual(rewritten['\u00AD'], 1);
+    assert.strictEqual(rewritten['\u00A0'], 2);
+    assert.strictEqual(rewritten['\u0301'], 1);
+    assert.strictEqual(rewritten['¹'], undefined);
+    assert.strictEqual(UnicodeNormalizer.describe('\u00AD'), 'soft hyphen (U+00AD)');
+    assert.strictEqual(UnicodeNormalizer.describe('ﬁ'), 'ﬁ (U+FB01)');
+    console.log('   ✓ Rewritten characters reported');
+
+    // Spacing accents stay rather than becoming a space and a mark
+    assert.strictEqual(new UnicodeNormalizer().process('na¨ive don´t').text, "na¨ive don't");
+    const off = await new TextCleaner({ stages: { normalizeUnicode: false } }).processText(text);
+    assert(off.cleanedText.includes('ﬁnding'));
+    assert.deepStrictEqual(off.stats.unicode, {});
+    console.log('   ✓ Spacing accents kept; the stage can be switched off\n');
+
+    console.log('✅ Test passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function testPaperMode() {
+  console.log('🧪 Testing Paper Mode\n');
+
+  const text = [
+    'Deep Widgets for Everyone',
+    'Jane Doe, John Roe',
+    'University of Somewhere',
+    '',
+    'Abstract—We study widgets at scale and find that deep widgets outperform shallow ones by a wide margin.',
+    '',
+    '1 Introduction',
+    '',
+    'Widgets have long been studied [3, 14]. Prior work (Smith et al., 2020; Lee, 2019a) focused on',
+    'shallow widgets. Smith and Jones (2018) argued otherwise, as did Brown et al. (2021) later on.',
+    '',
+    'Figure 1: Accuracy of deep and shallow widgets',
+    'on the benchmark.',
+    '',
+    'The loss is defined as follows.',
+    '',
+    'L = ∑ (y − ŷ)^2        (1)',
+    '',
+    'where y is the target, compared against the prediction over the whole dataset.',
+    '',
+    '2 Related Work',
+    '',
+    'Many authors have looked at widgets before us, including large surveys [5]–[7] and benchmark papers.',
+    '',
+    'References',
+    '',
+    '[1] A. Smith. Widgets. 2020.',
+    '[2] B. Lee. More widgets. 2019.'
+  ].join('\n');
+
+  try {
+    const paper = await new TextCleaner({ mode: 'paper' }).processText(text);
+    assert.deepStrictEqual(paper.chapters.map(ch => ch.title), ['Abstract', '1 Introduction', '2 Related Work']);
+    assert(paper.chapters[0].text.startsWith('We study widgets'), 'Abstract first, front matter dropped');
+    assert(!/\[|\(|2020|Accuracy|∑|Widgets\. 2020|References/.test(paper.cleanedText), paper.cleanedText);
+    assert(paper.cleanedText.includes('long been studied. Prior work focused on'));
+    assert(paper.cleanedText.includes('Smith and Jones argued otherwise, as did Brown et al. later on.'));
+    assert(paper.cleanedText.includes('The loss is defined as follows.\n\nwhere y is the target'));
+    assert(paper.stats.stages.stripReferences > 0 && paper.stats.stages.removeCitations > 0);
+    console.log('   ✓ Abstract first; references, citations, captions and equations removed');
+
+    // Short lines without math in them are not equations
+    const labels = 'Fig. 3(a)–(c)\nα = 0.05\n• ★\n— ◦\ni=1\n∑';
+    assert.strictEqual(new PaperCleaner().removeEquations(labels), 'Fig. 3(a)–(c)\nα = 0.05\n• ★\n— ◦');
+    console.log('   ✓ Figure labels, stated values and symbol list items kept');
+
+    const soft = await new TextCleaner({ mode: 'paper', citations: 'soften', figures: 'announce' }).processText(text);
+    assert(soft.cleanedText.includes('Prior work (Smith and colleagues; Lee) focused on'));
+    assert(soft.cleanedText.includes('as did Brown and colleagues later on.'));
+    assert(soft.cleanedText.includes('Figure 1 is shown here.'));
+    assert(!soft.cleanedText.includes('Accuracy'));
+    console.log('   ✓ Softened citations keep author names; figures announced');
+
+    // Book mode leaves all of it alone, and ignores paper stage settings
+    const book = await new TextCleaner({ stages: { removeCitations: false } }).processText(text);
+    assert(book.cleanedText.includes('(Smith et al., 2020; Lee, 2019a)') && book.cleanedText.includes('References'));
+    assert.throws(() => new TextCleaner({ mode: 'thesis' }), err => err.code === 'INVALID_OPTION');
+    assert.throws(() => new TextCleaner({ mode: 'paper', citations: 'shout' }), err => err.code === 'INVALID_OPTION');
+    console.log('   ✓ Book mode unchanged; invalid options rejected\n');
+
+    console.log('✅ Test passed!\n');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+await testCleaner();
+await testPipeline();
+await testFootnotes();
+await testRunningHeads();
+await testTables();
+await testTechnicalText();
+await testHyphenation();
+await testUnicode();
+await testPaperMode();
@@ -0,0 +1,1007 @@
+#!/usr/bin/env node
+
+/**
+ * Document Format Tests
+ * Tests structured extraction (EPUB, MOBI, HTML, Markdown, DOCX, ODT, LaTeX)
+ * and streaming of large inputs through the TextCleaner pipeline
+ */
+
+import TextCleaner from '../lib/text-cleaner.js';
+import PdfOcr from '../lib/pdf-ocr.js';
+import PdfOutline from '../lib/pdf-outline.js';
+import PdfReflow from '../lib/pdf-reflow.js';
+import StreamProcessor from '../lib/stream-processor.js';
+import { MEMORY_PROFILES } from '../lib/config-manager.js';
+import { createZip } from './zip-fixture.js';
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import zlib from 'zlib';
+
+console.log('📚 Running Document Format Tests\n');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voicci-formats-'));
+const cleaner = new TextCleaner();
+
+const paragraph = (n) =>
+  `<p>This is paragraph ${n} of the story, and it has more than enough words to count as real content.</p>`;
+
+function xhtml(body) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><title>Doc</title><style>p { margin: 0 }</style></head>
+<body>${body}</body>
+</html>`;
+}
+
+function writeMobi(name, { title, author, html }) {
+  const text = Buffer.from(html, 'utf8');
+
+  // PalmDOC-compress using literal runs only (0x01-0x08 copy codes)
+  const textRecords = [];
+  for (let i = 0; i < text.length; i += 4096) {
+    const chunk = text.subarray(i, i + 4096);
+    const out = [];
+    for (let j = 0; j < chunk.length; j += 8) {
+      const run = chunk.subarray(j, j + 8);
+      out.push(run.length, ...run);
+    }
+    textRecords.push(Buffer.from(out));
+  }
+
+  const exthEntry = (type, value) => {
+    const data = Buffer.from(value, 'utf8');
+    const entry = Buffer.alloc(8);
+    entry.writeUInt32BE(type, 0);
+    entry.writeUInt32BE(8 + data.length, 4);
+    return Buffer.concat([entry, data]);
+  };
+  const exthBody = Buffer.concat([exthEntry(100, author), exthEntry(503, title)]);
+  const exth = Buffer.alloc(12);
+  exth.write('EXTH', 0, 'latin1');
+  exth.writeUInt32BE(12 + exthBody.length, 4);
+  exth.writeUInt32BE(2, 8);
+
+  const header = Buffer.alloc(16 + 232);
+  header.writeUInt16BE(2, 0); // PalmDOC compression
+  header.writeUInt32BE(text.length, 4);
+  header.writeUInt16BE(textRecords.length, 8);
+  header.writeUInt16BE(4096, 10);
+  header.write('MOBI', 16, 'latin1');
+  header.writeUInt32BE(232, 20);
+  header.writeUInt32BE(65001, 28); // UTF-8
+  header.writeUInt32BE(6, 36);
+  header.writeUInt32BE(0x40, 128); // EXTH present
+  const fullName = Buffer.from('Fallback Name', 'utf8');
+  header.writeUInt32BE(header.length + exth.length + exthBody.length, 84);
+  header.writeUInt32BE(fullName.length, 88);
+
+  const records = [Buffer.concat([header, exth, exthBody, fullName]), ...textRecords];
+  const pdb = Buffer.alloc(78 + records.length * 8);
+  pdb.write('BOOKMOBI', 60, 'latin1');
+  pdb.writeUInt16BE(records.length, 76);
+  let offset = pdb.length;
+  records.forEach((record, i) => {
+    pdb.writeUInt32BE(offset, 78 + i * 8);
+    offset += record.length;
+  });
+
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, Buffer.concat([pdb, ...records]));
+  return filePath;
+}
+
+function writeEpub(name, files) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, createZip({
+    mimetype: 'application/epub+zip',
+    'META-INF/container.xml': `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`,
+    ...files
+  }));
+  return filePath;
+}
+
+function writePdf(name, objects, { objectStream = [], damage = null } = {}) {
+  // Objects listed in objectStream are packed into a deflated object stream
+  // with an xref stream trailer (PDF 1.5 style); the rest are written plainly.
+  // `damage` breaks the cross-reference data: 'empty' leaves it out,
+  // 'offsets' points past every object, 'truncated' cuts the table short
+  let body = '%PDF-1.5\n';
+  let contents = '';
+  let packed = '';
+  for (const num of objectStream) {
+    packed += `${num} ${contents.length} `;
+    contents += `${objects[num]}\n`;
+  }
+
+  const offsets = {};
+  const shift = damage === 'offsets' ? 7 : 0;
+  for (const [num, source] of Object.entries(objects)) {
+    if (objectStream.includes(Number(num))) continue;
+    offsets[num] = body.length + shift;
+    body += `${num} 0 obj\n${source}\nendobj\n`;
+  }
+
+  if (objectStream.length > 0) {
+    const data = zlib.deflateSync(Buffer.from(packed + contents, 'latin1'));
+    offsets[90] = body.length + shift;
+    body += `90 0 obj\n<< /Type /ObjStm /N ${objectStream.length} /First ${packed.length} /Filter /FlateDecode /Length ${data.length} >>\nstream\n`;
+    body += data.toString('latin1') + '\nendstream\nendobj\n';
+
+    // Rows of [type, offset or object stream, generation or index]
+    const rows = Buffer.alloc(92 * 7);
+    for (let num = 0; num < 92; num++) {
+      const index = objectStream.indexOf(num);
+      const row = index !== -1 ? [2, 90, index] : num in offsets || num === 91 ? [1, num === 91 ? body.length : offsets[num], 0] : [0, 0, 0];
+      rows.writeUInt8(row[0], num * 7);
+      rows.writeUInt32BE(row[1], num * 7 + 1);
+      rows.writeUInt16BE(row[2], num * 7 + 5);
+    }
+    const table = damage === 'empty' ? Buffer.alloc(0) : zlib.deflateSync(rows);
+    const start = body.length;
+    body += `91 0 obj\n<< /Type /XRef /Root 1 0 R /Size 92 /W [1 4 2] ${table.length ? '/Filter /FlateDecode ' : ''}/Length ${table.length} >>\nstream\n`;
+    body += table.toString('latin1') + '\nendstream\nendobj\n';
+    body += `startxref\n${damage === 'empty' ? 0 : start}\n%%EOF\n`;
+  } else if (damage === 'empty') {
+    body += 'xref\n0 0\ntrailer\n<< /Root 1 0 R /Size 30 >>\nstartxref\n0\n%%EOF\n';
+  } else {
+    const size = Math.max(...Object.keys(objects).map(Number)) + 1;
+    const start = body.length;
+    body += `xref\n0 ${size}\n`;
+    for (let num = 0; num < (damage === 'truncated' ? size / 2 : size); num++) {
+      body += num in offsets ? `${String(offsets[num]).padStart(10, '0')} 00000 n\r\n` : '0000000000 65535 f\r\n';
+    }
+    body += `trailer\n<< /Root 1 0 R /Size ${size} >>\nstartxref\n${start}\n%%EOF\n`;
+  }
+
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, Buffer.from(body, 'latin1'));
+  return filePath;
+}
+
+async function run() {
+  // Test 1: EPUB 3 with nav document, fragment targets and metadata
+  console.log('Test 1: EPUB 3 (nav document)');
+  {
+    const epub = writeEpub('book3.epub', {
+      'OEBPS/content.opf': `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:title>The Spine Test</dc:title>
+    <dc:creator>Ada Writer</dc:creator>
+    <dc:language>en</dc:language>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="b" href="text/part%20b.xhtml" media-type="application/xhtml+xml"/>
+    <item id="a" href="text/a.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine><itemref idref="a"/><itemref idref="b"/></spine>
+</package>`,
+      'OEBPS/nav.xhtml': xhtml(`<nav epub:type="toc"><ol>
+  <li><a href="text/a.xhtml">The First Chapter</a></li>
+  <li><a href="text/a.xhtml#second">The Second Chapter</a></li>
+  <li><a href="text/part%20b.xhtml">The Third &amp; Last</a></li>
+</ol></nav>`),
+      'OEBPS/text/a.xhtml': xhtml(`<h1>The First Chapter</h1>${paragraph(1)}<script>var x = 1;</script>
+<h1 id="second">The Second Chapter</h1>${paragraph(2)}`),
+      'OEBPS/text/part b.xhtml': xhtml(`<section><h1>The Third &amp; Last</h1>${paragraph(3)}</section>`)
+    });
+
+    const result = await cleaner.processFile(epub);
+    assert.strictEqual(result.metadata.title, 'The Spine Test');
+    assert.strictEqual(result.metadata.author, 'Ada Writer');
+    assert.deepStrictEqual(
+      result.chapters.map(ch => ch.title),
+      ['The First Chapter', 'The Second Chapter', 'The Third & Last']
+    );
+    assert(result.chapters[0].text.startsWith('This is paragraph 1'));
+    assert(!result.cleanedText.includes('var x'));
+    assert(result.chapters[2].text.includes('paragraph 3'));
+    console.log('  ✓ Chapters follow nav TOC in spine order');
+    console.log('  ✓ Title and author read from OPF metadata');
+    console.log('  ✅ EPUB 3 extraction working\n');
+  }
+
+  // Test 2: EPUB 2 with NCX and no nav document
+  console.log('Test 2: EPUB 2 (NCX)');
+  {
+    const epub = writeEpub('book2.epub', {
+      'OEBPS/content.opf': `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="2.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>Old Style</dc:title></metadata>
+  <manifest>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="c1" href="c1.html" media-type="application/xhtml+xml"/>
+    <item id="c2" href="c2.html" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine toc="ncx"><itemref idref="c1"/><itemref idref="c2"/></spine>
+</package>`,
+      'OEBPS/toc.ncx': `<?xml version="1.0"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/"><navMap>
+  <navPoint id="p1"><navLabel><text>Book One</text></navLabel><content src="c1.html"/>
+    <navPoint id="p2"><navLabel><text>Opening</text></navLabel><content src="c1.html"/></navPoint>
+    <navPoint id="p3"><navLabel><text>Closing</text></navLabel><content src="c2.html"/></navPoint>
+  </navPoint>
+</navMap></ncx>`,
+      'OEBPS/c1.html': xhtml(paragraph(1)),
+      'OEBPS/c2.html': xhtml(paragraph(2))
+    });
+
+    const result = await cleaner.processFile(epub);
+    assert.strictEqual(result.metadata.title, 'Old Style');
+    assert.deepStrictEqual(result.chapters.map(ch => ch.title), ['Opening', 'Closing']);
+    console.log('  ✓ Single wrapping TOC entry descends to its children');
+    console.log('  ✅ EPUB 2 extraction working\n');
+  }
+
+  // Test 3: MOBI 6 with guide TOC and filepos links
+  console.log('Test 3: MOBI (PalmDOC)');
+  {
+    // filepos values are fixed-width so positions can be filled in afterwards
+    const pos = (key) => `filepos=%${key}%`.padEnd(18, '_');
+    let html = `<html><head><guide><reference type="toc" title="Contents" ${pos('T')}/></guide></head><body>` +
+      `${paragraph(0)}<mbp:pagebreak/>` +
+      `@T<p><a ${pos('A')}>The Beginning</a></p><p><a ${pos('B')}>The Ending</a></p><mbp:pagebreak/>` +
+      `@A<h2>The Beginning</h2>${paragraph(1)}<mbp:pagebreak/>` +
+      `@B<h2>The Ending</h2>${paragraph(2)}${'<p>Filler text for a second record.</p>'.repeat(150)}` +
+      '</body></html>';
+
+    for (const key of ['T', 'A', 'B']) {
+      const target = Buffer.byteLength(html.slice(0, html.indexOf(`@${key}`)), 'utf8');
+      html = html.replace(`@${key}`, '  ');
+      html = html.replace(`filepos=%${key}%`.padEnd(18, '_'), `filepos=${String(target).padStart(10, '0')}`);
+    }
+
+    const mobi = writeMobi('book.mobi', { title: 'Kindle Test', author: 'Mo Bee', html });
+    const result = await cleaner.processFile(mobi);
+    assert.strictEqual(result.metadata.title, 'Kindle Test');
+    assert.strictEqual(result.metadata.author, 'Mo Bee');
+    assert.deepStrictEqual(
+      result.chapters.map(ch => ch.title),
+      ['Introduction', 'The Beginning', 'The Ending']
+    );
+    assert(!result.chapters[0].text.includes('The Ending'), 'TOC page should be removed');
+    assert(result.chapters[2].text.includes('second record'));
+    console.log('  ✓ Chapters split at guide TOC filepos targets');
+    console.log('  ✓ Title and author read from EXTH metadata');
+    console.log('  ✅ MOBI extraction working\n');
+  }
+
+  // Test 4: Saved web article with page furniture around it
+  console.log('Test 4: HTML article');
+  {
+    const article = path.join(tempDir, 'article.html');
+    fs.writeFileSync(article, `<!DOCTYPE html>
+<html><head>
+  <title>Why Rivers Bend | The Daily Site</title>
+  <meta name="author" content="By Jo Rivera">
+  <script>trackPageView();</script>
+</head><body>
+  <nav><ul><li><a href="/">Home</a></li><li><a href="/news">News</a></li></ul></nav>
+  <div class="ad-banner">Buy one get one free, limited offer, act now, while supplies last!</div>
+  <header><h1>Why Rivers Bend</h1><p class="byline">By Jo Rivera</p></header>
+  <div class="article-body">
+    <p>Rivers rarely run straight, and the reasons are older than the valleys, the towns, and the roads beside them.</p>
+    <p>Water moving around a small obstacle speeds up on one side, slows on the other, and begins to carve a curve.</p>
+    <h2>The Outer Bank</h2>
+    <p>On the outside of a bend, the current is faster, so it erodes the bank, deepens the channel, and widens the arc.</p>
+    <p>On the inside, slower water drops sand and gravel, building a point bar that pushes the bend further out.</p>
+  </div>
+  <div class="sidebar"><p>Related: Ten lakes you must see, ranked by our editors, with photos and maps.</p></div>
+  <footer><p>Copyright The Daily Site. All rights reserved. Contact us for licensing.</p></footer>
+</body></html>`);
+
+    const result = await cleaner.processFile(article);
+    assert.strictEqual(result.metadata.title, 'Why Rivers Bend');
+    assert.strictEqual(result.metadata.author, 'Jo Rivera');
+    assert.deepStrictEqual(result.chapters.map(ch => ch.title), ['Why Rivers Bend', 'The Outer Bank']);
+    assert(result.chapters[0].text.startsWith('By Jo Rivera.'));
+    for (const noise of ['Home', 'Buy one', 'Related', 'Copyright', 'trackPageView']) {
+      assert(!result.cleanedText.includes(noise), `Should drop "${noise}"`);
+    }
+    console.log('  ✓ Navigation, ads, sidebar, footer and scripts dropped');
+    console.log('  ✓ Headline and byline kept, h2 starts a new chapter');
+
+    // A site header's h1 is not the headline; a byline before the first h2
+    // opens that chapter; a <pre> listing keeps its lines
+    const siteHeader = path.join(tempDir, 'site-header.html');
+    fs.writeFileSync(siteHeader, `<!DOCTYPE html>
+<html><head><title>The Code Blog</title></head><body>
+  <header><h1>The Code Blog</h1><p>Notes on programs.</p></header>
+  <main><article>
+    <h1>Reading Config Files</h1>
+    <p class="byline">By Jane Roe</p>
+    <h2>Setup</h2>
+    <p>Most programs read their settings from a file, and the loader below is about as small as one can be.</p>
+    <pre><code>function load(path) {
+  const text = read(path);
+  return JSON.parse(text);
+}</code></pre>
+    <p>It reads the whole file at once, parses it, and hands the settings back to whoever asked for them.</p>
+  </article></main>
+</body></html>`);
+
+    const blog = await cleaner.processFile(siteHeader);
+    assert.strictEqual(blog.metadata.title, 'Reading Config Files');
+    assert.deepStrictEqual(blog.chapters.map(ch => ch.title), ['Setup']);
+    assert(blog.chapters[0].text.startsWith('By Jane Roe.\n\nMost programs'), blog.chapters[0].text);
+    assert(blog.chapters[0].text.includes('one can be.\n\nCode listing 1 omitted.\n\nIt reads'), blog.chapters[0].text);
+    assert(blog.codeListings[0].code.includes('  const text = read(path);\n  return JSON.parse(text);'));
+    console.log('  ✓ Article headline preferred over a site header; byline kept; <pre> listings announced');
+    console.log('  ✅ HTML extraction working\n');
+  }
+
+  // Test 5: Markdown structure is spoken, not read literally
+  console.log('Test 5: Markdown');
+  {
+    const notes = path.join(tempDir, 'notes.md');
+    fs.writeFileSync(notes, `# Project Notes
+
+Some *intro* text with a [useful link](https://example.com/docs) and \`inline_code\`.
+
+## Setup
+
+Install the **tools** first, see [the guide][guide].
+
+\`\`\`bash
+npm install --save something
+\`\`\`
+
+| Name  | Role     |
+|-------|----------|
+| Alice | Engineer |
+| Bob   | Designer |
+
+### Details
+
+- First item with snake_case_name
+- Second item
+
+Usage
+-----
+
+Run it and ~~hope~~ verify.
+
+[guide]: https://example.com/guide
+`);
+
+    const result = await cleaner.processFile(notes);
+    assert.strictEqual(result.metadata.title, 'Project Notes');
+    assert.deepStrictEqual(result.chapters.map(ch => ch.title), ['Project Notes', 'Setup', 'Usage']);
+    const text = result.cleanedText;
+    assert(text.includes('with a useful link and inline_code.'));
+    assert(text.includes('see the guide.'));
+    assert(text.includes('Bash code example omitted.'));
+    assert(!text.includes('npm install'));
+    assert(text.includes('Row 1: Name, Alice; Role, Engineer.'));
+    assert(text.includes('Details.'));
+    assert(text.includes('snake_case_name'));
+    assert(!/[*#|~\[\]]/.test(text), 'No Markdown syntax should remain');
+    console.log('  ✓ Headings become chapters, links read as anchor text');
+    console.log('  ✓ Code blocks announced, tables narrated row by row');
+    console.log('  ✅ Markdown extraction working\n');
+  }
+
+  // Test 6: Word document with heading styles, notes, comments and revisions
+  console.log('Test 6: DOCX');
+  {
+    const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+    const para = (text, style) =>
+      `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+    const docx = path.join(tempDir, 'spec.docx');
+    fs.writeFileSync(docx, createZip({
+      '[Content_Types].xml': '<?xml version="1.0"?><Types/>',
+      'word/styles.xml': `<?xml version="1.0"?><w:styles ${W}>
+  <w:style w:type="paragraph" w:styleId="Titre"><w:name w:val="Title"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Kop1"><w:name w:val="heading 1"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Kop2"><w:name w:val="heading 2"/></w:style>
+  <w:style w:type="paragraph" w:styleId="MyChapter"><w:name w:val="My Chapter"/><w:basedOn w:val="Kop1"/></w:style>
+</w:styles>`,
+      'word/document.xml': `<?xml version="1.0"?><w:document ${W}><w:body>
+  ${para('Design Specification', 'Titre')}
+  ${para('Overview', 'Kop1')}
+  <w:p><w:r><w:t>The system reads</w:t></w:r><w:del w:id="1"><w:r><w:delText> deleted words</w:delText></w:r></w:del><w:ins w:id="2"><w:r><w:t xml:space="preserve"> inserted words</w:t></w:r></w:ins><w:r><w:footnoteReference w:id="1"/></w:r><w:commentRangeStart w:id="0"/><w:r><w:t xml:space="preserve"> and more.</w:t></w:r><w:commentRangeEnd w:id="0"/><w:r><w:commentReference w:id="0"/></w:r></w:p>
+  ${para('Goals', 'Kop2')}
+  ${para('Be fast and be correct for every single document we produce.')}
+  <w:tbl><w:tr><w:tc>${para('Metric')}</w:tc><w:tc>${para('Target')}</w:tc></w:tr><w:tr><w:tc>${para('Latency')}</w:tc><w:tc>${para('10 ms')}</w:tc></w:tr></w:tbl>
+  ${para('Rollout', 'MyChapter')}
+  ${para('Ship it in stages, starting with internal users, then everyone else.')}
+</w:body></w:document>`,
+      'word/footnotes.xml': `<?xml version="1.0"?><w:footnotes ${W}><w:footnote w:id="1">${para('Footnote text')}</w:footnote></w:footnotes>`,
+      'word/comments.xml': `<?xml version="1.0"?><w:comments ${W}><w:comment w:id="0">${para('Reviewer comment')}</w:comment></w:comments>`,
+      'docProps/core.xml': `<?xml version="1.0"?><cp:coreProperties xmlns:cp="x" xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:creator>Sam Spec</dc:creator></cp:coreProperties>`
+    }));
+
+    const result = await cleaner.processFile(docx);
+    assert.strictEqual(result.metadata.title, 'Design Specification');
+    assert.strictEqual(result.metadata.author, 'Sam Spec');
+    assert.deepStrictEqual(result.chapters.map(ch => ch.title), ['Overview', 'Rollout']);
+    const text = result.chapters[0].text;
+    assert(text.includes('The system reads inserted words and more.'));
+    assert(text.includes('Goals.'));
+    assert(text.includes('Latency, 10 ms.'));
+    for (const hidden of ['deleted words', 'Footnote text', 'Reviewer comment']) {
+      assert(!result.cleanedText.includes(hidden), `Should exclude "${hidden}"`);
+    }
+    console.log('  ✓ Heading 1 starts chapters, Heading 2 read as section titles');
+    console.log('  ✓ Tracked deletions, footnotes and comments excluded');
+    console.log('  ✅ DOCX extraction working\n');
+  }
+
+  // Test 7: OpenDocument text with outline levels and notes
+  console.log('Test 7: ODT');
+  {
+    const odt = path.join(tempDir, 'report.odt');
+    fs.writeFileSync(odt, createZip({
+      mimetype: 'application/vnd.oasis.opendocument.text',
+      'content.xml': `<?xml version="1.0"?>
+<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">
+<office:body><office:text>
+  <text:tracked-changes><text:changed-region text:id="c1"><text:deletion><text:p>Removed sentence.</text:p></text:deletion></text:changed-region></text:tracked-changes>
+  <text:h text:outline-level="1">Findings</text:h>
+  <text:p>Results were<text:s/>good<text:note text:note-class="footnote"><text:note-citation>1</text:note-citation><text:note-body><text:p>A footnote.</text:p></text:note-body></text:note> overall.<office:annotation><text:p>A comment.</text:p></office:annotation></text:p>
+  <text:h text:outline-level="2">Details</text:h>
+  <text:list><text:list-item><text:p>First detail in the list.</text:p></text:list-item></text:list>
+  <text:h text:outline-level="1">Next Steps</text:h>
+  <text:p>Plan the second phase with the whole team next quarter.</text:p>
+</office:text></office:body></office:document-content>`,
+      'meta.xml': `<?xml version="1.0"?><office:document-meta xmlns:office="o" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:meta="m"><office:meta><dc:title>Quarterly Report</dc:title><meta:initial-creator>Olive Dee</meta:initial-creator></office:meta></office:document-meta>`
+    }));
+
+    const result = await cleaner.processFile(odt);
+    assert.strictEqual(result.metadata.title, 'Quarterly Report');
+    assert.strictEqual(result.metadata.author, 'Olive Dee');
+    assert.deepStrictEqual(result.chapters.map(ch => ch.title), ['Findings', 'Next Steps']);
+    assert(result.chapters[0].text.includes('Results were good overall.'));
+    assert(result.chapters[0].text.includes('Details.'));
+    for (const hidden of ['Removed sentence', 'A footnote', 'A comment']) {
+      assert(!result.cleanedText.includes(hidden), `Should exclude "${hidden}"`);
+    }
+    console.log('  ✓ Outline levels drive chapters and sections');
+    console.log('  ✓ Tracked deletions, notes and annotations excluded');
+    console.log('  ✅ ODT extraction working\n');
+  }
+
+  // Test 8: Corrupted archives fail with a clear error code
+  console.log('Test 8: Corrupted EPUB');
+  {
+    const broken = path.join(tempDir, 'broken.epub');
+    fs.writeFileSync(broken, 'this is not a zip file');
+    await assert.rejects(cleaner.processFile(broken), err => err.code === 'EPUB_EXTRACTION_FAILED');
+    console.log('  ✓ Rejected non-zip EPUB');
+    console.log('  ✅ EPUB error handling working\n');
+  }
+
+  // Test 9: Scanned PDF pages are detected and OCR output is rebuilt
+  console.log('Test 9: PDF OCR fallback');
+  {
+    const ocr = new PdfOcr({ tempDir });
+    assert(ocr.needsOcr('   \n  '), 'Blank page needs OCR');
+    assert(ocr.needsOcr('%%$# ~~ ^^ ||| ### @@@ ;;; ::: !!'), 'Garbled page needs OCR');
+    assert(!ocr.needsOcr(paragraph(1)), 'Text page does not need OCR');
+
+    const tsv = [
+      'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext',
+      '1\t1\t0\t0\t0\t0\t0\t0\t2480\t3508\t-1\t',
+      '5\t1\t1\t1\t1\t1\t0\t0\t10\t10\t96\tThe',
+      '5\t1\t1\t1\t1\t2\t0\t0\t10\t10\t90\tscanned',
+      '5\t1\t1\t1\t2\t1\t0\t0\t10\t10\t84\tpage.',
+      '5\t1\t2\t1\t1\t1\t0\t0\t10\t10\t70\tNext'
+    ].join('\n');
+    const page = ocr.parseTSV(tsv);
+    assert.strictEqual(page.text, 'The scanned\npage.\n\nNext\n');
+    assert.strictEqual(page.confidence, 85);
+    assert.strictEqual(page.words, 4);
+    console.log('  ✓ Blank and garbled pages flagged for OCR');
+    console.log('  ✓ Tesseract TSV rebuilt into lines and paragraphs');
+    console.log('  ✅ OCR fallback working\n');
+  }
+
+  // Test 10: PDF outline drives chapter boundaries
+  console.log('Test 10: PDF outline');
+  {
+    const utf16 = (text) => `<FEFF${Buffer.from(text, 'utf16le').swap16().toString('hex')}>`;
+    const objects = {
+      1: '<< /Type /Catalog /Pages 2 0 R /Outlines 10 0 R /Names << /Dests 20 0 R >> >>',
+      2: '<< /Type /Pages /Kids [3 0 R 6 0 R] /Count 3 >>',
+      3: '<< /Type /Page /Parent 2 0 R >>',
+      6: '<< /Type /Pages /Parent 2 0 R /Kids [4 0 R 5 0 R] /Count 2 >>',
+      4: '<< /Type /Page /Parent 6 0 R >>',
+      5: '<< /Type /Page /Parent 6 0 R >>',
+      10: '<< /Type /Outlines /First 11 0 R /Last 11 0 R >>',
+      // A single entry wrapping the whole book: its children are the chapters
+      11: '<< /Title (My Book) /Parent 10 0 R /First 12 0 R /Last 14 0 R /Dest [3 0 R /Fit] >>',
+      12: `<< /Title ${utf16('Chapter One')} /Parent 11 0 R /Next 13 0 R /Dest [3 0 R /XYZ 0 700 0] >>`,
+      13: '<< /Title (Chapter Two) /Parent 11 0 R /Next 14 0 R /A << /S /GoTo /D (ch2) >> >>',
+      14: '<< /Title (Chapter \\(Three\\)) /Parent 11 0 R /Dest /ch3 >>',
+      20: '<< /Names [(ch2) [4 0 R /Fit] (ch3) << /D [5 0 R /Fit] >>] >>'
+    };
+
+    const outline = new PdfOutline();
+    const expected = [
+      { title: 'Chapter One', page: 1 },
+      { title: 'Chapter Two', page: 2 },
+      { title: 'Chapter (Three)', page: 3 }
+    ];
+
+    // Only the objects needed are read, found through the cross-reference data
+    for (const [label, file] of [
+      ['xref table', writePdf('outline.pdf', objects)],
+      ['outline in an object stream', writePdf('outline-objstm.pdf', objects, { objectStream: [10, 11, 12, 13, 14, 20] })],
+      ['every object compressed', writePdf('outline-compressed.pdf', objects, { objectStream: [1, 2, 3, 4, 5, 6, 10, 11, 12, 13, 14, 20] })]
+    ]) {
+      const entries = outline.chapterEntries(outline.read(file));
+      assert.deepStrictEqual(entries.map(({ title, page }) => ({ title, page })), expected, label);
+      console.log(`  ✓ Outline titles and target pages read (${label})`);
+    }
+
+    // Damaged cross-reference data is an error; chapters then come from headings
+    for (const [label, file] of [
+      ['empty xref table', writePdf('broken-empty.pdf', objects, { damage: 'empty' })],
+      ['wrong offsets', writePdf('broken-offsets.pdf', objects, { damage: 'offsets' })],
+      ['truncated table', writePdf('broken-truncated.pdf', objects, { damage: 'truncated' })],
+      ['empty xref stream', writePdf('broken-xrefstm.pdf', objects, { objectStream: [10, 11, 12, 13, 14, 20], damage: 'empty' })],
+      ['wrong xref stream offsets', writePdf('broken-objstm.pdf', objects, { objectStream: [10, 11, 12, 13, 14, 20], damage: 'offsets' })]
+    ]) {
+      assert.throws(() => outline.read(file), Error, label);
+    }
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.strictEqual(cleaner.splitByOutline(path.join(tempDir, 'broken-offsets.pdf'), ['Chapter One']), null);
+    } finally {
+      console.warn = warn;
+    }
+    console.log('  ✓ Damaged cross-reference data rejected; heading detection used instead');
+
+    const pages = [
+      'My Book\n\nChapter One\nThe first chapter opens on page one.\n',
+      'It carries on past the page break.\n      2\n\nChapter Two\nThe second chapter starts mid-page.\n',
+      'Chapter (Three)\nThe third chapter has a page to itself.\n'
+    ];
+    const chapters = outline.splitPages(pages, outline.chapterEntries(outline.read(path.join(tempDir, 'outline.pdf'))));
+    assert.deepStrictEqual(chapters.map(ch => ch.title), ['Introduction', 'Chapter One', 'Chapter Two', 'Chapter (Three)']);
+    assert.strictEqual(chapters[0].text, 'My Book');
+    assert(chapters[1].text.startsWith('The first chapter'));
+    assert(chapters[1].text.includes('past the page break'));
+    assert(!chapters[1].text.includes('second chapter'));
+    assert.strictEqual(chapters[2].text, 'The second chapter starts mid-page.');
+    assert.strictEqual(chapters[3].text, 'The third chapter has a page to itself.');
+    console.log('  ✓ Text split at outline pages, mid-page titles honoured');
+
+    const noOutline = writePdf('plain.pdf', { 1: '<< /Type /Catalog /Pages 2 0 R >>', 2: '<< /Type /Pages /Kids [] /Count 0 >>' });
+    assert.deepStrictEqual(outline.read(noOutline), []);
+    console.log('  ✓ PDFs without an outline fall back to pattern detection');
+    console.log('  ✅ PDF outline chapters working\n');
+  }
+
+  // Test 11: Two-column layout text is read column by column
+  console.log('Test 11: PDF column reflow');
+  {
+    const reflow = new PdfReflow();
+    const pages = [[
+      '              THE QUIET HARBOUR: A FIELD REPORT ON COASTAL TOWNS',
+      '',
+      'The harbour was quiet in the early         stood at the end of the pier and the',
+      'morning, and the boats rocked gently       keeper waved as the ferry came in to',
+      'against the old stone walls while the      dock. Nobody expected the storm that',
+      'gulls circled overhead looking for         would arrive later that evening, but',
+      'scraps from the fishing crews. A tall      the old sailors could feel it coming.',
+      'lighthouse',
+      '',
+      '   "Nobody expected the storm that would arrive later that evening"',
+      ''
+    ].join('\n'), [
+      'The ferry left again at noon with a full     Tide tables',
+      'deck of passengers, and the harbour went     High water at six',
+      'back to its usual slow rhythm for the        and low water at',
+      'rest of the long summer afternoon while      noon most days.',
+      'the keeper mended nets on the slipway.',
+      ''
+    ].join('\n'), [
+      'Name            Age     City',
+      'Alice           30      Paris',
+      'Bob             25      Rome',
+      'Carol           41      Oslo',
+      ''
+    ].join('\n')];
+    const table = pages[2];
+
+    const summary = reflow.reflow(pages);
+    assert.deepStrictEqual(summary, { multiColumnPages: 2, sidebars: 1, pullQuotes: 1 });
+
+    const flowed = pages[0].replace(/\s+/g, ' ');
+    assert(flowed.includes('A tall lighthouse stood at the end of the pier'), 'Left column runs into right column');
+    assert(flowed.indexOf('gulls circled') < flowed.indexOf('keeper waved'));
+    assert(!pages[0].includes('"Nobody'), 'Pull quote removed');
+    console.log('  ✓ Columns read top to bottom, left then right');
+    console.log('  ✓ Pull quote repeating body text dropped');
+
+    const [body, sidebar] = pages[1].split(/\n\s*\n/);
+    assert(body.replace(/\s+/g, ' ').includes('the harbour went back to its usual slow rhythm'));
+    assert.strictEqual(sidebar.replace(/\s+/g, ' ').trim(), 'Tide tables High water at six and low water at noon most days.');
+    console.log('  ✓ Narrow sidebar moved after the page body');
+
+    assert.strictEqual(pages[2], table, 'Tables are not treated as columns');
+    console.log('  ✓ Tables left alone');
+    console.log('  ✅ Column reflow working\n');
+  }
+
+  // Test 12: Text without a file (piped on stdin) goes through the same cleaning
+  console.log('Test 12: Piped text');
+  {
+    const text = [
+      'Chapter 1: Arrival',
+      '',
+      'The train pulled into the station just after midnight, and nobody was waiting on the platform.',
+      '',
+      'Chapter 2: Departure',
+      '',
+      'By morning the town had already forgotten the stranger who stepped off the last train of the night.'
+    ].join('\n');
+
+    const result = await cleaner.processText(text, { title: 'Notes' });
+    assert.strictEqual(result.metadata.title, 'Notes');
+    assert.deepStrictEqual(result.chapters.map(ch => ch.title), ['Chapter 1: Arrival', 'Chapter 2: Departure']);
+    await assert.rejects(cleaner.processText(''), err => err.code === 'INVALID_TEXT');
+    console.log('  ✓ Piped text cleaned and split into chapters');
+    console.log('  ✓ Empty input rejected');
+    console.log('  ✅ Stdin text processing working\n');
+  }
+
+  // Test 13: LaTeX source follows \input and maps sections to chapters
+  console.log('Test 13: LaTeX source');
+  {
+    const paperDir = path.join(tempDir, 'paper');
+    fs.mkdirSync(path.join(paperDir, 'sections'), { recursive: true });
+    fs.writeFileSync(path.join(paperDir, 'main.tex'), String.raw`\documentclass{article}
+\usepackage{amsmath}
+\newcommand{\method}{EchoNet}
+\title{Listening to Papers}
+\author{Ada Lovelace \and Charles Babbage}
+\begin{document}
+\maketitle
+\begin{abstract}
+We present \method, a model that reads papers aloud. % TODO: numbers
+It is 5\% faster than reading.
+\end{abstract}
+
+\section{Introduction}\label{sec:intro}
+Earlier systems were slow~\citep{smith2020deep}. \citet{jones2019fast} read every
+equation, including $\alpha$ and $\frac{a}{b}$, see Figure~\ref{fig:arch} and \autoref{sec:method}.
+\begin{figure}[t]
+\centering
+\includegraphics{arch.pdf}
+\caption{The architecture of the system.}\label{fig:arch}
+\end{figure}
+\input{sections/method}
+\input{../outside}
+\bibliography{refs}
+\end{document}
+`);
+    fs.writeFileSync(path.join(paperDir, 'sections', 'method.tex'), String.raw`\section{Method}\label{sec:method}
+\subsection{Training}
+We minimise the loss
+\begin{equation}
+L = \lVert x - y \rVert \label{eq:loss}
+\end{equation}
+from Eq.~\eqref{eq:loss}, which is ${'``'}simple'' --- mostly.\footnote{Not really.}
+\subsubsection{Data}
+Caf\'e recordings were used.
+`);
+    fs.writeFileSync(path.join(paperDir, 'refs.bib'), `@article{smith2020deep,
+  author = {Smith, John and Doe, Jane and Roe, Richard},
+  title = {Deep Reading},
+  year = {2020}
+}
+@inproceedings{jones2019fast,
+  author = "Mary Jones",
+  year = 2019
+}
+`);
+    fs.writeFileSync(path.join(tempDir, 'outside.tex'), 'Outside the paper directory.');
+
+    const result = await cleaner.processFile(path.join(paperDir, 'main.tex'));
+    assert.strictEqual(result.metadata.title, 'Listening to Papers');
+    assert.strictEqual(result.metadata.author, 'Ada Lovelace, Charles Babbage');
+    assert.deepStrictEqual(result.chapters.map(ch => ch.title), ['Abstract', 'Introduction', 'Method: Training']);
+
+    const [abstract, intro, method] = result.chapters.map(ch => ch.text);
+    assert(abstract.includes('We present EchoNet, a model that reads papers aloud. It is 5% faster'), 'Macros and escapes expanded');
+    assert(!result.cleanedText.includes('TODO'), 'Comments dropped');
+    assert(!result.cleanedText.includes('documentclass') && !result.cleanedText.includes('\\'), 'No preamble or commands left');
+    assert(intro.includes('Earlier systems were slow. Jones (2019) read every'), 'Citations removed or spoken');
+    assert(intro.includes('see Figure 1 and Section 2.'), 'References numbered');
+    assert(!intro.includes('architecture'), 'Figure dropped');
+    assert(method.includes('We minimise the loss from Eq. (1), which is "simple" — mostly.'), 'Display math dropped');
+    assert(!method.includes('Not really'), 'Footnote dropped');
+    assert(method.includes('Data.') && method.includes('Café recordings'), 'Deeper headings read as sentences');
+    assert(!result.cleanedText.includes('Outside'), 'Inputs outside the paper directory ignored');
+
+    const spoken = await new TextCleaner({ latexCitations: 'speak' }).processFile(path.join(paperDir, 'main.tex'));
+    assert(spoken.chapters[1].text.includes('Earlier systems were slow (Smith et al., 2020).'));
+    console.log('  ✓ \\input resolved inside the paper directory');
+    console.log('  ✓ Sections and subsections become chapters, preamble and floats dropped');
+    console.log('  ✓ \\ref numbered, citations removed or spoken from the .bib');
+    console.log('  ✅ LaTeX extraction working\n');
+  }
+
+  // Test 14: Distributor license text is stripped, title/author kept
+  console.log('Test 14: Ebook boilerplate');
+  {
+    const gutenberg = path.join(tempDir, 'pg1342.txt');
+    fs.writeFileSync(gutenberg, [
+      'The Project Gutenberg eBook of Pride and Prejudice',
+      '',
+      'This ebook is for the use of anyone anywhere in the United States and most other parts of the world at no cost.',
+      '',
+      'Title: Pride and Prejudice',
+      '',
+      'Author: Jane Austen',
+      '',
+      'Release date: June 1, 1998 [eBook #1342]',
+      '',
+      '*** START OF THE PROJECT GUTENBERG EBOOK PRIDE AND PREJUDICE ***',
+      '',
+      'Produced by Anonymous Volunteers',
+      '',
+      'Chapter 1: Arrival',
+      '',
+      'It is a truth universally acknowledged, that a single man in possession of a good fortune, must be in want of a wife.',
+      '',
+      'Chapter 2: The Ball',
+      '',
+      'Mr. Bennet was among the earliest of those who waited on Mr. Bingley, though to the last always assuring his wife that he should not go.',
+      '',
+      '*** END OF THE PROJECT GUTENBERG EBOOK PRIDE AND PREJUDICE ***',
+      '',
+      'Updated editions will replace the previous one. Creating the works from print editions not protected by U.S. copyright law means that no one owns a United States copyright in these works.',
+      '',
+      'START: FULL LICENSE'
+    ].join('\n'));
+
+    const result = await cleaner.processFile(gutenberg);
+    assert.strictEqual(result.metadata.title, 'Pride and Prejudice');
+    assert.strictEqual(result.metadata.author, 'Jane Austen');
+    assert.deepStrictEqual(result.chapters.map(ch => ch.title), ['Chapter 1: Arrival', 'Chapter 2: The Ball']);
+    assert(!/Gutenberg|Produced by|LICENSE|copyright/i.test(result.cleanedText), 'Header and footer removed');
+    assert.strictEqual(result.stats.boilerplate.source, 'Project Gutenberg');
+    console.log('  ✓ Project Gutenberg header, credits and license removed');
+
+    const fadedPage = await cleaner.processText([
+      '* A Distributed Proofreaders Canada eBook *',
+      '',
+      'This eBook is made available at no cost and with very few restrictions.',
+      '',
+      'Title: The Secret Garden',
+      'Author: Frances Hodgson Burnett (1849-1924)',
+      'Date of first publication: 1911',
+      'Faded Page eBook #20160105',
+      '',
+      'This ebook was produced by: Al Haines',
+      '',
+      'Chapter 1: There Is No One Left',
+      '',
+      'When Mary Lennox was sent to Misselthwaite Manor to live with her uncle everybody said she was the most disagreeable-looking child ever seen.',
+      '',
+      '[End of The Secret Garden by Frances Hodgson Burnett]'
+    ].join('\n'));
+    assert.strictEqual(fadedPage.metadata.title, 'The Secret Garden');
+    assert.strictEqual(fadedPage.metadata.author, 'Frances Hodgson Burnett');
+    assert(fadedPage.cleanedText.startsWith('Chapter 1: There Is No One Left'));
+    assert(!fadedPage.cleanedText.includes('[End of'));
+    console.log('  ✓ Faded Page front matter and end line removed');
+
+    const epub = writeEpub('standard.epub', {
+      'OEBPS/content.opf': `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>The Moonstone</dc:title></metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="imprint" href="imprint.xhtml" media-type="application/xhtml+xml"/>
+    <item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/>
+    <item id="colophon" href="colophon.xhtml" media-type="application/xhtml+xml"/>
+    <item id="uncopyright" href="uncopyright.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine><itemref idref="imprint"/><itemref idref="c1"/><itemref idref="colophon"/><itemref idref="uncopyright"/></spine>
+</package>`,
+      'OEBPS/nav.xhtml': xhtml(`<nav epub:type="toc"><ol>
+  <li><a href="imprint.xhtml">Imprint</a></li>
+  <li><a href="c1.xhtml">The Loss of the Diamond</a></li>
+  <li><a href="colophon.xhtml">Colophon</a></li>
+  <li><a href="uncopyright.xhtml">Uncopyright</a></li>
+</ol></nav>`),
+      'OEBPS/imprint.xhtml': xhtml('<h2>Imprint</h2><p>This ebook is the product of many hours of hard work by volunteers for Standard Ebooks.</p><p>You can download this and other ebooks at standardebooks.org.</p>'),
+      'OEBPS/c1.xhtml': xhtml(`<h2>The Loss of the Diamond</h2>${paragraph(1)}`),
+      'OEBPS/colophon.xhtml': xhtml('<h2>Colophon</h2><p>The Moonstone</p><p>was published in 1868 by</p><p>Wilkie Collins.</p><p>This ebook was produced for Standard Ebooks.</p>'),
+      'OEBPS/uncopyright.xhtml': xhtml('<h2>Uncopyright</h2><p>May you do good and not evil. Standard Ebooks dedicates this work to the public domain.</p>')
+    });
+
+    const standard = await cleaner.processFile(epub);
+    assert.deepStrictEqual(standard.chapters.map(ch => ch.title), ['The Loss of the Diamond']);
+    assert.strictEqual(standard.metadata.title, 'The Moonstone');
+    assert.strictEqual(standard.metadata.author, 'Wilkie Collins');
+    assert(!standard.cleanedText.includes('Standard Ebooks'));
+    console.log('  ✓ Standard Ebooks imprint, colophon and uncopyright removed');
+
+    const plain = await cleaner.processText('A story that merely mentions Project Gutenberg in passing.\n\nIt goes on for a while.');
+    assert.strictEqual(plain.stats.boilerplate, null);
+    assert(plain.cleanedText.includes('Project Gutenberg'));
+    console.log('  ✓ Text without markers left alone');
+    console.log('  ✅ Boilerplate stripping working\n');
+  }
+
+  // Test 15: Non-UTF-8 text files are detected and transcoded
+  console.log('Test 15: Text encodings');
+  {
+    const story = 'Chapter 1: Café\n\nThe naïve señor ordered crème brûlée at the façade of the old café.';
+    const file = (name, bytes) => {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, bytes);
+      return filePath;
+    };
+
+    const latin1 = await cleaner.processFile(file('latin1.txt', Buffer.from(story, 'latin1')));
+    assert(latin1.cleanedText.includes('crème brûlée'), 'Latin-1 transcoded');
+    assert.strictEqual(latin1.stats.encoding.name, 'iso-8859-1');
+    assert(!latin1.stats.encoding.overridden);
+
+    const quoted = Buffer.concat([Buffer.from('Chapter 1: Quotes\n\n', 'latin1'), Buffer.from([0x93]),
+      Buffer.from('Déjà vu', 'latin1'), Buffer.from([0x94, 0x20, 0x96, 0x20]), Buffer.from('it is 5', 'latin1'),
+      Buffer.from([0x80]), Buffer.from(' at the café.', 'latin1')]);
+    const cp1252 = await cleaner.processFile(file('cp1252.txt', quoted));
+    assert(cleaner.decodeText(quoted).text.includes('“Déjà vu” – it is 5€ at the café.'), 'Windows-1252 punctuation decoded');
+    assert(cp1252.cleanedText.includes('"Déjà vu" – it is 5€ at the café.'), 'Windows-1252 punctuation decoded and normalized');
+    assert.strictEqual(cp1252.stats.encoding.name, 'windows-1252');
+
+    const utf16 = await cleaner.processFile(file('utf16.txt', Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(story, 'utf16le')])));
+    assert(utf16.cleanedText.includes('crème brûlée') && !utf16.cleanedText.includes('﻿'), 'UTF-16 BOM read and dropped');
+    assert.deepStrictEqual([utf16.stats.encoding.name, utf16.stats.encoding.bom], ['utf-16le', true]);
+
+    const cyrillic = 'Глава 1: Начало\n\nЭто был тихий вечер, и никто не ждал гостей в старом доме у реки.';
+    // А-я sit at 0xC0-0xFF in Windows-1251
+    const cp1251 = file('cp1251.txt', Buffer.from([...cyrillic].map(ch => (ch.charCodeAt(0) >= 0x410 ? ch.charCodeAt(0) - 0x350 : ch.charCodeAt(0)))));
+    const russian = await cleaner.processFile(cp1251);
+    assert(russian.cleanedText.includes('никто не ждал гостей'), 'Cyrillic code page detected');
+    assert.strictEqual(russian.stats.encoding.name, 'windows-1251');
+
+    const utf8 = await cleaner.processFile(file('utf8.md', Buffer.from(`# Café\n\n${story}`)));
+    assert.strictEqual(utf8.stats.encoding.name, 'utf-8');
+
+    // Legacy web pages say which code page they use
+    const page = `<html><head><meta http-equiv="Content-Type" content="text/html; charset=windows-1250"><title>Praha</title></head>
+<body><article><h1>Praha</h1><p>Příliš žluťoučký kůň úpěl ďábelské ódy u řeky, když se večer snesl nad městem a lidé šli domů.</p></article></body></html>`;
+    const codePage = new TextDecoder('windows-1250').decode(Buffer.from([...Array(256).keys()]));
+    const cp1250 = Buffer.from([...page].map(ch => codePage.indexOf(ch)));
+    const html = await cleaner.processFile(file('legacy.html', cp1250));
+    assert(html.cleanedText.includes('Příliš žluťoučký kůň úpěl ďábelské ódy'), html.cleanedText);
+    assert.deepStrictEqual([html.stats.encoding.name, html.stats.encoding.declared], ['windows-1250', true]);
+    const metaUtf8 = await cleaner.processFile(file('meta.html', Buffer.from(`<meta charset="utf-8">${page.replace('charset=windows-1250', '')}`)));
+    assert(metaUtf8.cleanedText.includes('Příliš žluťoučký'));
+    assert.strictEqual(metaUtf8.stats.encoding.name, 'utf-8');
+
+    const forced = await new TextCleaner({ encoding: 'latin1' }).processText(Buffer.from(story, 'latin1'));
+    assert(forced.cleanedText.includes('señor'));
+    assert.deepStrictEqual([forced.stats.encoding.name, forced.stats.encoding.overridden], ['iso-8859-1', true]);
+    await assert.rejects(
+      new TextCleaner({ encoding: 'klingon' }).processFile(path.join(tempDir, 'latin1.txt')),
+      err => err.code === 'INVALID_ENCODING'
+    );
+    console.log('  ✓ Latin-1, Windows-1252, Windows-1251 and UTF-16 transcoded to UTF-8');
+    console.log('  ✓ HTML pages decoded in the encoding their meta charset declares');
+    console.log('  ✓ Override applies to files and piped bytes; unknown names rejected');
+    console.log('  ✓ Detected encoding reported in stats');
+    console.log('  ✅ Encoding detection working\n');
+  }
+
+  // Test 16: Large inputs are streamed window by window into chapter files
+  console.log('Test 16: Streaming large inputs');
+  {
+    const chaptersDir = path.join(tempDir, 'chapters');
+    const lines = ['Title: The Long Book', 'Author: A. Writer', '', '*** START OF THE PROJECT GUTENBERG EBOOK THE LONG BOOK ***', ''];
+    lines.push('A short preface that has more than ten words in it, so it is kept.', '');
+    for (let c = 1; c <= 8; c++) {
+      lines.push(`Chapter ${c}: Part ${c}`, '');
+      for (let p = 0; p < 30; p++) {
+        lines.push(`Paragraph ${p} of chapter ${c} tells the story at some length, as books do.`);
+        lines.push(`Its second line runs on to line ${c * 100 + p} with a hyphen-`, `ated word in chapter ${c}.`, '');
+      }
+    }
+    lines.push('*** END OF THE PROJECT GUTENBERG EBOOK THE LONG BOOK ***', '', 'Full license text follows here.');
+    const bookFile = path.join(tempDir, 'long-book.txt');
+    fs.writeFileSync(bookFile, lines.join('\n'));
+
+    const whole = await new TextCleaner({ streaming: false }).processFile(bookFile);
+    const streamed = await new TextCleaner({ streaming: true, streamWindowSize: 4000, chaptersDir }).processFile(bookFile);
+
+    assert.strictEqual(whole.stats.streamed, null);
+    assert(streamed.stats.streamed.windows > 5, 'Cleaned in several windows');
+    assert.strictEqual(streamed.cleanedText, null);
+    assert.deepStrictEqual(streamed.chapters.map(ch => ch.title), whole.chapters.map(ch => ch.title));
+    assert.deepStrictEqual(streamed.chapters.map(ch => ch.wordCount), whole.chapters.map(ch => ch.wordCount));
+    for (const [i, chapter] of streamed.chapters.entries()) {
+      assert(!('text' in chapter), 'Chapter text stays on disk');
+      assert.strictEqual(fs.readFileSync(chapter.textFile, 'utf8'), whole.chapters[i].text);
+    }
+    assert(StreamProcessor.readText(streamed.chapters).includes('hyphenated word in chapter 8.'));
+    assert(!/license/i.test(StreamProcessor.readText(streamed.chapters)), 'Footer removed');
+    assert.strictEqual(streamed.stats.boilerplate.source, 'Project Gutenberg');
+    assert.strictEqual(streamed.metadata.title, 'The Long Book');
+    assert.strictEqual(streamed.stats.encoding.name, 'ascii');
+    console.log('  ✓ Streamed chapters match in-memory cleaning');
+    console.log('  ✓ Gutenberg wrapper stripped across windows');
+
+    StreamProcessor.removeFiles(streamed.chapters);
+    assert(!fs.existsSync(streamed.stats.streamed.outputDir), 'Chapter files removed');
+
+    // 'auto' streams from the threshold, which also lifts maxFileSize
+    const limited = { maxFileSize: 1024, streamThreshold: 2048, chaptersDir };
+    const auto = await new TextCleaner(limited).processFile(bookFile);
+    assert(auto.stats.streamed, 'Streamed above the threshold');
+    StreamProcessor.removeFiles(auto.chapters);
+    await assert.rejects(
+      new TextCleaner({ ...limited, streaming: false }).processFile(bookFile),
+      err => err.code === 'FILE_TOO_LARGE'
+    );
+    console.log('  ✓ Files above the threshold stream automatically, past maxFileSize');
+
+    // Every profile either streams a file or has room for its text in memory
+    const justOver = path.join(tempDir, 'just-over-50mb.txt');
+    fs.writeFileSync(justOver, '');
+    fs.truncateSync(justOver, 50 * 1024 * 1024 + 1);
+    for (const [name, profile] of Object.entries(MEMORY_PROFILES)) {
+      assert(profile.maxTextLength >= profile.streamThreshold, `${name}: text up to the stream threshold fits`);
+      const { maxFileSize, streamThreshold, maxTextLength, maxStreamFileSize } = profile;
+      const sized = new TextCleaner({ maxFileSize, streamThreshold, maxTextLength, maxStreamFileSize });
+      assert(sized.shouldStream(justOver) || fs.statSync(justOver).size <= sized.maxTextLength, `${name}: 50MB+ file streams or fits`);
+    }
+    fs.rmSync(justOver);
+    console.log('  ✓ Memory profiles stream or accept files past 50MB');
+
+    // pdftotext pages: chapters span page breaks, page numbers go
+    async function * pages() {
+      for (let page = 1; page <= 6; page++) {
+        let text = page % 3 === 1 ? `Chapter ${Math.ceil(page / 3)}: Pages\n\n` : '';
+        for (let p = 0; p < 4; p++) {
+          text += `Page ${page} paragraph ${p} has enough words to read like a real book page.\n\n`;
+        }
+        yield text + `${page}\n`;
+      }
+    }
+    const processor = new StreamProcessor(new TextCleaner(), { outputDir: path.join(chaptersDir, 'pages'), windowSize: 200 });
+    const paged = await processor.processPages(pages());
+    assert.deepStrictEqual(paged.chapters.map(ch => ch.title), ['Chapter 1: Pages', 'Chapter 2: Pages']);
+    const pageText = fs.readFileSync(paged.chapters[0].textFile, 'utf8');
+    assert(pageText.includes('Page 3 paragraph 3') && !/^\d+$/m.test(pageText), 'Page numbers removed');
+    assert.strictEqual(paged.stats.streamed.outputDir, path.join(chaptersDir, 'pages'));
+    console.log('  ✓ Pages cleaned in windows and split into chapter files');
+
+    await assert.rejects(
+      new StreamProcessor(new TextCleaner(), { outputDir: path.join(chaptersDir, 'empty') }).processPages((async function * () { yield '   \n'; })()),
+      err => err.code === 'CORRUPTED_TEXT'
+    );
+    assert(!fs.existsSync(path.join(chaptersDir, 'empty')), 'Output removed on failure');
+    console.log('  ✓ Failed streams leave no chapter files behind');
+    console.log('  ✅ Streaming working\n');
+  }
+}
+
+run()
+  .then(() => {
+    console.log('════════════════════════════════════════════════════════════');
+    console.log('✅ All format tests passed!');
+    console.log('════════════════════════════════════════════════════════════\n');
+  })
+  .catch(err => {
+    console.error('  ❌ FAILED:', err.message, '\n');
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Speech Normalization Tests
+ * Tests spelling out numbers, dates, units and Roman numerals for TTS,
+ * and the pronunciation lexicon
+ */
+
+import SpeechNormalizer from '../lib/speech-normalizer.js';
+import Lexicon from '../lib/lexicon.js';
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+console.log('🗣️  Running Speech Normalization Tests\n');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voicci-speech-'));
+const normalizer = new SpeechNormalizer({ language: 'en-US' });
+const say = (text) => normalizer.normalize(text).text;
+
+try {
+  // Test 1: Numbers, currencies and percentages
+  console.log('Test 1: Numbers, currencies and percentages');
+  {
+    assert.strictEqual(say('It cost $3.5M.'), 'It cost three point five million dollars.');
+    assert.strictEqual(say('$1,200.50 or £1'), 'one thousand two hundred dollars and fifty cents or one pound');
+    assert.strictEqual(say('1,234 people'), 'one thousand two hundred thirty-four people');
+    assert.strictEqual(say('pi is 3.14'), 'pi is three point one four');
+    assert.strictEqual(say('45% and -5'), 'forty-five percent and minus five');
+    assert.strictEqual(say('Growth of 10-20% was seen, then 5–10 % and -3%.'), 'Growth of ten to twenty percent was seen, then five to ten percent and minus three percent.');
+    assert.strictEqual(say('Agent 007'), 'Agent zero zero seven');
+    assert.strictEqual(say('Call 555-1234 or quote ISBN 978-3-16-148410-0.'), 'Call five five five, one two three four or quote I S B N nine seven eight, three, one six, one four eight four one zero, zero.');
+    assert.strictEqual(say('version 2.0.1 of the mp3 player'), 'version 2.0.1 of the mp3 player');
+    console.log('  ✓ Cardinals, decimals, money, percent and percent ranges; versions and codes left alone');
+    console.log('  ✓ Phone numbers and IDs read digit by digit');
+    console.log('  ✅ Numbers working\n');
+  }
+
+  // Test 2: Dates, years, decades and times
+  console.log('Test 2: Dates, years, decades and times');
+  {
+    assert.strictEqual(say('In the 1990s and the \'80s'), 'In the nineteen nineties and the eighties');
+    assert.strictEqual(say('the 1800s and 2000s'), 'the eighteen hundreds and two thousands');
+    assert.strictEqual(say('On March 5, 2020'), 'On March fifth, twenty twenty');
+    assert.strictEqual(say('4th July 1776'), 'the fourth of July seventeen seventy-six');
+    assert.strictEqual(say('2021-03-05'), 'March fifth, twenty twenty-one');
+    assert.strictEqual(say('ended in 1945, from 1990-1995'), 'ended in nineteen forty-five, from nineteen ninety to nineteen ninety-five');
+    assert.strictEqual(say('since 1905, in 2008, 500 BC'), 'since nineteen oh five, in two thousand eight, five hundred B C');
+    assert.strictEqual(say('at 3:30 pm or 10:00, or 5 p.m. Then'), 'at three thirty p m or ten o\'clock, or five p m. Then');
+
+    // Counts after "of", "by" or "between" are not years
+    assert.strictEqual(say('A survey of 1500 people in 1999, by 2000 people'), 'A survey of one thousand five hundred people in nineteen ninety-nine, by two thousand people');
+    assert.strictEqual(say('between 1200 and 1300 soldiers, from 1850 to 1900 the'), 'between one thousand two hundred and one thousand three hundred soldiers, from eighteen fifty to nineteen hundred the');
+    console.log('  ✓ Month-name and ISO dates, year context, decades, clock times');
+    console.log('  ✓ Counts ("of 1500 people") not read as years');
+    console.log('  ✅ Dates working\n');
+  }
+
+  // Test 3: Ordinals, fractions, units and Roman numerals
+  console.log('Test 3: Ordinals, fractions, units and Roman numerals');
+  {
+    assert.strictEqual(say('the 21st and 102nd'), 'the twenty-first and one hundred second');
+    assert.strictEqual(say('1/2 cup, 2 1/2 cups, ¾ mile'), 'one half cup, two and a half cups, three quarters mile');
+    assert.strictEqual(say('24/7'), 'twenty-four/seven');
+    assert.strictEqual(say('120 km/h, 1 km, 20°C'), 'one hundred twenty kilometers per hour, one kilometer, twenty degrees Celsius');
+    assert.strictEqual(say('speeds in km/h'), 'speeds in kilometers per hour');
+    assert.strictEqual(say('Henry VIII and Louis XIV'), 'Henry the Eighth and Louis the Fourteenth');
+    assert.strictEqual(say('World War II, Chapter IV. Then I left.'), 'World War two, Chapter four. Then I left.');
+    assert.strictEqual(say('I think I will mix it. MIX, CIVIL, DID.'), 'I think I will mix it. MIX, CIVIL, DID.');
+    assert.strictEqual(say('Apple II, Rocky IV, Appendix C, Appendix I, Type II, King Zog II'), 'Apple II, Rocky IV, Appendix C, Appendix I, Type II, King Zog the Second');
+    console.log('  ✓ Ordinals, fractions, units, regnal and numbered Roman numerals');
+    console.log('  ✓ Words, product names and lettered appendices not read as numerals');
+    console.log('  ✅ Ordinals, units and numerals working\n');
+  }
+
+  // Test 4: Languages, change log and chapters
+  console.log('Test 4: Languages, change log and chapters');
+  {
+    assert.strictEqual(SpeechNormalizer.languageCode('eng'), 'en');
+    const french = new SpeechNormalizer({ language: 'fr-FR' });
+    assert.strictEqual(french.supported, false);
+    assert.deepStrictEqual(french.normalize('En 1990'), { text: 'En 1990', changes: [] });
+
+    const { changes } = normalizer.normalize('In 1990 it cost $5.');
+    assert.deepStrictEqual(changes, [
+      { rule: 'currency', from: '$5', to: 'five dollars' },
+      { rule: 'year', from: 'In 1990', to: 'In nineteen ninety' }
+    ]);
+
+    const textFile = path.join(tempDir, '0001.txt');
+    fs.writeFileSync(textFile, 'Chapter text from 1990.');
+    const chapters = [
+      { number: 1, text: 'There were 3 of them.', wordCount: 5 },
+      { number: 2, textFile, wordCount: 4 }
+    ];
+    assert.strictEqual(normalizer.normalizeChapters(chapters).length, 2);
+    assert.strictEqual(chapters[0].text, 'There were three of them.');
+    assert.strictEqual(fs.readFileSync(textFile, 'utf8'), 'Chapter text from nineteen ninety.');
+    assert.strictEqual(chapters[1].wordCount, 5);
+    console.log('  ✓ Unsupported languages untouched; changes logged; streamed chapters rewritten');
+    console.log('  ✅ Chapters working\n');
+  }
+
+  // Test 5: Abbreviations and acronyms
+  console.log('Test 5: Abbreviations and acronyms');
+  {
+    assert.strictEqual(say('Dr. Watson met Mr. Holmes at Baker St. They talked.'), 'Doctor Watson met Mister Holmes at Baker Street. They talked.');
+    assert.strictEqual(say('In St. Louis, e.g. on Jan. 3, vs. the rest, etc. Then more.'), 'In Saint Louis, for example on January third, versus the rest, et cetera. Then more.');
+    assert.strictEqual(say('See No. 5 on p. 12. E.g. this.'), 'See number five on page twelve. For example this.');
+    assert.strictEqual(say('The FBI and NASA hired CEOs.'), 'The F B I and Nasa hired C E Os.');
+    assert.strictEqual(say('It was NOT me. THE END.'), 'It was NOT me. THE END.');
+    assert.strictEqual(say('UNESCO and the WHO'), 'Unesco and the W H O');
+    assert.strictEqual(say('They met in the U.S. They left for the U.K.'), 'They met in the U S. They left for the U K.');
+    assert.strictEqual(say('the U.S. economy, Bob a.k.a. The Boss, apples etc.'), 'the U S economy, Bob also known as The Boss, apples et cetera.');
+
+    const custom = new SpeechNormalizer({ abbreviations: { 'Dept.': 'Department', 'vs.': '' }, acronyms: { SQL: 'word', NASA: 'spell' } });
+    assert.strictEqual(custom.normalize('The Dept. of SQL vs. NASA').text, 'The Department of Sql vs. N A S A');
+    assert(custom.abbreviations.protected.includes('Dept.') && !custom.abbreviations.protected.includes('vs.'));
+    assert(custom.abbreviations.sentenceFinal.includes('U.S.') && !custom.abbreviations.sentenceFinal.includes('a.k.a.'));
+    assert(custom.abbreviations.sentenceFinal.every(abbreviation => custom.abbreviations.protected.includes(abbreviation)));
+    assert.throws(() => new SpeechNormalizer({ acronyms: { SQL: 'sing' } }), /Unknown acronym mode/);
+    console.log('  ✓ Titles, St. as Saint/Street, sentence-final etc.; spelled vs word acronyms');
+    console.log('  ✓ Sentence-final U.S. and etc. at the end of the text keep their period');
+    console.log('  ✓ User abbreviations and acronyms override the built-in ones');
+    console.log('  ✅ Abbreviations working\n');
+  }
+
+  // Test 6: Pronunciation lexicon
+  console.log('Test 6: Pronunciation lexicon');
+  {
+    const file = path.join(tempDir, 'lexicon.json');
+    const lexicon = Lexicon.load(file);
+    assert.strictEqual(lexicon.size, 0);
+
+    lexicon.add({ match: 'Hermione', say: 'her-MY-oh-nee' });
+    lexicon.add({ match: 'Hermione Granger', say: 'her-MY-oh-nee GRAIN-jer' });
+    lexicon.add({ match: 'Nginx', say: 'engine x', caseSensitive: true });
+    lexicon.add({ match: '(\\d+)x', say: '$1 times', regex: true });
+    lexicon.save();
+
+    const loaded = Lexicon.load(file);
+    assert.strictEqual(loaded.size, 4);
+    const { text, changes } = loaded.apply('Hermione Granger met HERMIONE; nginx vs Nginx, 3x faster, Hermiones.');
+    assert.strictEqual(text, 'her-MY-oh-nee GRAIN-jer met her-MY-oh-nee; nginx vs engine x, 3 times faster, Hermiones.');
+    assert.deepStrictEqual(changes.map(change => change.from), ['Hermione Granger', 'HERMIONE', 'Nginx', '3x']);
+    console.log('  ✓ Whole words, longest first, case rules, regex with $1; saved and loaded');
+
+    // Respellings are not respelled by shorter entries
+    assert.strictEqual(new Lexicon([{ match: 'Ron', say: 'Ronald' }, { match: 'Ronald', say: 'RON-uld' }]).apply('Ron').text, 'Ronald');
+
+    // A job's entries win over the global ones
+    const job = loaded.withOverrides([{ match: 'hermione', say: 'HER-mee-own' }, { match: 'Hermione', say: 'her-mee-OH-nee' }]);
+    assert.strictEqual(job.apply('Hermione').text, 'her-mee-OH-nee');
+    assert.strictEqual(loaded.apply('Hermione').text, 'her-MY-oh-nee');
+
+    assert(loaded.remove('Nginx') && !loaded.remove('Nginx'));
+    assert.throws(() => loaded.add({ match: '(', say: 'x', regex: true }), /Invalid lexicon pattern/);
+    assert.throws(() => loaded.add({ match: 'word', say: ' ' }), /needs a respelling/);
+    console.log('  ✓ Job overrides, removal and validation');
+    console.log('  ✅ Lexicon working\n');
+  }
+
+  console.log('════════════════════════════════════════════════════════════');
+  console.log('✅ All speech normalization tests passed!');
+  console.log('════════════════════════════════════════════════════════════\n');
+} catch (err) {
+  console.error('  ❌ FAILED:', err.message, '\n');
+  process.exitCode = 1;
+} finally {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}